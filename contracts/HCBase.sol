@@ -1,6 +1,9 @@
 pragma solidity ^0.4.24;
 
+import "./SafeMath.sol";
+
 contract HCBase {
+    using SafeMath for uint256;
 
     // Vote state.
     // Absent: A vote that hasn't been made yet.
@@ -14,7 +17,10 @@ contract HCBase {
     // Unpended: A proposal that had been pended, but who's confindence dropped before pendedBoostPeriod elapses.
     // Resolved: A proposal that was resolved positively either by absolute or relative majority.
     // Expired: A proposal that expired, due to lack of resolution either by queuePeriod or boostPeriod elapsing.
-    enum ProposalState { Queued, Unpended, Pended, Boosted, Resolved, Expired }
+    // Rejected: A proposal that was resolved negatively, either by absolute majority or by lacking relative majority when boosted.
+    // Cancelled: A proposal that was withdrawn by its creator before anyone voted or staked on it.
+    // Note: Closed states must come last, see _requireProposalIsOpen.
+    enum ProposalState { Queued, Unpended, Pended, Boosted, Resolved, Expired, Rejected, Cancelled }
 
     struct Proposal {
     // Proposal data structure.
@@ -25,16 +31,31 @@ contract HCBase {
         uint256 lastPendedDate;
         uint256 lastRelativeSupportFlipDate;
         VoteState lastRelativeSupport;
-        uint256 resolutionCompensationFee;
+        uint256 compensationFeesPaid;
         uint256 yea;
         uint256 nay;
         uint256 upstake;
         uint256 downstake;
+        uint256 snapshotBlock;
+        bytes32 metadataHash;
+        bytes executionScript;
+        bool executed;
+        VoteState outcome;
+        address creator;
+        bool touched; // Whether anyone ever voted or staked on the proposal, see HCDeposits.sol.
+        uint256 deposit;
         mapping (address => VoteState) votes;
+        mapping (address => uint256) votingPowers;
+        mapping (address => uint256) overriddenPowers;
         mapping (address => uint256) upstakes;
         mapping (address => uint256) downstakes;
+        mapping (address => uint256) claimed;
+        mapping (address => bytes32) commitments;
     }
 
+    // Note: A proposal's creator and creation deposit can't be returned here too, as more return values run out of stack
+    // ("Stack too deep"). Get them from getProposalDeposit, and the limits from creationDeposit, proposalCooldown
+    // and lastProposalDates, see HCDeposits.sol.
     function getProposal(uint256 _proposalId) public view returns (
         uint256 id,
         ProposalState state,
@@ -43,13 +64,13 @@ contract HCBase {
         uint256 lastPendedDate,
         uint256 lastRelativeSupportFlipDate,
         VoteState lastRelativeSupport,
-        uint256 resolutionCompensationFee,
+        uint256 compensationFeesPaid,
         uint256 yea,
         uint256 nay,
         uint256 upstake,
         uint256 downstake
     ) {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
+        _requireProposalExists(_proposalId);
 
         Proposal storage proposal_ = proposals[_proposalId];
         id = proposal_.id;
@@ -59,18 +80,53 @@ contract HCBase {
         lastPendedDate = proposal_.lastPendedDate;
         lastRelativeSupportFlipDate = proposal_.lastRelativeSupportFlipDate;
         lastRelativeSupport = proposal_.lastRelativeSupport;
-        resolutionCompensationFee = proposal_.resolutionCompensationFee;
+        compensationFeesPaid = proposal_.compensationFeesPaid;
         yea = proposal_.yea;
         nay = proposal_.nay;
         upstake = proposal_.upstake;
         downstake = proposal_.downstake;
     }
 
+    // Block as of which the vote token's balances give the voting power on a proposal.
+    function getProposalSnapshotBlock(uint256 _proposalId) public view returns (uint256) {
+        _requireProposalExists(_proposalId);
+        return proposals[_proposalId].snapshotBlock;
+    }
+
+
+    // Hash of the proposal's metadata document, which is kept off chain, see scripts/metadata.js.
+    function getProposalMetadataHash(uint256 _proposalId) public view returns (bytes32) {
+        _requireProposalExists(_proposalId);
+        return proposals[_proposalId].metadataHash;
+    }
+
+    // Creator of a proposal, and the creation deposit that it will be refunded or forfeit, see HCDeposits.sol.
+    function getProposalDeposit(uint256 _proposalId) public view returns (address creator, uint256 deposit) {
+        _requireProposalExists(_proposalId);
+        Proposal storage proposal_ = proposals[_proposalId];
+        creator = proposal_.creator;
+        deposit = proposal_.deposit;
+    }
+
+    // Yea if a proposal was resolved in favour, Nay if it was rejected by majority,
+    // or Absent if it is open, expired, or was rejected for lacking relative majority when boosted.
+    function getProposalOutcome(uint256 _proposalId) public view returns (VoteState) {
+        _requireProposalExists(_proposalId);
+        return proposals[_proposalId].outcome;
+    }
 
     // Store proposals in a mapping, by numeric id.
     mapping (uint256 => Proposal) internal proposals;
     uint256 public numProposals;
 
+    // Number of proposals that are currently boosted, which raises the confidence threshold.
+    uint256 public numBoostedProposals;
+
+    // Last time that the confidence threshold may have risen, by boosting a proposal or changing confidenceThresholdBase.
+    // Note: Pended proposals aren't unpended when it rises, so those pended before may have lacked confidence since,
+    // see HCCompensations.boostProposal.
+    uint256 internal lastThresholdRiseDate;
+
     // Lifetime of a proposal when it is not boosted.
     uint256 public queuePeriod;
 
@@ -80,6 +136,10 @@ contract HCBase {
     uint256 public boostPeriod;
     uint256 public quietEndingPeriod;
 
+    // Time at the end of a proposal's lifetime in which committed votes are revealed, or 0 if votes aren't committed,
+    // see HCCommitReveal.sol.
+    uint256 public revealPeriod;
+
     // Time for a pended proposal to become boosted if it maintained confidence within such period.
     uint256 public pendedBoostPeriod;
 
@@ -90,7 +150,7 @@ contract HCBase {
     uint256 internal constant PRECISION_MULTIPLIER = 10 ** 16;
 
     // Events.
-    event ProposalCreated(uint256 indexed _proposalId, address indexed _creator, string _metadata);
+    event ProposalCreated(uint256 indexed _proposalId, address indexed _creator, bytes32 _metadataHash);
     event ProposalStateChanged(uint256 indexed _proposalId, ProposalState _newState);
 
     // Error messages.
@@ -98,10 +158,10 @@ contract HCBase {
     string internal constant ERROR_INSUFFICIENT_ALLOWANCE                    = "VOTING_ERROR_INSUFFICIENT_ALLOWANCE";
     string internal constant ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE       = "VOTING_ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE ";
     string internal constant ERROR_PROPOSAL_DOES_NOT_HAVE_REQUIRED_STAKE     = "VOTING_ERROR_PROPOSAL_DOES_NOT_HAVE_REQUIRED_STAKE ";
-    string internal constant ERROR_PROPOSAL_DOESNT_HAVE_ENOUGH_CONFIDENCE    = "VOTING_ERROR_PROPOSAL_DOESNT_HAVE_ENOUGH_CONFIDENCE";
     string internal constant ERROR_PROPOSAL_IS_NOT_FINALIZED                 = "VOTING_ERROR_PROPOSAL_IS_NOT_FINALIZED";
     string internal constant ERROR_PROPOSAL_IS_NOT_BOOSTED                   = "VOTING_ERROR_PROPOSAL_IS_NOT_BOOSTED";
     string internal constant ERROR_PROPOSAL_IS_BOOSTED                       = "VOTING_ERROR_PROPOSAL_IS_BOOSTED";
+    string internal constant ERROR_PROPOSAL_IS_NOT_PENDED                    = "VOTING_ERROR_PROPOSAL_IS_NOT_PENDED";
     string internal constant ERROR_NO_WINNING_STAKE                          = "VOTING_ERROR_NO_WINNING_STAKE";
     string internal constant ERROR_PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME = "VOTING_ERROR_PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME";
     string internal constant ERROR_PROPOSAL_DOES_NOT_EXIST                   = "VOTING_ERROR_PROPOSAL_DOES_NOT_EXIST";
@@ -115,12 +175,43 @@ contract HCBase {
     string internal constant ERROR_PROPOSAL_IS_ACTIVE                        = "VOTING_ERROR_PROPOSAL_IS_ACTIVE";
     string internal constant ERROR_NO_STAKE_TO_WITHDRAW                      = "VOTING_ERROR_NO_STAKE_TO_WITHDRAW";
     string internal constant ERROR_INVALID_COMPENSATION_FEE                  = "VOTING_ERROR_INVALID_COMPENSATION_FEE";
+    string internal constant ERROR_INVALID_EXECUTION_SCRIPT                  = "VOTING_ERROR_INVALID_EXECUTION_SCRIPT";
+    string internal constant ERROR_EXECUTION_TARGET_NOT_ALLOWED              = "VOTING_ERROR_EXECUTION_TARGET_NOT_ALLOWED";
+    string internal constant ERROR_PROPOSAL_IS_NOT_RESOLVED                  = "VOTING_ERROR_PROPOSAL_IS_NOT_RESOLVED";
+    string internal constant ERROR_PROPOSAL_HAS_NO_EXECUTION_SCRIPT          = "VOTING_ERROR_PROPOSAL_HAS_NO_EXECUTION_SCRIPT";
+    string internal constant ERROR_PROPOSAL_IS_EXECUTED                      = "VOTING_ERROR_PROPOSAL_IS_EXECUTED";
+    string internal constant ERROR_EXECUTION_FAILED                          = "VOTING_ERROR_EXECUTION_FAILED";
+    string internal constant ERROR_REENTRANT_CALL                            = "VOTING_ERROR_REENTRANT_CALL";
+    string internal constant ERROR_STAKE_ALREADY_CLAIMED                     = "VOTING_ERROR_STAKE_ALREADY_CLAIMED";
+    string internal constant ERROR_NOTHING_TO_CLAIM                          = "VOTING_ERROR_NOTHING_TO_CLAIM";
+    string internal constant ERROR_SENDER_NOT_AUTHORIZED                     = "VOTING_ERROR_SENDER_NOT_AUTHORIZED";
+    string internal constant ERROR_ALREADY_INITIALIZED                       = "VOTING_ERROR_ALREADY_INITIALIZED";
+    string internal constant ERROR_INVALID_TOKEN                             = "VOTING_ERROR_INVALID_TOKEN";
+    string internal constant ERROR_INVALID_VOTING_STRATEGY                   = "VOTING_ERROR_INVALID_VOTING_STRATEGY";
+    string internal constant ERROR_INVALID_PERIODS                           = "VOTING_ERROR_INVALID_PERIODS";
+    string internal constant ERROR_INVALID_COMPENSATION_FEE_PCT              = "VOTING_ERROR_INVALID_COMPENSATION_FEE_PCT";
+    string internal constant ERROR_INVALID_COMPENSATION_FEE_CURVE            = "VOTING_ERROR_INVALID_COMPENSATION_FEE_CURVE";
+    string internal constant ERROR_INVALID_CONFIDENCE_THRESHOLD_BASE         = "VOTING_ERROR_INVALID_CONFIDENCE_THRESHOLD_BASE";
+    string internal constant ERROR_SIGNATURE_EXPIRED                         = "VOTING_ERROR_SIGNATURE_EXPIRED";
+    string internal constant ERROR_INVALID_SIGNATURE                         = "VOTING_ERROR_INVALID_SIGNATURE";
+    string internal constant ERROR_INVALID_VOTE_PHASE                        = "VOTING_ERROR_INVALID_VOTE_PHASE";
+    string internal constant ERROR_INVALID_COMMITMENT                        = "VOTING_ERROR_INVALID_COMMITMENT";
+    string internal constant ERROR_PROPOSAL_RATE_LIMITED                     = "VOTING_ERROR_PROPOSAL_RATE_LIMITED";
+    string internal constant ERROR_PROPOSAL_CANNOT_BE_CANCELLED              = "VOTING_ERROR_PROPOSAL_CANNOT_BE_CANCELLED";
 
     /*
      * External functions.
      */
 
-    function createProposal(string _metadata) public returns (uint256 proposalId) {
+    function createProposal(bytes32 _metadataHash) public returns (uint256 proposalId) {
+        proposalId = _createProposal(_metadataHash);
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    function _createProposal(bytes32 _metadataHash) internal returns (uint256 proposalId) {
 
         // Increment proposalId.
         proposalId = numProposals;
@@ -131,8 +222,14 @@ contract HCBase {
         proposal_.id = proposalId;
         proposal_.startDate = now;
         proposal_.lifetime = queuePeriod;
+        proposal_.metadataHash = _metadataHash;
+        proposal_.creator = msg.sender;
 
-        emit ProposalCreated(proposalId, msg.sender, _metadata);
+        // Voting power is taken from the vote token's balances as of the previous block,
+        // so that it can't be altered by transfers made afterwards or in the same block.
+        proposal_.snapshotBlock = block.number - 1;
+
+        emit ProposalCreated(proposalId, msg.sender, _metadataHash);
     }
 
     /*
@@ -147,4 +244,35 @@ contract HCBase {
         Proposal storage proposal_ = proposals[_proposalId];
         return proposal_.state == _state;
     }
+
+    // Shared requires, kept as functions so that their messages aren't repeated in the bytecode.
+    function _requireProposalExists(uint256 _proposalId) internal view {
+        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
+    }
+
+    // Also requires that the proposal exists, since a proposal that doesn't has the default, open state.
+    function _requireProposalIsOpen(uint256 _proposalId) internal view {
+        _requireProposalExists(_proposalId);
+        require(proposals[_proposalId].state < ProposalState.Resolved, ERROR_PROPOSAL_IS_CLOSED);
+    }
+
+    function _requireProposalIsNotBoosted(uint256 _proposalId) internal view {
+        require(!_proposalStateIs(_proposalId, ProposalState.Boosted), ERROR_PROPOSAL_IS_BOOSTED);
+    }
+
+    // Requires that a token hasn't been set yet, and that the one to set is valid.
+    function _requireInitialization(address _currentToken, address _newToken) internal pure {
+        require(_currentToken == address(0), ERROR_ALREADY_INITIALIZED);
+        require(_newToken != address(0), ERROR_INVALID_TOKEN);
+    }
+
+    // Date at which a proposal's current lifetime ends.
+    function _proposalEndDate(Proposal storage proposal_) internal view returns (uint256) {
+        return proposal_.startDate.add(proposal_.lifetime);
+    }
+
+    // Whether a proposal was resolved or rejected, as opposed to expired or still open.
+    function _proposalIsDecided(uint256 _proposalId) internal view returns (bool) {
+        return _proposalStateIs(_proposalId, ProposalState.Resolved) || _proposalStateIs(_proposalId, ProposalState.Rejected);
+    }
 }
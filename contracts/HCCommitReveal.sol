@@ -0,0 +1,87 @@
+pragma solidity ^0.4.24;
+
+import "./SafeMath.sol";
+import "./HCVoting.sol";
+
+contract HCCommitReveal is HCVoting {
+    using SafeMath for uint256;
+
+    // In commit-reveal mode, votes are cast as hashes while a proposal's tallies can't be seen,
+    // and only counted once revealed, so that last minute voters can't vote tactically.
+    // Commit phase: Until revealPeriod before the proposal's lifetime ends.
+    // Reveal phase: The rest of the proposal's lifetime.
+    // Note: A quiet ending extension can reopen the commit phase, and a voter that commits again
+    // keeps its revealed vote until it reveals the new one.
+    // Commitments that aren't revealed before the proposal's lifetime ends aren't counted.
+
+    // Events.
+    event VoteCommitted(uint256 indexed _proposalId, address indexed _voter, bytes32 _commitment);
+
+    /*
+     * External functions.
+     */
+
+    // Enables commit-reveal mode, which can only be chosen by a holder of MANAGE_ROLES_ROLE
+    // after initializeVoting and before any proposal is created.
+    function initializeCommitReveal(uint256 _revealPeriod) public auth(MANAGE_ROLES_ROLE) {
+        require(numProposals == 0, ERROR_ALREADY_INITIALIZED);
+        revealPeriod = _revealPeriod;
+
+        // Validate the reveal period against the voting periods.
+        _setVotingPeriods(queuePeriod, boostPeriod, quietEndingPeriod);
+    }
+
+    // The commitment is keccak256(abi.encodePacked(_proposalId, voter, supports, salt)), see getVoteCommitmentHash.
+    function commitVote(uint256 _proposalId, bytes32 _commitment) public {
+        _requireVotePhase(_proposalId, false);
+
+        proposals[_proposalId].commitments[msg.sender] = _commitment;
+        emit VoteCommitted(_proposalId, msg.sender, _commitment);
+    }
+
+    // Anyone can reveal a vote with its salt, e.g. a service that voters leave their salts with.
+    function revealVote(uint256 _proposalId, address _voter, bool _supports, bytes32 _salt) public {
+        _requireVotePhase(_proposalId, true);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+        require(proposal_.commitments[_voter] == getVoteCommitmentHash(_proposalId, _voter, _supports, _salt), ERROR_INVALID_COMMITMENT);
+        delete proposal_.commitments[_voter];
+
+        super._vote(_proposalId, _supports, _voter);
+    }
+
+    /*
+     * Getters.
+     */
+
+    // Commitment of a voter that hasn't been revealed, or 0.
+    function getVoteCommitment(uint256 _proposalId, address _voter) public view returns (bytes32) {
+        _requireProposalExists(_proposalId);
+        return proposals[_proposalId].commitments[_voter];
+    }
+
+    function getVoteCommitmentHash(uint256 _proposalId, address _voter, bool _supports, bytes32 _salt) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_proposalId, _voter, _supports, _salt));
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    // Votes can only be cast directly, or by signature, when commit-reveal mode is disabled.
+    function _vote(uint256 _proposalId, bool _supports, address _voter) internal {
+        require(revealPeriod == 0, ERROR_INVALID_VOTE_PHASE);
+        super._vote(_proposalId, _supports, _voter);
+    }
+
+    /*
+     * Utility functions.
+     */
+
+    function _requireVotePhase(uint256 _proposalId, bool _reveal) internal view {
+        _requireProposalIsOpen(_proposalId);
+
+        uint256 endDate = _proposalEndDate(proposals[_proposalId]);
+        require(revealPeriod > 0 && now < endDate && (now.add(revealPeriod) >= endDate) == _reveal, ERROR_INVALID_VOTE_PHASE);
+    }
+}
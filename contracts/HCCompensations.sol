@@ -4,98 +4,150 @@ import "./HCStaking.sol";
 
 contract HCCompensations is HCStaking {
 
+    // Shape of the compensation fee, as a function of the time elapsed since a proposal could be closed or boosted.
+    // Linear: Grows by one token every compensationFeePct seconds.
+    // Step: Nothing until compensationFeePeriod elapses, and the maximum fee afterwards.
+    // CappedExponential: 2^n - 1 tokens once n compensationFeePeriods elapsed, i.e. nothing during the first period,
+    // one token after it, and nearly doubling with every period.
+    // All curves are capped at the proposal's upstake divided by compensationFeePct.
+    enum FeeCurve { Linear, Step, CappedExponential }
+    FeeCurve public compensationFeeCurve;
+    uint256 public compensationFeePeriod;
+
+    // Stake tokens that pay compensation fees, kept apart from the stakes held in escrow.
+    uint256 public compensationFunds;
+
+    // Events.
+    event CompensationsFunded(address indexed _funder, uint256 _amount);
+    event CompensationsDepleted(uint256 indexed _proposalId, uint256 _fee, uint256 _paid);
+    event CompensationFeeCurveChanged(FeeCurve _curve, uint256 _period);
+
     /*
      * External functions.
      */
 
+    function fundCompensations(uint256 _amount) public {
+        compensationFunds = compensationFunds.add(_amount);
+        _receiveStakeTokens(msg.sender, _amount);
+        emit CompensationsFunded(msg.sender, _amount);
+    }
+
+    function setCompensationFeeCurve(FeeCurve _curve, uint256 _period) public auth(MODIFY_COMPENSATION_FEE_ROLE) {
+        require(_curve == FeeCurve.Linear || _period > 0, ERROR_INVALID_COMPENSATION_FEE_CURVE);
+        compensationFeeCurve = _curve;
+        compensationFeePeriod = _period;
+        emit CompensationFeeCurveChanged(_curve, _period);
+    }
+
     function resolveBoostedProposal(uint256 _proposalId) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
+        _requireProposalExists(_proposalId);
         require(_proposalStateIs(_proposalId, ProposalState.Boosted), ERROR_PROPOSAL_IS_NOT_BOOSTED);
 
-        // Verify that the proposal lifetime has ended.
+        // Verify that the proposal's lifetime has ended, and compensate the caller.
         Proposal storage proposal_ = proposals[_proposalId];
-        require(now >= proposal_.startDate.add(proposal_.lifetime), ERROR_PROPOSAL_IS_ACTIVE);
-
-        // Compensate the caller.
-        uint256 fee = _calculateCompensationFee(_proposalId, proposal_.startDate.add(proposal_.lifetime));
-        proposal_.resolutionCompensationFee = fee;
-        require(stakeToken.balanceOf(address(this)) >= fee, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
-        stakeToken.transfer(msg.sender, fee);
+        _compensateAfterEndDate(proposal_);
 
-        // Resolve the proposal.
-        _updateProposalState(_proposalId, ProposalState.Resolved);
+        // Resolve the proposal if it has relative majority, or reject it otherwise.
+        _decideProposal(_proposalId, _calculateProposalRelativeSupport(proposal_));
     }
 
     function expireNonBoostedProposal(uint256 _proposalId) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
-        require(!_proposalStateIs(_proposalId, ProposalState.Boosted), ERROR_PROPOSAL_IS_BOOSTED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_CLOSED);
+        _requireProposalIsOpen(_proposalId);
+        _requireProposalIsNotBoosted(_proposalId);
 
-        // Verify that the proposal's lifetime has ended.
+        // Verify that the proposal's lifetime has ended, and compensate the caller.
         Proposal storage proposal_ = proposals[_proposalId];
-        require(now >= proposal_.startDate.add(proposal_.lifetime), ERROR_PROPOSAL_IS_ACTIVE);
-
-        // Compensate the caller.
-        uint256 fee = _calculateCompensationFee(_proposalId, proposal_.startDate.add(proposal_.lifetime));
-        proposal_.resolutionCompensationFee = fee;
-        require(stakeToken.balanceOf(address(this)) >= fee, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
-        stakeToken.transfer(msg.sender, fee);
+        _compensateAfterEndDate(proposal_);
 
         // Update the proposal's state and emit an event.
         _updateProposalState(_proposalId, ProposalState.Expired);
     }
 
     function boostProposal(uint256 _proposalId) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
         // TODO: Different errors for these
-        require(!_proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Resolved), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Boosted), ERROR_PROPOSAL_IS_BOOSTED);
+        _requireProposalIsOpen(_proposalId);
+        _requireProposalIsNotBoosted(_proposalId);
 
         // Require that the proposal is currently pended.
         Proposal storage proposal_ = proposals[_proposalId];
-        require(proposal_.state == ProposalState.Pended);
+        require(proposal_.state == ProposalState.Pended, ERROR_PROPOSAL_IS_NOT_PENDED);
+
+        // Instead of being boosted, a proposal that lacks confidence is unpended, and one that was pended before
+        // the threshold last rose, and may have lacked confidence since, restarts pendedBoostPeriod.
+        if(!_proposalHasEnoughConfidence(proposal_)) {
+            _updateProposalState(_proposalId, ProposalState.Unpended);
+            return;
+        }
+        if(proposal_.lastPendedDate <= lastThresholdRiseDate) {
+            proposal_.lastPendedDate = now;
+            return;
+        }
 
         // Require that the proposal has had enough confidence for a period of time.
-        require(_proposalHasEnoughConfidence(proposal_), ERROR_PROPOSAL_DOESNT_HAVE_ENOUGH_CONFIDENCE);
-        require(now >= proposal_.lastPendedDate.add(pendedBoostPeriod), ERROR_PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME);
+        uint256 boostDate = proposal_.lastPendedDate.add(pendedBoostPeriod);
+        require(now >= boostDate, ERROR_PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME);
 
         // Compensate the caller.
-        uint256 fee = _calculateCompensationFee(_proposalId, proposal_.lastPendedDate.add(pendedBoostPeriod));
-        proposal_.resolutionCompensationFee = fee;
-        require(stakeToken.balanceOf(address(this)) >= fee, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
-        stakeToken.transfer(msg.sender, fee);
+        _compensate(proposal_, boostDate);
 
-        // Boost the proposal.
+        // Boost the proposal, which raises the confidence threshold.
         _updateProposalState(_proposalId, ProposalState.Boosted);
         proposal_.lifetime = boostPeriod;
+        lastThresholdRiseDate = now;
     }
 
     /*
      * Utility functions.
      */
 
-    function _calculateCompensationFee(uint256 _proposalId, uint256 _cutoffDate) internal view returns(uint256 _fee) {
+    // Pays the caller from compensationFunds, and never from the stakes in escrow.
+    // Note: When the funds can't cover the fee, what is left is paid instead of reverting,
+    // since reverting would keep the proposal from being closed and its stakes from being withdrawn.
+    // Callers that want the whole fee should compare compensationFunds with it first, as HCClient does.
+    function _compensate(Proposal storage proposal_, uint256 _cutoffDate) internal {
+        uint256 fee = _calculateCompensationFee(proposal_, _cutoffDate);
+        if(fee > compensationFunds) {
+            emit CompensationsDepleted(proposal_.id, fee, compensationFunds);
+            fee = compensationFunds;
+        }
+        compensationFunds = compensationFunds.sub(fee);
+        proposal_.compensationFeesPaid = proposal_.compensationFeesPaid.add(fee);
+        _transferStakeTokens(msg.sender, fee);
+    }
+
+    // Closing a proposal is compensated from the end of its lifetime, which must have passed.
+    function _compensateAfterEndDate(Proposal storage proposal_) internal {
+        uint256 endDate = _proposalEndDate(proposal_);
+        require(now >= endDate, ERROR_PROPOSAL_IS_ACTIVE);
+        _compensate(proposal_, endDate);
+    }
+
+    function _calculateCompensationFee(Proposal storage proposal_, uint256 _cutoffDate) internal view returns(uint256 _fee) {
 
         // Require that the proposal has potentially expired.
         // This is necessary because the fee depends on the time since expiration.
         // If the proposal hasn't expired, the calculation would yield a negative fee.
-        Proposal storage proposal_ = proposals[_proposalId];
         require(now >= _cutoffDate, ERROR_INVALID_COMPENSATION_FEE);
+        uint256 elapsed = now - _cutoffDate;
+        uint256 max = proposal_.upstake.mul(PRECISION_MULTIPLIER).div(compensationFeePct) / PRECISION_MULTIPLIER;
 
         // Calculate fee.
         /* 
            fee
            ^
-           |     ___________ max = compensationFeePct * total upstake
+           |     ___________ max = total upstake / compensationFeePct
            |    /
            |   /
            |  /
            | /
-           |/______________> time elapsed since resolution
+           |/______________> time elapsed since resolution (Linear curve)
         */
-        _fee = now.sub(_cutoffDate).div(compensationFeePct);
-        uint256 max = proposal_.upstake.mul(PRECISION_MULTIPLIER).div(compensationFeePct);
-        if(_fee.mul(PRECISION_MULTIPLIER) > max) _fee = max.div(PRECISION_MULTIPLIER);
+        if(compensationFeeCurve == FeeCurve.Linear) _fee = elapsed / compensationFeePct;
+        else if(compensationFeeCurve == FeeCurve.Step) _fee = elapsed >= compensationFeePeriod ? max : 0;
+        else {
+            uint256 doublings = elapsed / compensationFeePeriod;
+            _fee = doublings >= 255 ? max : (uint256(2) ** doublings) - 1;
+        }
+        if(_fee > max) _fee = max;
     }
 }
@@ -0,0 +1,84 @@
+pragma solidity ^0.4.24;
+
+import "./HCCompensations.sol";
+
+contract HCDeposits is HCCompensations {
+
+    // Proposals can be limited, so that flooding the queue isn't free.
+    // Creation deposit: Stake tokens taken from the creator of each proposal and held until it closes. They are refunded
+    // when the proposal is resolved, rejected or cancelled, or expires after being voted or staked on,
+    // and forfeited to the compensation funds when it expires untouched.
+    // Note: Pending a proposal doesn't refund its deposit, and a proposal stays touched once voted or staked on,
+    // so that staking and unstaking can't recover the deposit of a spam proposal.
+    // Proposal cooldown: Time that an address must wait after creating a proposal before creating another one.
+    // Both are 0, i.e. disabled, until set by a holder of MODIFY_PROPOSAL_LIMITS_ROLE.
+    // Note: Changes don't apply to the deposits of existing proposals, which are kept in the proposal.
+    uint256 public creationDeposit;
+    uint256 public proposalCooldown;
+
+    // Date of the last proposal created by each address.
+    mapping (address => uint256) public lastProposalDates;
+
+    // Events.
+    event ProposalLimitsChanged(uint256 _creationDeposit, uint256 _proposalCooldown);
+    event DepositRefunded(uint256 indexed _proposalId, address indexed _creator, uint256 _amount);
+    event DepositForfeited(uint256 indexed _proposalId, uint256 _amount);
+
+    /*
+     * External functions.
+     */
+
+    function setProposalLimits(uint256 _creationDeposit, uint256 _proposalCooldown) public auth(MODIFY_PROPOSAL_LIMITS_ROLE) {
+        creationDeposit = _creationDeposit;
+        proposalCooldown = _proposalCooldown;
+        emit ProposalLimitsChanged(_creationDeposit, _proposalCooldown);
+    }
+
+    // The creator can withdraw a proposal, and its deposit, during its lifetime and as long as nobody ever voted or staked on it,
+    // even if those votes or stakes were withdrawn since.
+    // Note: Committed votes don't count until revealed, so they don't keep a proposal from being cancelled.
+    function cancelProposal(uint256 _proposalId) public {
+        _requireProposalIsOpen(_proposalId);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+        require(msg.sender == proposal_.creator && !proposal_.touched && now < _proposalEndDate(proposal_), ERROR_PROPOSAL_CANNOT_BE_CANCELLED);
+
+        _updateProposalState(_proposalId, ProposalState.Cancelled);
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    function _createProposal(bytes32 _metadataHash) internal returns (uint256 proposalId) {
+        require(now >= lastProposalDates[msg.sender].add(proposalCooldown), ERROR_PROPOSAL_RATE_LIMITED);
+        lastProposalDates[msg.sender] = now;
+
+        proposalId = super._createProposal(_metadataHash);
+
+        // Take the deposit from the creator.
+        if(creationDeposit > 0) {
+            proposals[proposalId].deposit = creationDeposit;
+            _receiveStakeTokens(msg.sender, creationDeposit);
+        }
+    }
+
+    // Closing a proposal settles its deposit.
+    function _updateProposalState(uint256 _proposalId, ProposalState _newState) internal {
+        super._updateProposalState(_proposalId, _newState);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+        uint256 deposit = proposal_.deposit;
+        if(deposit == 0 || _newState < ProposalState.Resolved) return;
+        proposal_.deposit = 0;
+
+        if(_newState == ProposalState.Expired && !proposal_.touched) {
+            compensationFunds = compensationFunds.add(deposit);
+            emit DepositForfeited(_proposalId, deposit);
+        }
+        else {
+            _transferStakeTokens(proposal_.creator, deposit);
+            emit DepositRefunded(_proposalId, proposal_.creator, deposit);
+        }
+    }
+}
@@ -0,0 +1,120 @@
+pragma solidity ^0.4.24;
+
+import "./HCWithdrawals.sol";
+
+contract HCExecution is HCWithdrawals {
+
+    // Execution scripts are a list of calls that are made by this contract when a proposal is resolved in favour.
+    // Each call is encoded as: target address (20 bytes) | value in wei (32 bytes) | calldata length (4 bytes) | calldata.
+    uint256 internal constant CALL_HEADER_LENGTH = 20 + 32 + 4;
+
+    // Set while a proposal's script is being executed, to prevent re-entrancy.
+    bool internal executing;
+
+    // Events.
+    event ProposalExecuted(uint256 indexed _proposalId);
+
+    modifier nonReentrant() {
+        require(!executing, ERROR_REENTRANT_CALL);
+        executing = true;
+        _;
+        executing = false;
+    }
+
+    /*
+     * External functions.
+     */
+
+    // Allows receiving ether to be sent by execution scripts.
+    function () external payable {}
+
+    function createExecutableProposal(bytes32 _metadataHash, bytes _executionScript) public returns (uint256 proposalId) {
+        _validateExecutionScript(_executionScript);
+
+        proposalId = _createProposal(_metadataHash);
+        proposals[proposalId].executionScript = _executionScript;
+    }
+
+    // Runs the script of a proposal that was resolved, i.e. in favour. Anyone can call this, but only once per proposal.
+    function executeProposal(uint256 _proposalId) public nonReentrant {
+        _requireProposalExists(_proposalId);
+        require(_proposalStateIs(_proposalId, ProposalState.Resolved), ERROR_PROPOSAL_IS_NOT_RESOLVED);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+        require(proposal_.executionScript.length > 0, ERROR_PROPOSAL_HAS_NO_EXECUTION_SCRIPT);
+        require(!proposal_.executed, ERROR_PROPOSAL_IS_EXECUTED);
+
+        // Mark the proposal as executed before making any calls.
+        proposal_.executed = true;
+
+        bytes memory script = proposal_.executionScript;
+        uint256 offset = 0;
+        while(offset < script.length) {
+            address target = _readAddress(script, offset);
+            uint256 value = _readUint256(script, offset + 20);
+            uint256 dataLength = _readUint32(script, offset + 52);
+            bytes memory data = _copyBytes(script, offset + CALL_HEADER_LENGTH, dataLength);
+
+            // The stake token is checked again, in case it changed since the script was validated.
+            require(target != address(stakeToken), ERROR_EXECUTION_TARGET_NOT_ALLOWED);
+            require(target.call.value(value)(data), ERROR_EXECUTION_FAILED);
+
+            offset = offset + CALL_HEADER_LENGTH + dataLength;
+        }
+
+        emit ProposalExecuted(_proposalId);
+    }
+
+    /*
+     * Getters.
+     */
+
+    function getExecutionScript(uint256 _proposalId) public view returns (bytes _executionScript, bool _executed) {
+        _requireProposalExists(_proposalId);
+        Proposal storage proposal_ = proposals[_proposalId];
+        _executionScript = proposal_.executionScript;
+        _executed = proposal_.executed;
+    }
+
+    /*
+     * Utility functions.
+     */
+
+    // Requires that a script is a non empty sequence of complete calls, none of which targets the stake token,
+    // since this contract holds all the stake of all proposals.
+    // Note: Headers are read only while they are complete, and a call whose calldata is cut short ends the loop
+    // with an offset past the end of the script.
+    function _validateExecutionScript(bytes memory _script) internal view {
+        uint256 offset = 0;
+        while(offset < _script.length && _script.length >= offset.add(CALL_HEADER_LENGTH)) {
+            require(_readAddress(_script, offset) != address(stakeToken), ERROR_EXECUTION_TARGET_NOT_ALLOWED);
+            offset = offset.add(CALL_HEADER_LENGTH).add(_readUint32(_script, offset + 52));
+        }
+        require(offset > 0 && offset == _script.length, ERROR_INVALID_EXECUTION_SCRIPT);
+    }
+
+    function _readAddress(bytes memory _data, uint256 _position) internal pure returns (address _address) {
+        assembly {
+            _address := div(mload(add(add(_data, 0x20), _position)), 0x1000000000000000000000000)
+        }
+    }
+
+    function _readUint256(bytes memory _data, uint256 _position) internal pure returns (uint256 _value) {
+        assembly {
+            _value := mload(add(add(_data, 0x20), _position))
+        }
+    }
+
+    function _readUint32(bytes memory _data, uint256 _position) internal pure returns (uint256 _value) {
+        assembly {
+            _value := div(mload(add(add(_data, 0x20), _position)), 0x100000000000000000000000000000000000000000000000000000000)
+        }
+    }
+
+    function _copyBytes(bytes memory _data, uint256 _offset, uint256 _length) internal pure returns (bytes memory _copy) {
+        _copy = new bytes(_length);
+        for(uint256 i = 0; i < _length; i++) {
+            _copy[i] = _data[_offset + i];
+        }
+    }
+}
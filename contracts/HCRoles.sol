@@ -0,0 +1,77 @@
+pragma solidity ^0.4.24;
+
+import "./HCBase.sol";
+
+contract HCRoles is HCBase {
+
+    // Roles.
+    // The deployer holds MANAGE_ROLES_ROLE and can grant any role, including to this contract itself,
+    // so that parameters can be changed through executable proposals.
+    // Each role is the keccak256 hash of its name, precomputed since Solidity 0.4 would hash the name on every use.
+    bytes32 public constant MANAGE_ROLES_ROLE            = 0x6f678ad3848b09fde5594bee6b6537da179eaa51395427c125c5f5e704ffa1a7;
+    bytes32 public constant CREATE_PROPOSALS_ROLE        = 0xbf05b9322505d747ab5880dfb677dc4864381e9fc3a25ccfa184a3a53d02f4b2;
+    bytes32 public constant MODIFY_SUPPORT_ROLE          = 0xda3972983e62bdf826c4b807c4c9c2b8a941e1f83dfa76d53d6aeac11e1be650;
+    bytes32 public constant MODIFY_PERIODS_ROLE          = 0x1a4f9645b556e8b000e76e4771c9b08c1f101f5306f5d2c266c2088dba82fe20;
+    bytes32 public constant MODIFY_COMPENSATION_FEE_ROLE = 0xdf1873a2af55fc2c26307336e60cdb7a456ca58b3b3539f084066dfe22c3c3e7;
+    bytes32 public constant MODIFY_CONFIDENCE_ROLE       = 0x800501c26a29a9ed05e4fc03aa04687d94b5f09f52333e0aeafd74d2a7ff2bdd;
+    bytes32 public constant MODIFY_PROPOSAL_LIMITS_ROLE  = 0x5cde1fee292f5451b2edd39f11ef845e532144a76143cdeee3b7f9b3fa5e095e;
+
+    // Granting a role to this address grants it to everyone.
+    address public constant ANY_ENTITY = address(-1);
+
+    // Role holders, by role.
+    mapping (bytes32 => mapping (address => bool)) internal roles;
+
+    // Events.
+    event RoleGranted(bytes32 indexed _role, address indexed _entity, address indexed _sender);
+    event RoleRevoked(bytes32 indexed _role, address indexed _entity, address indexed _sender);
+
+    // Modifiers are inlined, so the require is kept in a function, see _requireProposalExists.
+    modifier auth(bytes32 _role) {
+        _requireAuth(_role);
+        _;
+    }
+
+    constructor() public {
+        _setRole(MANAGE_ROLES_ROLE, msg.sender, true);
+    }
+
+    /*
+     * External functions.
+     */
+
+    function grantRole(bytes32 _role, address _entity) public auth(MANAGE_ROLES_ROLE) {
+        _setRole(_role, _entity, true);
+    }
+
+    function revokeRole(bytes32 _role, address _entity) public auth(MANAGE_ROLES_ROLE) {
+        _setRole(_role, _entity, false);
+    }
+
+    /*
+     * Getters.
+     */
+
+    function hasRole(bytes32 _role, address _entity) public view returns (bool) {
+        return roles[_role][_entity] || roles[_role][ANY_ENTITY];
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    function _setRole(bytes32 _role, address _entity, bool _granted) internal {
+        if(roles[_role][_entity] == _granted) return;
+        roles[_role][_entity] = _granted;
+        if(_granted) emit RoleGranted(_role, _entity, msg.sender);
+        else emit RoleRevoked(_role, _entity, msg.sender);
+    }
+
+    function _requireAuth(bytes32 _role) internal view {
+        require(hasRole(_role, msg.sender), ERROR_SENDER_NOT_AUTHORIZED);
+    }
+
+    function _createProposal(bytes32 _metadataHash) internal auth(CREATE_PROPOSALS_ROLE) returns (uint256 proposalId) {
+        proposalId = super._createProposal(_metadataHash);
+    }
+}
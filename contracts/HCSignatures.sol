@@ -0,0 +1,93 @@
+pragma solidity ^0.4.24;
+
+import "./HCExecution.sol";
+
+contract HCSignatures is HCExecution {
+
+    // Votes and stakes can be signed with EIP-712 typed data by accounts that can't send transactions,
+    // and submitted by anyone, e.g. a relayer.
+    // Note: Solidity 0.4 can't read the chain id, so the signing domain only binds signatures to this contract's address.
+    // Hashes are precomputed, since Solidity 0.4 would hash their strings on every use.
+    // keccak256("EIP712Domain(string name,string version,address verifyingContract)")
+    bytes32 internal constant DOMAIN_TYPEHASH = 0x91ab3d17e3a50a9d89e63fd30b92be7f5336b03b287bb946787a83a9d62a2766;
+    // keccak256("Vote(uint256 proposalId,bool supports,uint256 nonce,uint256 deadline)")
+    bytes32 internal constant VOTE_TYPEHASH = 0x399d8d40b13940e7c966f317adf649eb2d598f4e485211af48ef9ec6f8f34584;
+    // keccak256("Stake(uint256 proposalId,uint256 amount,bool supports,uint256 nonce,uint256 deadline)")
+    bytes32 internal constant STAKE_TYPEHASH = 0x72393d475786f878d178a1d42448e52320cfba98f3a482ef8c1e60ddc275a68e;
+    // keccak256("Holographic Consensus") and keccak256("1"), the name and version of the signing domain.
+    bytes32 internal constant DOMAIN_NAME_HASH = 0x28f010437d3c87bad45c4cd7db072956aad27d547b78af3027e254eda7aacfd7;
+    bytes32 internal constant DOMAIN_VERSION_HASH = 0xc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc6;
+
+    // Nonces of vote and stake signatures, by signer.
+    // Signatures must be submitted in the order of their nonces.
+    mapping (address => uint256) public nonces;
+
+    /*
+     * External functions.
+     */
+
+    function voteBySig(uint256 _proposalId, bool _supports, address _voter, uint256 _deadline, bytes _signature) public {
+        bytes32 structHash = keccak256(abi.encode(VOTE_TYPEHASH, _proposalId, _supports, nonces[_voter], _deadline));
+        _useSignature(_voter, structHash, _deadline, _signature);
+
+        _vote(_proposalId, _supports, _voter);
+    }
+
+    // The stake token allowance can be given in the same call with a permit signature for the staked amount,
+    // which is skipped if empty.
+    function stakeBySig(
+        uint256 _proposalId,
+        uint256 _amount,
+        bool _supports,
+        address _staker,
+        uint256 _deadline,
+        bytes _signature,
+        bytes _permitSignature
+    )
+        public
+    {
+        bytes32 structHash = keccak256(abi.encode(STAKE_TYPEHASH, _proposalId, _amount, _supports, nonces[_staker], _deadline));
+        _useSignature(_staker, structHash, _deadline, _signature);
+
+        if(_permitSignature.length > 0) {
+            (uint8 v, bytes32 r, bytes32 s) = _splitSignature(_permitSignature);
+            stakeToken.permit(_staker, address(this), _amount, _deadline, v, r, s);
+        }
+
+        _stake(_proposalId, _amount, _supports, _staker);
+    }
+
+    /*
+     * Getters.
+     */
+
+    function getDomainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, DOMAIN_NAME_HASH, DOMAIN_VERSION_HASH, address(this)));
+    }
+
+    /*
+     * Utility functions.
+     */
+
+    // Requires that a signature of the given struct is the signer's and hasn't expired, and consumes the signer's nonce.
+    function _useSignature(address _signer, bytes32 _structHash, uint256 _deadline, bytes memory _signature) internal {
+        require(now <= _deadline, ERROR_SIGNATURE_EXPIRED);
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", getDomainSeparator(), _structHash));
+        (uint8 v, bytes32 r, bytes32 s) = _splitSignature(_signature);
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == _signer, ERROR_INVALID_SIGNATURE);
+
+        nonces[_signer] = nonces[_signer].add(1);
+    }
+
+    // Signatures are encoded as r (32 bytes) | s (32 bytes) | v (1 byte).
+    // Note: Signatures of any other length are split into zeros, which no signer recovers from, see _useSignature.
+    function _splitSignature(bytes memory _signature) internal pure returns (uint8 v, bytes32 r, bytes32 s) {
+        if(_signature.length != 65) return;
+        r = bytes32(_readUint256(_signature, 0));
+        s = bytes32(_readUint256(_signature, 32));
+        v = uint8(_signature[64]);
+        if(v < 27) v += 27;
+    }
+}
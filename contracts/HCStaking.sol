@@ -2,9 +2,9 @@ pragma solidity ^0.4.24;
 
 import "./SafeMath.sol";
 import "./Token.sol";
-import "./HCVoting.sol";
+import "./HCCommitReveal.sol";
 
-contract HCStaking is HCVoting {
+contract HCStaking is HCCommitReveal {
     using SafeMath for uint256;
 
     // Token used for staking on proposals.
@@ -12,80 +12,75 @@ contract HCStaking is HCVoting {
 
     // Confidence threshold.
     // A proposal can be boosted if it's confidence, determined by staking, is above this threshold.
+    // The threshold is confidenceThresholdBase ^ numBoostedProposals, so that each boosted proposal makes boosting harder.
     uint256 public confidenceThresholdBase;
 
+    uint256 internal constant MAX_UINT256 = ~uint256(0);
+
     // Events.
     event UpstakeProposal(uint256 indexed _proposalId, address indexed _staker, uint256 _amount);
     event DownstakeProposal(uint256 indexed _proposalId, address indexed _staker, uint256 _amount);
     event WithdrawUpstake(uint256 indexed _proposalId, address indexed _staker, uint256 _amount);
     event WithdrawDownstake(uint256 indexed _proposalId, address indexed _staker, uint256 _amount);
+    event PeriodsChanged(uint256 _queuePeriod, uint256 _boostPeriod, uint256 _quietEndingPeriod, uint256 _pendedBoostPeriod);
+    event ConfidenceThresholdBaseChanged(uint256 _confidenceThresholdBase);
     // TODO: Add an event for a proposal becoming boosted.
 
     /*
      * External functions.
      */
 
-    // TODO: Guard for only once calling.
+    // Can only be called once, by a holder of MANAGE_ROLES_ROLE.
     function initializeStaking(
         Token _stakeToken, 
         uint256 _pendedBoostPeriod,
         uint256 _confidenceThresholdBase
     ) 
         public 
+        auth(MANAGE_ROLES_ROLE)
     {
+        _requireInitialization(stakeToken, _stakeToken);
         stakeToken = _stakeToken;
-        // TODO: Check min pendendBoostPeriod?
-        pendedBoostPeriod = _pendedBoostPeriod;
-        confidenceThresholdBase = _confidenceThresholdBase;
-    }
-
-    function stake(uint256 _proposalId, uint256 _amount, bool _supports) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
-        // TODO: Different errors for these
-        require(!_proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Resolved), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Boosted), ERROR_PROPOSAL_IS_BOOSTED);
-        require(stakeToken.balanceOf(msg.sender) >= _amount, ERROR_SENDER_DOES_NOT_HAVE_ENOUGH_FUNDS);
-
-        Proposal storage proposal_ = proposals[_proposalId];
-
-        // Update the proposal's stake.
-        if(_supports) proposal_.upstake = proposal_.upstake.add(_amount);
-        else proposal_.downstake = proposal_.downstake.add(_amount);
 
-        // Update the staker's stake amount.
-        if(_supports) proposal_.upstakes[msg.sender] = proposal_.upstakes[msg.sender].add(_amount);
-        else proposal_.downstakes[msg.sender] = proposal_.downstakes[msg.sender].add(_amount);
+        _setPendedBoostPeriod(_pendedBoostPeriod);
+        _setConfidenceThresholdBase(_confidenceThresholdBase);
+    }
 
-        // Extract the tokens from the sender and store them in this contract.
-        // Note: This assumes that the sender has provided the required allowance to this contract.
-        require(stakeToken.allowance(msg.sender, address(this)) >= _amount, ERROR_INSUFFICIENT_ALLOWANCE);
-        stakeToken.transferFrom(msg.sender, address(this), _amount);
+    function setPeriods(
+        uint256 _queuePeriod,
+        uint256 _boostPeriod,
+        uint256 _quietEndingPeriod,
+        uint256 _pendedBoostPeriod
+    )
+        public
+        auth(MODIFY_PERIODS_ROLE)
+    {
+        _setVotingPeriods(_queuePeriod, _boostPeriod, _quietEndingPeriod);
+        _setPendedBoostPeriod(_pendedBoostPeriod);
+        emit PeriodsChanged(_queuePeriod, _boostPeriod, _quietEndingPeriod, _pendedBoostPeriod);
+    }
 
-        // Emit corresponding event.
-        if(_supports) emit UpstakeProposal(_proposalId, msg.sender, _amount);
-        else emit DownstakeProposal(_proposalId, msg.sender, _amount);
+    function setConfidenceThresholdBase(uint256 _confidenceThresholdBase) public auth(MODIFY_CONFIDENCE_ROLE) {
+        _setConfidenceThresholdBase(_confidenceThresholdBase);
+        lastThresholdRiseDate = now;
+    }
 
-        // A stake can change the state of a proposal.
-        _updateProposalAfterStaking(_proposalId);
+    function stake(uint256 _proposalId, uint256 _amount, bool _supports) public {
+        _stake(_proposalId, _amount, _supports, msg.sender);
     }
 
     function unstake(uint256 _proposalId, uint256 _amount, bool _supports) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
         // TODO: Different errors for these
-        require(!_proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Resolved), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Boosted), ERROR_PROPOSAL_IS_BOOSTED);
+        _requireProposalIsOpen(_proposalId);
+        _requireProposalIsNotBoosted(_proposalId);
 
         Proposal storage proposal_ = proposals[_proposalId];
 
         // Verify that the sender holds the required stake to be removed.
-        if(_supports) require(proposal_.upstakes[msg.sender] >= _amount, ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE);
-        else require(proposal_.downstakes[msg.sender] >= _amount, ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE);
+        require((_supports ? proposal_.upstakes[msg.sender] : proposal_.downstakes[msg.sender]) >= _amount, ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE);
         
         // Verify that the proposal has the required stake to be removed.
-        if(_supports) require(proposal_.upstake >= _amount, ERROR_PROPOSAL_DOES_NOT_HAVE_REQUIRED_STAKE);
-        else require(proposal_.downstake >= _amount, ERROR_PROPOSAL_DOES_NOT_HAVE_REQUIRED_STAKE);
+        require((_supports ? proposal_.upstake : proposal_.downstake) >= _amount, ERROR_PROPOSAL_DOES_NOT_HAVE_REQUIRED_STAKE);
 
         // Remove the stake from the proposal.
         if(_supports) proposal_.upstake = proposal_.upstake.sub(_amount);
@@ -96,8 +91,7 @@ contract HCStaking is HCVoting {
         else proposal_.downstakes[msg.sender] = proposal_.downstakes[msg.sender].sub(_amount);
 
         // Return the tokens to the sender.
-        require(stakeToken.balanceOf(address(this)) >= _amount, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
-        stakeToken.transfer(msg.sender, _amount);
+        _transferStakeTokens(msg.sender, _amount);
 
         // Emit corresponding event.
         if(_supports) emit WithdrawUpstake(_proposalId, msg.sender, _amount);
@@ -107,33 +101,78 @@ contract HCStaking is HCVoting {
         _updateProposalAfterStaking(_proposalId);
     }
 
+    // Pends or unpends a proposal according to the current confidence threshold.
+    // Note: Pended proposals are not re-evaluated when the threshold moves, since that would require
+    // iterating over all of them. Instead, anyone can call this to bring a proposal up to date,
+    // e.g. to unpend it after the threshold rose above its confidence, or to pend it after it fell below.
+    // Boosting checks again that a proposal kept enough confidence, see HCCompensations.boostProposal.
+    function updateProposalConfidence(uint256 _proposalId) public {
+        _requireProposalIsOpen(_proposalId);
+        _requireProposalIsNotBoosted(_proposalId);
+
+        _updateProposalAfterStaking(_proposalId);
+    }
+
     /*
      * Getters.
      */
 
     function getUpstake(uint256 _proposalId, address _staker) public view returns (uint256) {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
+        _requireProposalExists(_proposalId);
         Proposal storage proposal_ = proposals[_proposalId];
         return proposal_.upstakes[_staker];
     }
 
     function getDownstake(uint256 _proposalId, address _staker) public view returns (uint256) {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
+        _requireProposalExists(_proposalId);
         Proposal storage proposal_ = proposals[_proposalId];
         return proposal_.downstakes[_staker];
     }
 
     function getConfidence(uint256 _proposalId) public view returns (uint256 _confidence) {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
+        _requireProposalExists(_proposalId);
         Proposal storage proposal_ = proposals[_proposalId];
         if(proposal_.downstake == 0) _confidence = proposal_.upstake.mul(PRECISION_MULTIPLIER);
         else _confidence = proposal_.upstake.mul(PRECISION_MULTIPLIER) / proposal_.downstake;
     }
 
+    // Confidence that a proposal currently needs to be pended, scaled by PRECISION_MULTIPLIER like getConfidence.
+    function getConfidenceThreshold() public view returns (uint256) {
+        return _calculateConfidenceThreshold(numBoostedProposals);
+    }
+
     /*
      * Internal functions.
      */
 
+    function _stake(uint256 _proposalId, uint256 _amount, bool _supports, address _staker) internal {
+        // TODO: Different errors for these
+        _requireProposalIsOpen(_proposalId);
+        _requireProposalIsNotBoosted(_proposalId);
+        require(stakeToken.balanceOf(_staker) >= _amount, ERROR_SENDER_DOES_NOT_HAVE_ENOUGH_FUNDS);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+
+        // Update the proposal's stake.
+        if(_supports) proposal_.upstake = proposal_.upstake.add(_amount);
+        else proposal_.downstake = proposal_.downstake.add(_amount);
+
+        // Update the staker's stake amount.
+        if(_supports) proposal_.upstakes[_staker] = proposal_.upstakes[_staker].add(_amount);
+        else proposal_.downstakes[_staker] = proposal_.downstakes[_staker].add(_amount);
+        proposal_.touched = true;
+
+        // Extract the tokens from the staker and store them in this contract.
+        _receiveStakeTokens(_staker, _amount);
+
+        // Emit corresponding event.
+        if(_supports) emit UpstakeProposal(_proposalId, _staker, _amount);
+        else emit DownstakeProposal(_proposalId, _staker, _amount);
+
+        // A stake can change the state of a proposal.
+        _updateProposalAfterStaking(_proposalId);
+    }
+
     function _updateProposalAfterStaking(uint256 _proposalId) internal {
 
         // If the proposal has enough confidence and it was in queue or unpended, pend it.
@@ -158,10 +197,55 @@ contract HCStaking is HCVoting {
      * Utility functions.
      */
 
+    // Note: This assumes that the sender has provided the required allowance to this contract.
+    function _receiveStakeTokens(address _from, uint256 _amount) internal {
+        require(stakeToken.allowance(_from, address(this)) >= _amount, ERROR_INSUFFICIENT_ALLOWANCE);
+        stakeToken.transferFrom(_from, address(this), _amount);
+    }
+
+    function _transferStakeTokens(address _to, uint256 _amount) internal {
+        require(stakeToken.balanceOf(address(this)) >= _amount, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
+        stakeToken.transfer(_to, _amount);
+    }
+
+    // A proposal must be able to be boosted before it expires.
+    // Note: This is validated against the queue period that is already set, so voting must be initialized first.
+    function _setPendedBoostPeriod(uint256 _pendedBoostPeriod) internal {
+        require(_pendedBoostPeriod > 0 && _pendedBoostPeriod < queuePeriod, ERROR_INVALID_PERIODS);
+        pendedBoostPeriod = _pendedBoostPeriod;
+    }
+
+    // A base of at least 1 keeps the threshold from decreasing as more proposals are boosted.
+    function _setConfidenceThresholdBase(uint256 _confidenceThresholdBase) internal {
+        require(_confidenceThresholdBase >= 1, ERROR_INVALID_CONFIDENCE_THRESHOLD_BASE);
+        confidenceThresholdBase = _confidenceThresholdBase;
+        emit ConfidenceThresholdBaseChanged(_confidenceThresholdBase);
+    }
+
     function _proposalHasEnoughConfidence(Proposal storage proposal_) internal view returns (bool _hasConfidence) {
         uint256 currentConfidence = getConfidence(proposal_.id);
-        // TODO: The threshold should be elevated to the power of the number of currently boosted proposals.
-        uint256 confidenceThreshold = confidenceThresholdBase.mul(PRECISION_MULTIPLIER);
+        uint256 confidenceThreshold = getConfidenceThreshold();
         _hasConfidence = currentConfidence >= confidenceThreshold;
     }
+
+    // Calculates confidenceThresholdBase ^ _numBoostedProposals, scaled by PRECISION_MULTIPLIER, by squaring.
+    // Note: A threshold that overflows is capped to the maximum uint256 instead of reverting,
+    // since no confidence could reach it anyway, and reverting would prevent unstaking.
+    function _calculateConfidenceThreshold(uint256 _numBoostedProposals) internal view returns (uint256 _threshold) {
+        _threshold = PRECISION_MULTIPLIER;
+        uint256 base = confidenceThresholdBase;
+        uint256 exponent = _numBoostedProposals;
+        while(exponent > 0) {
+            if(exponent % 2 == 1) _threshold = _saturatingMul(_threshold, base);
+            exponent = exponent / 2;
+            if(exponent > 0) base = _saturatingMul(base, base);
+        }
+    }
+
+    function _saturatingMul(uint256 _a, uint256 _b) internal pure returns (uint256) {
+        if(_a == 0) return 0;
+        uint256 c = _a * _b;
+        if(c / _a != _b) return MAX_UINT256;
+        return c;
+    }
 }
@@ -2,28 +2,37 @@ pragma solidity ^0.4.24;
 
 import "./SafeMath.sol";
 import "./Token.sol";
-import "./HCBase.sol";
+import "./VotingStrategies.sol";
+import "./HCRoles.sol";
 
-contract HCVoting is HCBase {
+contract HCVoting is HCRoles {
     using SafeMath for uint256;
 
     // Token used for voting.
     Token public voteToken;
 
+    // Strategy that gives the weight of votes, e.g. one token one vote, see VotingStrategies.sol.
+    VotingStrategy public votingStrategy;
+
     // Percentage required for a vote to pass with either absolute or relative majority, e.g. 50%.
     uint256 public supportPct;
 
     // Events.
     event VoteCasted(uint256 indexed _proposalId, address indexed _voter, bool _supports, uint256 _stake);
     event ProposalLifetimeExtended(uint256 indexed _proposalId, uint256 _newLifetime);
-  
+    event DelegatedVoteOverridden(uint256 indexed _proposalId, address indexed _delegate, address indexed _delegator, uint256 _votingPower);
+    event SupportPctChanged(uint256 _supportPct);
+    event CompensationFeePctChanged(uint256 _compensationFeePct);
+
     /*
      * External functions.
      */
 
-    // TODO: Guard for only once calling.
+    // Can only be called once, by a holder of MANAGE_ROLES_ROLE.
+    // Note: The pended boost period is set by initializeStaking, which validates it against the queue period.
     function initializeVoting(
         address _voteToken, 
+        address _votingStrategy,
         uint256 _supportPct,
         uint256 _queuePeriod,
         uint256 _boostPeriod,
@@ -31,49 +40,92 @@ contract HCVoting is HCBase {
         uint256 _compensationFeePct
     ) 
         public
+        auth(MANAGE_ROLES_ROLE)
     {
-        // TODO: Need to cast here or can have param type directly?
+        _requireInitialization(voteToken, _voteToken);
+        require(_votingStrategy != address(0), ERROR_INVALID_VOTING_STRATEGY);
         voteToken = Token(_voteToken);
+        votingStrategy = VotingStrategy(_votingStrategy);
 
-        // Validate and assign percentages.
-        require(_supportPct >= 50, ERROR_INIT_SUPPORT_TOO_SMALL);
-        require(_supportPct < 100, ERROR_INIT_SUPPORT_TOO_BIG);
-        supportPct = _supportPct;
+        _setSupportPct(_supportPct);
+        _setVotingPeriods(_queuePeriod, _boostPeriod, _quietEndingPeriod);
+        _setCompensationFeePct(_compensationFeePct);
 
-        // Assign periods.
-        // TODO: Require min periods?
-        queuePeriod = _queuePeriod;
-        boostPeriod = _boostPeriod;
-        quietEndingPeriod= _quietEndingPeriod;
+        // Anyone can create proposals, until the role is revoked from ANY_ENTITY.
+        _setRole(CREATE_PROPOSALS_ROLE, ANY_ENTITY, true);
+    }
 
-        // Assign fees.
-        // TODO: Contain?
-        compensationFeePct = _compensationFeePct;
+    function setSupportPct(uint256 _supportPct) public auth(MODIFY_SUPPORT_ROLE) {
+        _setSupportPct(_supportPct);
+    }
+
+    function setCompensationFeePct(uint256 _compensationFeePct) public auth(MODIFY_COMPENSATION_FEE_ROLE) {
+        _setCompensationFeePct(_compensationFeePct);
     }
 
     // TODO: Guard on who can vote?
     function vote(uint256 _proposalId, bool _supports) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
-        require(_userHasVotingPower(msg.sender), ERROR_USER_HAS_NO_VOTING_POWER);
+        _vote(_proposalId, _supports, msg.sender);
+    }
+
+    /*
+     * Getters.
+     */
+
+    function getVote(uint256 _proposalId, address _voter) public view returns (VoteState) {
+        _requireProposalExists(_proposalId);
+
+        // Retrieve the voter's vote.
+        Proposal storage proposal_ = proposals[_proposalId];
+        return proposal_.votes[_voter];
+    }
+
+    // Voting power that a voter would vote with on a proposal, i.e. its vote token balance and the balances
+    // delegated to it when the proposal was created, less those of its delegators that voted themselves,
+    // weighted by the voting strategy.
+    function getVotingPower(uint256 _proposalId, address _voter) public view returns (uint256) {
+        _requireProposalExists(_proposalId);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+        return _votingPowerOf(proposal_, _voter);
+    }
+
+    // Voting power with which a voter's current vote was cast, or 0 if the voter hasn't voted.
+    function getCastVotingPower(uint256 _proposalId, address _voter) public view returns (uint256) {
+        _requireProposalExists(_proposalId);
+
+        Proposal storage proposal_ = proposals[_proposalId];
+        return proposal_.votes[_voter] == VoteState.Absent ? 0 : proposal_.votingPowers[_voter];
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    function _vote(uint256 _proposalId, bool _supports, address _voter) internal {
+        _requireProposalExists(_proposalId);
+        require(_userHasVotingPower(_proposalId, _voter), ERROR_USER_HAS_NO_VOTING_POWER);
         // TODO: Different errors for these
-        require(!_proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_CLOSED);
-        require(!_proposalStateIs(_proposalId, ProposalState.Resolved), ERROR_PROPOSAL_IS_CLOSED);
+        _requireProposalIsOpen(_proposalId);
 
 
-        // Get the user's voting power.
-        uint256 votingPower = voteToken.balanceOf(msg.sender);
+        // Get the user's voting power, as of the proposal's creation.
+        Proposal storage proposal_ = proposals[_proposalId];
+        uint256 votingPower = _votingPowerOf(proposal_, _voter);
 
         // Has the user previously voted?
-        Proposal storage proposal_ = proposals[_proposalId];
-        VoteState previousVote = proposal_.votes[msg.sender];
+        VoteState previousVote = proposal_.votes[_voter];
 
         // TODO: Can be optimized, but be careful.
-        // Clean up the user's previous vote, if existent.
+        // Clean up the user's previous vote, if existent, with the voting power that it was cast with.
         if(previousVote == VoteState.Yea) {
-            proposal_.yea = proposal_.yea.sub(votingPower);
+            proposal_.yea = proposal_.yea.sub(proposal_.votingPowers[_voter]);
         }
         else if(previousVote == VoteState.Nay) {
-            proposal_.nay = proposal_.nay.sub(votingPower);
+            proposal_.nay = proposal_.nay.sub(proposal_.votingPowers[_voter]);
+        }
+        else {
+            _overrideDelegate(_proposalId, _voter);
         }
 
         // Update the user's vote in the proposal's yea/nay count.
@@ -85,39 +137,25 @@ contract HCVoting is HCBase {
         }
 
         // Update the user's vote state.
-        proposal_.votes[msg.sender] = _supports ? VoteState.Yea : VoteState.Nay;
+        proposal_.votes[_voter] = _supports ? VoteState.Yea : VoteState.Nay;
+        proposal_.votingPowers[_voter] = votingPower;
+        proposal_.touched = true;
 
-        emit VoteCasted(_proposalId,msg.sender, _supports, votingPower);
+        emit VoteCasted(_proposalId, _voter, _supports, votingPower);
 
         // A vote can change the state of a proposal, e.g. resolving it.
         _updateProposalAfterVoting(_proposalId);
     }
 
-    /*
-     * Getters.
-     */
-
-    function getVote(uint256 _proposalId, address _voter) public view returns (VoteState) {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
-
-        // Retrieve the voter's vote.
-        Proposal storage proposal_ = proposals[_proposalId];
-        return proposal_.votes[_voter];
-    }
-
-    /*
-     * Internal functions.
-     */
-
     function _updateProposalAfterVoting(uint256 _proposalId) internal {
 
-        // Evaluate proposal resolution by absolute majority,
+        // Evaluate proposal resolution or rejection by absolute majority,
         // no matter if it is boosted or not.
         // Note: boosted proposals cannot auto-resolve.
         Proposal storage proposal_ = proposals[_proposalId];
         VoteState absoluteSupport = _calculateProposalAbsoluteSupport(proposal_);
-        if(absoluteSupport == VoteState.Yea) {
-            _updateProposalState(_proposalId, ProposalState.Resolved);
+        if(absoluteSupport != VoteState.Absent) {
+            _decideProposal(_proposalId, absoluteSupport);
             return;
         }
 
@@ -135,10 +173,66 @@ contract HCVoting is HCBase {
         }
     }
 
+    // Closes a proposal with the given outcome, which resolves it if it is Yea and rejects it otherwise.
+    function _decideProposal(uint256 _proposalId, VoteState _outcome) internal {
+        proposals[_proposalId].outcome = _outcome;
+        _updateProposalState(_proposalId, _outcome == VoteState.Yea ? ProposalState.Resolved : ProposalState.Rejected);
+    }
+
+    // Delegators can override their delegate on a proposal by voting themselves, which takes their balance
+    // out of the delegate's voting power, and the weight that it loses out of the delegate's vote if it already voted.
+    function _overrideDelegate(uint256 _proposalId, address _delegator) internal {
+        Proposal storage proposal_ = proposals[_proposalId];
+        address delegate = voteToken.delegateOfAt(_delegator, proposal_.snapshotBlock);
+        uint256 balance = voteToken.balanceOfAt(_delegator, proposal_.snapshotBlock);
+        if(delegate == address(0) || balance == 0) return;
+
+        uint256 votingPower = _votingPowerOf(proposal_, delegate);
+        proposal_.overriddenPowers[delegate] = proposal_.overriddenPowers[delegate].add(balance);
+        votingPower = votingPower.sub(_votingPowerOf(proposal_, delegate));
+        VoteState delegateVote = proposal_.votes[delegate];
+        if(delegateVote != VoteState.Absent) {
+            proposal_.votingPowers[delegate] = proposal_.votingPowers[delegate].sub(votingPower);
+            if(delegateVote == VoteState.Yea) proposal_.yea = proposal_.yea.sub(votingPower);
+            else proposal_.nay = proposal_.nay.sub(votingPower);
+        }
+
+        emit DelegatedVoteOverridden(_proposalId, delegate, _delegator, votingPower);
+    }
+
+    function _setSupportPct(uint256 _supportPct) internal {
+        require(_supportPct >= 50, ERROR_INIT_SUPPORT_TOO_SMALL);
+        require(_supportPct < 100, ERROR_INIT_SUPPORT_TOO_BIG);
+        supportPct = _supportPct;
+        emit SupportPctChanged(_supportPct);
+    }
+
+    // Note: Changes only apply to proposals created or boosted afterwards, and to quiet ending extensions.
+    function _setVotingPeriods(uint256 _queuePeriod, uint256 _boostPeriod, uint256 _quietEndingPeriod) internal {
+        // Proposals must have a commit phase when votes are committed.
+        // Note: This also requires non zero queue and boost periods, since the other periods can't be negative.
+        require(_quietEndingPeriod < _boostPeriod && revealPeriod < _boostPeriod && revealPeriod < _queuePeriod, ERROR_INVALID_PERIODS);
+        queuePeriod = _queuePeriod;
+        boostPeriod = _boostPeriod;
+        quietEndingPeriod = _quietEndingPeriod;
+    }
+
+    // The fee is divided by compensationFeePct, so it can't be 0.
+    function _setCompensationFeePct(uint256 _compensationFeePct) internal {
+        require(_compensationFeePct > 0, ERROR_INVALID_COMPENSATION_FEE_PCT);
+        compensationFeePct = _compensationFeePct;
+        emit CompensationFeePctChanged(_compensationFeePct);
+    }
+
     // TODO: HCBase?
     function _updateProposalState(uint256 _proposalId, ProposalState _newState) internal {
         Proposal storage proposal_ = proposals[_proposalId];
         if(proposal_.state != _newState) {
+
+            // Keep track of the number of boosted proposals.
+            if(_newState == ProposalState.Boosted) numBoostedProposals = numBoostedProposals.add(1);
+            else if(proposal_.state == ProposalState.Boosted) numBoostedProposals = numBoostedProposals.sub(1);
+
             proposal_.state = _newState;
             emit ProposalStateChanged(_proposalId, _newState);
         }
@@ -146,9 +240,9 @@ contract HCVoting is HCBase {
 
     // TODO: A bit of duplicate code here
     function _calculateProposalAbsoluteSupport(Proposal storage proposal_) internal view returns(VoteState) {
-        uint256 totalSupply = voteToken.totalSupply();
-        uint256 yeaPct = _votesToPct(proposal_.yea, totalSupply);
-        uint256 nayPct = _votesToPct(proposal_.nay, totalSupply);
+        uint256 totalWeight = votingStrategy.totalWeightAt(voteToken, proposal_.snapshotBlock);
+        uint256 yeaPct = _votesToPct(proposal_.yea, totalWeight);
+        uint256 nayPct = _votesToPct(proposal_.nay, totalWeight);
         if(yeaPct > supportPct.mul(PRECISION_MULTIPLIER)) return VoteState.Yea;
         if(nayPct > supportPct.mul(PRECISION_MULTIPLIER)) return VoteState.Nay;
         return VoteState.Absent;
@@ -156,6 +250,7 @@ contract HCVoting is HCBase {
 
     function _calculateProposalRelativeSupport(Proposal storage proposal_) internal view returns(VoteState) {
         uint256 totalVoted = proposal_.yea.add(proposal_.nay);
+        if(totalVoted == 0) return VoteState.Absent;
         uint256 yeaPct = _votesToPct(proposal_.yea, totalVoted);
         uint256 nayPct = _votesToPct(proposal_.nay, totalVoted);
         if(yeaPct > supportPct.mul(PRECISION_MULTIPLIER)) return VoteState.Yea;
@@ -171,7 +266,14 @@ contract HCVoting is HCBase {
         return votes.mul(uint256(100).mul(PRECISION_MULTIPLIER)) / totalVotes;
     }
 
-    function _userHasVotingPower(address _voter) internal view returns (bool) {
-        return voteToken.balanceOf(_voter) > 0;
+    function _votingPowerOf(Proposal storage proposal_, address _voter) internal view returns (uint256) {
+        uint256 snapshotBlock = proposal_.snapshotBlock;
+        uint256 votingPower = voteToken.balanceOfAt(_voter, snapshotBlock).add(voteToken.delegatedVotesOfAt(_voter, snapshotBlock));
+        votingPower = votingPower.sub(proposal_.overriddenPowers[_voter]);
+        return votingStrategy.weightOf(voteToken, _voter, votingPower, snapshotBlock);
+    }
+
+    function _userHasVotingPower(uint256 _proposalId, address _voter) internal view returns (bool) {
+        return _votingPowerOf(proposals[_proposalId], _voter) > 0;
     }
 }
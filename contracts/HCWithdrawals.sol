@@ -1,60 +1,113 @@
 pragma solidity ^0.4.24;
 
-import "./HCCompensations.sol";
+import "./HCDeposits.sol";
 
-contract HCWithdrawals is HCCompensations {
-    
+contract HCWithdrawals is HCDeposits {
+
+    // Events.
+    event StakeClaimed(uint256 indexed _proposalId, address indexed _staker, uint256 _amount);
+
+    /*
+     * External functions.
+     */
+
+    // Note: Stakes are kept in the proposal after being claimed, and the claim is recorded instead.
     function withdrawStakeFromExpiredQueuedProposal(uint256 _proposalId) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
-        require(_proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_ACTIVE);
+        _requireProposalIsClosedAs(_proposalId, false);
 
-        // Require the proposal's state to not be resolved or boosted.
+        // Require that the sender has stake on the proposal, and hasn't claimed it yet.
         Proposal storage proposal_ = proposals[_proposalId];
-        // TODO: This changed, it needs to be expired
-        require(proposal_.state != ProposalState.Resolved);
-        require(proposal_.state != ProposalState.Boosted);
+        require(proposal_.upstakes[msg.sender].add(proposal_.downstakes[msg.sender]) > 0, ERROR_NO_STAKE_TO_WITHDRAW);
+        _withdrawClaim(_proposalId);
+    }
 
-        // Calculate the amount of that the user has staked.
-        uint256 senderUpstake = proposal_.upstakes[msg.sender];
-        uint256 senderDownstake = proposal_.downstakes[msg.sender];
-        uint256 senderTotalStake = senderUpstake.add(senderDownstake);
-        require(senderTotalStake > 0, ERROR_NO_STAKE_TO_WITHDRAW);
+    // Note: Rewards are also withdrawn from rejected proposals, which reward downstakers.
+    function withdrawRewardFromResolvedProposal(uint256 _proposalId) public {
+        _requireProposalIsClosedAs(_proposalId, true);
 
-        // Remove the stake from the proposal.
-        proposal_.upstake = proposal_.upstake.sub(senderUpstake);
-        proposal_.downstake = proposal_.downstake.sub(senderDownstake);
+        // Require that the sender staked on the proposal's outcome, and hasn't claimed it yet.
+        Proposal storage proposal_ = proposals[_proposalId];
+        require(_winningStakeOf(proposal_, msg.sender) > 0, ERROR_NO_WINNING_STAKE);
+        _withdrawClaim(_proposalId);
+    }
+
+    // Claims refunds from expired proposals and rewards from resolved ones with a single transfer,
+    // skipping the proposals that have nothing to claim.
+    function claimMany(uint256[] _proposalIds) public {
+        uint256 total = 0;
+        for(uint256 i = 0; i < _proposalIds.length; i++) {
+            _requireProposalExists(_proposalIds[i]);
+            total = total.add(_claim(_proposalIds[i], msg.sender));
+        }
+        require(total > 0, ERROR_NOTHING_TO_CLAIM);
 
-        // Remove the stake from the sender.
-        proposal_.upstakes[msg.sender] = 0;
-        proposal_.downstakes[msg.sender] = 0;
+        _transferStakeTokens(msg.sender, total);
+    }
 
-        // Return the tokens to the sender.
-        require(stakeToken.balanceOf(address(this)) >= senderTotalStake, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
-        stakeToken.transfer(msg.sender, senderTotalStake);
+    /*
+     * Getters.
+     */
 
+    // Amount of stake tokens that a staker can currently claim from a proposal.
+    function getClaimable(uint256 _proposalId, address _staker) public view returns (uint256) {
+        _requireProposalExists(_proposalId);
+        return _claimableOf(proposals[_proposalId], _staker);
     }
 
-    function withdrawRewardFromResolvedProposal(uint256 _proposalId) public {
-        require(_proposalExists(_proposalId), ERROR_PROPOSAL_DOES_NOT_EXIST);
-        require(_proposalStateIs(_proposalId, ProposalState.Resolved), ERROR_PROPOSAL_IS_ACTIVE);
+    // Amount of stake tokens that a staker has claimed from a proposal.
+    function getClaimed(uint256 _proposalId, address _staker) public view returns (uint256) {
+        _requireProposalExists(_proposalId);
+        return proposals[_proposalId].claimed[_staker];
+    }
 
-        // Get proposal outcome.
+    /*
+     * Internal functions.
+     */
+
+    // Requires that a proposal was decided, i.e. resolved or rejected, or otherwise that it expired.
+    function _requireProposalIsClosedAs(uint256 _proposalId, bool _decided) internal view {
+        _requireProposalExists(_proposalId);
+        require(_decided ? _proposalIsDecided(_proposalId) : _proposalStateIs(_proposalId, ProposalState.Expired), ERROR_PROPOSAL_IS_ACTIVE);
+    }
+
+    // Transfers what the sender can claim from a proposal, which it must not have claimed yet.
+    function _withdrawClaim(uint256 _proposalId) internal {
+        require(proposals[_proposalId].claimed[msg.sender] == 0, ERROR_STAKE_ALREADY_CLAIMED);
+        _transferStakeTokens(msg.sender, _claim(_proposalId, msg.sender));
+    }
+
+    // Records what the staker can claim from a proposal as claimed, and returns it.
+    function _claim(uint256 _proposalId, address _staker) internal returns (uint256 amount) {
         Proposal storage proposal_ = proposals[_proposalId];
-        bool supported = proposal_.yea > proposal_.nay;
+        amount = _claimableOf(proposal_, _staker);
+        if(amount == 0) return;
 
-        // Retrieve the sender's winning stake.
-        uint256 winningStake = supported ? proposal_.upstakes[msg.sender] : proposal_.downstakes[msg.sender];
-        require(winningStake > 0, ERROR_NO_WINNING_STAKE);
+        proposal_.claimed[_staker] = amount;
+        emit StakeClaimed(_proposalId, _staker, amount);
+    }
+
+    // Stakers get their stake back from expired proposals. From resolved and rejected proposals, stakers on the outcome
+    // get their stake back and a share of the losing stake proportional to it.
+    function _claimableOf(Proposal storage proposal_, address _staker) internal view returns (uint256) {
+        if(proposal_.claimed[_staker] > 0) return 0;
+
+        if(proposal_.state == ProposalState.Expired) {
+            return proposal_.upstakes[_staker].add(proposal_.downstakes[_staker]);
+        }
 
-        // Calculate the sender's reward.
+        uint256 winningStake = _winningStakeOf(proposal_, _staker);
+        if(!_proposalIsDecided(proposal_.id) || winningStake == 0) return 0;
+
+        // Calculate the staker's reward.
+        bool supported = proposal_.outcome == VoteState.Yea;
         uint256 totalWinningStake = supported ? proposal_.upstake : proposal_.downstake;
         uint256 totalLosingStake = supported ? proposal_.downstake : proposal_.upstake;
-        uint256 sendersWinningRatio = winningStake.mul(PRECISION_MULTIPLIER) / totalWinningStake;
-        uint256 reward = sendersWinningRatio.mul(totalLosingStake) / PRECISION_MULTIPLIER;
-        uint256 total = winningStake.add(reward);
+        uint256 stakersWinningRatio = winningStake.mul(PRECISION_MULTIPLIER) / totalWinningStake;
+        uint256 reward = stakersWinningRatio.mul(totalLosingStake) / PRECISION_MULTIPLIER;
+        return winningStake.add(reward);
+    }
 
-        // Transfer the tokens to the winner.
-        require(stakeToken.balanceOf(address(this)) >= total, ERROR_VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
-        stakeToken.transfer(msg.sender, total);
+    function _winningStakeOf(Proposal storage proposal_, address _staker) internal view returns (uint256) {
+        return proposal_.outcome == VoteState.Yea ? proposal_.upstakes[_staker] : proposal_.downstakes[_staker];
     }
 }
@@ -1,8 +1,8 @@
 pragma solidity ^0.4.24;
 
-import "./HCWithdrawals.sol";
+import "./HCSignatures.sol";
 
-contract HolographicConsensus is HCWithdrawals {
+contract HolographicConsensus is HCSignatures {
     
     // TODO: OS bootstrapping should go here.
 }
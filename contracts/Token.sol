@@ -2,8 +2,21 @@ pragma solidity ^0.4.24;
 
 import "./SafeMath.sol";
 
+// Weight of a balance under a voting strategy whose total weight a token keeps, see Token.trackTotalWeight.
+// Note: The weight of a zero balance must be 0.
+contract BalanceWeight {
+  function balanceWeight(uint256 balance) public view returns (uint256);
+}
+
 /*
  * A sample ERC20 token with mint and burn ability.
+ * Balances and total supply are checkpointed on every change, so that they can be queried
+ * as of past blocks, e.g. to fix voting power at the time a proposal is created.
+ * The total weight of the holders' balances under non linear voting strategies can be checkpointed too, see trackTotalWeight.
+ * Holders can delegate the voting power of their balance to another address, which is checkpointed too.
+ * Delegation isn't transitive: delegates receive the balances of their delegators, not what was delegated to them.
+ * Allowances can be given with EIP-712 signatures (EIP-2612 permit), so that holders don't need to send a transaction.
+ * Note: Solidity 0.4 can't read the chain id, so the signing domain only binds signatures to this contract's address.
  */
 contract Token {
   using SafeMath for uint256;
@@ -14,8 +27,36 @@ contract Token {
   uint256 private _totalSupply;
   address private _owner;
 
+  // Value of a balance or the total supply since a given block.
+  struct Checkpoint {
+    uint256 fromBlock;
+    uint256 value;
+  }
+
+  mapping (address => Checkpoint[]) private _balanceCheckpoints;
+  Checkpoint[] private _totalSupplyCheckpoints;
+
+  // Accounts that ever held tokens, to weigh their balances when the total weight of a strategy starts being kept.
+  address[] private _holders;
+
+  // Total weight of the holders' balances, by voting strategy.
+  BalanceWeight[] private _weightedStrategies;
+  mapping (address => Checkpoint[]) private _totalWeightCheckpoints;
+
+  // Delegates are checkpointed as uint256 values, with 0 meaning no delegate.
+  mapping (address => address) private _delegates;
+  mapping (address => Checkpoint[]) private _delegateCheckpoints;
+  mapping (address => Checkpoint[]) private _delegatedVotesCheckpoints;
+
+  // Nonces of permit signatures, by owner.
+  mapping (address => uint256) private _nonces;
+
+  bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,address verifyingContract)");
+  bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
   event Transfer(address indexed from, address indexed to, uint256 value);
   event Approval(address indexed owner, address indexed spender, uint256 value);
+  event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
 
   modifier onlyOwner() {
     require(msg.sender == _owner, "Ownable: caller is not the owner");
@@ -38,10 +79,54 @@ contract Token {
     return _balances[owner];
   }
 
+  function balanceOfAt(address owner, uint256 blockNumber) public view returns (uint256) {
+    return _valueAt(_balanceCheckpoints[owner], blockNumber);
+  }
+
+  function totalSupplyAt(uint256 blockNumber) public view returns (uint256) {
+    return _valueAt(_totalSupplyCheckpoints, blockNumber);
+  }
+
+  function tracksTotalWeight(address strategy) public view returns (bool) {
+    return _totalWeightCheckpoints[strategy].length > 0;
+  }
+
+  // Sum of the weights of every holder's balance under a strategy, as of a block since the token started keeping it.
+  function totalWeightAt(address strategy, uint256 blockNumber) public view returns (uint256) {
+    Checkpoint[] storage checkpoints = _totalWeightCheckpoints[strategy];
+    require(checkpoints.length > 0 && blockNumber >= checkpoints[0].fromBlock, "Token: total weight is not tracked");
+    return _valueAt(checkpoints, blockNumber);
+  }
+
+  function delegates(address account) public view returns (address) {
+    return _delegates[account];
+  }
+
+  function delegateOfAt(address account, uint256 blockNumber) public view returns (address) {
+    return address(_valueAt(_delegateCheckpoints[account], blockNumber));
+  }
+
+  // Sum of the balances of the accounts that delegate to an account.
+  function delegatedVotesOf(address account) public view returns (uint256) {
+    return _latestValue(_delegatedVotesCheckpoints[account]);
+  }
+
+  function delegatedVotesOfAt(address account, uint256 blockNumber) public view returns (uint256) {
+    return _valueAt(_delegatedVotesCheckpoints[account], blockNumber);
+  }
+
   function allowance(address owner, address spender) public view returns (uint256) {
     return _allowances[owner][spender];
   }
 
+  function nonces(address owner) public view returns (uint256) {
+    return _nonces[owner];
+  }
+
+  function DOMAIN_SEPARATOR() public view returns (bytes32) {
+    return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("Token"), keccak256("1"), address(this)));
+  }
+
   function transfer(address to, uint256 value) public returns (bool) {
     _transfer(msg.sender, to, value);
     return true;
@@ -58,6 +143,18 @@ contract Token {
     return true;
   }
 
+  function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public {
+    require(now <= deadline, "ERC20Permit: expired deadline");
+
+    bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _nonces[owner], deadline));
+    bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    address signer = ecrecover(digest, v, r, s);
+    require(signer != address(0) && signer == owner, "ERC20Permit: invalid signature");
+
+    _nonces[owner] = _nonces[owner].add(1);
+    _approve(owner, spender, value);
+  }
+
   function increaseAllowance(address spender, uint256 addedValue) public returns (bool) {
     _approve(msg.sender, spender, _allowances[msg.sender][spender].add(addedValue));
     return true;
@@ -77,6 +174,36 @@ contract Token {
     _burn(msg.sender, value);
   }
 
+  // Starts keeping the total weight of the holders' balances under a strategy, which voting strategies that don't weigh
+  // balances linearly measure absolute majority against, see VotingStrategies.sol.
+  // Note: Strategies are called on every balance change, so only the owner can add them, and they can't be removed.
+  function trackTotalWeight(BalanceWeight strategy) public onlyOwner {
+    require(!tracksTotalWeight(strategy), "Token: total weight is already tracked");
+
+    uint256 total = 0;
+    for (uint256 i = 0; i < _holders.length; i++) {
+      total = total.add(strategy.balanceWeight(_balances[_holders[i]]));
+    }
+    _weightedStrategies.push(strategy);
+    _updateCheckpoint(_totalWeightCheckpoints[strategy], total);
+  }
+
+  // Delegating to oneself or to the zero address removes the delegation.
+  function delegate(address delegatee) public {
+    if (delegatee == msg.sender) {
+      delegatee = address(0);
+    }
+    address fromDelegate = _delegates[msg.sender];
+    if (fromDelegate == delegatee) {
+      return;
+    }
+
+    _delegates[msg.sender] = delegatee;
+    _updateCheckpoint(_delegateCheckpoints[msg.sender], uint256(delegatee));
+    _moveDelegatedVotes(fromDelegate, delegatee, _balances[msg.sender]);
+    emit DelegateChanged(msg.sender, fromDelegate, delegatee);
+  }
+
   /*
    * Internal functions.
    */
@@ -84,8 +211,9 @@ contract Token {
   function _transfer(address from, address to, uint256 value) internal {
     require(to != address(0), "ERC20: transfer to the zero address");
 
-    _balances[from] = _balances[from].sub(value);
-    _balances[to] = _balances[to].add(value);
+    _setBalance(from, _balances[from].sub(value));
+    _setBalance(to, _balances[to].add(value));
+    _moveDelegatedVotes(_delegates[from], _delegates[to], value);
     emit Transfer(from, to, value);
   }
 
@@ -101,7 +229,9 @@ contract Token {
     require(account != address(0), "ERC20: mint to the zero address");
 
     _totalSupply = _totalSupply.add(value);
-    _balances[account] = _balances[account].add(value);
+    _updateCheckpoint(_totalSupplyCheckpoints, _totalSupply);
+    _setBalance(account, _balances[account].add(value));
+    _moveDelegatedVotes(address(0), _delegates[account], value);
     emit Transfer(address(0), account, value);
   }
 
@@ -109,7 +239,76 @@ contract Token {
     require(account != address(0), "ERC20: burn from the zero address");
 
     _totalSupply = _totalSupply.sub(value);
-    _balances[account] = _balances[account].sub(value);
+    _updateCheckpoint(_totalSupplyCheckpoints, _totalSupply);
+    _setBalance(account, _balances[account].sub(value));
+    _moveDelegatedVotes(_delegates[account], address(0), value);
     emit Transfer(account, address(0), value);
   }
+
+  // Checkpoints a balance, and the total weights that it is part of.
+  // Note: Delegation doesn't change total weights, since delegators can override their delegate by voting themselves,
+  // so that every holder can vote with the weight of its own balance.
+  function _setBalance(address account, uint256 value) internal {
+    uint256 previous = _balances[account];
+    if (_balanceCheckpoints[account].length == 0) {
+      _holders.push(account);
+    }
+    for (uint256 i = 0; i < _weightedStrategies.length; i++) {
+      BalanceWeight strategy = _weightedStrategies[i];
+      Checkpoint[] storage checkpoints = _totalWeightCheckpoints[strategy];
+      uint256 total = _latestValue(checkpoints).sub(strategy.balanceWeight(previous));
+      _updateCheckpoint(checkpoints, total.add(strategy.balanceWeight(value)));
+    }
+
+    _balances[account] = value;
+    _updateCheckpoint(_balanceCheckpoints[account], value);
+  }
+
+  function _moveDelegatedVotes(address from, address to, uint256 value) internal {
+    if (from == to || value == 0) {
+      return;
+    }
+    if (from != address(0)) {
+      Checkpoint[] storage fromCheckpoints = _delegatedVotesCheckpoints[from];
+      _updateCheckpoint(fromCheckpoints, _latestValue(fromCheckpoints).sub(value));
+    }
+    if (to != address(0)) {
+      Checkpoint[] storage toCheckpoints = _delegatedVotesCheckpoints[to];
+      _updateCheckpoint(toCheckpoints, _latestValue(toCheckpoints).add(value));
+    }
+  }
+
+  // Records a new value, overwriting the last checkpoint if it was already made in this block.
+  function _updateCheckpoint(Checkpoint[] storage checkpoints, uint256 value) internal {
+    uint256 length = checkpoints.length;
+    if (length > 0 && checkpoints[length - 1].fromBlock == block.number) {
+      checkpoints[length - 1].value = value;
+    } else {
+      checkpoints.push(Checkpoint(block.number, value));
+    }
+  }
+
+  function _latestValue(Checkpoint[] storage checkpoints) internal view returns (uint256) {
+    uint256 length = checkpoints.length;
+    return length == 0 ? 0 : checkpoints[length - 1].value;
+  }
+
+  // Returns the value at the end of the given block, with a binary search for the last checkpoint made until then.
+  function _valueAt(Checkpoint[] storage checkpoints, uint256 blockNumber) internal view returns (uint256) {
+    if (checkpoints.length == 0 || blockNumber < checkpoints[0].fromBlock) {
+      return 0;
+    }
+
+    uint256 min = 0;
+    uint256 max = checkpoints.length - 1;
+    while (max > min) {
+      uint256 mid = (max + min + 1) / 2;
+      if (checkpoints[mid].fromBlock <= blockNumber) {
+        min = mid;
+      } else {
+        max = mid - 1;
+      }
+    }
+    return checkpoints[min].value;
+  }
 }
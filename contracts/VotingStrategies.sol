@@ -0,0 +1,143 @@
+pragma solidity ^0.4.24;
+
+import "./SafeMath.sol";
+import "./Token.sol";
+
+// Strategies that give the weight with which votes are counted, chosen at HCVoting.initializeVoting.
+// A strategy maps a voter's voting power on a proposal, i.e. its vote token balance and the balances delegated to it
+// as of the proposal's snapshot block, to its weight, and gives the total weight against which absolute majority is measured,
+// i.e. the weight that all the holders would vote with if they all voted.
+// Note: Weights must not decrease with voting power, since delegators that vote themselves take their balance
+// out of their delegate's voting power, and the difference in weight out of the delegate's vote.
+// See scripts/votingWeight.js for ports of these strategies.
+contract VotingStrategy {
+
+    string internal constant ERROR_INVALID_STRATEGY_PARAMS = "VOTING_ERROR_INVALID_STRATEGY_PARAMS";
+
+    function name() public pure returns (string);
+
+    function weightOf(Token _voteToken, address _voter, uint256 _votingPower, uint256 _blockNumber) public view returns (uint256);
+
+    function totalWeightAt(Token _voteToken, uint256 _blockNumber) public view returns (uint256);
+}
+
+// One token, one vote.
+contract LinearVotingStrategy is VotingStrategy {
+
+    function name() public pure returns (string) {
+        return "Linear";
+    }
+
+    function weightOf(Token /* _voteToken */, address /* _voter */, uint256 _votingPower, uint256 /* _blockNumber */) public view returns (uint256) {
+        return _votingPower;
+    }
+
+    function totalWeightAt(Token _voteToken, uint256 _blockNumber) public view returns (uint256) {
+        return _voteToken.totalSupplyAt(_blockNumber);
+    }
+}
+
+// Strategies that weigh voting power with a non linear function of it, whose total weight is the sum of the weights
+// of every holder's balance. Since that can't be derived from the total supply, the vote token keeps it,
+// which its owner must set up with Token.trackTotalWeight before proposals are created.
+// Note: Pooling balances by delegation can only lower their weight, which makes the total weight the most that votes can add up to.
+contract BalanceWeightVotingStrategy is VotingStrategy, BalanceWeight {
+
+    function weightOf(Token /* _voteToken */, address /* _voter */, uint256 _votingPower, uint256 /* _blockNumber */) public view returns (uint256) {
+        return balanceWeight(_votingPower);
+    }
+
+    function totalWeightAt(Token _voteToken, uint256 _blockNumber) public view returns (uint256) {
+        return _voteToken.totalWeightAt(this, _blockNumber);
+    }
+}
+
+// The square root of the voting power, so that large holders weigh less than their balance.
+contract QuadraticVotingStrategy is BalanceWeightVotingStrategy {
+
+    function name() public pure returns (string) {
+        return "Quadratic";
+    }
+
+    function balanceWeight(uint256 _balance) public view returns (uint256) {
+        return _sqrt(_balance);
+    }
+
+    // Largest integer whose square doesn't exceed _x.
+    function _sqrt(uint256 _x) internal pure returns (uint256 y) {
+        if(_x > 3) {
+            y = _x;
+            uint256 z = _x / 2 + 1;
+            while(z < y) {
+                y = z;
+                z = (_x / z + z) / 2;
+            }
+        }
+        else if(_x != 0) y = 1;
+    }
+}
+
+// The voting power, up to a cap per voter.
+// Note: Delegates are capped too, so delegating to an account that is already at the cap wastes voting power.
+contract CappedVotingStrategy is BalanceWeightVotingStrategy {
+
+    uint256 public cap;
+
+    constructor(uint256 _cap) public {
+        require(_cap > 0, ERROR_INVALID_STRATEGY_PARAMS);
+        cap = _cap;
+    }
+
+    function name() public pure returns (string) {
+        return "Capped";
+    }
+
+    function balanceWeight(uint256 _balance) public view returns (uint256) {
+        return _balance < cap ? _balance : cap;
+    }
+}
+
+// The voting power times voteTokenWeight, plus the balances of other tokens times their weights.
+// Note: Other tokens must be checkpointed like Token, since their balances are taken as of the proposal's snapshot block.
+// Their balances can't be delegated, and only count for their holder.
+contract WeightedVotingStrategy is VotingStrategy {
+    using SafeMath for uint256;
+
+    uint256 public voteTokenWeight;
+    Token[] internal tokens;
+    uint256[] internal weights;
+
+    constructor(uint256 _voteTokenWeight, address[] _tokens, uint256[] _weights) public {
+        require(_tokens.length == _weights.length, ERROR_INVALID_STRATEGY_PARAMS);
+        voteTokenWeight = _voteTokenWeight;
+        for(uint256 i = 0; i < _tokens.length; i++) {
+            require(_tokens[i] != address(0), ERROR_INVALID_STRATEGY_PARAMS);
+            tokens.push(Token(_tokens[i]));
+            weights.push(_weights[i]);
+        }
+    }
+
+    function name() public pure returns (string) {
+        return "Weighted";
+    }
+
+    function getTokens() public view returns (address[] _tokens, uint256[] _weights) {
+        _tokens = new address[](tokens.length);
+        for(uint256 i = 0; i < tokens.length; i++) _tokens[i] = address(tokens[i]);
+        _weights = weights;
+    }
+
+    function weightOf(Token /* _voteToken */, address _voter, uint256 _votingPower, uint256 _blockNumber) public view returns (uint256 weight) {
+        weight = _votingPower.mul(voteTokenWeight);
+        for(uint256 i = 0; i < tokens.length; i++) {
+            weight = weight.add(tokens[i].balanceOfAt(_voter, _blockNumber).mul(weights[i]));
+        }
+    }
+
+    function totalWeightAt(Token _voteToken, uint256 _blockNumber) public view returns (uint256 total) {
+        total = _voteToken.totalSupplyAt(_blockNumber).mul(voteTokenWeight);
+        for(uint256 i = 0; i < tokens.length; i++) {
+            total = total.add(tokens[i].totalSupplyAt(_blockNumber).mul(weights[i]));
+        }
+    }
+}
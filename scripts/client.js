@@ -0,0 +1,933 @@
+const fs = require('fs');
+const path = require('path');
+const BN = require('bn.js');
+const Web3 = require('web3');
+const getWeb3 = require('./getWeb3.js');
+const deploy = require('./deploy.js');
+const enums = require('./enums.js');
+const reverts = require('./reverts.js');
+const executionScript = require('./executionScript.js');
+const signatures = require('./signatures.js');
+const proposalMetadata = require('./metadata.js');
+const hcMath = require('./hcMath.js');
+const commitReveal = require('./commitReveal.js');
+const votingWeight = require('./votingWeight.js');
+
+const STAKE_EVENTS = ['UpstakeProposal', 'DownstakeProposal', 'WithdrawUpstake', 'WithdrawDownstake'];
+
+// Roles defined in HCRoles.sol, which are identified on chain by the hash of their name.
+const ROLE_NAMES = [
+    'MANAGE_ROLES_ROLE',
+    'CREATE_PROPOSALS_ROLE',
+    'MODIFY_SUPPORT_ROLE',
+    'MODIFY_PERIODS_ROLE',
+    'MODIFY_COMPENSATION_FEE_ROLE',
+    'MODIFY_CONFIDENCE_ROLE',
+    'MODIFY_PROPOSAL_LIMITS_ROLE'
+];
+const ROLES = {};
+ROLE_NAMES.forEach(name => ROLES[name] = Web3.utils.keccak256(name));
+
+// Granting a role to this address grants it to everyone.
+const ANY_ENTITY = '0xFFfFfFffFFfffFFfFFfFFFFFffFFFffffFfFFFfF';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Time for which signed votes and stakes can be submitted by default (secs).
+const DEFAULT_SIGNATURE_LIFETIME = 60 * 60;
+
+const loadArtifacts = (contractName) => {
+    const artifactsPath = path.resolve(__dirname, `../build/${contractName}.json`);
+    return JSON.parse(fs.readFileSync(artifactsPath, 'utf8'));
+};
+
+// Timestamps are stored in seconds, while js dates use milliseconds.
+// Note: A timestamp of 0 means that the date was never set, e.g. lastPendedDate for a proposal that was never pended.
+const toDate = (timestamp) => {
+    const secs = parseInt(timestamp, 10);
+    return secs === 0 ? null : new Date(secs * 1000);
+};
+
+const toBN = (value) => BN.isBN(value) ? value : new BN(`${value}`, 10);
+
+const toRole = (role) => {
+    if(ROLES[role]) return ROLES[role];
+    if(/^0x[0-9a-fA-F]{64}$/.test(role)) return role;
+    throw new Error(`Unknown role ${role}, expected one of ${ROLE_NAMES.join(', ')}`);
+};
+
+// Converts the raw outputs of getProposal and getProposalDeposit into a typed proposal object.
+// Note: The deposit is 0 once it has been refunded or forfeited.
+const decodeProposal = (raw, rawDeposit) => {
+    const startDate = parseInt(raw.startDate, 10);
+    const lifetime = parseInt(raw.lifetime, 10);
+    return {
+        id: parseInt(raw.id, 10),
+        state: enums.decode(enums.ProposalState, raw.state),
+        lifetime,
+        startDate: toDate(startDate),
+        expiryDate: toDate(startDate + lifetime),
+        lastPendedDate: toDate(raw.lastPendedDate),
+        lastRelativeSupportFlipDate: toDate(raw.lastRelativeSupportFlipDate),
+        lastRelativeSupport: enums.decode(enums.VoteState, raw.lastRelativeSupport),
+        compensationFeesPaid: toBN(raw.compensationFeesPaid),
+        yea: toBN(raw.yea),
+        nay: toBN(raw.nay),
+        upstake: toBN(raw.upstake),
+        downstake: toBN(raw.downstake),
+        creator: rawDeposit.creator,
+        deposit: toBN(rawDeposit.deposit)
+    };
+};
+
+// Converts a web3 event emitted by the HC contract into a plain object with typed values.
+const decodeEvent = (event) => {
+    const values = event.returnValues;
+    const decoded = {
+        event: event.event,
+        proposalId: parseInt(values._proposalId, 10),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex
+    };
+    switch(event.event) {
+        case 'ProposalCreated':
+            decoded.creator = values._creator;
+            decoded.metadataHash = values._metadataHash;
+            break;
+        case 'ProposalStateChanged':
+            decoded.state = enums.decode(enums.ProposalState, values._newState);
+            break;
+        case 'ProposalLifetimeExtended':
+            decoded.lifetime = parseInt(values._newLifetime, 10);
+            break;
+        case 'VoteCommitted':
+            decoded.voter = values._voter;
+            decoded.commitment = values._commitment;
+            break;
+        case 'VoteCasted':
+            decoded.voter = values._voter;
+            decoded.supports = values._supports;
+            decoded.votingPower = toBN(values._stake);
+            break;
+        case 'StakeClaimed':
+            decoded.staker = values._staker;
+            decoded.amount = toBN(values._amount);
+            break;
+        case 'DepositRefunded':
+            decoded.creator = values._creator;
+            decoded.amount = toBN(values._amount);
+            break;
+        case 'DepositForfeited':
+            decoded.amount = toBN(values._amount);
+            break;
+        case 'CompensationsDepleted':
+            decoded.fee = toBN(values._fee);
+            decoded.paid = toBN(values._paid);
+            break;
+        case 'DelegatedVoteOverridden':
+            decoded.delegate = values._delegate;
+            decoded.delegator = values._delegator;
+            decoded.votingPower = toBN(values._votingPower);
+            break;
+        case 'UpstakeProposal':
+        case 'DownstakeProposal':
+        case 'WithdrawUpstake':
+        case 'WithdrawDownstake':
+            decoded.staker = values._staker;
+            decoded.amount = toBN(values._amount);
+            decoded.supports = event.event === 'UpstakeProposal' || event.event === 'WithdrawUpstake';
+            decoded.withdrawal = event.event.startsWith('Withdraw');
+            break;
+    }
+    return decoded;
+};
+
+// Converts a Transfer or DelegateChanged event emitted by the vote token into a plain object.
+// Delegates are null when there is none.
+const decodeTokenEvent = (event) => {
+    const values = event.returnValues;
+    const decoded = {
+        event: event.event,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex
+    };
+    const toDelegate = (address) => address === ZERO_ADDRESS ? null : address;
+    switch(event.event) {
+        case 'Transfer':
+            decoded.from = values.from;
+            decoded.to = values.to;
+            decoded.value = toBN(values.value);
+            break;
+        case 'DelegateChanged':
+            decoded.delegator = values.delegator;
+            decoded.fromDelegate = toDelegate(values.fromDelegate);
+            decoded.toDelegate = toDelegate(values.toDelegate);
+            break;
+    }
+    return decoded;
+};
+
+const toSecs = (date) => date === null ? 0 : date.getTime() / 1000;
+
+// Determines which action, if any, can be performed on a proposal at the given time (secs),
+// and previews the fee that it pays, out of compensationFunds when given.
+// Mirrors the requirements of the corresponding functions in HCCompensations.sol.
+// Used by the keeper to find actions, and by the client to preflight compensated transactions.
+const getReadyAction = (proposal, settings, now, compensationFunds) => {
+    const expiryDate = toSecs(proposal.startDate) + proposal.lifetime;
+
+    let method, cutoffDate;
+    if(proposal.state === 'Boosted') {
+        method = 'resolveBoostedProposal';
+        cutoffDate = expiryDate;
+    }
+    else if(proposal.state === 'Pended' && now >= toSecs(proposal.lastPendedDate) + settings.pendedBoostPeriod && now < expiryDate) {
+        method = 'boostProposal';
+        cutoffDate = toSecs(proposal.lastPendedDate) + settings.pendedBoostPeriod;
+    }
+    else if(['Queued', 'Unpended', 'Pended'].includes(proposal.state)) {
+        method = 'expireNonBoostedProposal';
+        cutoffDate = expiryDate;
+    }
+    else return null;
+    if(now < cutoffDate) return null;
+
+    const fee = hcMath.calculateCompensationFee(
+        proposal.upstake, settings.compensationFeePct, cutoffDate, now, settings.compensationFeeCurve, settings.compensationFeePeriod
+    );
+    const paid = compensationFunds === undefined ? fee : hcMath.calculatePaidCompensationFee(fee, compensationFunds);
+    return {
+        method,
+        proposalId: proposal.id,
+        fee: paid,
+        depleted: paid.lt(fee)
+    };
+};
+
+// Thrown before boosting, expiring or resolving a proposal when the compensation funds can't cover the fee,
+// which the contract would pay only in part, see HCCompensations._compensate.
+class CompensationsDepletedError extends Error {
+
+    constructor(action, compensationFunds) {
+        super(`${action.method} would pay a partial compensation fee of ${action.fee}, the funds being depleted (funds: ${compensationFunds})`);
+        this.name = this.constructor.name;
+        this.action = action;
+        this.compensationFunds = compensationFunds;
+    }
+}
+
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+class HCClient {
+
+    constructor(web3, address, txParams = {}) {
+        this.web3 = web3;
+        this.address = address;
+        this.txParams = txParams;
+        this.contract = new web3.eth.Contract(loadArtifacts('HolographicConsensus').abi, address);
+
+        // Where the metadata documents of proposals are kept, see metadata.js.
+        this.metadataStore = new proposalMetadata.MetadataStore();
+
+        // Where the salts of committed votes are kept until they are revealed, see commitReveal.js.
+        this.saltStore = new commitReveal.SaltStore();
+    }
+
+    static at(network, address, txParams) {
+        return new HCClient(getWeb3(network), address, txParams);
+    }
+
+    static async deploy(network, txParams) {
+        const instance = await deploy('HolographicConsensus', [], txParams, network);
+        return HCClient.at(network, instance.options.address, txParams);
+    }
+
+    // Deploys the contract of a voting strategy, see votingWeight.js, and returns its address.
+    // Strategies don't keep state per HC contract, so one can be shared by several.
+    static async deployVotingStrategy(network, strategy, txParams) {
+        const instance = await deploy(votingWeight.CONTRACT_NAMES[strategy.name], votingWeight.toConstructorArgs(strategy), txParams, network);
+        return instance.options.address;
+    }
+
+    /*
+     * Setup.
+     */
+
+    // Votes are weighed by params.votingStrategy, either the address of a deployed strategy or a strategy to deploy,
+    // see votingWeight.js, and one token one vote if it isn't given. The vote token is set up to keep the strategy's
+    // total weight if it needs it, which requires the sender to own the vote token, see trackTotalWeight.
+    // Votes are committed and revealed if params.revealPeriod is given.
+    // Proposals are limited if params.creationDeposit or params.proposalCooldown are given,
+    // for which the sender is granted MODIFY_PROPOSAL_LIMITS_ROLE.
+    async initialize(params, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const strategy = params.votingStrategy || { name: 'Linear' };
+        const votingStrategy = typeof strategy === 'string' ? strategy : await HCClient.deployVotingStrategy(this.web3, strategy, txParams_);
+        await this.trackTotalWeight(params.voteToken, votingStrategy, txParams_);
+        await this._send(this.contract.methods.initializeVoting(
+            params.voteToken,
+            votingStrategy,
+            params.supportPct,
+            params.queuePeriod,
+            params.boostPeriod,
+            params.quietEndingPeriod,
+            params.compensationFeePct
+        ), txParams_);
+        await this._send(this.contract.methods.initializeStaking(
+            params.stakeToken,
+            params.pendedBoostPeriod,
+            params.confidenceThresholdBase
+        ), txParams_);
+        if(params.revealPeriod) {
+            await this._send(this.contract.methods.initializeCommitReveal(params.revealPeriod), txParams_);
+        }
+        const limits = { creationDeposit: toBN(params.creationDeposit || 0), proposalCooldown: parseInt(params.proposalCooldown || 0, 10) };
+        if(!limits.creationDeposit.isZero() || limits.proposalCooldown > 0) {
+            await this.grantRole('MODIFY_PROPOSAL_LIMITS_ROLE', txParams_.from, txParams_);
+            await this.setProposalLimits(limits, txParams_);
+        }
+    }
+
+    // Strategies that don't weigh balances linearly measure absolute majority against a total weight that the vote token keeps,
+    // which only its owner can set up, before any proposal that is voted with the strategy is created.
+    // Returns the receipt, or null if the strategy doesn't need it or the vote token already keeps it.
+    async trackTotalWeight(voteToken, votingStrategy, txParams) {
+        const strategy = new this.web3.eth.Contract(loadArtifacts('VotingStrategy').abi, votingStrategy);
+        const token = new this.web3.eth.Contract(loadArtifacts('Token').abi, voteToken);
+        const name = await strategy.methods.name().call();
+        if(!votingWeight.BALANCE_WEIGHT_STRATEGIES.includes(name) || await token.methods.tracksTotalWeight(votingStrategy).call()) return null;
+        return this._send(token.methods.trackTotalWeight(votingStrategy), txParams);
+    }
+
+    /*
+     * Getters.
+     */
+
+    async getSettings() {
+        const methods = this.contract.methods;
+        const [
+            voteToken, votingStrategy, stakeToken, supportPct, queuePeriod, boostPeriod,
+            quietEndingPeriod, pendedBoostPeriod, compensationFeePct, compensationFeeCurve, compensationFeePeriod,
+            confidenceThresholdBase, revealPeriod, creationDeposit, proposalCooldown
+        ] = await Promise.all([
+            methods.voteToken().call(),
+            methods.votingStrategy().call(),
+            methods.stakeToken().call(),
+            methods.supportPct().call(),
+            methods.queuePeriod().call(),
+            methods.boostPeriod().call(),
+            methods.quietEndingPeriod().call(),
+            methods.pendedBoostPeriod().call(),
+            methods.compensationFeePct().call(),
+            methods.compensationFeeCurve().call(),
+            methods.compensationFeePeriod().call(),
+            methods.confidenceThresholdBase().call(),
+            methods.revealPeriod().call(),
+            methods.creationDeposit().call(),
+            methods.proposalCooldown().call()
+        ]);
+        return {
+            voteToken,
+            votingStrategy,
+            stakeToken,
+            supportPct: parseInt(supportPct, 10),
+            queuePeriod: parseInt(queuePeriod, 10),
+            boostPeriod: parseInt(boostPeriod, 10),
+            quietEndingPeriod: parseInt(quietEndingPeriod, 10),
+            pendedBoostPeriod: parseInt(pendedBoostPeriod, 10),
+            compensationFeePct: parseInt(compensationFeePct, 10),
+            compensationFeeCurve: hcMath.FEE_CURVES[parseInt(compensationFeeCurve, 10)],
+            compensationFeePeriod: parseInt(compensationFeePeriod, 10),
+            confidenceThresholdBase: parseInt(confidenceThresholdBase, 10),
+            revealPeriod: parseInt(revealPeriod, 10),
+            creationDeposit: toBN(creationDeposit),
+            proposalCooldown: parseInt(proposalCooldown, 10)
+        };
+    }
+
+    async getNumProposals() {
+        return parseInt(await this.contract.methods.numProposals().call(), 10);
+    }
+
+    async getProposal(proposalId) {
+        const [raw, rawDeposit] = await Promise.all([
+            this.contract.methods.getProposal(proposalId).call(),
+            this.contract.methods.getProposalDeposit(proposalId).call()
+        ]);
+        return decodeProposal(raw, rawDeposit);
+    }
+
+    async getProposals() {
+        const numProposals = await this.getNumProposals();
+        const ids = [...Array(numProposals).keys()];
+        return Promise.all(ids.map(id => this.getProposal(id)));
+    }
+
+    async getVote(proposalId, voter) {
+        return enums.decode(enums.VoteState, await this.contract.methods.getVote(proposalId, voter).call());
+    }
+
+    // Commitment of a voter that hasn't been revealed, or null.
+    async getVoteCommitment(proposalId, voter) {
+        const commitment = await this.contract.methods.getVoteCommitment(proposalId, voter).call();
+        return /^0x0*$/.test(commitment) ? null : commitment;
+    }
+
+    // Voters that committed a vote on a proposal and haven't revealed it, with their commitments.
+    async getUnrevealedCommitments(proposalId) {
+        const events = await this.contract.getPastEvents('VoteCommitted', { filter: { _proposalId: proposalId }, fromBlock: 0 });
+        const voters = [...new Set(events.map(event => event.returnValues._voter))];
+        const commitments = await Promise.all(voters.map(voter => this.getVoteCommitment(proposalId, voter)));
+        return voters
+            .map((voter, i) => ({ voter, commitment: commitments[i] }))
+            .filter(({ commitment }) => commitment !== null);
+    }
+
+    // Block whose vote token balances give the voting power on the proposal.
+    async getProposalSnapshotBlock(proposalId) {
+        return parseInt(await this.contract.methods.getProposalSnapshotBlock(proposalId).call(), 10);
+    }
+
+    // Voting power that a vote would be cast with now, including the balances delegated to the voter
+    // by delegators that haven't voted themselves.
+    async getVotingPower(proposalId, voter) {
+        return toBN(await this.contract.methods.getVotingPower(proposalId, voter).call());
+    }
+
+    // Address that an account delegates its voting power to, or null.
+    async getDelegate(account) {
+        const voteToken = await this.getVoteToken();
+        const delegate = await voteToken.methods.delegates(account).call();
+        return delegate === ZERO_ADDRESS ? null : delegate;
+    }
+
+    // Voting power that an account would have on a proposal created now if nobody overrode their delegate:
+    // its balance, unless delegated, plus the balances delegated to it.
+    async getEffectiveVotingPower(account) {
+        const voteToken = await this.getVoteToken();
+        const [balance, delegate, delegatedVotes] = await Promise.all([
+            voteToken.methods.balanceOf(account).call(),
+            voteToken.methods.delegates(account).call(),
+            voteToken.methods.delegatedVotesOf(account).call()
+        ]);
+        return (delegate === ZERO_ADDRESS ? toBN(balance) : new BN(0)).add(toBN(delegatedVotes));
+    }
+
+    // Strategy that weighs votes, as { address, name } and its parameters, see votingWeight.js.
+    async getVotingStrategy() {
+        const address = await this.contract.methods.votingStrategy().call();
+        const methods = new this.web3.eth.Contract(loadArtifacts('WeightedVotingStrategy').abi, address).methods;
+        const strategy = { address, name: await methods.name().call() };
+        if(strategy.name === 'Capped') {
+            const capped = new this.web3.eth.Contract(loadArtifacts('CappedVotingStrategy').abi, address);
+            strategy.cap = toBN(await capped.methods.cap().call());
+        }
+        else if(strategy.name === 'Weighted') {
+            const [voteTokenWeight, tokens] = await Promise.all([methods.voteTokenWeight().call(), methods.getTokens().call()]);
+            strategy.voteTokenWeight = toBN(voteTokenWeight);
+            strategy.tokens = tokens._tokens;
+            strategy.weights = tokens._weights.map(toBN);
+        }
+        return strategy;
+    }
+
+    // Total weight of the votes on a proposal, against which absolute majority is measured.
+    async getTotalWeight(proposalId) {
+        const [voteToken, votingStrategy, snapshotBlock] = await Promise.all([
+            this.contract.methods.voteToken().call(),
+            this.contract.methods.votingStrategy().call(),
+            this.getProposalSnapshotBlock(proposalId)
+        ]);
+        const strategy = new this.web3.eth.Contract(loadArtifacts('VotingStrategy').abi, votingStrategy);
+        return toBN(await strategy.methods.totalWeightAt(voteToken, snapshotBlock).call());
+    }
+
+    // Weight that an account would vote with on a proposal created now, under the contract's strategy,
+    // and under each strategy as predicted by votingWeight.predictWeights. Options override the strategy's parameters,
+    // e.g. { cap } to predict a capped weight under another strategy.
+    async predictVotingWeight(account, options = {}) {
+        const [votingPower, strategy] = await Promise.all([this.getEffectiveVotingPower(account), this.getVotingStrategy()]);
+        const balances = await Promise.all((strategy.tokens || []).map(address => {
+            const token = new this.web3.eth.Contract(loadArtifacts('Token').abi, address);
+            return token.methods.balanceOf(account).call();
+        }));
+        return {
+            votingPower,
+            strategy: strategy.name,
+            weight: votingWeight.calculateWeight(strategy, votingPower, balances),
+            weights: votingWeight.predictWeights(votingPower, { ...strategy, balances, ...options })
+        };
+    }
+
+    // Voting power that the voter's current vote was cast with.
+    async getCastVotingPower(proposalId, voter) {
+        return toBN(await this.contract.methods.getCastVotingPower(proposalId, voter).call());
+    }
+
+    // Returns the proposal's raw script, its decoded calls and whether it has been executed.
+    async getExecutionScript(proposalId) {
+        const result = await this.contract.methods.getExecutionScript(proposalId).call();
+        const script = result._executionScript || '0x';
+        return { script, calls: executionScript.decode(script), executed: result._executed };
+    }
+
+    async getProposalMetadataHash(proposalId) {
+        return this.contract.methods.getProposalMetadataHash(proposalId).call();
+    }
+
+    // Returns the proposal's metadata document, checked against the hash that the contract committed to,
+    // or null if it isn't in the metadata store.
+    async getProposalMetadata(proposalId) {
+        return this.metadataStore.get(await this.getProposalMetadataHash(proposalId));
+    }
+
+    // 'Yea' if the proposal was resolved in favour, which decides whether upstakers or downstakers are rewarded.
+    async getProposalOutcome(proposalId) {
+        return enums.decode(enums.VoteState, await this.contract.methods.getProposalOutcome(proposalId).call());
+    }
+
+    // Stake tokens that a staker can claim from a closed proposal, i.e. a refund if it expired
+    // or its stake and reward if it staked on the outcome of a resolved one.
+    async getClaimable(proposalId, staker) {
+        return toBN(await this.contract.methods.getClaimable(proposalId, staker).call());
+    }
+
+    async getClaimed(proposalId, staker) {
+        return toBN(await this.contract.methods.getClaimed(proposalId, staker).call());
+    }
+
+    // Finds every proposal that a staker can claim from, as [{ proposalId, amount }].
+    async getClaimablePositions(staker) {
+        const numProposals = await this.getNumProposals();
+        const ids = [...Array(numProposals).keys()];
+        const amounts = await Promise.all(ids.map(id => this.getClaimable(id, staker)));
+        return ids
+            .map((proposalId, i) => ({ proposalId, amount: amounts[i] }))
+            .filter(position => !position.amount.isZero());
+    }
+
+    async getUpstake(proposalId, staker) {
+        return toBN(await this.contract.methods.getUpstake(proposalId, staker).call());
+    }
+
+    async getDownstake(proposalId, staker) {
+        return toBN(await this.contract.methods.getDownstake(proposalId, staker).call());
+    }
+
+    async getConfidence(proposalId) {
+        return toBN(await this.contract.methods.getConfidence(proposalId).call());
+    }
+
+    // Confidence that a proposal currently needs to be pended, scaled like getConfidence.
+    async getConfidenceThreshold() {
+        return toBN(await this.contract.methods.getConfidenceThreshold().call());
+    }
+
+    // Stake tokens available to pay compensation fees, which are kept apart from the stakes.
+    async getCompensationFunds() {
+        return toBN(await this.contract.methods.compensationFunds().call());
+    }
+
+    // Date from which an account can create its next proposal, or null if it can already.
+    async getNextProposalDate(account) {
+        const [lastProposalDate, proposalCooldown, latestBlock] = await Promise.all([
+            this.contract.methods.lastProposalDates(account).call(),
+            this.contract.methods.proposalCooldown().call(),
+            this.web3.eth.getBlock('latest')
+        ]);
+        const nextProposalDate = parseInt(lastProposalDate, 10) + parseInt(proposalCooldown, 10);
+        return nextProposalDate > latestBlock.timestamp ? toDate(nextProposalDate) : null;
+    }
+
+    async getNumBoostedProposals() {
+        return parseInt(await this.contract.methods.numBoostedProposals().call(), 10);
+    }
+
+    async hasRole(role, entity) {
+        return this.contract.methods.hasRole(toRole(role), entity).call();
+    }
+
+    async getVoteToken() {
+        return this._getToken('voteToken');
+    }
+
+    async getStakeToken() {
+        return this._getToken('stakeToken');
+    }
+
+    // Nonce that the signer's next signed vote or stake must have.
+    async getSignatureNonce(signer) {
+        return parseInt(await this.contract.methods.nonces(signer).call(), 10);
+    }
+
+    /*
+     * Administration.
+     * Roles can be given by name, e.g. 'MODIFY_SUPPORT_ROLE', or by hash.
+     */
+
+    async grantRole(role, entity, txParams) {
+        return this._send(this.contract.methods.grantRole(toRole(role), entity), txParams);
+    }
+
+    async revokeRole(role, entity, txParams) {
+        return this._send(this.contract.methods.revokeRole(toRole(role), entity), txParams);
+    }
+
+    async setSupportPct(supportPct, txParams) {
+        return this._send(this.contract.methods.setSupportPct(supportPct), txParams);
+    }
+
+    // All periods are set at once, since they are validated against each other.
+    async setPeriods(periods, txParams) {
+        return this._send(this.contract.methods.setPeriods(
+            periods.queuePeriod,
+            periods.boostPeriod,
+            periods.quietEndingPeriod,
+            periods.pendedBoostPeriod
+        ), txParams);
+    }
+
+    async setCompensationFeePct(compensationFeePct, txParams) {
+        return this._send(this.contract.methods.setCompensationFeePct(compensationFeePct), txParams);
+    }
+
+    // Curve is a name of hcMath.FEE_CURVES, and period is ignored by the Linear curve.
+    async setCompensationFeeCurve(curve, period, txParams) {
+        const curve_ = hcMath.FEE_CURVES.indexOf(curve);
+        if(curve_ === -1) throw new Error(`Unknown fee curve ${curve}, expected one of ${hcMath.FEE_CURVES.join(', ')}`);
+        return this._send(this.contract.methods.setCompensationFeeCurve(curve_, period), txParams);
+    }
+
+    async setConfidenceThresholdBase(confidenceThresholdBase, txParams) {
+        return this._send(this.contract.methods.setConfidenceThresholdBase(confidenceThresholdBase), txParams);
+    }
+
+    // Both limits are set at once, and 0 disables them.
+    async setProposalLimits(limits, txParams) {
+        return this._send(this.contract.methods.setProposalLimits(
+            toBN(limits.creationDeposit).toString(),
+            limits.proposalCooldown
+        ), txParams);
+    }
+
+    /*
+     * Transactions.
+     */
+
+    // Metadata can be given as a document, see metadata.js, or as a title.
+    // The document is added to the metadata store, and the contract only keeps its hash.
+    // The creation deposit, if any, is approved first if needed.
+    async createProposal(metadata, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const metadataHash = this._putMetadata(metadata);
+        await this._approveCreationDeposit(txParams_);
+        const receipt = await this._send(this.contract.methods.createProposal(metadataHash), txParams_);
+        const proposalId = parseInt(receipt.events.ProposalCreated.returnValues._proposalId, 10);
+        return { proposalId, metadataHash, receipt };
+    }
+
+    // Creates a proposal that runs a script when resolved in favour.
+    // The script can be given encoded, or as a list of calls { to, value, data }.
+    async createExecutableProposal(metadata, script, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const encoded = typeof script === 'string' ? script : executionScript.encode(script);
+        const metadataHash = this._putMetadata(metadata);
+        await this._approveCreationDeposit(txParams_);
+        const receipt = await this._send(this.contract.methods.createExecutableProposal(metadataHash, encoded), txParams_);
+        const proposalId = parseInt(receipt.events.ProposalCreated.returnValues._proposalId, 10);
+        return { proposalId, metadataHash, receipt };
+    }
+
+    // Withdraws a proposal created by the sender, refunding its deposit, as long as nobody ever voted or staked on it.
+    async cancelProposal(proposalId, txParams) {
+        return this._send(this.contract.methods.cancelProposal(proposalId), txParams);
+    }
+
+    async executeProposal(proposalId, txParams) {
+        return this._send(this.contract.methods.executeProposal(proposalId), txParams);
+    }
+
+    async vote(proposalId, supports, txParams) {
+        return this._send(this.contract.methods.vote(proposalId, supports), txParams);
+    }
+
+    // Commits a vote with a new salt, which is kept in the salt store until the vote is revealed.
+    async commitVote(proposalId, supports, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const { commitment } = this.saltStore.create(this.address, proposalId, txParams_.from, supports);
+        const receipt = await this._send(this.contract.methods.commitVote(proposalId, commitment), txParams_);
+        return { commitment, receipt };
+    }
+
+    // Reveals a vote committed by voter (default: the sender) with its stored salt, which is then forgotten.
+    async revealVote(proposalId, voter, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const voter_ = voter || txParams_.from;
+        const vote = this.saltStore.get(this.address, proposalId, voter_);
+        if(!vote) throw new Error(`No salt stored for the vote of ${voter_} on proposal ${proposalId}`);
+        const receipt = await this._send(this.contract.methods.revealVote(proposalId, voter_, vote.supports, vote.salt), txParams_);
+        this.saltStore.remove(this.address, proposalId, voter_);
+        return receipt;
+    }
+
+    // Delegates the sender's vote token balance, for proposals created afterwards.
+    // Delegating to oneself or to null removes the delegation.
+    async delegate(delegatee, txParams) {
+        const voteToken = await this.getVoteToken();
+        return this._send(voteToken.methods.delegate(delegatee || ZERO_ADDRESS), txParams);
+    }
+
+    // Stakes on a proposal, first approving the contract to transfer the sender's tokens if needed.
+    async stake(proposalId, amount, supports, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const amount_ = toBN(amount);
+        await this._approveStakeTokens(amount_, txParams_);
+        return this._send(this.contract.methods.stake(proposalId, amount_.toString(), supports), txParams_);
+    }
+
+    // Adds stake tokens to the funds that pay compensation fees, approving them if needed.
+    async fundCompensations(amount, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const amount_ = toBN(amount);
+        await this._approveStakeTokens(amount_, txParams_);
+        return this._send(this.contract.methods.fundCompensations(amount_.toString()), txParams_);
+    }
+
+    /*
+     * Signed votes and stakes.
+     * Signed messages are plain objects that can be sent around as JSON, and submitted by anyone.
+     * Signing options: from (default: the sender, which must be an account of the node),
+     * nonce (default: the signer's next nonce) and deadline (secs, default: an hour after the latest block).
+     */
+
+    async signVote(proposalId, supports, options = {}) {
+        const { signer, nonce, deadline } = await this._signingOptions(options);
+        const message = { type: 'vote', voter: signer, proposalId: parseInt(proposalId, 10), supports, nonce, deadline };
+        message.signature = await signatures.signTypedData(this.web3, signer, this.toTypedData(message));
+        return message;
+    }
+
+    // Also signs a permit of the stake token for the staked amount, unless options.permit is false,
+    // with options.permitNonce or the signer's next permit nonce.
+    async signStake(proposalId, amount, supports, options = {}) {
+        const { signer, nonce, deadline } = await this._signingOptions(options);
+        const message = { type: 'stake', staker: signer, proposalId: parseInt(proposalId, 10), amount: toBN(amount).toString(), supports, nonce, deadline };
+        message.signature = await signatures.signTypedData(this.web3, signer, this.toTypedData(message));
+
+        message.permitSignature = '0x';
+        if(options.permit !== false) {
+            const stakeToken = await this.getStakeToken();
+            const permitNonce = options.permitNonce === undefined ? await stakeToken.methods.nonces(signer).call() : options.permitNonce;
+            const permit = signatures.permit(stakeToken.options.address, {
+                owner: signer,
+                spender: this.address,
+                value: message.amount,
+                nonce: permitNonce,
+                deadline
+            });
+            message.permitSignature = await signatures.signTypedData(this.web3, signer, permit);
+        }
+        return message;
+    }
+
+    // Typed data of a signed message, e.g. to recover its signer with signatures.recoverSigner.
+    toTypedData(message) {
+        if(message.type === 'vote') return signatures.vote(this.address, message);
+        if(message.type === 'stake') return signatures.stake(this.address, message);
+        throw new Error(`Unknown message type ${message.type}`);
+    }
+
+    async voteBySig(message, txParams) {
+        const { proposalId, supports, voter, deadline, signature } = message;
+        return this._send(this.contract.methods.voteBySig(proposalId, supports, voter, deadline, signature), txParams);
+    }
+
+    async stakeBySig(message, txParams) {
+        const { proposalId, amount, supports, staker, deadline, signature, permitSignature } = message;
+        return this._send(this.contract.methods.stakeBySig(proposalId, amount, supports, staker, deadline, signature, permitSignature || '0x'), txParams);
+    }
+
+    async submitSigned(message, txParams) {
+        if(message.type === 'vote') return this.voteBySig(message, txParams);
+        if(message.type === 'stake') return this.stakeBySig(message, txParams);
+        throw new Error(`Unknown message type ${message.type}`);
+    }
+
+    async unstake(proposalId, amount, supports, txParams) {
+        return this._send(this.contract.methods.unstake(proposalId, toBN(amount).toString(), supports), txParams);
+    }
+
+    async updateProposalConfidence(proposalId, txParams) {
+        return this._send(this.contract.methods.updateProposalConfidence(proposalId), txParams);
+    }
+
+    // Boosting, expiring and resolving pay the sender a compensation fee. These throw a CompensationsDepletedError
+    // instead of sending when the compensation funds can't cover it, unless options.allowPartialFee is set.
+    // Note: Instead of being boosted, a proposal that lacks confidence is unpended, and one pended before
+    // the confidence threshold last rose restarts its pendedBoostPeriod, without paying a compensation fee.
+    async boostProposal(proposalId, txParams, options = {}) {
+        await this._requireFullCompensation('boostProposal', proposalId, options);
+        return this._send(this.contract.methods.boostProposal(proposalId), txParams);
+    }
+
+    async expireNonBoostedProposal(proposalId, txParams, options = {}) {
+        await this._requireFullCompensation('expireNonBoostedProposal', proposalId, options);
+        return this._send(this.contract.methods.expireNonBoostedProposal(proposalId), txParams);
+    }
+
+    async resolveBoostedProposal(proposalId, txParams, options = {}) {
+        await this._requireFullCompensation('resolveBoostedProposal', proposalId, options);
+        return this._send(this.contract.methods.resolveBoostedProposal(proposalId), txParams);
+    }
+
+    async withdrawStakeFromExpiredQueuedProposal(proposalId, txParams) {
+        return this._send(this.contract.methods.withdrawStakeFromExpiredQueuedProposal(proposalId), txParams);
+    }
+
+    async withdrawRewardFromResolvedProposal(proposalId, txParams) {
+        return this._send(this.contract.methods.withdrawRewardFromResolvedProposal(proposalId), txParams);
+    }
+
+    // Claims from the given proposals, or from all the sender's claimable positions, in one transaction.
+    // Returns null if there is nothing to claim.
+    async claimMany(proposalIds, txParams) {
+        const txParams_ = this._txParams(txParams);
+        const ids = proposalIds || (await this.getClaimablePositions(txParams_.from)).map(position => position.proposalId);
+        if(ids.length === 0) return null;
+        return this._send(this.contract.methods.claimMany(ids), txParams_);
+    }
+
+    /*
+     * Events.
+     * Each subscription function returns a function that cancels the subscription.
+     * Callbacks receive (error, decodedEvent).
+     */
+
+    onProposalStateChanged(callback, options) {
+        return this.subscribe(['ProposalStateChanged'], callback, options);
+    }
+
+    onVoteCasted(callback, options) {
+        return this.subscribe(['VoteCasted'], callback, options);
+    }
+
+    onStake(callback, options) {
+        return this.subscribe(STAKE_EVENTS, callback, options);
+    }
+
+    // Polls for new events instead of using web3 subscriptions, since these are not available with http providers.
+    // Options: fromBlock (defaults to the next block), filter (indexed values) and interval (ms).
+    subscribe(eventNames, callback, options = {}) {
+        const interval = options.interval || 1000;
+        let fromBlock = options.fromBlock;
+        let stopped = false;
+        let timeout;
+
+        const poll = async () => {
+            try {
+                const latestBlock = await this.web3.eth.getBlockNumber();
+                if(fromBlock === undefined) fromBlock = latestBlock + 1;
+                if(fromBlock <= latestBlock) {
+                    const results = await Promise.all(eventNames.map(eventName => this.contract.getPastEvents(eventName, {
+                        filter: options.filter,
+                        fromBlock,
+                        toBlock: latestBlock
+                    })));
+                    fromBlock = latestBlock + 1;
+                    const events = [].concat(...results).sort(compareEvents);
+                    events.forEach(event => {
+                        if(!stopped) callback(null, decodeEvent(event));
+                    });
+                }
+            }
+            catch(error) {
+                if(!stopped) callback(error);
+            }
+            if(!stopped) timeout = setTimeout(poll, interval);
+        };
+        poll();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timeout);
+        };
+    }
+
+    /*
+     * Utility functions.
+     */
+
+    _txParams(txParams) {
+        return { ...this.txParams, ...txParams };
+    }
+
+    // Sends a transaction, throwing reverts as typed errors, e.g. ProposalIsClosedError.
+    // Previews the fee that a compensated transaction would pay now, leaving the contract to revert
+    // transactions that can't be performed, e.g. on proposals that don't exist.
+    async _requireFullCompensation(method, proposalId, options) {
+        if(options.allowPartialFee || parseInt(proposalId, 10) >= await this.getNumProposals()) return;
+        const [proposal, settings, compensationFunds, block] = await Promise.all([
+            this.getProposal(proposalId),
+            this.getSettings(),
+            this.getCompensationFunds(),
+            this.web3.eth.getBlock('latest')
+        ]);
+        const action = getReadyAction(proposal, settings, block.timestamp, compensationFunds);
+        if(action !== null && action.method === method && action.depleted) throw new CompensationsDepletedError(action, compensationFunds);
+    }
+
+    async _send(method, txParams) {
+        try {
+            return await method.send(this._txParams(txParams));
+        }
+        catch(error) {
+            throw await reverts.toRevertError(error, this.web3);
+        }
+    }
+
+    async _signingOptions(options) {
+        const signer = options.from || this._txParams().from;
+        const nonce = options.nonce === undefined ? await this.getSignatureNonce(signer) : options.nonce;
+        const deadline = options.deadline === undefined
+            ? (await this.web3.eth.getBlock('latest')).timestamp + DEFAULT_SIGNATURE_LIFETIME
+            : options.deadline;
+        return { signer, nonce, deadline };
+    }
+
+    async _approveStakeTokens(amount, txParams) {
+        const stakeToken = await this.getStakeToken();
+        const allowance = toBN(await stakeToken.methods.allowance(txParams.from, this.address).call());
+        if(allowance.lt(amount)) {
+            await this._send(stakeToken.methods.approve(this.address, amount.toString()), txParams);
+        }
+    }
+
+    async _approveCreationDeposit(txParams) {
+        const creationDeposit = toBN(await this.contract.methods.creationDeposit().call());
+        if(!creationDeposit.isZero()) await this._approveStakeTokens(creationDeposit, txParams);
+    }
+
+    _putMetadata(metadata) {
+        return this.metadataStore.put(typeof metadata === 'string' ? proposalMetadata.fromTitle(metadata) : metadata);
+    }
+
+    async _getToken(getterName) {
+        const address = await this.contract.methods[getterName]().call();
+        return new this.web3.eth.Contract(loadArtifacts('Token').abi, address);
+    }
+}
+
+module.exports = {
+    HCClient,
+    ROLES,
+    ANY_ENTITY,
+    decodeProposal,
+    decodeEvent,
+    decodeTokenEvent,
+    getReadyAction,
+    CompensationsDepletedError,
+    loadArtifacts,
+    toBN
+};
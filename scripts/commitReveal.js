@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Web3 = require('web3');
+const enums = require('./enums.js');
+
+// Helpers for voters in commit-reveal mode, see HCCommitReveal.sol.
+// A committed vote can only be revealed with its salt, and anyone that learns the salt can reveal it,
+// so salts are random, kept on disk until the vote is revealed, and only readable by their owner.
+
+const web3 = new Web3();
+
+// 32 random bytes from the OS's secure random generator.
+const createSalt = () => '0x' + crypto.randomBytes(32).toString('hex');
+
+// Port of HCCommitReveal.getVoteCommitmentHash.
+const hashVote = (proposalId, voter, supports, salt) => web3.utils.soliditySha3(
+    { type: 'uint256', value: `${proposalId}` },
+    { type: 'address', value: voter },
+    { type: 'bool', value: supports },
+    { type: 'bytes32', value: salt }
+);
+
+// Phase of the voting on a decoded proposal at the given time (secs):
+// Open when votes aren't committed, Commit, Reveal, or Ended once the proposal can't be voted on anymore.
+const getVotePhase = (proposal, revealPeriod, now) => {
+    if(!revealPeriod) return 'Open';
+    const endDate = proposal.expiryDate.getTime() / 1000;
+    if(enums.ClosedProposalStates.includes(proposal.state) || now >= endDate) return 'Ended';
+    return now + revealPeriod >= endDate ? 'Reveal' : 'Commit';
+};
+
+// Keeps committed votes { proposalId, voter, supports, salt, commitment } in a directory,
+// one file per HC contract, proposal and voter.
+// Note: Votes are stored before their commitment is sent, so that a vote is never committed without its salt.
+class SaltStore {
+
+    constructor(dir = path.join('data', 'salts')) {
+        this.dir = dir;
+    }
+
+    _path(hcAddress, proposalId, voter) {
+        return path.join(this.dir, hcAddress.toLowerCase(), `${parseInt(proposalId, 10)}-${voter.toLowerCase()}.json`);
+    }
+
+    // Creates and stores a salt for a vote, returning the committed vote.
+    create(hcAddress, proposalId, voter, supports) {
+        const salt = createSalt();
+        const vote = { proposalId: parseInt(proposalId, 10), voter, supports, salt, commitment: hashVote(proposalId, voter, supports, salt) };
+        this.put(hcAddress, vote);
+        return vote;
+    }
+
+    put(hcAddress, vote) {
+        const filePath = this._path(hcAddress, vote.proposalId, vote.voter);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(vote), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    // Returns the committed vote of a voter on a proposal, or null if none is stored.
+    get(hcAddress, proposalId, voter) {
+        const filePath = this._path(hcAddress, proposalId, voter);
+        if(!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    // All the committed votes stored for an HC contract, e.g. to reveal them.
+    list(hcAddress) {
+        const dir = path.join(this.dir, hcAddress.toLowerCase());
+        if(!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+            .sort((a, b) => a.proposalId - b.proposalId);
+    }
+
+    // Forgets a vote once it is revealed, or can't be anymore.
+    remove(hcAddress, proposalId, voter) {
+        const filePath = this._path(hcAddress, proposalId, voter);
+        if(fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }
+}
+
+module.exports = {
+    createSalt,
+    hashVote,
+    getVotePhase,
+    SaltStore
+};
@@ -1,24 +1,287 @@
 const fs = require('fs');
-const pocketh = require('./pocketh.js');
-
-// Retrieve a list of all contracts to compile.
-const contractPaths = fs.readdirSync('./contracts/');
-console.log(`Compiling contracts:`, contractPaths);
-
-// Cleanup previous compilations.
-const buildPath = './build/';
-if(fs.existsSync(buildPath)) {
-    fs.readdirSync(buildPath).forEach(function(file) {
-        const filePath = buildPath + '/' + file;
-        fs.unlinkSync(filePath);
-    })
-    fs.rmdirSync(buildPath);
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const setupMethods = require('solc/wrapper');
+
+// Compiles contracts/ into build/ with solc-js.
+// The compiler version is pinned and its binary kept in a local cache, and each source file is only
+// recompiled when it, one of its imports, the compiler or the settings change.
+
+const COMPILER_VERSION = 'v0.4.24+commit.e67f0147';
+const COMPILER_URL = `https://binaries.soliditylang.org/bin/soljson-${COMPILER_VERSION}.js`;
+
+// Note: The optimizer favours size over gas, since HolographicConsensus is close to the contract size limit.
+const SETTINGS = {
+    optimizer: {
+        enabled: true,
+        runs: 1
+    },
+    outputSelection: {
+        '*': {
+            '*': [
+                'abi',
+                'metadata',
+                'evm.bytecode.object',
+                'evm.bytecode.sourceMap',
+                'evm.deployedBytecode.object',
+                'evm.deployedBytecode.sourceMap'
+            ],
+            '': ['ast']
+        }
+    }
+};
+
+const DEFAULTS = {
+    contractsDir: 'contracts',
+    buildDir: 'build',
+    cacheDir: 'cache',
+    force: false,
+    log: console.log
+};
+
+/*
+ * Compiler.
+ */
+
+const download = (url, file) => new Promise((resolve, reject) => {
+    https.get(url, response => {
+        if(response.statusCode !== 200) {
+            response.resume();
+            reject(new Error(`Could not download ${url}: ${response.statusCode} ${response.statusMessage}`));
+            return;
+        }
+        const stream = fs.createWriteStream(`${file}.tmp`);
+        response.pipe(stream);
+        stream.on('finish', () => {
+            fs.renameSync(`${file}.tmp`, file);
+            resolve();
+        });
+        stream.on('error', reject);
+    }).on('error', reject);
+});
+
+// Loads the pinned compiler from the cache, filling the cache from the installed solc package
+// when it is the pinned version, or downloading the binary otherwise.
+const compilers = {};
+const loadCompiler = async (cacheDir = DEFAULTS.cacheDir, log = DEFAULTS.log) => {
+    const file = path.resolve(cacheDir, 'solc', `soljson-${COMPILER_VERSION}.js`);
+    if(compilers[file]) return compilers[file];
+
+    if(!fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const installedVersion = require('solc/package.json').version;
+        if(COMPILER_VERSION.startsWith(`v${installedVersion}+`)) {
+            fs.copyFileSync(require.resolve('solc/soljson.js'), file);
+        }
+        else {
+            log(`Downloading solc ${COMPILER_VERSION}...`);
+            await download(COMPILER_URL, file);
+        }
+    }
+
+    const compiler = setupMethods(require(file));
+    if(!compiler.version().startsWith(COMPILER_VERSION.slice(1))) {
+        throw new Error(`Expected solc ${COMPILER_VERSION} in ${file}, found ${compiler.version()}`);
+    }
+    compilers[file] = compiler;
+    return compiler;
+};
+
+/*
+ * Sources.
+ */
+
+const IMPORT_REGEX = /^\s*import\s+["']([^"']+)["']/gm;
+
+// Returns a source file and all the files it imports, by path relative to the contracts directory.
+const collectSources = (contractsDir, sourcePath, sources = {}) => {
+    if(sources[sourcePath] !== undefined) return sources;
+    const content = fs.readFileSync(path.join(contractsDir, sourcePath), 'utf8');
+    sources[sourcePath] = content;
+
+    let match;
+    IMPORT_REGEX.lastIndex = 0;
+    const imports = [];
+    while((match = IMPORT_REGEX.exec(content)) !== null) imports.push(match[1]);
+    imports.forEach(importPath => {
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(sourcePath), importPath));
+        collectSources(contractsDir, resolved, sources);
+    });
+    return sources;
+};
+
+const getContentHash = (sources) => {
+    const hash = crypto.createHash('sha256');
+    hash.update(COMPILER_VERSION);
+    hash.update(JSON.stringify(SETTINGS));
+    Object.keys(sources).sort().forEach(sourcePath => {
+        hash.update(sourcePath);
+        hash.update(sources[sourcePath]);
+    });
+    return `0x${hash.digest('hex')}`;
+};
+
+/*
+ * Artifacts.
+ */
+
+const readArtifacts = (buildDir) => {
+    if(!fs.existsSync(buildDir)) return [];
+    return fs.readdirSync(buildDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file: path.join(buildDir, file), artifact: JSON.parse(fs.readFileSync(path.join(buildDir, file), 'utf8')) }));
+};
+
+// Collects the ERROR_* string constants declared by a contract and the contracts it inherits from,
+// e.g. ERROR_PROPOSAL_IS_CLOSED => { PROPOSAL_IS_CLOSED: 'VOTING_ERROR_PROPOSAL_IS_CLOSED' }.
+const extractErrors = (contractName, sourcePath, output) => {
+    const definitions = {};
+    Object.keys(output.sources).forEach(key => output.sources[key].ast.nodes
+        .filter(node => node.nodeType === 'ContractDefinition')
+        .forEach(node => definitions[node.id] = node));
+    const contract = output.sources[sourcePath].ast.nodes
+        .find(node => node.nodeType === 'ContractDefinition' && node.name === contractName);
+
+    const errors = {};
+    contract.linearizedBaseContracts.slice().reverse().forEach(id => definitions[id].nodes
+        .filter(node => node.nodeType === 'VariableDeclaration' && node.constant && node.name.startsWith('ERROR_'))
+        .filter(node => node.value && node.value.nodeType === 'Literal' && node.value.kind === 'string')
+        .forEach(node => errors[node.name.slice('ERROR_'.length)] = node.value.value));
+    return errors;
+};
+
+const buildArtifact = (contractName, sourcePath, sources, contentHash, output) => {
+    const contract = output.contracts[sourcePath][contractName];
+    return {
+        contractName,
+        abi: contract.abi,
+        metadata: contract.metadata,
+        bytecode: contract.evm.bytecode.object,
+        deployedBytecode: contract.evm.deployedBytecode.object,
+        sourceMap: contract.evm.bytecode.sourceMap,
+        deployedSourceMap: contract.evm.deployedBytecode.sourceMap,
+        sourcePath,
+        sources,
+        ast: output.sources[sourcePath].ast,
+        errors: extractErrors(contractName, sourcePath, output),
+        compiler: {
+            name: 'solc',
+            version: COMPILER_VERSION,
+            settings: { optimizer: SETTINGS.optimizer }
+        },
+        contentHash
+    };
+};
+
+/*
+ * Compilation.
+ */
+
+const formatMessage = (error) => (error.formattedMessage || error.message).trim();
+
+// Compiles every source file whose content hash differs from the one recorded in its artifacts.
+// Returns the compiled and skipped source paths, and the errors and warnings reported by the compiler.
+const compile = async (options = {}) => {
+    const { contractsDir, buildDir, cacheDir, force, log } = { ...DEFAULTS, ...options };
+    const compiler = await loadCompiler(cacheDir, log);
+    const result = { compiled: [], skipped: [], errors: [], warnings: [] };
+
+    fs.mkdirSync(buildDir, { recursive: true });
+    const artifacts = readArtifacts(buildDir);
+    const sourcePaths = fs.readdirSync(contractsDir).filter(file => file.endsWith('.sol')).sort();
+
+    // Remove artifacts of deleted source files, and of files that were not built by this script.
+    artifacts
+        .filter(({ artifact }) => !artifact.sourcePath || !sourcePaths.includes(artifact.sourcePath))
+        .forEach(({ file }) => fs.unlinkSync(file));
+
+    sourcePaths.forEach(sourcePath => {
+        const sources = collectSources(contractsDir, sourcePath);
+        const contentHash = getContentHash(sources);
+
+        const previous = artifacts.filter(({ artifact }) => artifact.sourcePath === sourcePath);
+        if(!force && previous.length > 0 && previous.every(({ artifact }) => artifact.contentHash === contentHash)) {
+            result.skipped.push(sourcePath);
+            return;
+        }
+
+        log(`Compiling ${sourcePath}...`);
+        const input = {
+            language: 'Solidity',
+            sources: Object.keys(sources).reduce((inputSources, key) => ({ ...inputSources, [key]: { content: sources[key] } }), {}),
+            settings: SETTINGS
+        };
+        const output = JSON.parse(compiler.compileStandardWrapper(JSON.stringify(input)));
+
+        // Report only the messages of the file being compiled, since imported files report their own.
+        const messages = (output.errors || [])
+            .filter(error => !error.sourceLocation || error.sourceLocation.file === sourcePath || error.severity === 'error');
+        const errors = messages.filter(error => error.severity === 'error').map(formatMessage);
+        const warnings = messages.filter(error => error.severity !== 'error').map(formatMessage);
+        errors.forEach(error => log(error));
+        warnings.forEach(warning => log(warning));
+        result.errors.push(...errors);
+        result.warnings.push(...warnings);
+        if(errors.length > 0) return;
+
+        previous.forEach(({ file }) => fs.unlinkSync(file));
+        Object.keys(output.contracts[sourcePath] || {}).forEach(contractName => {
+            const artifact = buildArtifact(contractName, sourcePath, sources, contentHash, output);
+            fs.writeFileSync(path.join(buildDir, `${contractName}.json`), JSON.stringify(artifact, null, 2));
+        });
+        result.compiled.push(sourcePath);
+    });
+
+    log(`Compiled ${result.compiled.length} files, ${result.skipped.length} unchanged, ${result.errors.length} errors, ${result.warnings.length} warnings`);
+    return result;
+};
+
+// Recompiles whenever a source file changes. Returns a function that stops watching.
+const watch = (options = {}) => {
+    const { contractsDir, log } = { ...DEFAULTS, ...options };
+
+    let timeout;
+    let compiling = Promise.resolve();
+    const recompile = () => {
+        compiling = compiling
+            .then(() => compile(options))
+            .catch(error => log(`Error: ${error.message}`));
+    };
+
+    const watcher = fs.watch(contractsDir, (eventType, file) => {
+        if(file && !file.endsWith('.sol')) return;
+        clearTimeout(timeout);
+        timeout = setTimeout(recompile, 200);
+    });
+    recompile();
+    log(`Watching ${contractsDir} for changes...`);
+
+    return () => {
+        clearTimeout(timeout);
+        watcher.close();
+        return compiling;
+    };
+};
+
+module.exports = {
+    COMPILER_VERSION,
+    loadCompiler,
+    compile,
+    watch
+};
+
+// Usage: node scripts/compile.js [--watch] [--force]
+if(require.main === module) {
+    const args = process.argv.slice(2);
+    const options = { force: args.includes('--force') };
+    if(args.includes('--watch')) watch(options);
+    else {
+        compile(options)
+            .then(result => process.exit(result.errors.length > 0 ? 1 : 0))
+            .catch(error => {
+                console.error(error.message);
+                process.exit(1);
+            });
+    }
 }
-fs.mkdirSync(buildPath);
-
-// Compile all contracts.
-contractPaths.reduce(async (previousPromise, contractPath) => {
-  await previousPromise;
-    console.log(`\n>>> Compiling ${contractPath}...`);
-  return pocketh(`compile`, `contracts/${contractPath}`, `build/`, `0.4.24`);
-}, Promise.resolve());
@@ -0,0 +1,346 @@
+const readline = require('readline');
+const BN = require('bn.js');
+const { HCClient } = require('./client.js');
+const hcMath = require('./hcMath.js');
+const enums = require('./enums.js');
+
+// Terminal dashboard of the proposals of an HC contract, updated live from the contract's events.
+// Keys: up/down or k/j select a proposal, enter shows its voters and stakers, escape goes back, q quits.
+
+// Events that change what the dashboard shows for the proposal they were emitted for.
+const WATCHED_EVENTS = [
+    'ProposalCreated',
+    'ProposalStateChanged',
+    'ProposalLifetimeExtended',
+    'ProposalExecuted',
+    'VoteCasted',
+    'DelegatedVoteOverridden',
+    'UpstakeProposal',
+    'DownstakeProposal',
+    'WithdrawUpstake',
+    'WithdrawDownstake',
+    'StakeClaimed'
+];
+
+const STAKE_EVENTS = ['UpstakeProposal', 'DownstakeProposal', 'WithdrawUpstake', 'WithdrawDownstake'];
+
+const CLEAR_SCREEN = '\x1b[2J\x1b[H';
+const INVERSE = '\x1b[7m';
+const RESET = '\x1b[0m';
+
+const toSecs = (date) => date === null ? 0 : date.getTime() / 1000;
+
+/*
+ * Formatting.
+ */
+
+// e.g. 1d 2h, 3h 4m or 5m 6s.
+const formatCountdown = (secs) => {
+    if(secs <= 0) return 'now';
+    const days = Math.floor(secs / 86400);
+    const hours = Math.floor((secs % 86400) / 3600);
+    const minutes = Math.floor((secs % 3600) / 60);
+    if(days > 0) return `${days}d ${hours}h`;
+    if(hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${Math.floor(secs % 60)}s`;
+};
+
+// Percentage with one decimal, e.g. 33.3%.
+const formatPct = (value, total) => {
+    if(hcMath.toBN(total).isZero()) return '-';
+    const permille = hcMath.toBN(value).muln(1000).div(hcMath.toBN(total)).toNumber();
+    return `${Math.floor(permille / 10)}.${permille % 10}%`;
+};
+
+// Values scaled by PRECISION_MULTIPLIER, with two decimals.
+const formatScaled = (value) => {
+    const hundredths = value.muln(100).div(hcMath.PRECISION_MULTIPLIER);
+    if(hundredths.gt(new BN(10).pow(new BN(12)))) return 'max';
+    const whole = hundredths.divn(100).toString();
+    return `${whole}.${`${hundredths.modn(100)}`.padStart(2, '0')}`;
+};
+
+const fit = (text, width) => {
+    text = `${text}`;
+    return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+};
+
+// Seconds until each deadline of a proposal, or null for the deadlines that don't apply to its state:
+// expiry: when open proposals can be expired or resolved.
+// boost: when a pended proposal can be boosted, if it keeps its confidence.
+// quietEnding: when a boosted proposal enters its quiet ending window, in which flipping its support extends it.
+const getDeadlines = (proposal, settings, now) => {
+    const deadlines = { expiry: null, boost: null, quietEnding: null };
+    if(enums.ClosedProposalStates.includes(proposal.state)) return deadlines;
+
+    const expiryDate = toSecs(proposal.startDate) + proposal.lifetime;
+    deadlines.expiry = expiryDate - now;
+    if(proposal.state === 'Pended') deadlines.boost = toSecs(proposal.lastPendedDate) + settings.pendedBoostPeriod - now;
+    if(proposal.state === 'Boosted') deadlines.quietEnding = expiryDate - settings.quietEndingPeriod - now;
+    return deadlines;
+};
+
+const COLUMNS = [
+    { title: 'ID', width: 4 },
+    { title: 'State', width: 9 },
+    { title: 'Title', width: 24 },
+    { title: 'Yea', width: 7 },
+    { title: 'Nay', width: 7 },
+    { title: 'Upstake', width: 9 },
+    { title: 'Downstake', width: 9 },
+    { title: 'Confidence', width: 10 },
+    { title: 'Expires', width: 8 },
+    { title: 'Boost', width: 8 },
+    { title: 'Quiet end', width: 9 }
+];
+
+// Rows are { proposal, title, totalWeight }, where totalWeight is the total weight of the votes on the proposal.
+// Votes are shown as percentages of it, which must exceed supportPct for absolute majority.
+const renderTable = (rows, settings, confidenceThreshold, now, selected = null) => {
+    const countdown = (secs) => secs === null ? '' : formatCountdown(secs);
+    const header = [
+        `Proposals: ${rows.length}  support: ${settings.supportPct}%  confidence threshold: ${formatScaled(confidenceThreshold)}`,
+        '',
+        COLUMNS.map(column => fit(column.title, column.width)).join(' ')
+    ];
+    const lines = rows.map((row, i) => {
+        const { proposal } = row;
+        const deadlines = getDeadlines(proposal, settings, now);
+        const line = [
+            proposal.id,
+            proposal.state,
+            row.title === null ? '(no metadata)' : row.title,
+            formatPct(proposal.yea, row.totalWeight),
+            formatPct(proposal.nay, row.totalWeight),
+            proposal.upstake,
+            proposal.downstake,
+            formatScaled(hcMath.calculateConfidence(proposal.upstake, proposal.downstake)),
+            countdown(deadlines.expiry),
+            countdown(deadlines.boost),
+            countdown(deadlines.quietEnding)
+        ].map((value, j) => fit(value, COLUMNS[j].width)).join(' ');
+        return i === selected ? `${INVERSE}${line}${RESET}` : line;
+    });
+    return header.concat(lines.length > 0 ? lines : ['No proposals']);
+};
+
+// Participants are { voters: [{ address, vote, votingPower }], stakers: [{ address, upstake, downstake }] }.
+const renderDetail = (row, participants, settings, now) => {
+    const { proposal } = row;
+    const deadlines = getDeadlines(proposal, settings, now);
+    const lines = [
+        `Proposal ${proposal.id}: ${row.title === null ? '(no metadata)' : row.title}`,
+        `  state: ${proposal.state}`,
+        `  yea: ${proposal.yea} (${formatPct(proposal.yea, row.totalWeight)})  nay: ${proposal.nay} (${formatPct(proposal.nay, row.totalWeight)})  support required: ${settings.supportPct}%`,
+        `  upstake: ${proposal.upstake}  downstake: ${proposal.downstake}`
+    ];
+    if(deadlines.expiry !== null) lines.push(`  expires in: ${formatCountdown(deadlines.expiry)}`);
+    if(deadlines.boost !== null) lines.push(`  boostable in: ${formatCountdown(deadlines.boost)}`);
+    if(deadlines.quietEnding !== null) lines.push(`  quiet ending in: ${formatCountdown(deadlines.quietEnding)}`);
+
+    lines.push('', `Voters (${participants.voters.length}):`);
+    participants.voters.forEach(voter => lines.push(`  ${voter.address}  ${fit(voter.vote, 5)} ${voter.votingPower}`));
+    lines.push('', `Stakers (${participants.stakers.length}):`);
+    participants.stakers.forEach(staker => lines.push(`  ${staker.address}  up: ${staker.upstake}  down: ${staker.downstake}`));
+    lines.push('', 'escape: back  q: quit');
+    return lines;
+};
+
+/*
+ * Dashboard.
+ */
+
+class Dashboard {
+
+    // Options:
+    // output: stream the dashboard is drawn on.
+    // input: stream that keys are read from, or null to disable them.
+    // interval: time between polls for new events (ms).
+    constructor(client, options = {}) {
+        this.client = client;
+        this.output = options.output || process.stdout;
+        this.input = options.input === undefined ? process.stdin : options.input;
+        this.interval = options.interval || 1000;
+        this.log = options.log || (() => {});
+
+        this.rows = [];
+        this.selected = 0;
+        this.detail = null;
+        this.unsubscribe = null;
+        this.ticker = null;
+    }
+
+    // Loads all proposals, and the settings and chain time that the countdowns are computed from.
+    async load() {
+        const [settings, numProposals] = await Promise.all([
+            this.client.getSettings(),
+            this.client.getNumProposals()
+        ]);
+        this.settings = settings;
+        this.rows = await Promise.all([...Array(numProposals).keys()].map(id => this._loadRow(id)));
+        await this._loadChainState();
+    }
+
+    async start() {
+        await this.load();
+        this.render();
+
+        this.unsubscribe = this.client.subscribe(WATCHED_EVENTS, (error, event) => {
+            if(error) return this.log(`Dashboard update failed: ${error.message}`);
+            this._handleEvent(event).catch(error => this.log(`Dashboard update failed: ${error.message}`));
+        }, { interval: this.interval });
+
+        // Countdowns move between events.
+        this.ticker = setInterval(() => this.render(), 1000);
+
+        if(this.input) {
+            readline.emitKeypressEvents(this.input);
+            if(this.input.isTTY) this.input.setRawMode(true);
+            this.onKeypress = (str, key) => this.handleKey(key || {}, str);
+            this.input.on('keypress', this.onKeypress);
+        }
+    }
+
+    stop() {
+        if(this.unsubscribe) this.unsubscribe();
+        clearInterval(this.ticker);
+        this.unsubscribe = null;
+        this.ticker = null;
+        if(this.input && this.onKeypress) {
+            this.input.removeListener('keypress', this.onKeypress);
+            if(this.input.isTTY) this.input.setRawMode(false);
+            this.input.pause();
+        }
+    }
+
+    // Chain time, estimated from the latest block's timestamp and the time elapsed since it was read.
+    now() {
+        return this.blockTimestamp + Math.floor((Date.now() - this.loadedAt) / 1000);
+    }
+
+    getLines() {
+        if(this.detail) {
+            const row = this.rows[this.detail.proposalId];
+            return renderDetail(row, this.detail.participants, this.settings, this.now());
+        }
+        return renderTable(this.rows, this.settings, this.confidenceThreshold, this.now(), this.selected)
+            .concat(['', 'up/down: select  enter: voters and stakers  q: quit']);
+    }
+
+    render() {
+        this.output.write(CLEAR_SCREEN + this.getLines().join('\n') + '\n');
+    }
+
+    async handleKey(key, str) {
+        if(key.name === 'q' || (key.ctrl && key.name === 'c')) {
+            this.stop();
+            if(this.onQuit) this.onQuit();
+            return;
+        }
+        if(this.detail) {
+            if(key.name === 'escape' || key.name === 'backspace') this.detail = null;
+        }
+        else if(key.name === 'up' || str === 'k') this.selected = Math.max(0, this.selected - 1);
+        else if(key.name === 'down' || str === 'j') this.selected = Math.min(this.rows.length - 1, this.selected + 1);
+        else if(key.name === 'return' && this.rows.length > 0) await this.open(this.selected);
+        this.render();
+    }
+
+    // Shows the voters and stakers of a proposal.
+    async open(proposalId) {
+        this.detail = { proposalId, participants: await this._loadParticipants(proposalId) };
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    async _loadRow(proposalId) {
+        const proposal = await this.client.getProposal(proposalId);
+        const totalWeight = await this.client.getTotalWeight(proposalId);
+        let title = null;
+        try {
+            const metadata = await this.client.getProposalMetadata(proposalId);
+            if(metadata) title = metadata.title;
+        }
+        catch(e) {
+            this.log(`Invalid metadata for proposal ${proposalId}: ${e.message}`);
+        }
+        return { proposal, title, totalWeight };
+    }
+
+    async _loadChainState() {
+        const [confidenceThreshold, block] = await Promise.all([
+            this.client.getConfidenceThreshold(),
+            this.client.web3.eth.getBlock('latest')
+        ]);
+        this.confidenceThreshold = confidenceThreshold;
+        this.blockTimestamp = block.timestamp;
+        this.loadedAt = Date.now();
+    }
+
+    // Reloads the proposal that an event was emitted for, and the voters and stakers if they are shown.
+    async _handleEvent(event) {
+        this.rows[event.proposalId] = await this._loadRow(event.proposalId);
+        await this._loadChainState();
+        if(this.detail && this.detail.proposalId === event.proposalId) await this.open(event.proposalId);
+        this.render();
+    }
+
+    // Voters and stakers are found from the proposal's events, and their current votes and stakes read from the contract.
+    async _loadParticipants(proposalId) {
+        const filter = { _proposalId: proposalId };
+        const getAddresses = async (eventNames, key) => {
+            const results = await Promise.all(eventNames.map(eventName => this.client.contract.getPastEvents(eventName, { filter, fromBlock: 0 })));
+            const addresses = [].concat(...results).map(event => event.returnValues[key]);
+            return addresses.filter((address, i) => addresses.indexOf(address) === i);
+        };
+
+        const [voterAddresses, stakerAddresses] = await Promise.all([
+            getAddresses(['VoteCasted'], '_voter'),
+            getAddresses(STAKE_EVENTS, '_staker')
+        ]);
+        const voters = await Promise.all(voterAddresses.map(async address => ({
+            address,
+            vote: await this.client.getVote(proposalId, address),
+            votingPower: await this.client.getCastVotingPower(proposalId, address)
+        })));
+        const stakers = await Promise.all(stakerAddresses.map(async address => ({
+            address,
+            upstake: await this.client.getUpstake(proposalId, address),
+            downstake: await this.client.getDownstake(proposalId, address)
+        })));
+        return {
+            voters: voters.filter(voter => voter.vote !== 'Absent'),
+            stakers: stakers.filter(staker => !staker.upstake.isZero() || !staker.downstake.isZero())
+        };
+    }
+}
+
+module.exports = {
+    Dashboard,
+    formatCountdown,
+    formatPct,
+    getDeadlines,
+    renderTable,
+    renderDetail
+};
+
+// Usage: node scripts/dashboard.js <hcAddress> [network]
+if(require.main === module) {
+    const [address, network = 'localhost'] = process.argv.slice(2);
+    if(!address) {
+        console.log(`Usage: node scripts/dashboard.js <hcAddress> [network]`);
+        process.exit(1);
+    }
+
+    const dashboard = new Dashboard(HCClient.at(network, address));
+    dashboard.onQuit = () => {
+        process.stdout.write(CLEAR_SCREEN);
+        process.exit(0);
+    };
+    dashboard.start().catch(error => {
+        console.log(error.message);
+        process.exit(1);
+    });
+}
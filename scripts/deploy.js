@@ -1,20 +1,25 @@
 const fs = require('fs');
 const getWeb3 = require('../scripts/getWeb3.js');
 
-module.exports = async (contractName, args, txParams) => {
+// Note: network can be a network name or url, or a Web3 instance, e.g. one with a local wallet.
+module.exports = async (contractName, args, txParams, network = 'localhost') => {
 
     // Retrieve contract artifacts.
     const artifacts = JSON.parse(fs.readFileSync(`build/${contractName}.json`, 'utf8'));
 
     // Build Web3 Contract object.
-    const web3 = getWeb3('localhost');
+    const web3 = typeof network === 'string' ? getWeb3(network) : network;
     const contract = new web3.eth.Contract(artifacts.abi);
 
     // Deploy contract.
+    let transactionHash;
     const instance = await contract.deploy({
         arguments: args,
         data: artifacts.bytecode
-    }).send({ ...txParams });
+    }).send({ ...txParams }).on('transactionHash', hash => {
+        transactionHash = hash;
+    });
+    instance.transactionHash = transactionHash;
 
     return instance;
 };
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const getWeb3 = require('./getWeb3.js');
+const deploy = require('./deploy.js');
+const { HCClient } = require('./client.js');
+const { parseArgs } = require('./hc.js');
+const votingWeight = require('./votingWeight.js');
+
+// Deploys the full stack (tokens, voting strategy, HolographicConsensus and its initialization) described
+// in deployments/config.json, recording what was done in deployments/<network>.json.
+// Steps that are already done on chain are skipped, so an interrupted deployment can be resumed
+// by running it again.
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const VOTING_PARAMS = ['supportPct', 'queuePeriod', 'boostPeriod', 'quietEndingPeriod', 'compensationFeePct'];
+const STAKING_PARAMS = ['pendedBoostPeriod', 'confidenceThresholdBase'];
+
+const loadConfig = (file, network) => {
+    const configs = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const config = configs[network];
+    if(!config) throw new Error(`No deployment config for network ${network} in ${file}`);
+
+    const missing = ['voteToken', 'stakeToken']
+        .filter(key => !config[key])
+        .concat(VOTING_PARAMS.filter(key => !config.voting || config.voting[key] === undefined).map(key => `voting.${key}`))
+        .concat(STAKING_PARAMS.filter(key => !config.staking || config.staking[key] === undefined).map(key => `staking.${key}`));
+    if(missing.length > 0) throw new Error(`Deployment config for ${network} is missing ${missing.join(', ')}`);
+
+    return config;
+};
+
+const getManifestPath = (deploymentsDir, network) => path.join(deploymentsDir, `${network}.json`);
+
+const loadManifest = (deploymentsDir, network) => {
+    const file = getManifestPath(deploymentsDir, network);
+    if(!fs.existsSync(file)) return { network, contracts: {}, steps: {} };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const saveManifest = (deploymentsDir, manifest) => {
+    if(!fs.existsSync(deploymentsDir)) fs.mkdirSync(deploymentsDir, { recursive: true });
+    const file = getManifestPath(deploymentsDir, manifest.network);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+};
+
+const hasCode = async (web3, address) => {
+    const code = await web3.eth.getCode(address);
+    return code !== '0x' && code !== '0x0';
+};
+
+// Runs all the deployment steps, skipping the ones that are already done, and returns the manifest.
+const deployStack = async (web3, network, config, options = {}) => {
+    const deploymentsDir = options.deploymentsDir || 'deployments';
+    const txParams = options.txParams;
+    const log = options.log || (() => {});
+
+    const manifest = loadManifest(deploymentsDir, network);
+    manifest.network = network;
+    manifest.config = config;
+    const save = () => saveManifest(deploymentsDir, manifest);
+
+    // Contracts.
+    const deployContract = async (key, contractName, existingAddress, args = []) => {
+        if(existingAddress) {
+            if(!await hasCode(web3, existingAddress)) throw new Error(`No contract found at ${key} address ${existingAddress}`);
+            manifest.contracts[key] = { contractName, address: existingAddress, deployed: false };
+            log(`Using existing ${key} at ${existingAddress}`);
+            return;
+        }
+        const recorded = manifest.contracts[key];
+        if(recorded && recorded.deployed && await hasCode(web3, recorded.address)) {
+            log(`Skipping ${key}, already deployed at ${recorded.address}`);
+            return;
+        }
+        const instance = await deploy(contractName, args, txParams, web3);
+        manifest.contracts[key] = {
+            contractName,
+            address: instance.options.address,
+            transactionHash: instance.transactionHash,
+            deployed: true
+        };
+        save();
+        log(`Deployed ${key} at ${instance.options.address}`);
+    };
+    await deployContract('voteToken', 'Token', config.voteToken === 'new' ? null : config.voteToken);
+    await deployContract('stakeToken', 'Token', config.stakeToken === 'new' ? null : config.stakeToken);
+    await deployContract('holographicConsensus', 'HolographicConsensus', config.holographicConsensus);
+
+    // Votes are one token one vote, unless the config sets a votingStrategy, either the address of a deployed one
+    // or a strategy to deploy, e.g. { "name": "Capped", "cap": "1000" }, see votingWeight.js.
+    const strategy = config.votingStrategy || { name: 'Linear' };
+    if(typeof strategy === 'string') await deployContract('votingStrategy', 'VotingStrategy', strategy);
+    else await deployContract('votingStrategy', votingWeight.CONTRACT_NAMES[strategy.name], null, votingWeight.toConstructorArgs(strategy));
+
+    // Initialization.
+    const client = new HCClient(web3, manifest.contracts.holographicConsensus.address, txParams);
+    const methods = client.contract.methods;
+
+    // Non linear strategies need the vote token to keep their total weight, which requires the deployer to own it.
+    const trackReceipt = await client.trackTotalWeight(manifest.contracts.voteToken.address, manifest.contracts.votingStrategy.address);
+    if(trackReceipt) {
+        manifest.steps.trackTotalWeight = { transactionHash: trackReceipt.transactionHash };
+        save();
+        log(`Done trackTotalWeight in ${trackReceipt.transactionHash}`);
+    }
+    const initialize = async (step, tokenGetter, sendTx, params) => {
+        if(await methods[tokenGetter]().call() !== ZERO_ADDRESS) {
+            log(`Skipping ${step}, already done`);
+            return;
+        }
+        const receipt = await sendTx().send(client._txParams());
+        manifest.steps[step] = { transactionHash: receipt.transactionHash, params };
+        save();
+        log(`Done ${step} in ${receipt.transactionHash}`);
+    };
+    await initialize('initializeVoting', 'voteToken', () => methods.initializeVoting(
+        manifest.contracts.voteToken.address,
+        manifest.contracts.votingStrategy.address,
+        ...VOTING_PARAMS.map(key => config.voting[key])
+    ), config.voting);
+    await initialize('initializeStaking', 'stakeToken', () => methods.initializeStaking(
+        manifest.contracts.stakeToken.address,
+        ...STAKING_PARAMS.map(key => config.staking[key])
+    ), config.staking);
+
+    // Votes are committed and revealed if the config sets voting.revealPeriod, which can only be done before any proposal exists.
+    if(config.voting.revealPeriod) {
+        if(await methods.revealPeriod().call() !== '0') log('Skipping initializeCommitReveal, already done');
+        else {
+            const receipt = await methods.initializeCommitReveal(config.voting.revealPeriod).send(client._txParams());
+            manifest.steps.initializeCommitReveal = { transactionHash: receipt.transactionHash, params: { revealPeriod: config.voting.revealPeriod } };
+            save();
+            log(`Done initializeCommitReveal in ${receipt.transactionHash}`);
+        }
+    }
+
+    // Proposals are limited if the config sets proposalLimits, i.e. { creationDeposit, proposalCooldown },
+    // which grants MODIFY_PROPOSAL_LIMITS_ROLE to the deployer.
+    if(config.proposalLimits) {
+        const settings = await client.getSettings();
+        if(`${settings.creationDeposit}` === `${config.proposalLimits.creationDeposit || 0}` &&
+           settings.proposalCooldown === parseInt(config.proposalLimits.proposalCooldown || 0, 10)) {
+            log('Skipping setProposalLimits, already done');
+        }
+        else {
+            await client.grantRole('MODIFY_PROPOSAL_LIMITS_ROLE', txParams.from);
+            const receipt = await client.setProposalLimits({ creationDeposit: 0, proposalCooldown: 0, ...config.proposalLimits });
+            manifest.steps.setProposalLimits = { transactionHash: receipt.transactionHash, params: config.proposalLimits };
+            save();
+            log(`Done setProposalLimits in ${receipt.transactionHash}`);
+        }
+    }
+
+    save();
+    return manifest;
+};
+
+// Compares the deployed contract's parameters with the config and returns the mismatches.
+const verifyDeployment = async (web3, manifest, config) => {
+    const client = new HCClient(web3, manifest.contracts.holographicConsensus.address);
+    const settings = await client.getSettings();
+    const expected = {
+        voteToken: manifest.contracts.voteToken.address,
+        votingStrategy: manifest.contracts.votingStrategy.address,
+        stakeToken: manifest.contracts.stakeToken.address,
+        ...config.voting,
+        ...config.staking,
+        ...config.proposalLimits
+    };
+    return Object.keys(expected)
+        .filter(key => `${settings[key]}`.toLowerCase() !== `${expected[key]}`.toLowerCase())
+        .map(key => ({ param: key, expected: expected[key], actual: settings[key] }));
+};
+
+module.exports = {
+    loadConfig,
+    loadManifest,
+    deployStack,
+    verifyDeployment
+};
+
+// Usage: node scripts/deployStack.js <network> [--config file] [--deployments-dir dir]
+//        [--account index|address] [--private-key key] [--gas amount] [--gas-price wei]
+// The network's config can set a url to deploy to networks that getWeb3 doesn't know about.
+if(require.main === module) {
+    (async () => {
+        const { args, options } = parseArgs(process.argv.slice(2));
+        const network = args[0] || 'localhost';
+        const config = loadConfig(options.config || 'deployments/config.json', network);
+        const web3 = getWeb3(config.url || network);
+
+        let from;
+        const privateKey = options['private-key'] || process.env.HC_PRIVATE_KEY;
+        if(privateKey) from = web3.eth.accounts.wallet.add(privateKey).address;
+        else {
+            const account = options.account === undefined ? '0' : `${options.account}`;
+            from = web3.utils.isAddress(account) ? account : (await web3.eth.getAccounts())[parseInt(account, 10)];
+        }
+        const txParams = { from, gas: parseInt(options.gas || 6700000, 10) };
+        if(options['gas-price']) txParams.gasPrice = options['gas-price'];
+
+        const manifest = await deployStack(web3, network, config, {
+            deploymentsDir: options['deployments-dir'],
+            txParams,
+            log: console.log
+        });
+
+        const mismatches = await verifyDeployment(web3, manifest, config);
+        mismatches.forEach(({ param, expected, actual }) => console.log(`Mismatch in ${param}: expected ${expected}, got ${actual}`));
+        if(mismatches.length > 0) process.exit(1);
+        console.log(`Deployment verified, HolographicConsensus at ${manifest.contracts.holographicConsensus.address}`);
+        process.exit(0);
+    })().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
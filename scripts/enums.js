@@ -0,0 +1,32 @@
+// Mirrors of the enums declared in HCBase.sol.
+// Note: The order of the names must match the order of the Solidity declarations,
+// since the contract exposes these values as their numeric index.
+
+const VoteState = ['Absent', 'Yea', 'Nay'];
+
+const ProposalState = ['Queued', 'Unpended', 'Pended', 'Boosted', 'Resolved', 'Expired', 'Rejected', 'Cancelled'];
+
+// States in which proposals can no longer be voted or staked on.
+const ClosedProposalStates = ['Resolved', 'Expired', 'Rejected', 'Cancelled'];
+
+// Converts a numeric enum value, as returned by web3, into its name.
+const decode = (names, value) => {
+    const name = names[parseInt(value, 10)];
+    if(name === undefined) throw new Error(`Unknown enum value: ${value}`);
+    return name;
+};
+
+// Converts an enum name into its numeric value.
+const encode = (names, name) => {
+    const value = names.indexOf(name);
+    if(value === -1) throw new Error(`Unknown enum name: ${name}`);
+    return value;
+};
+
+module.exports = {
+    VoteState,
+    ProposalState,
+    ClosedProposalStates,
+    decode,
+    encode
+};
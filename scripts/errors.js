@@ -0,0 +1,10 @@
+const fs = require('fs');
+const path = require('path');
+
+// The error messages declared in HCBase.sol, as extracted by scripts/compile.js,
+// e.g. ERROR_PROPOSAL_IS_CLOSED => 'VOTING_ERROR_PROPOSAL_IS_CLOSED'.
+// Note: Keys omit the ERROR_ prefix, i.e. errors.PROPOSAL_IS_CLOSED.
+
+const artifactsPath = path.resolve(__dirname, '../build/HolographicConsensus.json');
+
+module.exports = JSON.parse(fs.readFileSync(artifactsPath, 'utf8')).errors;
@@ -0,0 +1,73 @@
+const Web3 = require('web3');
+const BN = require('bn.js');
+
+// Encodes and decodes the execution scripts of executable proposals, see HCExecution.sol.
+// A script is a list of calls { to, value, data }, each encoded as:
+// target address (20 bytes) | value in wei (32 bytes) | calldata length (4 bytes) | calldata.
+
+const web3 = new Web3();
+
+const CALL_HEADER_LENGTH = 20 + 32 + 4;
+
+const strip0x = (hex) => hex.startsWith('0x') ? hex.slice(2) : hex;
+
+const toHex = (value, bytes) => new BN(`${value}`, 10).toString(16).padStart(bytes * 2, '0');
+
+// Returns the calldata of a call to a function, e.g. encodeCallData('transfer(address,uint256)', [to, 100]).
+const encodeCallData = (signature, args = []) => {
+    const types = signature.slice(signature.indexOf('(') + 1, signature.lastIndexOf(')')).split(',').filter(type => type !== '');
+    if(types.length !== args.length) throw new Error(`${signature} expects ${types.length} arguments, got ${args.length}`);
+    return web3.eth.abi.encodeFunctionSignature(signature) + strip0x(web3.eth.abi.encodeParameters(types, args));
+};
+
+const encode = (calls) => {
+    return '0x' + calls.map(({ to, value = 0, data = '0x' }) => {
+        if(!web3.utils.isAddress(to)) throw new Error(`Invalid call target ${to}`);
+        const calldata = strip0x(data);
+        if(calldata.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(calldata)) throw new Error(`Invalid calldata ${data}`);
+        return strip0x(to).toLowerCase() + toHex(value, 32) + toHex(calldata.length / 2, 4) + calldata;
+    }).join('');
+};
+
+// Scripts are decoded into calls whose values are BNs and addresses are checksummed.
+const decode = (script) => {
+    const hex = strip0x(script || '');
+    const calls = [];
+    let offset = 0;
+    while(offset < hex.length) {
+        if(hex.length < offset + CALL_HEADER_LENGTH * 2) throw new Error(`Invalid execution script: truncated call at byte ${offset / 2}`);
+        const to = web3.utils.toChecksumAddress('0x' + hex.slice(offset, offset + 40));
+        const value = new BN(hex.slice(offset + 40, offset + 104), 16);
+        const dataLength = parseInt(hex.slice(offset + 104, offset + 112), 16);
+        const dataStart = offset + CALL_HEADER_LENGTH * 2;
+        if(hex.length < dataStart + dataLength * 2) throw new Error(`Invalid execution script: truncated calldata at byte ${dataStart / 2}`);
+        calls.push({ to, value, data: '0x' + hex.slice(dataStart, dataStart + dataLength * 2) });
+        offset = dataStart + dataLength * 2;
+    }
+    return calls;
+};
+
+// Returns a readable description of a script, one line per call.
+// abis maps target addresses, or '*' for any target, to the ABIs used to decode their calldata,
+// which is shown raw otherwise.
+const describe = (script, abis = {}) => {
+    return decode(script).map(call => {
+        const value = call.value.isZero() ? '' : ` with ${call.value} wei`;
+        const abi = Object.keys(abis).find(address => address.toLowerCase() === call.to.toLowerCase()) || (abis['*'] && '*');
+        const selector = call.data.slice(0, 10);
+        const method = abi && abis[abi].find(item => item.type === 'function' && web3.eth.abi.encodeFunctionSignature(item) === selector);
+        if(!method) return `${call.to}: ${call.data}${value}`;
+
+        const params = web3.eth.abi.decodeParameters(method.inputs, '0x' + call.data.slice(10));
+        const args = method.inputs.map((input, i) => `${params[i]}`);
+        return `${call.to}.${method.name}(${args.join(', ')})${value}`;
+    });
+};
+
+module.exports = {
+    CALL_HEADER_LENGTH,
+    encodeCallData,
+    encode,
+    decode,
+    describe
+};
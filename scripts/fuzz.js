@@ -0,0 +1,281 @@
+const fs = require('fs');
+const BN = require('bn.js');
+const util = require('./util.js');
+const { decodeEvent } = require('./client.js');
+const { DEFAULT_SETTINGS, createRandom, deployEnvironment, randomStep, formatStep, runStep } = require('./simulate.js');
+const enums = require('./enums.js');
+
+// Property-based fuzzing of the HC contract on the local ganache.
+// Random sequences of the steps that the model supports, i.e. proposals, votes, stakes, boosts, resolutions, withdrawals,
+// executions, delegations and time jumps, are run on the contract and the model as in simulate.checkAgainstContract,
+// and invariants are checked after each step.
+// A failing sequence is shrunk to a minimal sequence that still breaks the same invariant, which can be saved and replayed.
+// Note: Compensation fees are paid from the compensation funds, which are kept apart from the stakes,
+// so solvency must hold however much is funded for them, see the funds option.
+
+const CLOSED_STATES = enums.ClosedProposalStates;
+
+// Proposal states that the contract can move a proposal to, from each state.
+const LEGAL_TRANSITIONS = {
+    Queued: ['Pended', 'Resolved', 'Rejected', 'Expired', 'Cancelled'],
+    Unpended: ['Pended', 'Resolved', 'Rejected', 'Expired'],
+    Pended: ['Unpended', 'Boosted', 'Resolved', 'Rejected', 'Expired'],
+    Boosted: ['Resolved', 'Rejected'],
+    Resolved: [],
+    Expired: [],
+    Rejected: [],
+    Cancelled: []
+};
+
+const sum = (values) => values.reduce((total, value) => total.add(value), new BN(0));
+
+// Each invariant returns a description of the violation, or null.
+// They are checked against the state read from the contract after each step, see readState.
+const INVARIANTS = [
+    {
+        name: 'solvency',
+        check: (state) => {
+            const outstanding = sum(state.proposals.map(proposal => CLOSED_STATES.includes(proposal.state)
+                ? proposal.claimable
+                : proposal.upstake.add(proposal.downstake).add(proposal.deposit)));
+            return state.balance.gte(outstanding.add(state.compensationFunds))
+                ? null
+                : `the contract holds ${state.balance} stake tokens, but owes ${outstanding} in stakes, deposits and claims and ${state.compensationFunds} in compensation funds`;
+        }
+    },
+    {
+        name: 'votes',
+        check: (state) => {
+            const proposal = state.proposals.find(proposal => proposal.yea.add(proposal.nay).gt(proposal.totalWeight));
+            return proposal
+                ? `proposal ${proposal.id} has ${proposal.yea} yea and ${proposal.nay} nay, out of a total weight of ${proposal.totalWeight}`
+                : null;
+        }
+    },
+    {
+        name: 'transitions',
+        check: (state) => {
+            const transition = state.transitions.find(({ from, to }) => !LEGAL_TRANSITIONS[from].includes(to));
+            return transition ? `proposal ${transition.proposalId} went from ${transition.from} to ${transition.to}` : null;
+        }
+    }
+];
+
+/*
+ * Sequences.
+ */
+
+const randomSequence = (random, numSteps, numAccounts) => {
+    const steps = [];
+    let numProposals = 0;
+    for(let i = 0; i < numSteps; i++) {
+        const step = randomStep(random, numAccounts, numProposals);
+        if(step.method === 'createProposal' || step.method === 'createExecutableProposal') numProposals++;
+        steps.push(step);
+    }
+    return steps;
+};
+
+/*
+ * Running sequences.
+ */
+
+// Deploys the contracts once, and snapshots the chain so that every sequence starts from the same state.
+// Note: The model is built again for every sequence, see deployEnvironment.
+const setup = async (options = {}) => {
+    const config = {
+        settings: { ...DEFAULT_SETTINGS, ...options.settings },
+        numAccounts: options.numAccounts || 5,
+        funds: options.funds === undefined ? 1000000 : options.funds,
+        seed: options.seed || 1
+    };
+    const env = await deployEnvironment(config);
+    return { ...env, config, snapshotId: await util.snapshot() };
+};
+
+// Reads what the invariants are checked against: proposals, with the total weight of their votes
+// and what can be claimed from the closed ones, and the contract's stake token balance.
+const readState = async (env, transitions) => {
+    const proposals = await env.client.getProposals();
+    await Promise.all(proposals.map(async proposal => {
+        proposal.totalWeight = await env.client.getTotalWeight(proposal.id);
+    }));
+    await Promise.all(proposals.filter(proposal => CLOSED_STATES.includes(proposal.state)).map(async proposal => {
+        proposal.claimable = sum(await Promise.all(env.accounts.map(account => env.client.getClaimable(proposal.id, account))));
+    }));
+    const [balance, compensationFunds] = await Promise.all([
+        env.stakeTokenContract.methods.balanceOf(env.client.address).call(),
+        env.client.getCompensationFunds()
+    ]);
+    return { proposals, balance: new BN(balance), compensationFunds, transitions };
+};
+
+// Runs a sequence from the snapshot taken in setup, stopping at the first failure.
+// Failures are { step, invariant, message }, where invariant is 'model' if the contract and the model disagreed on a revert.
+const runSequence = async (env, steps, invariants = INVARIANTS) => {
+    await util.revert(env.snapshotId);
+    env.snapshotId = await util.snapshot();
+    const model = env.createModel();
+    const states = [];
+
+    for(let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const fail = (invariant, message) => ({ failure: { step: i, invariant, message } });
+
+        const { receipt, divergence } = await runStep(env, model, step);
+        if(divergence) return fail('model', divergence);
+
+        // Time jumps and delegations don't change the contract's state.
+        if(step.method === 'advanceTime' || step.method === 'delegate') continue;
+
+        // Follow the states that the proposals went through during the step.
+        const transitions = [];
+        const events = receipt ? Object.values(receipt.events).reduce((all, event) => all.concat(event), []) : [];
+        events
+            .filter(event => event.event === 'ProposalCreated' || event.event === 'ProposalStateChanged')
+            .map(decodeEvent)
+            .sort((a, b) => a.logIndex - b.logIndex)
+            .forEach(event => {
+                if(event.event === 'ProposalCreated') states[event.proposalId] = 'Queued';
+                else {
+                    transitions.push({ proposalId: event.proposalId, from: states[event.proposalId], to: event.state });
+                    states[event.proposalId] = event.state;
+                }
+            });
+
+        const state = await readState(env, transitions);
+        for(let j = 0; j < invariants.length; j++) {
+            const message = invariants[j].check(state);
+            if(message) return fail(invariants[j].name, message);
+        }
+    }
+    return { failure: null };
+};
+
+// Removes steps from a failing sequence for as long as it keeps breaking the same invariant,
+// trying large chunks first and single steps last, so that every remaining step is needed.
+const shrink = async (env, steps, failure, options = {}) => {
+    const invariants = options.invariants || INVARIANTS;
+    const maxRuns = options.maxShrinkRuns || 500;
+    let runs = 0;
+    let current = steps.slice(0, failure.step + 1);
+    let currentFailure = failure;
+
+    let size = Math.max(1, Math.floor(current.length / 2));
+    while(runs < maxRuns) {
+        let removed = false;
+        for(let start = current.length - size; start >= 0 && runs < maxRuns; start -= size) {
+            const candidate = current.slice(0, start).concat(current.slice(start + size));
+            runs++;
+            const result = await runSequence(env, candidate, invariants);
+            if(result.failure && result.failure.invariant === failure.invariant) {
+                current = candidate.slice(0, result.failure.step + 1);
+                currentFailure = result.failure;
+                removed = true;
+                start = Math.min(start, current.length);
+            }
+        }
+        if(!removed) {
+            if(size === 1) break;
+            size = Math.max(1, Math.floor(size / 2));
+        }
+    }
+    return { steps: current, failure: currentFailure, shrinkRuns: runs };
+};
+
+// Options:
+// runs: number of random sequences.
+// numSteps: length of each sequence.
+// numAccounts: number of accounts that send steps, the last of which has no tokens.
+// funds: stake tokens funded to pay compensation fees.
+// settings: contract parameters, see DEFAULT_SETTINGS.
+// invariants: invariants to check, INVARIANTS by default.
+// seed: seed for the random generator.
+// Returns the first failing sequence found, shrunk, as a counterexample that can be replayed, or null if there was none.
+const fuzz = async (options = {}) => {
+    const runs = options.runs || 10;
+    const numSteps = options.numSteps || 50;
+    const log = options.log || (() => {});
+    const env = await setup(options);
+    const random = createRandom(env.config.seed);
+
+    try {
+        for(let run = 0; run < runs; run++) {
+            const steps = randomSequence(random, numSteps, env.config.numAccounts);
+            const { failure } = await runSequence(env, steps, options.invariants);
+            if(!failure) {
+                log(`Run ${run}: ${numSteps} steps passed`);
+                continue;
+            }
+
+            log(`Run ${run}: ${failure.invariant} failed at step ${failure.step}: ${failure.message}, shrinking...`);
+            const shrunk = await shrink(env, steps, failure, options);
+            return { runs: run + 1, counterexample: { ...env.config, ...shrunk } };
+        }
+        return { runs, counterexample: null };
+    }
+    finally {
+        await util.revert(env.snapshotId);
+    }
+};
+
+// Replays a counterexample returned by fuzz, e.g. after fixing the contract, on a new deployment with the same configuration.
+const replay = async (counterexample, options = {}) => {
+    const env = await setup({ ...counterexample, ...options });
+    try {
+        return await runSequence(env, counterexample.steps, options.invariants);
+    }
+    finally {
+        await util.revert(env.snapshotId);
+    }
+};
+
+module.exports = {
+    INVARIANTS,
+    LEGAL_TRANSITIONS,
+    randomSequence,
+    formatStep,
+    fuzz,
+    replay
+};
+
+// Usage:
+//   node scripts/fuzz.js [--runs 10] [--numSteps 50] [--numAccounts 5] [--funds 1000000] [--seed 1] [--save <file>]
+//   node scripts/fuzz.js --replay <file>
+if(require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    for(let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        options[key] = ['save', 'replay'].includes(key) ? args[i + 1] : parseInt(args[i + 1], 10);
+    }
+
+    const describeFailure = (steps, failure) => [
+        `${failure.invariant} failed at step ${failure.step}: ${failure.message}`,
+        ...steps.map((step, i) => `  ${i}: ${formatStep(step)}`)
+    ].join('\n');
+
+    (async () => {
+        if(options.replay) {
+            const counterexample = JSON.parse(fs.readFileSync(options.replay, 'utf8'));
+            const { failure } = await replay(counterexample);
+            console.log(failure ? describeFailure(counterexample.steps, failure) : `${counterexample.steps.length} steps passed`);
+            process.exit(failure ? 1 : 0);
+        }
+
+        const { runs, counterexample } = await fuzz({ ...options, log: console.log });
+        if(!counterexample) {
+            console.log(`No invariant violations in ${runs} sequences.`);
+            process.exit(0);
+        }
+        console.log(describeFailure(counterexample.steps, counterexample.failure));
+        if(options.save) {
+            fs.writeFileSync(options.save, JSON.stringify(counterexample, null, 2));
+            console.log(`Saved to ${options.save}, replay with: node scripts/fuzz.js --replay ${options.save}`);
+        }
+        process.exit(1);
+    })().catch(error => {
+        console.log(error.message);
+        process.exit(1);
+    });
+}
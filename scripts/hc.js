@@ -0,0 +1,607 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const BN = require('bn.js');
+const getWeb3 = require('./getWeb3.js');
+const deploy = require('./deploy.js');
+const { HCClient, ANY_ENTITY, decodeEvent, loadArtifacts } = require('./client.js');
+const hcMath = require('./hcMath.js');
+const executionScript = require('./executionScript.js');
+const proposalMetadata = require('./metadata.js');
+const commitReveal = require('./commitReveal.js');
+const votingWeight = require('./votingWeight.js');
+const { RevertError, toRevertError } = require('./reverts.js');
+const { getReadyAction } = require('./keeper.js');
+
+// Command line tool for day to day operations on an HC contract.
+
+const USAGE = `Usage: hc <command> [args] [options]
+
+Commands:
+  deploy [contractName]            Deploy a contract (HolographicConsensus by default)
+  deploy-strategy <Linear|Quadratic|Capped|Weighted> [args...]
+                                   Deploy a voting strategy, to be given to init, e.g. deploy-strategy Capped <cap>
+                                   or deploy-strategy Weighted <vote-token-weight> [<token>:<weight>...]
+  init                             Initialize voting and staking, see init options
+  propose <title>                  Create a proposal, executable if --script is given, see propose options
+  cancel <id>                      Withdraw a proposal of the sender's that nobody ever voted or staked on, refunding its deposit
+  encode-call <to> <signature> [args...]
+                                   Append a call to --script (or a new script) and print it, e.g.
+                                   encode-call <token> 'transfer(address,uint256)' <to> 100 --value 0
+  decode-script <script>           Show the calls of a script, decoding calldata with --abi <contractName>
+  execute <id>                     Run the script of a proposal that was resolved in favour
+  vote <id> <yea|nay>              Vote on a proposal
+  commit <id> <yea|nay>            Commit a vote in commit-reveal mode, keeping its salt until it is revealed
+  reveal <id> [voter]              Reveal a committed vote with its kept salt, the sender's by default
+  sign-vote <id> <yea|nay>         Print a signed vote, to be submitted by anyone, e.g. a relayer
+  sign-stake <id> <amount> <up|down>
+                                   Print a signed stake, including a permit of the stake token
+  submit-signed <message>          Submit a signed vote or stake, given as JSON
+  delegate <address|none>          Delegate voting power on proposals created afterwards, or stop delegating
+  weight <account>                 Show the weight an account would vote with, and under each strategy,
+                                   under a capped one if --cap <amount> is given
+  stake <id> <amount> <up|down>    Stake on a proposal, approving the stake token if needed
+  unstake <id> <amount> <up|down>  Remove stake from a proposal
+  update <id>                      Pend or unpend a proposal according to the current confidence threshold
+  boost <id>                       Boost a pended proposal
+  expire <id>                      Expire a non boosted proposal
+  resolve <id>                     Resolve a boosted proposal
+  fee <id>                         Preview the compensation fee for boosting, expiring or resolving a proposal now
+  fund <amount>                    Add stake tokens to the funds that pay compensation fees, approving them if needed
+  withdraw <id>                    Withdraw stake from an expired proposal or rewards from a resolved one
+  claim [ids...]                   Withdraw from several proposals at once, or from all claimable ones
+  status <id>                      Show a proposal
+  list                             Show all proposals
+  grant-role <role> <address|anyone>
+                                   Grant a role, e.g. MODIFY_SUPPORT_ROLE, to an address or to everyone
+  revoke-role <role> <address|anyone>
+                                   Revoke a role
+  set <param> <value>              Set supportPct, compensationFeePct or confidenceThresholdBase
+  set-periods <queue> <boost> <quiet-ending> <pended-boost>
+                                   Set all periods, in seconds
+  set-fee-curve <Linear|Step|CappedExponential> [period]
+                                   Set the compensation fee curve, and the period in seconds of the other curves
+  set-proposal-limits <deposit> <cooldown>
+                                   Set the stake tokens deposited to create a proposal, and the seconds that an address
+                                   must wait between proposals, 0 to disable either
+
+Options:
+  --network <name|url>             localhost, mainnet, ropsten, rinkeby or a node url (default: localhost)
+  --hc <address>                   HC contract address (default: $HC_ADDRESS)
+  --account <address|index>        Sender, as an address or an index in the node's accounts (default: 0)
+  --private-key <key>              Sign transactions locally with this key (default: $HC_PRIVATE_KEY)
+  --gas <amount>                   Gas limit (default: 6700000)
+  --gas-price <wei>                Gas price (default: the node's gas price)
+  --json                           Print results as JSON
+  --deadline <secs>                Timestamp until which signed messages can be submitted (default: in an hour)
+  --metadata-dir <dir>             Where proposal metadata documents are kept (default: data/metadata)
+  --salt-dir <dir>                 Where the salts of committed votes are kept (default: data/salts)
+  --allow-partial-fee              Boost, expire or resolve even if the compensation funds can't cover the whole fee
+
+Propose options:
+  --description <text> --link <url> --action <summary of the script>
+  --metadata <file>                Read the whole metadata document from a JSON file instead
+
+Init options:
+  --vote-token <address> --stake-token <address> --support-pct <pct> --queue-period <secs>
+  --boost-period <secs> --quiet-ending-period <secs> --compensation-fee-pct <pct>
+  --pended-boost-period <secs> --confidence-threshold-base <n>
+  --reveal-period <secs>           Commit and reveal votes, revealing them in this last part of proposals' lifetimes
+  --voting-strategy <address>      Weigh votes with this strategy (default: deploy a linear one)
+  --creation-deposit <amount> --proposal-cooldown <secs>
+                                   Limit proposals, see set-proposal-limits`;
+
+const INIT_OPTIONS = {
+    voteToken: 'vote-token',
+    supportPct: 'support-pct',
+    queuePeriod: 'queue-period',
+    boostPeriod: 'boost-period',
+    quietEndingPeriod: 'quiet-ending-period',
+    compensationFeePct: 'compensation-fee-pct',
+    stakeToken: 'stake-token',
+    pendedBoostPeriod: 'pended-boost-period',
+    confidenceThresholdBase: 'confidence-threshold-base'
+};
+
+// Parameters that can be changed with the set command, by setter.
+const SETTERS = {
+    supportPct: 'setSupportPct',
+    compensationFeePct: 'setCompensationFeePct',
+    confidenceThresholdBase: 'setConfidenceThresholdBase'
+};
+
+class UsageError extends Error {}
+
+// Splits arguments into positional arguments and --options.
+// Options without a value, such as --json, are set to true.
+const parseArgs = (argv) => {
+    const args = [];
+    const options = {};
+    for(let i = 0; i < argv.length; i++) {
+        if(argv[i].startsWith('--')) {
+            const key = argv[i].slice(2);
+            const hasValue = i + 1 < argv.length && !argv[i + 1].startsWith('--');
+            options[key] = hasValue ? argv[++i] : true;
+        }
+        else args.push(argv[i]);
+    }
+    return { args, options };
+};
+
+// Converts values to something that can be printed as JSON.
+const toPlain = (value) => {
+    if(BN.isBN(value)) return value.toString();
+    if(value instanceof Date) return value.toISOString();
+    if(Array.isArray(value)) return value.map(toPlain);
+    if(value !== null && typeof value === 'object') {
+        const plain = {};
+        Object.keys(value).forEach(key => plain[key] = toPlain(value[key]));
+        return plain;
+    }
+    return value;
+};
+
+const parseSide = (side, yes, no) => {
+    if(side === yes) return true;
+    if(side === no) return false;
+    throw new UsageError(`Expected ${yes} or ${no}, got ${side}`);
+};
+
+const requireArgs = (args, count, usage) => {
+    if(args.length < count) throw new UsageError(`Usage: hc ${usage}`);
+};
+
+const parseEntity = (entity) => entity === 'anyone' ? ANY_ENTITY : entity;
+
+// Parses the arguments of deploy-strategy into a strategy, see votingWeight.js.
+const parseStrategy = ([name, ...params]) => {
+    if(!votingWeight.STRATEGIES.includes(name)) throw new UsageError(`Expected one of ${votingWeight.STRATEGIES.join(', ')}, got ${name}`);
+    if(name === 'Capped') {
+        requireArgs(params, 1, 'deploy-strategy Capped <cap>');
+        return { name, cap: params[0] };
+    }
+    if(name === 'Weighted') {
+        requireArgs(params, 1, 'deploy-strategy Weighted <vote-token-weight> [<token>:<weight>...]');
+        const tokens = params.slice(1).map(param => param.split(':'));
+        if(tokens.some(token => token.length !== 2)) throw new UsageError('Expected tokens as <token>:<weight>');
+        return { name, voteTokenWeight: params[0], tokens: tokens.map(token => token[0]), weights: tokens.map(token => token[1]) };
+    }
+    return { name };
+};
+
+// Metadata is read from the --metadata file, or built from the title and the propose options.
+const buildMetadata = (context, args) => {
+    const options = context.options;
+    let document;
+    if(options.metadata) document = JSON.parse(fs.readFileSync(options.metadata, 'utf8'));
+    else {
+        requireArgs(args, 1, 'propose <title>');
+        document = proposalMetadata.fromTitle(args[0]);
+        if(options.description) document.description = options.description;
+        if(options.link) document.links = [{ url: options.link }];
+        if(options.action) document.action = { summary: options.action, script: options.script };
+    }
+    const errors = proposalMetadata.validate(document);
+    if(errors.length > 0) throw new UsageError(`Invalid metadata: ${errors.join(', ')}`);
+    return document;
+};
+
+// Boosting, expiring and resolving fail when the compensation funds can't cover the fee, unless --allow-partial-fee is given.
+const compensationOptions = (context) => ({ allowPartialFee: Boolean(context.options['allow-partial-fee']) });
+
+// Messages are signed by the node, so they can't be signed with --private-key.
+const signingOptions = (context) => {
+    if(context.options['private-key'] || process.env.HC_PRIVATE_KEY) throw new UsageError('Signing requires an account of the node, see --account');
+    const options = {};
+    if(context.options.deadline) options.deadline = parseInt(context.options.deadline, 10);
+    return options;
+};
+
+/*
+ * Output.
+ */
+
+const formatDuration = (secs) => {
+    const sign = secs < 0 ? '-' : '';
+    secs = Math.abs(secs);
+    const hours = Math.floor(secs / 3600);
+    const minutes = Math.floor((secs % 3600) / 60);
+    return `${sign}${hours}h ${minutes}m`;
+};
+
+const formatProposal = (proposal, now) => {
+    const metadata = proposal.metadata || {};
+    const lines = [
+        `Proposal ${proposal.id}: ${proposal.state}`,
+        `  ${proposal.metadata ? metadata.title : `metadata ${proposal.metadataHash} ${proposal.metadataError || 'not found'}`}`
+    ];
+    if(metadata.description) lines.push(`  ${metadata.description}`);
+    (metadata.links || []).forEach(link => lines.push(`  link: ${link.url}${link.title ? ` (${link.title})` : ''}`));
+    lines.push(
+        `  yea: ${proposal.yea}  nay: ${proposal.nay}`,
+        `  upstake: ${proposal.upstake}  downstake: ${proposal.downstake}  confidence: ${proposal.confidence} (threshold: ${proposal.confidenceThreshold})`,
+        `  started: ${proposal.startDate.toISOString()}`,
+        `  expires: ${proposal.expiryDate.toISOString()} (${formatDuration(proposal.expiryDate.getTime() / 1000 - now)})`,
+        `  creator: ${proposal.creator}${proposal.deposit.isZero() ? '' : `  deposit: ${proposal.deposit}`}`
+    );
+    if(proposal.lastPendedDate) lines.push(`  last pended: ${proposal.lastPendedDate.toISOString()}`);
+    if(proposal.votePhase !== 'Open') lines.push(`  vote phase: ${proposal.votePhase}  unrevealed commitments: ${proposal.unrevealedCommitments}`);
+    if(proposal.state === 'Boosted') lines.push(`  relative support: ${proposal.lastRelativeSupport}`);
+    if(!proposal.compensationFeesPaid.isZero()) lines.push(`  compensation fees paid: ${proposal.compensationFeesPaid}`);
+    if(proposal.execution.calls.length > 0) {
+        lines.push(`  script${proposal.execution.executed ? ' (executed)' : ''}:`);
+        if(metadata.action) lines.push(`    ${metadata.action.summary}`);
+        executionScript.describe(proposal.execution.script).forEach(call => lines.push(`    ${call}`));
+    }
+    return lines.join('\n');
+};
+
+const formatReceipt = (result) => {
+    const lines = [`Transaction ${result.transactionHash} mined in block ${result.blockNumber}, gas used ${result.gasUsed}`];
+    result.events.forEach(event => {
+        const details = Object.keys(event)
+            .filter(key => !['event', 'proposalId', 'blockNumber', 'transactionHash', 'logIndex'].includes(key))
+            .map(key => `${key}: ${toPlain(event[key])}`);
+        lines.push(`  ${event.event}(proposal ${event.proposalId}${details.length ? `, ${details.join(', ')}` : ''})`);
+    });
+    return lines.join('\n');
+};
+
+const summarizeReceipt = (receipt) => {
+    const events = Object.values(receipt.events || {})
+        .reduce((all, event) => all.concat(event), [])
+        .filter(event => event.event && event.returnValues._proposalId !== undefined)
+        .map(decodeEvent)
+        .sort((a, b) => a.logIndex - b.logIndex);
+    return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        events
+    };
+};
+
+/*
+ * Commands.
+ */
+
+const getProposalWithConfidence = async (client, proposalId, now) => {
+    const proposal = await client.getProposal(proposalId);
+    proposal.votePhase = commitReveal.getVotePhase(proposal, (await client.getSettings()).revealPeriod, now);
+    if(proposal.votePhase !== 'Open') proposal.unrevealedCommitments = (await client.getUnrevealedCommitments(proposalId)).length;
+    proposal.confidence = (await client.getConfidence(proposalId)).div(hcMath.PRECISION_MULTIPLIER);
+    proposal.confidenceThreshold = (await client.getConfidenceThreshold()).div(hcMath.PRECISION_MULTIPLIER);
+    proposal.execution = await client.getExecutionScript(proposalId);
+    proposal.metadataHash = await client.getProposalMetadataHash(proposalId);
+    try {
+        proposal.metadata = await client.getProposalMetadata(proposalId);
+    }
+    catch(e) {
+        proposal.metadata = null;
+        proposal.metadataError = e.message;
+    }
+    return proposal;
+};
+
+const commands = {
+
+    deploy: async (context, args) => {
+        const contractName = args[0] || 'HolographicConsensus';
+        const instance = await deploy(contractName, [], context.txParams, context.web3);
+        return {
+            result: { contractName, address: instance.options.address },
+            text: `${contractName} deployed at ${instance.options.address}`
+        };
+    },
+
+    'deploy-strategy': async (context, args) => {
+        requireArgs(args, 1, 'deploy-strategy <Linear|Quadratic|Capped|Weighted> [args...]');
+        const strategy = parseStrategy(args);
+        const address = await HCClient.deployVotingStrategy(context.web3, strategy, context.txParams);
+        return {
+            result: { ...strategy, address },
+            text: `${votingWeight.CONTRACT_NAMES[strategy.name]} deployed at ${address}`
+        };
+    },
+
+    init: async (context) => {
+        const params = {};
+        Object.keys(INIT_OPTIONS).forEach(key => {
+            const value = context.options[INIT_OPTIONS[key]];
+            if(value === undefined) throw new UsageError(`Missing --${INIT_OPTIONS[key]}`);
+            params[key] = value;
+        });
+        if(context.options['reveal-period']) params.revealPeriod = context.options['reveal-period'];
+        if(context.options['voting-strategy']) params.votingStrategy = context.options['voting-strategy'];
+        if(context.options['creation-deposit']) params.creationDeposit = context.options['creation-deposit'];
+        if(context.options['proposal-cooldown']) params.proposalCooldown = context.options['proposal-cooldown'];
+        await context.client().initialize(params);
+        return { result: params, text: `Initialized ${context.options.hc}` };
+    },
+
+    propose: async (context, args) => {
+        const metadata = buildMetadata(context, args);
+        const script = context.options.script;
+        const { proposalId, metadataHash, receipt } = script
+            ? await context.client().createExecutableProposal(metadata, script)
+            : await context.client().createProposal(metadata);
+        const result = { proposalId, metadataHash, ...summarizeReceipt(receipt) };
+        return { result, text: `Created proposal ${proposalId}\n${formatReceipt(result)}` };
+    },
+
+    cancel: async (context, args) => {
+        requireArgs(args, 1, 'cancel <id>');
+        return context.send(client => client.cancelProposal(args[0]));
+    },
+
+    vote: async (context, args) => {
+        requireArgs(args, 2, 'vote <id> <yea|nay>');
+        return context.send(client => client.vote(args[0], parseSide(args[1], 'yea', 'nay')));
+    },
+
+    commit: async (context, args) => {
+        requireArgs(args, 2, 'commit <id> <yea|nay>');
+        return context.send(async client => (await client.commitVote(args[0], parseSide(args[1], 'yea', 'nay'))).receipt);
+    },
+
+    reveal: async (context, args) => {
+        requireArgs(args, 1, 'reveal <id> [voter]');
+        return context.send(client => client.revealVote(args[0], args[1]));
+    },
+
+    'sign-vote': async (context, args) => {
+        requireArgs(args, 2, 'sign-vote <id> <yea|nay>');
+        const message = await context.client().signVote(args[0], parseSide(args[1], 'yea', 'nay'), signingOptions(context));
+        return { result: message, text: JSON.stringify(message) };
+    },
+
+    'sign-stake': async (context, args) => {
+        requireArgs(args, 3, 'sign-stake <id> <amount> <up|down>');
+        const message = await context.client().signStake(args[0], args[1], parseSide(args[2], 'up', 'down'), signingOptions(context));
+        return { result: message, text: JSON.stringify(message) };
+    },
+
+    'submit-signed': async (context, args) => {
+        requireArgs(args, 1, 'submit-signed <message>');
+        let message;
+        try {
+            message = JSON.parse(args[0]);
+        }
+        catch(e) {
+            throw new UsageError(`Invalid message: ${e.message}`);
+        }
+        return context.send(client => client.submitSigned(message));
+    },
+
+    delegate: async (context, args) => {
+        requireArgs(args, 1, 'delegate <address|none>');
+        return context.send(client => client.delegate(args[0] === 'none' ? null : args[0]));
+    },
+
+    weight: async (context, args) => {
+        requireArgs(args, 1, 'weight <account>');
+        const options = context.options.cap === undefined ? {} : { cap: context.options.cap };
+        const prediction = await context.client().predictVotingWeight(args[0], options);
+        const text = [
+            `voting power: ${prediction.votingPower}  weight: ${prediction.weight} (${prediction.strategy})`,
+            ...Object.keys(prediction.weights).map(name => `  ${name}: ${prediction.weights[name]}`)
+        ].join('\n');
+        return { result: prediction, text };
+    },
+
+    stake: async (context, args) => {
+        requireArgs(args, 3, 'stake <id> <amount> <up|down>');
+        return context.send(client => client.stake(args[0], args[1], parseSide(args[2], 'up', 'down')));
+    },
+
+    unstake: async (context, args) => {
+        requireArgs(args, 3, 'unstake <id> <amount> <up|down>');
+        return context.send(client => client.unstake(args[0], args[1], parseSide(args[2], 'up', 'down')));
+    },
+
+    update: async (context, args) => {
+        requireArgs(args, 1, 'update <id>');
+        return context.send(client => client.updateProposalConfidence(args[0]));
+    },
+
+    'encode-call': async (context, args) => {
+        requireArgs(args, 2, 'encode-call <to> <signature> [args...]');
+        const [to, signature, ...callArgs] = args;
+        const calls = executionScript.decode(context.options.script || '0x');
+        calls.push({ to, value: context.options.value || 0, data: executionScript.encodeCallData(signature, callArgs) });
+        const script = executionScript.encode(calls);
+        return { result: { script, calls }, text: script };
+    },
+
+    'decode-script': async (context, args) => {
+        requireArgs(args, 1, 'decode-script <script>');
+        const abis = context.options.abi ? { '*': loadArtifacts(context.options.abi).abi } : {};
+        const calls = executionScript.decode(args[0]);
+        return { result: calls, text: executionScript.describe(args[0], abis).join('\n') };
+    },
+
+    execute: async (context, args) => {
+        requireArgs(args, 1, 'execute <id>');
+        return context.send(client => client.executeProposal(args[0]));
+    },
+
+    boost: async (context, args) => {
+        requireArgs(args, 1, 'boost <id>');
+        return context.send(client => client.boostProposal(args[0], undefined, compensationOptions(context)));
+    },
+
+    expire: async (context, args) => {
+        requireArgs(args, 1, 'expire <id>');
+        return context.send(client => client.expireNonBoostedProposal(args[0], undefined, compensationOptions(context)));
+    },
+
+    resolve: async (context, args) => {
+        requireArgs(args, 1, 'resolve <id>');
+        return context.send(client => client.resolveBoostedProposal(args[0], undefined, compensationOptions(context)));
+    },
+
+    fee: async (context, args) => {
+        requireArgs(args, 1, 'fee <id>');
+        const client = context.client();
+        const [proposal, settings, compensationFunds, block] = await Promise.all([
+            client.getProposal(args[0]),
+            client.getSettings(),
+            client.getCompensationFunds(),
+            context.web3.eth.getBlock('latest')
+        ]);
+        const action = getReadyAction(proposal, settings, block.timestamp, compensationFunds);
+        if(action === null) return { result: null, text: `Proposal ${args[0]} can't be boosted, expired or resolved yet` };
+        const depleted = action.depleted ? ', limited by the compensation funds' : '';
+        return { result: action, text: `${action.method} pays a fee of ${action.fee}${depleted} (funds: ${compensationFunds})` };
+    },
+
+    fund: async (context, args) => {
+        requireArgs(args, 1, 'fund <amount>');
+        return context.send(client => client.fundCompensations(args[0]));
+    },
+
+    withdraw: async (context, args) => {
+        requireArgs(args, 1, 'withdraw <id>');
+        const proposal = await context.client().getProposal(args[0]);
+        if(proposal.state === 'Expired') return context.send(client => client.withdrawStakeFromExpiredQueuedProposal(args[0]));
+        if(proposal.state === 'Resolved' || proposal.state === 'Rejected') return context.send(client => client.withdrawRewardFromResolvedProposal(args[0]));
+        throw new Error(`Proposal ${args[0]} is ${proposal.state}, stake can only be withdrawn from expired, resolved or rejected proposals`);
+    },
+
+    claim: async (context, args) => {
+        const client = context.client();
+        const ids = args.length > 0 ? args : (await client.getClaimablePositions(context.txParams.from)).map(position => position.proposalId);
+        if(ids.length === 0) return { result: null, text: 'Nothing to claim' };
+        return context.send(client => client.claimMany(ids));
+    },
+
+    status: async (context, args) => {
+        requireArgs(args, 1, 'status <id>');
+        const now = (await context.web3.eth.getBlock('latest')).timestamp;
+        const proposal = await getProposalWithConfidence(context.client(), args[0], now);
+        return { result: proposal, text: formatProposal(proposal, now) };
+    },
+
+    'grant-role': async (context, args) => {
+        requireArgs(args, 2, 'grant-role <role> <address|anyone>');
+        return context.send(client => client.grantRole(args[0].toUpperCase(), parseEntity(args[1])));
+    },
+
+    'revoke-role': async (context, args) => {
+        requireArgs(args, 2, 'revoke-role <role> <address|anyone>');
+        return context.send(client => client.revokeRole(args[0].toUpperCase(), parseEntity(args[1])));
+    },
+
+    set: async (context, args) => {
+        requireArgs(args, 2, 'set <param> <value>');
+        const setter = SETTERS[args[0]];
+        if(!setter) throw new UsageError(`Expected one of ${Object.keys(SETTERS).join(', ')}, got ${args[0]}`);
+        return context.send(client => client[setter](args[1]));
+    },
+
+    'set-periods': async (context, args) => {
+        requireArgs(args, 4, 'set-periods <queue> <boost> <quiet-ending> <pended-boost>');
+        const [queuePeriod, boostPeriod, quietEndingPeriod, pendedBoostPeriod] = args;
+        return context.send(client => client.setPeriods({ queuePeriod, boostPeriod, quietEndingPeriod, pendedBoostPeriod }));
+    },
+
+    'set-fee-curve': async (context, args) => {
+        requireArgs(args, 1, 'set-fee-curve <Linear|Step|CappedExponential> [period]');
+        return context.send(client => client.setCompensationFeeCurve(args[0], args[1] || 0));
+    },
+
+    'set-proposal-limits': async (context, args) => {
+        requireArgs(args, 2, 'set-proposal-limits <deposit> <cooldown>');
+        return context.send(client => client.setProposalLimits({ creationDeposit: args[0], proposalCooldown: args[1] }));
+    },
+
+    list: async (context) => {
+        const client = context.client();
+        const numProposals = await client.getNumProposals();
+        const now = (await context.web3.eth.getBlock('latest')).timestamp;
+        const proposals = [];
+        for(let i = 0; i < numProposals; i++) {
+            proposals.push(await getProposalWithConfidence(client, i, now));
+        }
+        const text = proposals.length === 0 ? 'No proposals' : proposals.map(proposal => formatProposal(proposal, now)).join('\n\n');
+        return { result: proposals, text };
+    }
+};
+
+/*
+ * Main.
+ */
+
+// Runs a command and returns the process' exit code.
+// Output is written through the print function, so that the tool can be used programmatically.
+const run = async (argv, print = console.log) => {
+    const { args, options } = parseArgs(argv);
+    const [commandName, ...commandArgs] = args;
+    const command = commands[commandName];
+    if(!command || options.help) {
+        print(USAGE);
+        return command || options.help ? 0 : 1;
+    }
+
+    const output = (result, text) => print(options.json ? JSON.stringify(toPlain(result), null, 2) : text);
+
+    try {
+        const network = options.network || 'localhost';
+        const web3 = getWeb3(network);
+
+        // Resolve the sender.
+        let from;
+        const privateKey = options['private-key'] || process.env.HC_PRIVATE_KEY;
+        if(privateKey) from = web3.eth.accounts.wallet.add(privateKey).address;
+        else {
+            const account = options.account === undefined ? '0' : `${options.account}`;
+            from = web3.utils.isAddress(account) ? account : (await web3.eth.getAccounts())[parseInt(account, 10)];
+        }
+        const txParams = { from, gas: parseInt(options.gas || 6700000, 10) };
+        if(options['gas-price']) txParams.gasPrice = options['gas-price'];
+
+        const hcAddress = options.hc || process.env.HC_ADDRESS;
+        const context = {
+            network,
+            web3,
+            options: { ...options, hc: hcAddress },
+            txParams,
+            client: () => {
+                if(!hcAddress) throw new UsageError('Missing --hc <address> or $HC_ADDRESS');
+                const client = new HCClient(web3, hcAddress, txParams);
+                if(options['metadata-dir']) client.metadataStore = new proposalMetadata.MetadataStore(options['metadata-dir']);
+                if(options['salt-dir']) client.saltStore = new commitReveal.SaltStore(options['salt-dir']);
+                return client;
+            },
+            send: async (sendTx) => {
+                const result = summarizeReceipt(await sendTx(context.client()));
+                return { result, text: formatReceipt(result) };
+            }
+        };
+
+        const { result, text } = await command(context, commandArgs);
+        output(result, text);
+        return 0;
+    }
+    catch(error) {
+        if(error instanceof UsageError) {
+            print(error.message);
+            return 1;
+        }
+        const revertError = await toRevertError(error);
+        if(revertError instanceof RevertError) {
+            const reason = revertError.reason === null ? null : revertError.reason.trim();
+            output({ error: revertError.message, reason, errorName: revertError.errorName }, revertError.message);
+        }
+        else output({ error: `Error: ${error.message}`, reason: null }, `Error: ${error.message}`);
+        return 1;
+    }
+};
+
+module.exports = {
+    run,
+    parseArgs
+};
+
+if(require.main === module) {
+    run(process.argv.slice(2)).then(code => process.exit(code));
+}
@@ -0,0 +1,113 @@
+const BN = require('bn.js');
+
+// Ports of the integer math used by the HC contracts.
+// All amounts are BNs and all dates are timestamps in seconds.
+
+// Multiplier used to avoid losing precision when using division or calculating percentages.
+// Note: Must match PRECISION_MULTIPLIER in HCBase.sol.
+const PRECISION_MULTIPLIER = new BN(10).pow(new BN(16));
+
+const MAX_UINT256 = new BN(2).pow(new BN(256)).subn(1);
+
+const toBN = (value) => BN.isBN(value) ? value : new BN(`${value}`, 10);
+
+// Names of HCCompensations.FeeCurve, by value.
+const FEE_CURVES = ['Linear', 'Step', 'CappedExponential'];
+
+// Port of HCCompensations._calculateCompensationFee.
+// The fee grows with the time elapsed since the cutoff date following the fee curve (see HCCompensations.FeeCurve),
+// and is capped at the proposal's total upstake divided by compensationFeePct.
+const calculateCompensationFee = (upstake, compensationFeePct, cutoffDate, now, feeCurve = 'Linear', feePeriod = 0) => {
+    if(now < cutoffDate) throw new Error(`Invalid compensation fee: cutoff date ${cutoffDate} is after ${now}`);
+    const elapsed = new BN(now - cutoffDate);
+    const max = calculateMaxCompensationFee(upstake, compensationFeePct);
+    let fee;
+    if(feeCurve === 'Linear') fee = elapsed.div(toBN(compensationFeePct));
+    else if(feeCurve === 'Step') fee = elapsed.gte(toBN(feePeriod)) ? max : new BN(0);
+    else if(feeCurve === 'CappedExponential') {
+        const doublings = elapsed.div(toBN(feePeriod));
+        fee = doublings.gten(255) ? max : new BN(2).pow(doublings).subn(1);
+    }
+    else throw new Error(`Unknown fee curve ${feeCurve}`);
+    return fee.gt(max) ? max : fee;
+};
+
+// The cap of HCCompensations._calculateCompensationFee, i.e. the largest fee that a proposal can pay per call.
+const calculateMaxCompensationFee = (upstake, compensationFeePct) => {
+    return toBN(upstake).mul(PRECISION_MULTIPLIER).div(toBN(compensationFeePct)).div(PRECISION_MULTIPLIER);
+};
+
+// Port of HCCompensations._compensate, which pays callers what is left of the compensation funds when they can't cover the fee.
+const calculatePaidCompensationFee = (fee, compensationFunds) => {
+    return BN.min(toBN(fee), toBN(compensationFunds));
+};
+
+// Port of HCVoting._votesToPct, with a result scaled by PRECISION_MULTIPLIER.
+const votesToPct = (votes, totalVotes) => {
+    return toBN(votes).mul(new BN(100).mul(PRECISION_MULTIPLIER)).div(toBN(totalVotes));
+};
+
+// Returns 'Yea', 'Nay' or 'Absent' depending on which side holds more than supportPct of the total votes.
+const calculateSupport = (yea, nay, totalVotes, supportPct) => {
+    const requiredPct = new BN(supportPct).mul(PRECISION_MULTIPLIER);
+    if(votesToPct(yea, totalVotes).gt(requiredPct)) return 'Yea';
+    if(votesToPct(nay, totalVotes).gt(requiredPct)) return 'Nay';
+    return 'Absent';
+};
+
+// Port of HCVoting._calculateProposalAbsoluteSupport, where the total weight is the vote token supply
+// under one token one vote, see votingWeight.calculateTotalWeight.
+const calculateAbsoluteSupport = (yea, nay, totalWeight, supportPct) => {
+    return calculateSupport(yea, nay, totalWeight, supportPct);
+};
+
+// Port of HCVoting._calculateProposalRelativeSupport.
+const calculateRelativeSupport = (yea, nay, supportPct) => {
+    const totalVoted = toBN(yea).add(toBN(nay));
+    if(totalVoted.isZero()) return 'Absent';
+    return calculateSupport(yea, nay, totalVoted, supportPct);
+};
+
+// Port of HCStaking.getConfidence, with a result scaled by PRECISION_MULTIPLIER.
+const calculateConfidence = (upstake, downstake) => {
+    const scaledUpstake = toBN(upstake).mul(PRECISION_MULTIPLIER);
+    return toBN(downstake).isZero() ? scaledUpstake : scaledUpstake.div(toBN(downstake));
+};
+
+// Port of HCStaking._calculateConfidenceThreshold, with a result scaled by PRECISION_MULTIPLIER
+// and capped to the maximum uint256.
+const calculateConfidenceThreshold = (confidenceThresholdBase, numBoostedProposals = 0) => {
+    const threshold = toBN(confidenceThresholdBase).pow(toBN(numBoostedProposals)).mul(PRECISION_MULTIPLIER);
+    return threshold.gt(MAX_UINT256) ? MAX_UINT256 : threshold;
+};
+
+// Port of HCStaking._proposalHasEnoughConfidence.
+const hasEnoughConfidence = (upstake, downstake, confidenceThresholdBase, numBoostedProposals = 0) => {
+    const threshold = calculateConfidenceThreshold(confidenceThresholdBase, numBoostedProposals);
+    return calculateConfidence(upstake, downstake).gte(threshold);
+};
+
+// Port of the reward calculation in HCWithdrawals._claimableOf.
+// Returns the staker's winning stake plus its share of the losing stake.
+const calculateReward = (winningStake, totalWinningStake, totalLosingStake) => {
+    const winningRatio = toBN(winningStake).mul(PRECISION_MULTIPLIER).div(toBN(totalWinningStake));
+    const reward = winningRatio.mul(toBN(totalLosingStake)).div(PRECISION_MULTIPLIER);
+    return toBN(winningStake).add(reward);
+};
+
+module.exports = {
+    PRECISION_MULTIPLIER,
+    MAX_UINT256,
+    toBN,
+    FEE_CURVES,
+    calculateCompensationFee,
+    calculateMaxCompensationFee,
+    calculatePaidCompensationFee,
+    votesToPct,
+    calculateAbsoluteSupport,
+    calculateRelativeSupport,
+    calculateConfidence,
+    calculateConfidenceThreshold,
+    hasEnoughConfidence,
+    calculateReward
+};
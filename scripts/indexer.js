@@ -0,0 +1,428 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const url = require('url');
+const BN = require('bn.js');
+const { HCClient, decodeEvent, decodeTokenEvent, loadArtifacts } = require('./client.js');
+const hcMath = require('./hcMath.js');
+
+// Indexes the events emitted by an HC contract, and the transfers and delegations of its vote token,
+// into a JSON file, and derives queryable views of proposals and accounts from them.
+// Proposal metadata is read from the client's metadata store, and is null until the store has it.
+// Note: Vote token balances are only accurate if indexing starts before the token's first transfer.
+
+const INDEXED_EVENTS = [
+    'ProposalCreated',
+    'ProposalStateChanged',
+    'ProposalLifetimeExtended',
+    'ProposalExecuted',
+    'StakeClaimed',
+    'VoteCasted',
+    'DelegatedVoteOverridden',
+    'UpstakeProposal',
+    'DownstakeProposal',
+    'WithdrawUpstake',
+    'WithdrawDownstake'
+];
+
+const INDEXED_TOKEN_EVENTS = ['Transfer', 'DelegateChanged'];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Number of recent block hashes kept to detect reorgs.
+const REORG_DEPTH = 64;
+
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// BN values are stored as decimal strings.
+const serializeEvent = (event) => {
+    const serialized = { ...event };
+    Object.keys(serialized).forEach(key => {
+        if(BN.isBN(serialized[key])) serialized[key] = serialized[key].toString();
+    });
+    return serialized;
+};
+
+const addAmounts = (a, b) => hcMath.toBN(a).add(hcMath.toBN(b)).toString();
+const subAmounts = (a, b) => hcMath.toBN(a).sub(hcMath.toBN(b)).toString();
+
+class JSONStore {
+
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        if(!fs.existsSync(this.filePath)) return null;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    // Writes to a temporary file first, so that a crash never leaves a partially written store.
+    save(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+class Indexer {
+
+    // Options:
+    // dataDir: directory where the store is kept, one file per contract address.
+    // fromBlock: block from which to start indexing, usually the contract's deployment block.
+    // confirmations: number of blocks to wait before indexing a block.
+    // batchSize: maximum number of blocks requested at once.
+    constructor(client, options = {}) {
+        this.client = client;
+        this.store = new JSONStore(path.join(options.dataDir || 'data', `${client.address.toLowerCase()}.json`));
+        this.fromBlock = options.fromBlock || 0;
+        this.confirmations = options.confirmations || 0;
+        this.batchSize = options.batchSize || 1000;
+        this.interval = options.interval || 5000;
+        this.log = options.log || console.log;
+        this.timeout = null;
+
+        // Resume from a previous run, if any.
+        this.data = this.store.load() || this._emptyData();
+        this._buildViews();
+    }
+
+    /*
+     * Syncing.
+     */
+
+    async sync() {
+        const web3 = this.client.web3;
+        await this._handleReorgs();
+        await this._syncVoteToken();
+        await this._syncPeriods();
+
+        const latestBlock = await web3.eth.getBlockNumber() - this.confirmations;
+        while(this.data.lastBlock < latestBlock) {
+            const fromBlock = this.data.lastBlock + 1;
+            const toBlock = Math.min(fromBlock + this.batchSize - 1, latestBlock);
+
+            const events = (await this.client.contract.getPastEvents('allEvents', { fromBlock, toBlock }))
+                .filter(event => INDEXED_EVENTS.includes(event.event))
+                .map(decodeEvent)
+                .concat(await this._getTokenEvents(fromBlock, toBlock));
+            events
+                .sort(compareEvents)
+                .forEach(event => this.data.events.push(serializeEvent(event)));
+
+            const block = await web3.eth.getBlock(toBlock);
+            this._recordBlockHash(toBlock, block.hash);
+            this.data.lastBlock = toBlock;
+            this.store.save(this.data);
+        }
+
+        this._buildViews();
+        return this.data.lastBlock;
+    }
+
+    start() {
+        const loop = async () => {
+            try {
+                await this.sync();
+            }
+            catch(error) {
+                this.log(`Indexer sync failed: ${error.message}`);
+            }
+            if(this.timeout !== null) this.timeout = setTimeout(loop, this.interval);
+        };
+        this.timeout = setTimeout(loop, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    /*
+     * Queries.
+     */
+
+    getLastBlock() {
+        return this.data.lastBlock;
+    }
+
+    getProposal(proposalId) {
+        return this.proposals[proposalId] || null;
+    }
+
+    getProposals(state) {
+        const proposals = Object.values(this.proposals);
+        return state ? proposals.filter(proposal => proposal.state === state) : proposals;
+    }
+
+    // Accounts include their vote token balance, delegate and the voting power delegated to them.
+    // effectiveVotingPower is the voting power that they would have on a proposal created now,
+    // if nobody overrode their delegate.
+    getAccount(address) {
+        address = address.toLowerCase();
+        const holder = this.holders[address] || { balance: '0', delegate: null, delegatedVotingPower: '0' };
+        const effectiveVotingPower = addAmounts(holder.delegate ? '0' : holder.balance, holder.delegatedVotingPower);
+        const account = { address, ...holder, effectiveVotingPower, proposalsCreated: [], votes: [], stakes: [], claims: [] };
+        Object.values(this.proposals).forEach(proposal => {
+            if(proposal.creator.toLowerCase() === address) account.proposalsCreated.push(proposal.id);
+            Object.keys(proposal.votes).forEach(voter => {
+                if(voter.toLowerCase() === address) account.votes.push({ proposalId: proposal.id, ...proposal.votes[voter] });
+            });
+            Object.keys(proposal.stakes).forEach(staker => {
+                if(staker.toLowerCase() === address) account.stakes.push({ proposalId: proposal.id, ...proposal.stakes[staker] });
+            });
+            Object.keys(proposal.claims).forEach(staker => {
+                if(staker.toLowerCase() === address) account.claims.push({ proposalId: proposal.id, amount: proposal.claims[staker] });
+            });
+        });
+        return account;
+    }
+
+    // Serves the queries over http:
+    // GET /status, GET /proposals[?state=<state>], GET /proposals/<id>, GET /accounts/<address>.
+    serve(port) {
+        const server = http.createServer((request, response) => {
+            const { pathname, query } = url.parse(request.url, true);
+            const parts = pathname.split('/').filter(part => part !== '');
+
+            let result;
+            if(request.method !== 'GET') result = undefined;
+            else if(parts[0] === 'status' && parts.length === 1) result = { lastBlock: this.getLastBlock() };
+            else if(parts[0] === 'proposals' && parts.length === 1) result = this.getProposals(query.state);
+            else if(parts[0] === 'proposals' && parts.length === 2) result = this.getProposal(parseInt(parts[1], 10));
+            else if(parts[0] === 'accounts' && parts.length === 2) result = this.getAccount(parts[1]);
+
+            if(result === undefined || result === null) {
+                response.writeHead(404, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ error: 'Not found' }));
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(result));
+        });
+        return server.listen(port);
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    _emptyData() {
+        return {
+            address: this.client.address,
+            lastBlock: this.fromBlock - 1,
+            blockHashes: {},
+            events: []
+        };
+    }
+
+    // Starts indexing the vote token once the HC contract is initialized,
+    // backfilling its events up to the last indexed block.
+    async _syncVoteToken() {
+        if(this.data.voteToken) return;
+        const address = await this.client.contract.methods.voteToken().call();
+        if(address === ZERO_ADDRESS) return;
+
+        this.data.voteToken = address;
+        if(this.data.lastBlock >= this.fromBlock) {
+            const events = await this._getTokenEvents(this.fromBlock, this.data.lastBlock);
+            this.data.events = this.data.events.concat(events.map(serializeEvent)).sort(compareEvents);
+        }
+        this.store.save(this.data);
+    }
+
+    // Reads the periods that give proposals their lifetimes once the HC contract is initialized.
+    // Note: They are read once, so lifetimes don't follow later changes made with setPeriods.
+    async _syncPeriods() {
+        if(this.data.periods) return;
+        const methods = this.client.contract.methods;
+        const [queuePeriod, boostPeriod] = await Promise.all([methods.queuePeriod().call(), methods.boostPeriod().call()]);
+        if(queuePeriod === '0') return;
+
+        this.data.periods = { queuePeriod: parseInt(queuePeriod, 10), boostPeriod: parseInt(boostPeriod, 10) };
+        this.store.save(this.data);
+    }
+
+    async _getTokenEvents(fromBlock, toBlock) {
+        if(!this.data.voteToken) return [];
+        const voteToken = new this.client.web3.eth.Contract(loadArtifacts('Token').abi, this.data.voteToken);
+        const events = await voteToken.getPastEvents('allEvents', { fromBlock, toBlock });
+        return events
+            .filter(event => INDEXED_TOKEN_EVENTS.includes(event.event))
+            .map(event => ({ ...decodeTokenEvent(event), token: 'voteToken' }));
+    }
+
+    // Documents that don't match their hash or the schema are reported in metadataError, rather than failing the whole view.
+    _getMetadata(hash) {
+        try {
+            return { metadata: this.client.metadataStore.get(hash), metadataError: null };
+        }
+        catch(error) {
+            return { metadata: null, metadataError: error.message };
+        }
+    }
+
+    _recordBlockHash(blockNumber, hash) {
+        this.data.blockHashes[blockNumber] = hash;
+        Object.keys(this.data.blockHashes)
+            .map(number => parseInt(number, 10))
+            .filter(number => number <= blockNumber - REORG_DEPTH)
+            .forEach(number => delete this.data.blockHashes[number]);
+    }
+
+    // Walks back the recorded block hashes until one matches the chain,
+    // and discards everything that was indexed after it.
+    async _handleReorgs() {
+        const recordedBlocks = Object.keys(this.data.blockHashes)
+            .map(number => parseInt(number, 10))
+            .sort((a, b) => b - a);
+        if(recordedBlocks.length === 0) return;
+
+        for(let i = 0; i < recordedBlocks.length; i++) {
+            const blockNumber = recordedBlocks[i];
+            const block = await this.client.web3.eth.getBlock(blockNumber);
+            if(block && block.hash === this.data.blockHashes[blockNumber]) {
+                if(i > 0) this._rollback(blockNumber);
+                return;
+            }
+        }
+
+        // The reorg is deeper than the recorded hashes, so start over.
+        this.log(`Reorg deeper than ${REORG_DEPTH} blocks detected, reindexing from block ${this.fromBlock}`);
+        this.data = this._emptyData();
+        this.store.save(this.data);
+    }
+
+    _rollback(blockNumber) {
+        this.log(`Reorg detected, rolling back to block ${blockNumber}`);
+        this.data.events = this.data.events.filter(event => event.blockNumber <= blockNumber);
+        Object.keys(this.data.blockHashes)
+            .filter(number => parseInt(number, 10) > blockNumber)
+            .forEach(number => delete this.data.blockHashes[number]);
+        this.data.lastBlock = blockNumber;
+        this.store.save(this.data);
+    }
+
+    // Replays all stored events into proposal views.
+    // Note: Stakes reflect the amounts staked before the proposal was closed, and claims are recorded separately.
+    _buildViews() {
+        const periods = this.data.periods || { queuePeriod: null, boostPeriod: null };
+        const proposals = {};
+        const holders = {};
+        const holder = (address) => {
+            address = address.toLowerCase();
+            holders[address] = holders[address] || { balance: '0', delegate: null, delegatedVotingPower: '0' };
+            return holders[address];
+        };
+        const moveDelegatedVotingPower = (fromDelegate, toDelegate, amount) => {
+            if(fromDelegate) holder(fromDelegate).delegatedVotingPower = subAmounts(holder(fromDelegate).delegatedVotingPower, amount);
+            if(toDelegate) holder(toDelegate).delegatedVotingPower = addAmounts(holder(toDelegate).delegatedVotingPower, amount);
+        };
+
+        this.data.events.forEach(event => {
+            if(event.token === 'voteToken') {
+                if(event.event === 'Transfer') {
+                    const from = event.from === ZERO_ADDRESS ? null : holder(event.from);
+                    const to = event.to === ZERO_ADDRESS ? null : holder(event.to);
+                    if(from) from.balance = subAmounts(from.balance, event.value);
+                    if(to) to.balance = addAmounts(to.balance, event.value);
+                    moveDelegatedVotingPower(from && from.delegate, to && to.delegate, event.value);
+                }
+                else if(event.event === 'DelegateChanged') {
+                    holder(event.delegator).delegate = event.toDelegate;
+                    moveDelegatedVotingPower(event.fromDelegate, event.toDelegate, holder(event.delegator).balance);
+                }
+                return;
+            }
+
+            if(event.event === 'ProposalCreated') {
+                proposals[event.proposalId] = {
+                    id: event.proposalId,
+                    creator: event.creator,
+                    metadataHash: event.metadataHash,
+                    ...this._getMetadata(event.metadataHash),
+                    createdBlock: event.blockNumber,
+                    state: 'Queued',
+                    lifetime: periods.queuePeriod,
+                    yea: '0',
+                    nay: '0',
+                    upstake: '0',
+                    downstake: '0',
+                    executed: false,
+                    votes: {},
+                    stakes: {},
+                    claims: {}
+                };
+                return;
+            }
+
+            const proposal = proposals[event.proposalId];
+            if(!proposal) return;
+            switch(event.event) {
+                case 'ProposalStateChanged':
+                    proposal.state = event.state;
+                    if(event.state === 'Boosted') proposal.lifetime = periods.boostPeriod;
+                    break;
+                case 'ProposalLifetimeExtended':
+                    proposal.lifetime = event.lifetime;
+                    break;
+                case 'ProposalExecuted':
+                    proposal.executed = true;
+                    break;
+                case 'StakeClaimed':
+                    proposal.claims[event.staker] = event.amount;
+                    break;
+                case 'VoteCasted': {
+                    const previousVote = proposal.votes[event.voter];
+                    if(previousVote) {
+                        if(previousVote.supports) proposal.yea = subAmounts(proposal.yea, previousVote.votingPower);
+                        else proposal.nay = subAmounts(proposal.nay, previousVote.votingPower);
+                    }
+                    if(event.supports) proposal.yea = addAmounts(proposal.yea, event.votingPower);
+                    else proposal.nay = addAmounts(proposal.nay, event.votingPower);
+                    proposal.votes[event.voter] = { supports: event.supports, votingPower: event.votingPower };
+                    break;
+                }
+                case 'DelegatedVoteOverridden': {
+                    const delegateVote = proposal.votes[event.delegate];
+                    if(delegateVote) {
+                        delegateVote.votingPower = subAmounts(delegateVote.votingPower, event.votingPower);
+                        if(delegateVote.supports) proposal.yea = subAmounts(proposal.yea, event.votingPower);
+                        else proposal.nay = subAmounts(proposal.nay, event.votingPower);
+                    }
+                    break;
+                }
+                default: {
+                    const stake = proposal.stakes[event.staker] || { upstake: '0', downstake: '0' };
+                    const key = event.supports ? 'upstake' : 'downstake';
+                    const update = event.withdrawal ? subAmounts : addAmounts;
+                    stake[key] = update(stake[key], event.amount);
+                    proposal[key] = update(proposal[key], event.amount);
+                    proposal.stakes[event.staker] = stake;
+                }
+            }
+        });
+        this.proposals = proposals;
+        this.holders = holders;
+    }
+}
+
+module.exports = {
+    Indexer,
+    JSONStore
+};
+
+// Usage: node scripts/indexer.js <hcAddress> [network] [fromBlock] [port]
+if(require.main === module) {
+    const [address, network = 'localhost', fromBlock = '0', port = '8000'] = process.argv.slice(2);
+    if(!address) {
+        console.log(`Usage: node scripts/indexer.js <hcAddress> [network] [fromBlock] [port]`);
+        process.exit(1);
+    }
+
+    const indexer = new Indexer(HCClient.at(network, address), { fromBlock: parseInt(fromBlock, 10) });
+    indexer.start();
+    indexer.serve(parseInt(port, 10));
+    console.log(`Indexing ${address} on ${network}, serving queries on port ${port}`);
+}
@@ -0,0 +1,116 @@
+const BN = require('bn.js');
+const { HCClient, getReadyAction } = require('./client.js');
+const hcMath = require('./hcMath.js');
+
+// Keeper that earns compensation fees by calling the functions that move proposals forward
+// once their deadlines have passed, i.e. boostProposal, expireNonBoostedProposal and resolveBoostedProposal.
+
+class Keeper {
+
+    // Options:
+    // weiPerStakeToken: value of one stake token unit in wei, used to compare fees against gas costs.
+    // interval: time between scans (ms).
+    constructor(client, options = {}) {
+        this.client = client;
+        this.weiPerStakeToken = hcMath.toBN(options.weiPerStakeToken === undefined ? 1 : options.weiPerStakeToken);
+        this.interval = options.interval || 15000;
+        this.log = options.log || console.log;
+        this.timeout = null;
+    }
+
+    async findActions() {
+        const [settings, proposals, compensationFunds, block] = await Promise.all([
+            this.client.getSettings(),
+            this.client.getProposals(),
+            this.client.getCompensationFunds(),
+            this.client.web3.eth.getBlock('latest')
+        ]);
+        return proposals
+            .map(proposal => getReadyAction(proposal, settings, block.timestamp, compensationFunds))
+            .filter(action => action !== null);
+    }
+
+    // Scans all proposals once and executes the actions that are ready and profitable.
+    async runOnce() {
+        const actions = await this.findActions();
+        const results = [];
+        for(let i = 0; i < actions.length; i++) {
+            results.push(await this._execute(actions[i]));
+        }
+        return results;
+    }
+
+    start() {
+        const loop = async () => {
+            try {
+                await this.runOnce();
+            }
+            catch(error) {
+                this.log(`Keeper scan failed: ${error.message}`);
+            }
+            if(this.timeout !== null) this.timeout = setTimeout(loop, this.interval);
+        };
+        this.timeout = setTimeout(loop, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    async _execute(action) {
+        const txParams = this.client._txParams();
+        const method = this.client.contract.methods[action.method](action.proposalId);
+
+        // Estimating gas also verifies that the transaction would not revert.
+        let gas;
+        try {
+            gas = await method.estimateGas({ from: txParams.from });
+        }
+        catch(error) {
+            this.log(`Skipping ${action.method}(${action.proposalId}): ${error.message}`);
+            return { ...action, sent: false, reason: error.message };
+        }
+
+        // Only send the transaction if the fee covers its cost.
+        const gasPrice = hcMath.toBN(txParams.gasPrice || await this.client.web3.eth.getGasPrice());
+        const gasCost = gasPrice.mul(new BN(gas));
+        const feeValue = action.fee.mul(this.weiPerStakeToken);
+        if(feeValue.lt(gasCost)) {
+            const depleted = action.depleted ? ' (compensation funds are depleted)' : '';
+            this.log(`Skipping ${action.method}(${action.proposalId}): fee ${feeValue} wei${depleted} does not cover gas cost ${gasCost} wei`);
+            return { ...action, sent: false, reason: 'unprofitable' };
+        }
+
+        const receipt = await method.send(txParams);
+        this.log(`Called ${action.method}(${action.proposalId}) for an estimated fee of ${action.fee}, tx ${receipt.transactionHash}`);
+        return { ...action, sent: true, receipt };
+    }
+}
+
+module.exports = {
+    Keeper,
+    getReadyAction
+};
+
+// Usage: node scripts/keeper.js <hcAddress> [network] [weiPerStakeToken] [intervalMs]
+if(require.main === module) {
+    const [address, network = 'localhost', weiPerStakeToken, interval] = process.argv.slice(2);
+    if(!address) {
+        console.log(`Usage: node scripts/keeper.js <hcAddress> [network] [weiPerStakeToken] [intervalMs]`);
+        process.exit(1);
+    }
+
+    (async () => {
+        const client = HCClient.at(network, address);
+        const accounts = await client.web3.eth.getAccounts();
+        client.txParams = { from: accounts[0], gas: 6700000 };
+        console.log(`Keeper running on ${network} for ${address} from ${accounts[0]}`);
+        const keeper = new Keeper(client, { weiPerStakeToken, interval: interval ? parseInt(interval, 10) : undefined });
+        keeper.start();
+    })();
+}
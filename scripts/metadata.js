@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const Web3 = require('web3');
+
+// Proposal metadata documents, which the HC contract commits to by their content hash (see createProposal),
+// while the documents themselves are kept off chain in a content addressed store.
+// Documents are JSON objects validated against a versioned schema, and hashed in a canonical encoding
+// so that the same document always has the same hash.
+
+const web3 = new Web3();
+
+const LATEST_VERSION = 1;
+
+// JSON schemas (draft-07) by version.
+// Note: validate only implements the keywords used here.
+const SCHEMAS = {
+    1: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'hc-proposal-metadata-v1',
+        title: 'Proposal metadata',
+        type: 'object',
+        required: ['version', 'title'],
+        additionalProperties: false,
+        properties: {
+            version: { const: 1 },
+            title: { type: 'string', minLength: 1, maxLength: 140 },
+            description: { type: 'string', maxLength: 20000 },
+            links: {
+                type: 'array',
+                maxItems: 20,
+                items: {
+                    type: 'object',
+                    required: ['url'],
+                    additionalProperties: false,
+                    properties: {
+                        title: { type: 'string', maxLength: 140 },
+                        url: { type: 'string', pattern: '^(https?|ipfs)://\\S+$' }
+                    }
+                }
+            },
+            // The action that the proposal's execution script performs, if any, described for voters.
+            action: {
+                type: 'object',
+                required: ['summary'],
+                additionalProperties: false,
+                properties: {
+                    summary: { type: 'string', minLength: 1, maxLength: 280 },
+                    script: { type: 'string', pattern: '^0x([0-9a-fA-F]{2})*$' }
+                }
+            }
+        }
+    }
+};
+
+const typeOf = (value) => {
+    if(value === null) return 'null';
+    if(Array.isArray(value)) return 'array';
+    if(Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const validateValue = (schema, value, at, errors) => {
+    const type = typeOf(value);
+    if(schema.const !== undefined && value !== schema.const) return errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+    if(schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) return errors.push(`${at} must be of type ${schema.type}`);
+
+    if(type === 'string') {
+        if(schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must have at least ${schema.minLength} characters`);
+        if(schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must have at most ${schema.maxLength} characters`);
+        if(schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+    }
+    if(type === 'array') {
+        if(schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+        if(schema.items) value.forEach((item, i) => validateValue(schema.items, item, `${at}[${i}]`, errors));
+    }
+    if(type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if(value[key] === undefined) errors.push(`${at}.${key} is required`);
+        });
+        Object.keys(value).forEach(key => {
+            if(properties[key]) validateValue(properties[key], value[key], `${at}.${key}`, errors);
+            else if(schema.additionalProperties === false) errors.push(`${at}.${key} is not allowed`);
+        });
+    }
+};
+
+// Returns the list of errors of a document, which is empty if it is valid.
+const validate = (document) => {
+    if(typeOf(document) !== 'object') return ['metadata must be of type object'];
+    const schema = SCHEMAS[document.version];
+    if(!schema) return [`metadata.version must be one of ${Object.keys(SCHEMAS).join(', ')}`];
+    const errors = [];
+    validateValue(schema, document, 'metadata', errors);
+    return errors;
+};
+
+const requireValid = (document) => {
+    const errors = validate(document);
+    if(errors.length > 0) throw new Error(`Invalid metadata: ${errors.join(', ')}`);
+};
+
+// Documents can be given with a title only.
+const fromTitle = (title) => ({ version: LATEST_VERSION, title });
+
+// Sorts object keys recursively, so that the encoding doesn't depend on the order in which keys were set.
+const canonicalize = (value) => {
+    if(Array.isArray(value)) return value.map(canonicalize);
+    if(typeOf(value) !== 'object') return value;
+    const sorted = {};
+    Object.keys(value).sort().forEach(key => sorted[key] = canonicalize(value[key]));
+    return sorted;
+};
+
+// Canonical encoding: JSON with sorted keys and no whitespace.
+const encode = (document) => {
+    requireValid(document);
+    return JSON.stringify(canonicalize(document));
+};
+
+const decode = (encoded) => {
+    const document = JSON.parse(encoded);
+    requireValid(document);
+    return document;
+};
+
+// keccak256 of the UTF-8 bytes of an encoded document.
+const hashEncoded = (encoded) => web3.utils.keccak256('0x' + Buffer.from(encoded, 'utf8').toString('hex'));
+
+const hash = (document) => hashEncoded(encode(document));
+
+// Keeps encoded documents in a directory, one file per hash.
+// Documents are checked against their hash when read, so that the store can be filled from untrusted sources.
+class MetadataStore {
+
+    constructor(dir = path.join('data', 'metadata')) {
+        this.dir = dir;
+    }
+
+    _path(hash) {
+        if(!/^0x[0-9a-f]{64}$/.test(hash)) throw new Error(`Invalid metadata hash ${hash}`);
+        return path.join(this.dir, `${hash}.json`);
+    }
+
+    // Stores a document, returning its hash.
+    put(document) {
+        return this.putEncoded(encode(document));
+    }
+
+    // Stores an encoded document, e.g. one fetched from elsewhere, returning its hash.
+    putEncoded(encoded) {
+        decode(encoded);
+        const hash = hashEncoded(encoded);
+        const filePath = this._path(hash);
+        if(!fs.existsSync(filePath)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, encoded);
+            fs.renameSync(tmpPath, filePath);
+        }
+        return hash;
+    }
+
+    // Returns the document with the given hash, or null if it isn't stored.
+    get(hash) {
+        const filePath = this._path(hash.toLowerCase());
+        if(!fs.existsSync(filePath)) return null;
+        const encoded = fs.readFileSync(filePath, 'utf8');
+        if(hashEncoded(encoded) !== hash.toLowerCase()) throw new Error(`Metadata ${hash} doesn't match its hash`);
+        return decode(encoded);
+    }
+}
+
+module.exports = {
+    LATEST_VERSION,
+    SCHEMAS,
+    validate,
+    fromTitle,
+    encode,
+    decode,
+    hash,
+    MetadataStore
+};
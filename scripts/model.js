@@ -0,0 +1,732 @@
+const BN = require('bn.js');
+const hcMath = require('./hcMath.js');
+const enums = require('./enums.js');
+const errors = require('./errors.js');
+const executionScript = require('./executionScript.js');
+const commitReveal = require('./commitReveal.js');
+const votingWeight = require('./votingWeight.js');
+
+// Off-chain reference model of the HolographicConsensus contract.
+// Each external function mirrors its Solidity counterpart, including the order of its requires,
+// so that the model reverts with the same reason as the contract would.
+// Note: Functions validate and compute everything before writing any state,
+// so that a revert never leaves the model partially updated.
+
+// Address used for the HC contract in token balances.
+const SELF = 'HC';
+
+const ZERO = new BN(0);
+
+class ModelRevert extends Error {
+    constructor(reason) {
+        super(reason ? `Model revert: ${reason}` : 'Model revert');
+        this.reason = reason || null;
+    }
+}
+
+const require_ = (condition, reason) => {
+    if(!condition) throw new ModelRevert(reason);
+};
+
+// SafeMath ports.
+const add = (a, b) => a.add(b);
+const sub = (a, b) => {
+    require_(b.lte(a), 'SafeMath: subtraction overflow');
+    return a.sub(b);
+};
+const div = (a, b) => {
+    require_(!b.isZero(), 'SafeMath: division by zero');
+    return a.div(b);
+};
+
+// Port of Token.sol.
+class TokenModel {
+
+    constructor() {
+        this.balances = {};
+        this.allowances = {};
+        this.totalSupply = ZERO;
+        this.delegates = {};
+        this.delegatedVotes = {};
+    }
+
+    balanceOf(owner) {
+        return this.balances[owner] || ZERO;
+    }
+
+    allowance(owner, spender) {
+        return (this.allowances[owner] && this.allowances[owner][spender]) || ZERO;
+    }
+
+    // Returns null if the account hasn't delegated.
+    delegateOf(account) {
+        return this.delegates[account] || null;
+    }
+
+    delegatedVotesOf(account) {
+        return this.delegatedVotes[account] || ZERO;
+    }
+
+    // Port of the checkpoints, as the balances, delegation and total supply at the current point in time.
+    // Note: Values are replaced rather than mutated, so shallow copies are enough.
+    snapshot() {
+        const balances = { ...this.balances };
+        const delegates = { ...this.delegates };
+        const delegatedVotes = { ...this.delegatedVotes };
+        return {
+            balanceOf: owner => balances[owner] || ZERO,
+            delegateOf: account => delegates[account] || null,
+            delegatedVotesOf: account => delegatedVotes[account] || ZERO,
+            totalSupply: this.totalSupply,
+            balances: Object.keys(balances).map(owner => balances[owner])
+        };
+    }
+
+    mint(to, value) {
+        value = hcMath.toBN(value);
+        this.totalSupply = add(this.totalSupply, value);
+        this.balances[to] = add(this.balanceOf(to), value);
+        this._moveDelegatedVotes(null, this.delegateOf(to), value);
+    }
+
+    // Delegating to oneself or to null removes the delegation.
+    delegate(sender, delegatee) {
+        if(delegatee === sender) delegatee = null;
+        const fromDelegate = this.delegateOf(sender);
+        if(fromDelegate === delegatee) return;
+
+        if(delegatee) this.delegates[sender] = delegatee;
+        else delete this.delegates[sender];
+        this._moveDelegatedVotes(fromDelegate, delegatee, this.balanceOf(sender));
+    }
+
+    approve(owner, spender, value) {
+        this.allowances[owner] = this.allowances[owner] || {};
+        this.allowances[owner][spender] = hcMath.toBN(value);
+    }
+
+    // Returns a function that commits the transfer, so that it can be validated before any state is written.
+    prepareTransfer(from, to, value) {
+        const fromBalance = sub(this.balanceOf(from), value);
+        return () => {
+            this.balances[from] = fromBalance;
+            this.balances[to] = add(this.balanceOf(to), value);
+            this._moveDelegatedVotes(this.delegateOf(from), this.delegateOf(to), value);
+        };
+    }
+
+    prepareTransferFrom(spender, from, to, value) {
+        const commitTransfer = this.prepareTransfer(from, to, value);
+        const allowance = sub(this.allowance(from, spender), value);
+        return () => {
+            commitTransfer();
+            this.approve(from, spender, allowance);
+        };
+    }
+
+    _moveDelegatedVotes(from, to, value) {
+        if(from === to || value.isZero()) return;
+        if(from) this.delegatedVotes[from] = sub(this.delegatedVotesOf(from), value);
+        if(to) this.delegatedVotes[to] = add(this.delegatedVotesOf(to), value);
+    }
+}
+
+class HCModel {
+
+    // Settings: supportPct, queuePeriod, boostPeriod, quietEndingPeriod,
+    // compensationFeePct, pendedBoostPeriod and confidenceThresholdBase,
+    // and optionally compensationFeeCurve and compensationFeePeriod (Linear by default),
+    // and revealPeriod to commit and reveal votes, in which case voters must be addresses,
+    // and votingStrategy as in votingWeight.js (Linear by default), where Weighted can't weigh other tokens,
+    // and creationDeposit and proposalCooldown to limit proposals (0 by default).
+    // Note: Roles are not modelled, settings don't change after construction and anyone can create proposals,
+    // as in a contract right after its initialization.
+    // Votes and stakes by signature are not modelled either, since they only differ from vote and stake in who signs them.
+    constructor(settings, now = 0) {
+        this.settings = { ...settings };
+        this.votingStrategy = this.settings.votingStrategy || { name: 'Linear' };
+        if(this.votingStrategy.tokens && this.votingStrategy.tokens.length > 0) throw new Error('Other tokens of Weighted voting strategies are not modelled');
+        this.now = now;
+        this.voteToken = new TokenModel();
+        this.stakeToken = new TokenModel();
+        this.proposals = [];
+        this.numBoostedProposals = 0;
+        this.lastThresholdRiseDate = 0;
+        this.compensationFunds = ZERO;
+        this.lastProposalDates = {};
+        this.events = [];
+    }
+
+    /*
+     * External functions.
+     */
+
+    // Note: The first proposal of each sender isn't rate limited, as in the contract, where it is compared to a date of 0,
+    // which the model's clock can start at.
+    createProposal(sender, metadataHash) {
+        const lastProposalDate = this.lastProposalDates[sender];
+        require_(lastProposalDate === undefined || this.now >= lastProposalDate + (this.settings.proposalCooldown || 0), errors.PROPOSAL_RATE_LIMITED);
+        const deposit = hcMath.toBN(this.settings.creationDeposit || 0);
+        let commitTransfer = () => {};
+        if(!deposit.isZero()) {
+            require_(this.stakeToken.allowance(sender, SELF).gte(deposit), errors.INSUFFICIENT_ALLOWANCE);
+            commitTransfer = this.stakeToken.prepareTransferFrom(SELF, sender, SELF, deposit);
+        }
+
+        this.lastProposalDates[sender] = this.now;
+        const proposalId = this.proposals.length;
+        this.proposals.push({
+            id: proposalId,
+            state: 'Queued',
+            lifetime: this.settings.queuePeriod,
+            startDate: this.now,
+            lastPendedDate: 0,
+            lastRelativeSupportFlipDate: 0,
+            lastRelativeSupport: 'Absent',
+            compensationFeesPaid: ZERO,
+            yea: ZERO,
+            nay: ZERO,
+            upstake: ZERO,
+            downstake: ZERO,
+            voteTokenSnapshot: this.voteToken.snapshot(),
+            metadataHash,
+            executionScript: '0x',
+            executed: false,
+            outcome: 'Absent',
+            creator: sender,
+            touched: false,
+            deposit,
+            votes: {},
+            votingPowers: {},
+            overriddenPowers: {},
+            upstakes: {},
+            downstakes: {},
+            claimed: {},
+            commitments: {}
+        });
+        this._emit('ProposalCreated', { proposalId, creator: sender, metadataHash });
+        commitTransfer();
+        return proposalId;
+    }
+
+    // Note: The model has no addresses for the tokens, so scripts that target the stake token are not rejected.
+    createExecutableProposal(sender, metadataHash, script) {
+        let calls;
+        try {
+            calls = executionScript.decode(script);
+        }
+        catch(e) { calls = [] }
+        require_(calls.length > 0, errors.INVALID_EXECUTION_SCRIPT);
+
+        const proposalId = this.createProposal(sender, metadataHash);
+        this.proposals[proposalId].executionScript = script;
+        return proposalId;
+    }
+
+    // Note: Calls are not simulated, the model only keeps track of which proposals were executed.
+    executeProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalStateIs(proposalId, 'Resolved'), errors.PROPOSAL_IS_NOT_RESOLVED);
+
+        const proposal = this.proposals[proposalId];
+        require_(proposal.executionScript !== '0x', errors.PROPOSAL_HAS_NO_EXECUTION_SCRIPT);
+        require_(!proposal.executed, errors.PROPOSAL_IS_EXECUTED);
+
+        proposal.executed = true;
+        this._emit('ProposalExecuted', { proposalId });
+    }
+
+    vote(sender, proposalId, supports) {
+        require_(!this.settings.revealPeriod, errors.INVALID_VOTE_PHASE);
+        this._castVote(sender, proposalId, supports);
+    }
+
+    commitVote(sender, proposalId, commitment) {
+        this._requireVotePhase(proposalId, false);
+
+        this.proposals[proposalId].commitments[sender] = commitment;
+        this._emit('VoteCommitted', { proposalId, voter: sender, commitment });
+    }
+
+    revealVote(sender, proposalId, voter, supports, salt) {
+        this._requireVotePhase(proposalId, true);
+
+        const proposal = this.proposals[proposalId];
+        require_(proposal.commitments[voter] === commitReveal.hashVote(proposalId, voter, supports, salt), errors.INVALID_COMMITMENT);
+
+        this._castVote(voter, proposalId, supports);
+        delete proposal.commitments[voter];
+    }
+
+    stake(sender, proposalId, amount, supports) {
+        amount = hcMath.toBN(amount);
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+        require_(!this._proposalStateIs(proposalId, 'Boosted'), errors.PROPOSAL_IS_BOOSTED);
+        require_(this.stakeToken.balanceOf(sender).gte(amount), errors.SENDER_DOES_NOT_HAVE_ENOUGH_FUNDS);
+
+        const proposal = this.proposals[proposalId];
+        const key = supports ? 'upstake' : 'downstake';
+        const stakersKey = supports ? 'upstakes' : 'downstakes';
+        const total = add(proposal[key], amount);
+        const stakerTotal = add(proposal[stakersKey][sender] || ZERO, amount);
+
+        require_(this.stakeToken.allowance(sender, SELF).gte(amount), errors.INSUFFICIENT_ALLOWANCE);
+        const commitTransfer = this.stakeToken.prepareTransferFrom(SELF, sender, SELF, amount);
+
+        proposal[key] = total;
+        proposal[stakersKey][sender] = stakerTotal;
+        proposal.touched = true;
+        commitTransfer();
+        this._emit(supports ? 'UpstakeProposal' : 'DownstakeProposal', { proposalId, staker: sender, amount });
+        this._updateProposalAfterStaking(proposal);
+    }
+
+    unstake(sender, proposalId, amount, supports) {
+        amount = hcMath.toBN(amount);
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+        require_(!this._proposalStateIs(proposalId, 'Boosted'), errors.PROPOSAL_IS_BOOSTED);
+
+        const proposal = this.proposals[proposalId];
+        const key = supports ? 'upstake' : 'downstake';
+        const stakersKey = supports ? 'upstakes' : 'downstakes';
+        const stakerStake = proposal[stakersKey][sender] || ZERO;
+        require_(stakerStake.gte(amount), errors.SENDER_DOES_NOT_HAVE_REQUIRED_STAKE);
+        require_(proposal[key].gte(amount), errors.PROPOSAL_DOES_NOT_HAVE_REQUIRED_STAKE);
+
+        const total = sub(proposal[key], amount);
+        const stakerTotal = sub(stakerStake, amount);
+        require_(this.stakeToken.balanceOf(SELF).gte(amount), errors.VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
+        const commitTransfer = this.stakeToken.prepareTransfer(SELF, sender, amount);
+
+        proposal[key] = total;
+        proposal[stakersKey][sender] = stakerTotal;
+        commitTransfer();
+        this._emit(supports ? 'WithdrawUpstake' : 'WithdrawDownstake', { proposalId, staker: sender, amount });
+        this._updateProposalAfterStaking(proposal);
+    }
+
+    fundCompensations(sender, amount) {
+        amount = hcMath.toBN(amount);
+        const funds = add(this.compensationFunds, amount);
+        require_(this.stakeToken.allowance(sender, SELF).gte(amount), errors.INSUFFICIENT_ALLOWANCE);
+        const commitTransfer = this.stakeToken.prepareTransferFrom(SELF, sender, SELF, amount);
+
+        this.compensationFunds = funds;
+        commitTransfer();
+        this._emit('CompensationsFunded', { funder: sender, amount });
+    }
+
+    updateProposalConfidence(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+        require_(!this._proposalStateIs(proposalId, 'Boosted'), errors.PROPOSAL_IS_BOOSTED);
+
+        this._updateProposalAfterStaking(this.proposals[proposalId]);
+    }
+
+    resolveBoostedProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalStateIs(proposalId, 'Boosted'), errors.PROPOSAL_IS_NOT_BOOSTED);
+
+        const proposal = this.proposals[proposalId];
+        require_(this.now >= proposal.startDate + proposal.lifetime, errors.PROPOSAL_IS_ACTIVE);
+        const commitFee = this._prepareCompensation(sender, proposal, proposal.startDate + proposal.lifetime);
+
+        commitFee();
+        this._decideProposal(proposal, hcMath.calculateRelativeSupport(proposal.yea, proposal.nay, this.settings.supportPct));
+    }
+
+    expireNonBoostedProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+        require_(!this._proposalStateIs(proposalId, 'Boosted'), errors.PROPOSAL_IS_BOOSTED);
+
+        const proposal = this.proposals[proposalId];
+        require_(this.now >= proposal.startDate + proposal.lifetime, errors.PROPOSAL_IS_ACTIVE);
+        const commitFee = this._prepareCompensation(sender, proposal, proposal.startDate + proposal.lifetime);
+
+        commitFee();
+        this._updateProposalState(proposal, 'Expired');
+    }
+
+    boostProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+        require_(!this._proposalStateIs(proposalId, 'Boosted'), errors.PROPOSAL_IS_BOOSTED);
+
+        const proposal = this.proposals[proposalId];
+        require_(proposal.state === 'Pended', errors.PROPOSAL_IS_NOT_PENDED);
+        if(!this._proposalHasEnoughConfidence(proposal)) {
+            this._updateProposalState(proposal, 'Unpended');
+            return;
+        }
+        if(proposal.lastPendedDate <= this.lastThresholdRiseDate) {
+            proposal.lastPendedDate = this.now;
+            return;
+        }
+        const boostDate = proposal.lastPendedDate + this.settings.pendedBoostPeriod;
+        require_(this.now >= boostDate, errors.PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME);
+        const commitFee = this._prepareCompensation(sender, proposal, boostDate);
+
+        commitFee();
+        this._updateProposalState(proposal, 'Boosted');
+        proposal.lifetime = this.settings.boostPeriod;
+        this.lastThresholdRiseDate = this.now;
+    }
+
+    cancelProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+
+        const proposal = this.proposals[proposalId];
+        const canCancel = sender === proposal.creator && !proposal.touched && this.now < proposal.startDate + proposal.lifetime;
+        require_(canCancel, errors.PROPOSAL_CANNOT_BE_CANCELLED);
+
+        this._updateProposalState(proposal, 'Cancelled');
+    }
+
+    withdrawStakeFromExpiredQueuedProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalStateIs(proposalId, 'Expired'), errors.PROPOSAL_IS_ACTIVE);
+
+        const proposal = this.proposals[proposalId];
+        const senderTotalStake = add(proposal.upstakes[sender] || ZERO, proposal.downstakes[sender] || ZERO);
+        require_(senderTotalStake.gt(ZERO), errors.NO_STAKE_TO_WITHDRAW);
+        require_(!proposal.claimed[sender], errors.STAKE_ALREADY_CLAIMED);
+
+        this._claimAndTransfer(sender, [proposal]);
+    }
+
+    withdrawRewardFromResolvedProposal(sender, proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsDecided(proposalId), errors.PROPOSAL_IS_ACTIVE);
+
+        const proposal = this.proposals[proposalId];
+        require_(this._winningStakeOf(proposal, sender).gt(ZERO), errors.NO_WINNING_STAKE);
+        require_(!proposal.claimed[sender], errors.STAKE_ALREADY_CLAIMED);
+
+        this._claimAndTransfer(sender, [proposal]);
+    }
+
+    claimMany(sender, proposalIds) {
+        proposalIds.forEach(proposalId => require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST));
+        return this._claimAndTransfer(sender, proposalIds.map(proposalId => this.proposals[proposalId]), true);
+    }
+
+    /*
+     * Getters.
+     */
+
+    getProposal(proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        const {
+            voteTokenSnapshot, metadataHash, executionScript: script, executed, outcome, touched,
+            votes, votingPowers, overriddenPowers, upstakes, downstakes, claimed, commitments, ...proposal
+        } = this.proposals[proposalId];
+        return proposal;
+    }
+
+    getProposalMetadataHash(proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].metadataHash;
+    }
+
+    getProposalOutcome(proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].outcome;
+    }
+
+    getClaimable(proposalId, staker) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this._claimableOf(this.proposals[proposalId], staker);
+    }
+
+    getClaimed(proposalId, staker) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].claimed[staker] || ZERO;
+    }
+
+    getExecutionScript(proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        const proposal = this.proposals[proposalId];
+        return { script: proposal.executionScript, executed: proposal.executed };
+    }
+
+    getVote(proposalId, voter) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].votes[voter] || 'Absent';
+    }
+
+    // Returns null if the voter has no unrevealed commitment.
+    getVoteCommitment(proposalId, voter) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].commitments[voter] || null;
+    }
+
+    getVotingPower(proposalId, voter) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this._votingPowerOf(this.proposals[proposalId], voter);
+    }
+
+    getCastVotingPower(proposalId, voter) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        const proposal = this.proposals[proposalId];
+        return proposal.votes[voter] ? proposal.votingPowers[voter] : ZERO;
+    }
+
+    getUpstake(proposalId, staker) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].upstakes[staker] || ZERO;
+    }
+
+    getDownstake(proposalId, staker) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        return this.proposals[proposalId].downstakes[staker] || ZERO;
+    }
+
+    getConfidence(proposalId) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        const proposal = this.proposals[proposalId];
+        return hcMath.calculateConfidence(proposal.upstake, proposal.downstake);
+    }
+
+    getConfidenceThreshold() {
+        return hcMath.calculateConfidenceThreshold(this.settings.confidenceThresholdBase, this.numBoostedProposals);
+    }
+
+    /*
+     * Internal functions.
+     */
+
+    _emit(event, values) {
+        this.events.push({ event, date: this.now, ...values });
+    }
+
+    _proposalExists(proposalId) {
+        return proposalId >= 0 && proposalId < this.proposals.length;
+    }
+
+    _proposalStateIs(proposalId, state) {
+        return this.proposals[proposalId].state === state;
+    }
+
+    _proposalIsOpen(proposalId) {
+        return !enums.ClosedProposalStates.includes(this.proposals[proposalId].state);
+    }
+
+    _proposalIsDecided(proposalId) {
+        return this._proposalStateIs(proposalId, 'Resolved') || this._proposalStateIs(proposalId, 'Rejected');
+    }
+
+    // Port of HCVoting._vote.
+    _castVote(voter, proposalId, supports) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this.getVotingPower(proposalId, voter).gt(ZERO), errors.USER_HAS_NO_VOTING_POWER);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+
+        const votingPower = this.getVotingPower(proposalId, voter);
+        const proposal = this.proposals[proposalId];
+        const previousVote = proposal.votes[voter] || 'Absent';
+
+        let yea = proposal.yea;
+        let nay = proposal.nay;
+        let override = null;
+        if(previousVote === 'Yea') yea = sub(yea, proposal.votingPowers[voter]);
+        else if(previousVote === 'Nay') nay = sub(nay, proposal.votingPowers[voter]);
+        else {
+            override = this._prepareOverrideDelegate(proposal, voter);
+            if(override && override.delegateVote === 'Yea') yea = sub(yea, override.votingPower);
+            else if(override && override.delegateVote === 'Nay') nay = sub(nay, override.votingPower);
+        }
+        if(supports) yea = add(yea, votingPower);
+        else nay = add(nay, votingPower);
+        const update = this._prepareUpdateAfterVoting(proposal, yea, nay);
+
+        if(override) override.commit();
+        proposal.yea = yea;
+        proposal.nay = nay;
+        proposal.votes[voter] = supports ? 'Yea' : 'Nay';
+        proposal.votingPowers[voter] = votingPower;
+        proposal.touched = true;
+        this._emit('VoteCasted', { proposalId, voter, supports, votingPower });
+        update();
+    }
+
+    // Port of HCCommitReveal._requireVotePhase.
+    _requireVotePhase(proposalId, reveal) {
+        require_(this._proposalExists(proposalId), errors.PROPOSAL_DOES_NOT_EXIST);
+        require_(this._proposalIsOpen(proposalId), errors.PROPOSAL_IS_CLOSED);
+
+        const proposal = this.proposals[proposalId];
+        const endDate = proposal.startDate + proposal.lifetime;
+        const revealPeriod = this.settings.revealPeriod || 0;
+        require_(revealPeriod > 0 && this.now < endDate && (this.now + revealPeriod >= endDate) === reveal, errors.INVALID_VOTE_PHASE);
+    }
+
+    // Weighted by the voting strategy, with the voter's overridden power by default.
+    _votingPowerOf(proposal, voter, overriddenPower = proposal.overriddenPowers[voter] || ZERO) {
+        const snapshot = proposal.voteTokenSnapshot;
+        const votingPower = add(snapshot.balanceOf(voter), snapshot.delegatedVotesOf(voter));
+        return votingWeight.calculateWeight(this.votingStrategy, sub(votingPower, overriddenPower));
+    }
+
+    // Port of _overrideDelegate. Returns null if the voter has no delegate or balance on the proposal,
+    // or { delegateVote, votingPower, commit }, where votingPower is the weight that the delegate loses,
+    // which is taken out of its vote if it voted.
+    _prepareOverrideDelegate(proposal, delegator) {
+        const delegate = proposal.voteTokenSnapshot.delegateOf(delegator);
+        const balance = proposal.voteTokenSnapshot.balanceOf(delegator);
+        if(!delegate || balance.isZero()) return null;
+
+        const delegateVote = proposal.votes[delegate] || 'Absent';
+        const overriddenPower = add(proposal.overriddenPowers[delegate] || ZERO, balance);
+        const votingPower = sub(this._votingPowerOf(proposal, delegate), this._votingPowerOf(proposal, delegate, overriddenPower));
+        const delegateVotingPower = delegateVote === 'Absent' ? null : sub(proposal.votingPowers[delegate], votingPower);
+        return {
+            delegateVote,
+            votingPower,
+            commit: () => {
+                proposal.overriddenPowers[delegate] = overriddenPower;
+                if(delegateVotingPower) proposal.votingPowers[delegate] = delegateVotingPower;
+                this._emit('DelegatedVoteOverridden', { proposalId: proposal.id, delegate, delegator, votingPower });
+            }
+        };
+    }
+
+    // Port of HCWithdrawals._claim for each proposal, followed by a single transfer of the total.
+    // Proposals can be listed more than once, as in the contract, where repeated ones have nothing left to claim.
+    _claimAndTransfer(sender, proposals, requireTotal = false) {
+        const claims = [];
+        let total = ZERO;
+        proposals.forEach(proposal => {
+            const alreadyClaimed = claims.some(claim => claim.proposal === proposal);
+            const amount = alreadyClaimed ? ZERO : this._claimableOf(proposal, sender);
+            if(amount.isZero()) return;
+            claims.push({ proposal, amount });
+            total = add(total, amount);
+        });
+        if(requireTotal) require_(total.gt(ZERO), errors.NOTHING_TO_CLAIM);
+        require_(this.stakeToken.balanceOf(SELF).gte(total), errors.VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
+        const commitTransfer = this.stakeToken.prepareTransfer(SELF, sender, total);
+
+        claims.forEach(({ proposal, amount }) => {
+            proposal.claimed[sender] = amount;
+            this._emit('StakeClaimed', { proposalId: proposal.id, staker: sender, amount });
+        });
+        commitTransfer();
+        return total;
+    }
+
+    // Port of HCWithdrawals._claimableOf.
+    _claimableOf(proposal, staker) {
+        if(proposal.claimed[staker]) return ZERO;
+        if(proposal.state === 'Expired') return add(proposal.upstakes[staker] || ZERO, proposal.downstakes[staker] || ZERO);
+
+        const winningStake = this._winningStakeOf(proposal, staker);
+        if(!this._proposalIsDecided(proposal.id) || winningStake.isZero()) return ZERO;
+
+        const supported = proposal.outcome === 'Yea';
+        const totalWinningStake = supported ? proposal.upstake : proposal.downstake;
+        const totalLosingStake = supported ? proposal.downstake : proposal.upstake;
+        return hcMath.calculateReward(winningStake, totalWinningStake, totalLosingStake);
+    }
+
+    _winningStakeOf(proposal, staker) {
+        return (proposal.outcome === 'Yea' ? proposal.upstakes[staker] : proposal.downstakes[staker]) || ZERO;
+    }
+
+    // Port of HCVoting._decideProposal.
+    _decideProposal(proposal, outcome) {
+        proposal.outcome = outcome;
+        this._updateProposalState(proposal, outcome === 'Yea' ? 'Resolved' : 'Rejected');
+    }
+
+    // Including HCDeposits._updateProposalState, which settles the proposal's deposit.
+    _updateProposalState(proposal, newState) {
+        if(proposal.state !== newState) {
+            if(newState === 'Boosted') this.numBoostedProposals++;
+            else if(proposal.state === 'Boosted') this.numBoostedProposals--;
+            proposal.state = newState;
+            this._emit('ProposalStateChanged', { proposalId: proposal.id, state: newState });
+        }
+
+        const deposit = proposal.deposit;
+        if(deposit.isZero() || !enums.ClosedProposalStates.includes(newState)) return;
+        proposal.deposit = ZERO;
+        if(newState === 'Expired' && !proposal.touched) {
+            this.compensationFunds = add(this.compensationFunds, deposit);
+            this._emit('DepositForfeited', { proposalId: proposal.id, amount: deposit });
+        }
+        else {
+            require_(this.stakeToken.balanceOf(SELF).gte(deposit), errors.VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
+            this.stakeToken.prepareTransfer(SELF, proposal.creator, deposit)();
+            this._emit('DepositRefunded', { proposalId: proposal.id, creator: proposal.creator, amount: deposit });
+        }
+    }
+
+    // Port of HCVoting._updateProposalAfterVoting, evaluated on the new tallies before they are written.
+    _prepareUpdateAfterVoting(proposal, yea, nay) {
+        const snapshot = proposal.voteTokenSnapshot;
+        const totalWeight = votingWeight.calculateTotalWeight(this.votingStrategy, snapshot.balances);
+        require_(!totalWeight.isZero());
+        const absoluteSupport = hcMath.calculateAbsoluteSupport(yea, nay, totalWeight, this.settings.supportPct);
+        if(absoluteSupport !== 'Absent') return () => this._decideProposal(proposal, absoluteSupport);
+
+        if(proposal.state === 'Boosted') {
+            const newSupport = hcMath.calculateRelativeSupport(yea, nay, this.settings.supportPct);
+            if(newSupport !== proposal.lastRelativeSupport) {
+                return () => {
+                    proposal.lastRelativeSupportFlipDate = this.now;
+                    proposal.lastRelativeSupport = newSupport;
+                    proposal.lifetime = proposal.lifetime + this.settings.quietEndingPeriod;
+                    this._emit('ProposalLifetimeExtended', { proposalId: proposal.id, lifetime: proposal.lifetime });
+                };
+            }
+        }
+        return () => {};
+    }
+
+    // Port of HCStaking._updateProposalAfterStaking.
+    _updateProposalAfterStaking(proposal) {
+        if(this._proposalHasEnoughConfidence(proposal)) {
+            if(proposal.state === 'Queued' || proposal.state === 'Unpended') {
+                proposal.lastPendedDate = this.now;
+                this._updateProposalState(proposal, 'Pended');
+            }
+        }
+        else if(proposal.state === 'Pended') {
+            this._updateProposalState(proposal, 'Unpended');
+        }
+    }
+
+    _proposalHasEnoughConfidence(proposal) {
+        return hcMath.hasEnoughConfidence(proposal.upstake, proposal.downstake, this.settings.confidenceThresholdBase, this.numBoostedProposals);
+    }
+
+    // Port of HCCompensations._compensate, including the requires of _calculateCompensationFee.
+    _prepareCompensation(sender, proposal, cutoffDate) {
+        require_(this.now >= cutoffDate, errors.INVALID_COMPENSATION_FEE);
+        const { compensationFeePct, compensationFeeCurve = 'Linear', compensationFeePeriod = 0 } = this.settings;
+        div(proposal.upstake.mul(hcMath.PRECISION_MULTIPLIER), new BN(compensationFeePct));
+        const fee = hcMath.calculateCompensationFee(proposal.upstake, compensationFeePct, cutoffDate, this.now, compensationFeeCurve, compensationFeePeriod);
+        const paid = hcMath.calculatePaidCompensationFee(fee, this.compensationFunds);
+
+        require_(this.stakeToken.balanceOf(SELF).gte(paid), errors.VOTING_DOES_NOT_HAVE_ENOUGH_FUNDS);
+        const commitTransfer = this.stakeToken.prepareTransfer(SELF, sender, paid);
+        return () => {
+            if(paid.lt(fee)) this._emit('CompensationsDepleted', { proposalId: proposal.id, fee, paid });
+            this.compensationFunds = sub(this.compensationFunds, paid);
+            proposal.compensationFeesPaid = add(proposal.compensationFeesPaid, paid);
+            commitTransfer();
+        };
+    }
+}
+
+module.exports = {
+    HCModel,
+    TokenModel,
+    ModelRevert,
+    SELF
+};
@@ -0,0 +1,160 @@
+const http = require('http');
+const { HCClient } = require('./client.js');
+const signatures = require('./signatures.js');
+
+// Relayer that collects signed votes and stakes (see HCSignatures.sol and HCClient.signVote/signStake)
+// and submits them in batches, paying the gas for signers that can't send transactions themselves.
+
+const getSigner = (message) => message.type === 'vote' ? message.voter : message.staker;
+
+class Relayer {
+
+    // Options:
+    // batchSize: maximum number of messages submitted per flush.
+    // interval: time between flushes (ms).
+    constructor(client, options = {}) {
+        this.client = client;
+        this.batchSize = options.batchSize || 20;
+        this.interval = options.interval || 15000;
+        this.log = options.log || console.log;
+        this.pending = [];
+        this.timeout = null;
+    }
+
+    // Validates a signed message and queues it, throwing if it could never be submitted.
+    async add(message) {
+        let signer;
+        try {
+            signer = signatures.recoverSigner(this.client.toTypedData(message), message.signature);
+        }
+        catch(e) {
+            throw new Error(`Invalid message: ${e.message}`);
+        }
+        if(signer.toLowerCase() !== `${getSigner(message)}`.toLowerCase()) throw new Error('Invalid signature');
+
+        const [nonce, block] = await Promise.all([
+            this.client.getSignatureNonce(signer),
+            this.client.web3.eth.getBlock('latest')
+        ]);
+        if(message.nonce < nonce) throw new Error(`Nonce ${message.nonce} was already used`);
+        if(message.deadline < block.timestamp) throw new Error('Signature expired');
+        const isQueued = this.pending.some(queued => getSigner(queued).toLowerCase() === signer.toLowerCase() && queued.nonce === message.nonce);
+        if(isQueued) throw new Error(`Nonce ${message.nonce} is already queued`);
+
+        this.pending.push(message);
+        return this.pending.length;
+    }
+
+    getPending() {
+        return this.pending.slice();
+    }
+
+    // Submits up to batchSize pending messages, in the order of their signers' nonces.
+    // Messages whose nonce isn't the signer's next one yet are kept for later flushes,
+    // while messages that expired, were replaced or failed are dropped.
+    async flush() {
+        const now = (await this.client.web3.eth.getBlock('latest')).timestamp;
+        const queue = this.pending.slice().sort((a, b) => a.nonce - b.nonce);
+        const nonces = {};
+        const kept = [];
+        const results = [];
+        let submitted = 0;
+        for(let i = 0; i < queue.length; i++) {
+            const message = queue[i];
+            const signer = getSigner(message).toLowerCase();
+            if(nonces[signer] === undefined) nonces[signer] = await this.client.getSignatureNonce(signer);
+
+            if(message.nonce < nonces[signer] || message.deadline < now) {
+                results.push({ message, sent: false, reason: message.deadline < now ? 'expired' : 'nonce used' });
+                continue;
+            }
+            if(message.nonce > nonces[signer] || submitted >= this.batchSize) {
+                kept.push(message);
+                continue;
+            }
+
+            submitted++;
+            try {
+                const receipt = await this.client.submitSigned(message);
+                nonces[signer]++;
+                this.log(`Submitted ${message.type} of ${signer} on proposal ${message.proposalId}, tx ${receipt.transactionHash}`);
+                results.push({ message, sent: true, receipt });
+            }
+            catch(error) {
+                this.log(`Dropping ${message.type} of ${signer} on proposal ${message.proposalId}: ${error.message}`);
+                results.push({ message, sent: false, reason: error.message });
+            }
+        }
+        this.pending = kept;
+        return results;
+    }
+
+    start() {
+        const loop = async () => {
+            try {
+                await this.flush();
+            }
+            catch(error) {
+                this.log(`Relayer flush failed: ${error.message}`);
+            }
+            if(this.timeout !== null) this.timeout = setTimeout(loop, this.interval);
+        };
+        this.timeout = setTimeout(loop, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    // Collects messages over http:
+    // POST /messages with a signed message as JSON, GET /messages for the pending ones.
+    serve(port) {
+        const server = http.createServer((request, response) => {
+            const respond = (status, result) => {
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(result));
+            };
+
+            if(request.url !== '/messages') return respond(404, { error: 'Not found' });
+            if(request.method === 'GET') return respond(200, this.getPending());
+            if(request.method !== 'POST') return respond(404, { error: 'Not found' });
+
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', async () => {
+                try {
+                    const numPending = await this.add(JSON.parse(body));
+                    respond(202, { pending: numPending });
+                }
+                catch(error) {
+                    respond(400, { error: error.message });
+                }
+            });
+        });
+        return server.listen(port);
+    }
+}
+
+module.exports = {
+    Relayer
+};
+
+// Usage: node scripts/relayer.js <hcAddress> [network] [port] [intervalMs]
+if(require.main === module) {
+    const [address, network = 'localhost', port = '8001', interval] = process.argv.slice(2);
+    if(!address) {
+        console.log(`Usage: node scripts/relayer.js <hcAddress> [network] [port] [intervalMs]`);
+        process.exit(1);
+    }
+
+    (async () => {
+        const client = HCClient.at(network, address);
+        const accounts = await client.web3.eth.getAccounts();
+        client.txParams = { from: accounts[0], gas: 6700000 };
+        const relayer = new Relayer(client, { interval: interval ? parseInt(interval, 10) : undefined });
+        relayer.start();
+        relayer.serve(parseInt(port, 10));
+        console.log(`Relaying signed votes and stakes to ${address} on ${network} from ${accounts[0]}, collecting them on port ${port}`);
+    })();
+}
@@ -1,11 +1,104 @@
-module.exports = async (promise, errorMessage) => {
-    let error;
+const errors = require('./errors.js');
+
+// Decodes why a transaction or call reverted, mapping revert reasons to the error constants in HCBase.sol.
+// Reverts caused by HC's errors are thrown by the client as typed errors, e.g. a revert with
+// ERROR_PROPOSAL_IS_BOOSTED becomes a ProposalIsBoostedError, while requires without a message
+// become an UnknownRevertError.
+
+// Selector of Error(string), which prefixes the data of a revert with a reason.
+const ERROR_SELECTOR = '0x08c379a0';
+
+// Revert messages of nodes, which include the reason if there is one, and of web3 when a mined transaction failed.
+// Note: web3 1.0.0-beta.37 only passes on the message of an RPC error, not its data, so reasons are taken from it.
+const REVERT_MESSAGE_REGEX = /VM Exception while processing transaction: revert ?(.*)$|execution reverted:? ?(.*)$|reverted by the EVM/m;
+
+class RevertError extends Error {
+
+    constructor(reason, errorName, cause) {
+        super(reason === null ? 'Transaction reverted without a reason' : `Transaction reverted: ${reason.trim()}`);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.errorName = errorName;
+        this.cause = cause;
+    }
+}
+
+class UnknownRevertError extends RevertError {}
+
+// PROPOSAL_IS_BOOSTED => ProposalIsBoostedError.
+const toClassName = (errorName) => errorName
+    .split('_')
+    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+    .join('') + 'Error';
+
+const errorClasses = {};
+Object.keys(errors).forEach(errorName => {
+    const className = toClassName(errorName);
+    errorClasses[className] = { [className]: class extends RevertError {} }[className];
+});
+
+// Returns the name of the HCBase error with the given reason, e.g. 'PROPOSAL_IS_CLOSED', or null.
+// Note: Some messages have trailing spaces, which nodes may not include in error messages.
+const getErrorName = (reason) => {
+    if(reason === null) return null;
+    return Object.keys(errors).find(errorName => errors[errorName].trim() === reason.trim()) || null;
+};
+
+// Decodes the data returned by a revert into its reason, or null if it has none.
+const decodeRevertData = (data) => {
+    if(!data || !data.startsWith(ERROR_SELECTOR)) return null;
+    const hex = data.slice(ERROR_SELECTOR.length);
+    const offset = parseInt(hex.slice(0, 64), 16) * 2;
+    const length = parseInt(hex.slice(offset, offset + 64), 16) * 2;
+    return Buffer.from(hex.slice(offset + 64, offset + 64 + length), 'hex').toString('utf8');
+};
+
+// Returns { reason, errorName } for an error caused by a revert, or null for any other error.
+const decodeRevert = (error) => {
+    if(error instanceof RevertError) return { reason: error.reason, errorName: error.errorName };
+
+    const match = `${error.message}`.match(REVERT_MESSAGE_REGEX);
+    if(!match) return null;
+    const reason = match[1] || match[2] || null;
+    return { reason, errorName: getErrorName(reason) };
+};
+
+// Replays a mined transaction that failed, since receipts don't say why a transaction reverted.
+const decodeReceiptRevert = async (web3, receipt) => {
+    if(receipt.status) return null;
+    const tx = await web3.eth.getTransaction(receipt.transactionHash);
+    const call = { from: tx.from, to: tx.to, data: tx.input, value: tx.value, gas: tx.gas };
     try {
-        await promise;
+        const reason = decodeRevertData(await web3.eth.call(call, receipt.blockNumber - 1));
+        return { reason, errorName: getErrorName(reason) };
     }
-    catch(e) { error = e }
-    const includesError = error.message.includes(errorMessage);
-    if(includesError) return true;
-    console.log(`Received error: ${error.message}`);
-    return false;
+    catch(error) {
+        return decodeRevert(error);
+    }
+};
+
+// Converts an error thrown by web3 into a typed RevertError, or returns it as is if it wasn't caused by a revert.
+// If web3 is given, failed transactions that were mined are replayed to find out their reason.
+const toRevertError = async (error, web3) => {
+    let revert = decodeRevert(error);
+    if(web3 && error.receipt) revert = await decodeReceiptRevert(web3, error.receipt) || revert;
+    if(!revert) return error;
+
+    const { reason, errorName } = revert;
+    if(errorName) return new errorClasses[toClassName(errorName)](reason, errorName, error);
+    if(reason === null) return new UnknownRevertError(reason, errorName, error);
+    return new RevertError(reason, errorName, error);
+};
+
+module.exports = {
+    ERROR_SELECTOR,
+    RevertError,
+    UnknownRevertError,
+    ...errorClasses,
+    toClassName,
+    getErrorName,
+    decodeRevertData,
+    decodeRevert,
+    decodeReceiptRevert,
+    toRevertError
 };
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const BN = require('bn.js');
+const hcMath = require('./hcMath.js');
+
+// Estimates the economic cost of attacking a HC deployment with a given parameter set,
+// from the distributions of its vote and stake tokens.
+// All the calculations use the integer math of the contracts (see hcMath.js).
+
+const HOURS = 60 * 60;
+
+const DEFAULT_PARAMS = {
+    supportPct: 51,
+    queuePeriod: 24 * HOURS,
+    boostPeriod: 6 * HOURS,
+    quietEndingPeriod: 1 * HOURS,
+    revealPeriod: 0,
+    compensationFeePct: 10,
+    compensationFeeCurve: 'Linear',
+    compensationFeePeriod: 0,
+    pendedBoostPeriod: 1 * HOURS,
+    confidenceThresholdBase: 4
+};
+
+// Mirrors the requirements of the setters in HCVoting.sol, HCCommitReveal.sol and HCStaking.sol.
+const validateParams = (params) => {
+    const errors = [];
+    if(!(params.supportPct >= 50 && params.supportPct < 100)) errors.push('supportPct must be between 50 and 99');
+    if(!(params.confidenceThresholdBase >= 1)) errors.push('confidenceThresholdBase must be at least 1');
+    if(!(params.compensationFeePct > 0)) errors.push('compensationFeePct must be greater than 0');
+    if(!hcMath.FEE_CURVES.includes(params.compensationFeeCurve)) errors.push(`compensationFeeCurve must be one of ${hcMath.FEE_CURVES.join(', ')}`);
+    else if(!(params.compensationFeeCurve === 'Linear' || params.compensationFeePeriod > 0)) errors.push('compensationFeePeriod must be greater than 0');
+    if(!(params.queuePeriod > 0 && params.boostPeriod > 0)) errors.push('queuePeriod and boostPeriod must be greater than 0');
+    if(!(params.quietEndingPeriod < params.boostPeriod)) errors.push('quietEndingPeriod must be shorter than boostPeriod');
+    if(!(params.revealPeriod < params.queuePeriod && params.revealPeriod < params.boostPeriod)) errors.push('revealPeriod must be shorter than queuePeriod and boostPeriod');
+    if(!(params.pendedBoostPeriod > 0 && params.pendedBoostPeriod < params.queuePeriod)) errors.push('pendedBoostPeriod must be greater than 0 and shorter than queuePeriod');
+    return errors;
+};
+
+// Balances can be given as a list or as a map of holders to balances.
+const toBalances = (distribution) => {
+    const values = Array.isArray(distribution) ? distribution : Object.values(distribution || {});
+    return values.map(hcMath.toBN).filter(balance => !balance.isZero()).sort((a, b) => b.cmp(a));
+};
+
+const sum = (balances) => balances.reduce((total, balance) => total.add(balance), new BN(0));
+
+// Smallest number of the largest holders whose combined balance satisfies canWin(coalition, rest), or null.
+const smallestCoalition = (balances, canWin) => {
+    const total = sum(balances);
+    let coalition = new BN(0);
+    for(let i = 0; i < balances.length; i++) {
+        coalition = coalition.add(balances[i]);
+        if(canWin(coalition, total.sub(coalition))) return i + 1;
+    }
+    return null;
+};
+
+// Smallest upstake that gives a proposal with the given downstake enough confidence to be pended.
+const calculateMinUpstake = (downstake, confidenceThreshold) => {
+    let upstake = confidenceThreshold.mul(hcMath.toBN(downstake)).add(hcMath.PRECISION_MULTIPLIER.subn(1)).div(hcMath.PRECISION_MULTIPLIER);
+    if(upstake.isZero()) upstake = new BN(1);
+    while(hcMath.calculateConfidence(upstake, downstake).lt(confidenceThreshold)) upstake = upstake.addn(1);
+    return upstake;
+};
+
+// Smallest number of votes that takes more than supportPct of the given total.
+const calculateMinSupport = (totalVotes, supportPct) => {
+    let votes = hcMath.toBN(totalVotes).muln(supportPct).divn(100);
+    while(!hcMath.votesToPct(votes, totalVotes).gt(new BN(supportPct).mul(hcMath.PRECISION_MULTIPLIER))) votes = votes.addn(1);
+    return votes;
+};
+
+// Smallest number of votes that flips the relative support of a boosted proposal against the given opposing votes.
+const calculateMinFlip = (opposition, supportPct) => {
+    opposition = hcMath.toBN(opposition);
+    let votes = opposition.muln(supportPct).divn(100 - supportPct);
+    if(votes.isZero()) votes = new BN(1);
+    while(hcMath.calculateRelativeSupport(votes, opposition, supportPct) !== 'Yea') votes = votes.addn(1);
+    return votes;
+};
+
+// Time after the cutoff date that it takes the fee curve to reach the given maximum fee.
+const calculateSecondsToMaxFee = (maxFee, params) => {
+    if(params.compensationFeeCurve === 'Linear') return maxFee.muln(params.compensationFeePct);
+    if(params.compensationFeeCurve === 'Step') return new BN(params.compensationFeePeriod);
+    return new BN(maxFee.bitLength()).muln(params.compensationFeePeriod);
+};
+
+// Options:
+//   params: The HC parameters, completed with DEFAULT_PARAMS.
+//   voteBalances, stakeBalances: Token distributions, as lists or as maps of holders to balances.
+//   compensationFunds: Stake tokens funded to pay compensation fees.
+//   maxBoostedProposals: Number of simultaneously boosted proposals to analyze.
+//   extensions: Numbers of quiet ending extensions to report lifetimes for.
+const analyze = (options) => {
+    const params = { ...DEFAULT_PARAMS, ...options.params };
+    const errors = validateParams(params);
+    if(errors.length > 0) throw new Error(`Invalid parameters: ${errors.join(', ')}`);
+    const { maxBoostedProposals = 5, extensions = [1, 10, 100] } = options;
+
+    const voteBalances = toBalances(options.voteBalances);
+    const stakeBalances = toBalances(options.stakeBalances);
+    const voteSupply = sum(voteBalances);
+    const stakeSupply = sum(stakeBalances);
+    const largestVoter = voteBalances[0] || new BN(0);
+    const largestStaker = stakeBalances[0] || new BN(0);
+    const compensationFunds = hcMath.toBN(options.compensationFunds || 0);
+
+    // Votes that decide a proposal by absolute majority, boosted or not.
+    const absoluteMajority = voteSupply.isZero() ? null : calculateMinSupport(voteSupply, params.supportPct);
+    const voting = {
+        supply: voteSupply,
+        holders: voteBalances.length,
+        largestHolder: largestVoter,
+        absoluteMajority,
+        holdersForAbsoluteMajority: absoluteMajority && smallestCoalition(voteBalances, coalition => coalition.gte(absoluteMajority))
+    };
+
+    // Pending requires confidence, which has to hold until the proposal is boosted after pendedBoostPeriod.
+    // Downstakers can unpend it meanwhile, so holding it requires outstaking all the stake outside of the attack.
+    const boosting = [];
+    for(let numBoostedProposals = 0; numBoostedProposals <= maxBoostedProposals; numBoostedProposals++) {
+        const confidenceThreshold = hcMath.calculateConfidenceThreshold(params.confidenceThresholdBase, numBoostedProposals);
+        const minUpstake = calculateMinUpstake(0, confidenceThreshold);
+        const upstakeAgainstSecondHolder = calculateMinUpstake(stakeBalances[1] || 0, confidenceThreshold);
+        const canHold = (coalition, rest) => coalition.gte(calculateMinUpstake(rest, confidenceThreshold));
+        boosting.push({
+            numBoostedProposals,
+            confidenceThreshold,
+            minUpstake,
+            minUpstakeReachable: minUpstake.lte(stakeSupply),
+            upstakeAgainstAllOthers: calculateMinUpstake(stakeSupply.sub(largestStaker), confidenceThreshold),
+            upstakeAgainstSecondHolder,
+            largestHolderCanHold: stakeBalances.length > 0 && canHold(largestStaker, stakeSupply.sub(largestStaker)),
+            holdersToHold: smallestCoalition(stakeBalances, canHold)
+        });
+    }
+
+    // Every relative support flip of a boosted proposal extends its lifetime by quietEndingPeriod, with no limit.
+    // A voter alone on a proposal flips it with every vote change, so only an absolute majority can end it.
+    const quietEnding = {
+        boostPeriod: params.boostPeriod,
+        quietEndingPeriod: params.quietEndingPeriod,
+        unbounded: params.quietEndingPeriod > 0,
+        lifetimes: extensions.map(numExtensions => ({
+            extensions: numExtensions,
+            lifetime: params.boostPeriod + numExtensions * params.quietEndingPeriod
+        })),
+        flipAgainstLargestHolder: calculateMinFlip(largestVoter, params.supportPct),
+        votesToStop: absoluteMajority
+    };
+
+    // Boosting and resolving a boosted proposal pay a fee each, capped by its upstake.
+    // Once the compensation funds run dry, callers get what is left, so keepers may stop closing proposals.
+    const feeExposure = (upstake) => {
+        const maxFee = hcMath.calculateMaxCompensationFee(upstake, params.compensationFeePct);
+        const maxFeesPerProposal = maxFee.muln(2);
+        return {
+            upstake,
+            maxFee,
+            secondsToMaxFee: calculateSecondsToMaxFee(maxFee, params),
+            maxFeesPerProposal,
+            proposalsCovered: maxFeesPerProposal.isZero() ? null : compensationFunds.div(maxFeesPerProposal)
+        };
+    };
+    const compensations = {
+        compensationFunds,
+        curve: params.compensationFeeCurve,
+        minUpstake: feeExposure(boosting[0].minUpstake),
+        allStake: feeExposure(stakeSupply),
+        covered: feeExposure(stakeSupply).maxFeesPerProposal.lte(compensationFunds)
+    };
+
+    return { params, voting, staking: { supply: stakeSupply, holders: stakeBalances.length, largestHolder: largestStaker }, boosting, quietEnding, compensations };
+};
+
+// Converts the BNs of a report to decimal strings.
+const toJSON = (value) => {
+    if(BN.isBN(value)) return value.toString();
+    if(Array.isArray(value)) return value.map(toJSON);
+    if(value !== null && typeof value === 'object') {
+        return Object.keys(value).reduce((json, key) => ({ ...json, [key]: toJSON(value[key]) }), {});
+    }
+    return value;
+};
+
+const formatDuration = (secs) => {
+    const days = Math.floor(secs / 86400);
+    const hours = Math.floor((secs % 86400) / 3600);
+    const minutes = Math.floor((secs % 3600) / 60);
+    return [days && `${days}d`, hours && `${hours}h`, minutes && `${minutes}m`].filter(Boolean).join(' ') || `${secs}s`;
+};
+
+const formatScaled = (value) => {
+    if(value.eq(hcMath.MAX_UINT256)) return 'max';
+    const hundredths = value.muln(100).div(hcMath.PRECISION_MULTIPLIER);
+    return `${hundredths.divn(100).toString()}.${`${hundredths.modn(100)}`.padStart(2, '0')}`;
+};
+
+const orNone = (value) => value === null ? 'none' : `${value}`;
+
+const toMarkdown = (report) => {
+    const { params, voting, staking, boosting, quietEnding, compensations } = report;
+    const row = (cells) => `| ${cells.join(' | ')} |`;
+    const table = (titles, rows) => [row(titles), row(titles.map(() => '---')), ...rows.map(row)];
+    return [
+        '# HC parameter risk report',
+        '',
+        '## Parameters',
+        '',
+        ...table(['Parameter', 'Value'], [
+            ['supportPct', `${params.supportPct}%`],
+            ['confidenceThresholdBase', params.confidenceThresholdBase],
+            ['queuePeriod', formatDuration(params.queuePeriod)],
+            ['pendedBoostPeriod', formatDuration(params.pendedBoostPeriod)],
+            ['boostPeriod', formatDuration(params.boostPeriod)],
+            ['quietEndingPeriod', formatDuration(params.quietEndingPeriod)],
+            ['compensationFeePct', params.compensationFeePct],
+            ['compensationFeeCurve', params.compensationFeeCurve === 'Linear'
+                ? 'Linear'
+                : `${params.compensationFeeCurve} (${formatDuration(params.compensationFeePeriod)})`]
+        ]),
+        '',
+        `Vote token: ${voting.supply} in ${voting.holders} holders, the largest holding ${voting.largestHolder}.`,
+        `Stake token: ${staking.supply} in ${staking.holders} holders, the largest holding ${staking.largestHolder}.`,
+        '',
+        '## Absolute majority',
+        '',
+        `Deciding any proposal by absolute majority takes ${orNone(voting.absoluteMajority)} votes, ` +
+            `which the ${orNone(voting.holdersForAbsoluteMajority)} largest holders have.`,
+        '',
+        '## Pending and boosting',
+        '',
+        `A proposal is boosted if it keeps enough confidence for ${formatDuration(params.pendedBoostPeriod)}, ` +
+            'so the upstake has to outweigh any downstake placed meanwhile.',
+        '',
+        ...table(['Boosted proposals', 'Threshold', 'Min upstake', 'Against second holder', 'Against all others', 'Largest holder can hold', 'Holders to hold'],
+            boosting.map(level => [
+                level.numBoostedProposals,
+                formatScaled(level.confidenceThreshold),
+                `${level.minUpstake}${level.minUpstakeReachable ? '' : ' (unreachable)'}`,
+                level.upstakeAgainstSecondHolder,
+                level.upstakeAgainstAllOthers,
+                level.largestHolderCanHold ? 'yes' : 'no',
+                orNone(level.holdersToHold)
+            ])),
+        '',
+        '## Quiet ending',
+        '',
+        `Each flip of the relative support of a boosted proposal extends its lifetime by ${formatDuration(quietEnding.quietEndingPeriod)}` +
+            (quietEnding.unbounded ? ', with no limit on the number of extensions.' : '.'),
+        `Flipping it against the largest holder takes ${quietEnding.flipAgainstLargestHolder} votes, ` +
+            `and only an absolute majority of ${orNone(quietEnding.votesToStop)} votes ends it early.`,
+        '',
+        ...table(['Extensions', 'Lifetime'], quietEnding.lifetimes.map(level => [level.extensions, formatDuration(level.lifetime)])),
+        '',
+        '## Compensation fees',
+        '',
+        `The compensation funds hold ${compensations.compensationFunds} stake tokens, and fees follow the ${compensations.curve} curve.`,
+        '',
+        ...table(['Upstake', 'Max fee per call', 'Time to max fee', 'Max fees per proposal', 'Proposals covered'],
+            [compensations.minUpstake, compensations.allStake].map(exposure => [
+                exposure.upstake,
+                exposure.maxFee,
+                formatDuration(exposure.secondsToMaxFee.toNumber()),
+                exposure.maxFeesPerProposal,
+                orNone(exposure.proposalsCovered)
+            ])),
+        '',
+        compensations.covered ?
+            'The funds cover the fees of a proposal backed by all the stake.' :
+            'The funds don\'t cover the fees of a proposal backed by all the stake, whose callers would only get what is left.',
+        ''
+    ].join('\n');
+};
+
+module.exports = {
+    DEFAULT_PARAMS,
+    validateParams,
+    calculateMinUpstake,
+    calculateSecondsToMaxFee,
+    calculateMinSupport,
+    calculateMinFlip,
+    analyze,
+    toJSON,
+    toMarkdown
+};
+
+// Usage: node scripts/risk.js <input.json> [--json] [--out <prefix>]
+// The input has the analyze options, e.g. { "params": {...}, "voteBalances": {...}, "stakeBalances": {...}, "compensationFunds": "1000" }.
+// Prints the Markdown report, or the JSON report with --json, or writes both to <prefix>.md and <prefix>.json with --out.
+if(require.main === module) {
+    const args = process.argv.slice(2);
+    const out = args.includes('--out') ? args[args.indexOf('--out') + 1] : null;
+    const input = args.find(arg => !arg.startsWith('--') && arg !== out);
+    if(!input) {
+        console.log('Usage: node scripts/risk.js <input.json> [--json] [--out <prefix>]');
+        process.exit(1);
+    }
+
+    try {
+        const report = analyze(JSON.parse(fs.readFileSync(input, 'utf8')));
+        if(out) {
+            fs.writeFileSync(`${out}.json`, JSON.stringify(toJSON(report), null, 2));
+            fs.writeFileSync(`${out}.md`, toMarkdown(report));
+            console.log(`Wrote ${out}.json and ${out}.md`);
+        }
+        else console.log(args.includes('--json') ? JSON.stringify(toJSON(report), null, 2) : toMarkdown(report));
+    }
+    catch(error) {
+        console.log(error.message);
+        process.exit(1);
+    }
+}
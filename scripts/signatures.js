@@ -0,0 +1,116 @@
+const Web3 = require('web3');
+
+// Builds, hashes and signs the EIP-712 typed data of votes and stakes, see HCSignatures.sol,
+// and of stake token permits, see Token.sol.
+// Note: Domains have no chain id, since the contracts can't read it.
+
+const web3 = new Web3();
+
+const DOMAIN_TYPE = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'verifyingContract', type: 'address' }
+];
+
+const TYPES = {
+    Vote: [
+        { name: 'proposalId', type: 'uint256' },
+        { name: 'supports', type: 'bool' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    Stake: [
+        { name: 'proposalId', type: 'uint256' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'supports', type: 'bool' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const HC_DOMAIN = { name: 'Holographic Consensus', version: '1' };
+const TOKEN_DOMAIN = { name: 'Token', version: '1' };
+
+// Typed data, as accepted by eth_signTypedData.
+// Numbers are kept as decimal strings, so that typed data can be sent around as JSON.
+const buildTypedData = (primaryType, domain, message) => {
+    const values = {};
+    TYPES[primaryType].forEach(({ name, type }) => {
+        values[name] = type === 'uint256' ? `${message[name]}` : message[name];
+    });
+    return {
+        types: { EIP712Domain: DOMAIN_TYPE, [primaryType]: TYPES[primaryType] },
+        primaryType,
+        domain,
+        message: values
+    };
+};
+
+const vote = (hcAddress, { proposalId, supports, nonce, deadline }) => {
+    return buildTypedData('Vote', { ...HC_DOMAIN, verifyingContract: hcAddress }, { proposalId, supports, nonce, deadline });
+};
+
+const stake = (hcAddress, { proposalId, amount, supports, nonce, deadline }) => {
+    return buildTypedData('Stake', { ...HC_DOMAIN, verifyingContract: hcAddress }, { proposalId, amount, supports, nonce, deadline });
+};
+
+const permit = (tokenAddress, { owner, spender, value, nonce, deadline }) => {
+    return buildTypedData('Permit', { ...TOKEN_DOMAIN, verifyingContract: tokenAddress }, { owner, spender, value, nonce, deadline });
+};
+
+// Only supports the flat types above, i.e. no arrays or nested structs.
+const hashStruct = (fields, typeName, data) => {
+    const encodedType = `${typeName}(${fields.map(({ name, type }) => `${type} ${name}`).join(',')})`;
+    const types = ['bytes32'];
+    const values = [web3.utils.keccak256(encodedType)];
+    fields.forEach(({ name, type }) => {
+        types.push(type === 'string' ? 'bytes32' : type);
+        values.push(type === 'string' ? web3.utils.keccak256(data[name]) : data[name]);
+    });
+    return web3.utils.keccak256(web3.eth.abi.encodeParameters(types, values));
+};
+
+// The digest that is signed, which can be used to sign typed data with tools that don't support EIP-712.
+const hashTypedData = (typedData) => {
+    const domainHash = hashStruct(typedData.types.EIP712Domain, 'EIP712Domain', typedData.domain);
+    const messageHash = hashStruct(typedData.types[typedData.primaryType], typedData.primaryType, typedData.message);
+    return web3.utils.keccak256('0x1901' + domainHash.slice(2) + messageHash.slice(2));
+};
+
+const recoverSigner = (typedData, signature) => {
+    return web3.eth.accounts.recover(hashTypedData(typedData), signature, true);
+};
+
+// Signs with an account of the node, which must support eth_signTypedData.
+const signTypedData = (web3, signer, typedData) => {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({
+            jsonrpc: '2.0',
+            method: 'eth_signTypedData',
+            params: [signer, typedData],
+            id: new Date().getTime()
+        }, (err, result) => {
+            if(err) return reject(err);
+            if(result.error) return reject(new Error(result.error.message));
+            return resolve(result.result);
+        });
+    });
+};
+
+module.exports = {
+    DOMAIN_TYPE,
+    TYPES,
+    vote,
+    stake,
+    permit,
+    hashTypedData,
+    recoverSigner,
+    signTypedData
+};
@@ -0,0 +1,447 @@
+const BN = require('bn.js');
+const getWeb3 = require('./getWeb3.js');
+const deploy = require('./deploy.js');
+const util = require('./util.js');
+const { HCClient } = require('./client.js');
+const { HCModel, ModelRevert, SELF } = require('./model.js');
+const { decodeRevert } = require('./reverts.js');
+const enums = require('./enums.js');
+const executionScript = require('./executionScript.js');
+const proposalMetadata = require('./metadata.js');
+
+// Runs simulations of many proposals on the reference model (see model.js),
+// or checks the model against a contract deployed on a local ganache, step by step.
+
+const HOURS = 60 * 60;
+
+const DEFAULT_SETTINGS = {
+    supportPct: 51,
+    queuePeriod: 24 * HOURS,
+    boostPeriod: 6 * HOURS,
+    quietEndingPeriod: 1 * HOURS,
+    compensationFeePct: 10,
+    pendedBoostPeriod: 1 * HOURS,
+    confidenceThresholdBase: 4,
+    creationDeposit: 0,
+    proposalCooldown: 0
+};
+
+const CLOSED_STATES = enums.ClosedProposalStates;
+
+const INFINITE_ALLOWANCE = new BN(10).pow(new BN(30));
+
+// Small seedable PRNG (mulberry32), so that simulations can be reproduced.
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.int = (max) => Math.floor(random() * max);
+    random.pick = (items) => items[random.int(items.length)];
+    return random;
+};
+
+// Calls a model function, returning the revert reason instead of throwing.
+const tryModel = (model, method, ...args) => {
+    try {
+        model[method](...args);
+        return { reverted: false };
+    }
+    catch(error) {
+        if(!(error instanceof ModelRevert)) throw error;
+        return { reverted: true, reason: error.reason };
+    }
+};
+
+/*
+ * Simulation.
+ */
+
+// Options:
+// settings: contract parameters, see DEFAULT_SETTINGS.
+// numProposals, numVoters, numStakers: size of the simulation.
+// proposalsPerStep: number of proposals created at each step until numProposals is reached.
+// stepSecs: time elapsed between steps.
+// voteProbability, stakeProbability: chance that each voter or staker acts on each open proposal at each step.
+// maxSteps: maximum number of steps before giving up on closing all proposals.
+// seed: seed for the random generator.
+const simulate = (options = {}) => {
+    const settings = { ...DEFAULT_SETTINGS, ...options.settings };
+    const numProposals = options.numProposals || 1000;
+    const numVoters = options.numVoters || 20;
+    const numStakers = options.numStakers || 10;
+    const proposalsPerStep = options.proposalsPerStep || 2;
+    const stepSecs = options.stepSecs || HOURS;
+    const voteProbability = options.voteProbability === undefined ? 0.05 : options.voteProbability;
+    const stakeProbability = options.stakeProbability === undefined ? 0.05 : options.stakeProbability;
+    const maxSteps = options.maxSteps || 100 * numProposals;
+    const random = createRandom(options.seed || 1);
+
+    // Distribute tokens unevenly, with a few large holders.
+    const model = new HCModel(settings);
+    const voters = [...Array(numVoters).keys()].map(i => `voter${i}`);
+    const stakers = [...Array(numStakers).keys()].map(i => `staker${i}`);
+    const keeper = 'keeper';
+    voters.forEach(voter => model.voteToken.mint(voter, Math.floor(1000 * Math.pow(random(), 3)) + 1));
+    stakers.forEach(staker => {
+        model.stakeToken.mint(staker, 10000 + random.int(90000));
+        model.stakeToken.approve(staker, SELF, INFINITE_ALLOWANCE);
+    });
+    model.stakeToken.mint(keeper, options.compensationFunds || 100000000000);
+    model.stakeToken.approve(keeper, SELF, INFINITE_ALLOWANCE);
+    model.fundCompensations(keeper, options.compensationFunds || 100000000000);
+
+    // Each proposal has a hidden quality, i.e. the probability that a participant supports it.
+    const qualities = [];
+    const claimed = {};
+    const closeDates = {};
+
+    let steps = 0;
+    while(qualities.length < numProposals || model.proposals.some(proposal => !CLOSED_STATES.includes(proposal.state))) {
+        if(steps++ >= maxSteps) throw new Error(`Simulation did not close all proposals after ${maxSteps} steps`);
+
+        // Create new proposals.
+        for(let i = 0; i < proposalsPerStep && qualities.length < numProposals; i++) {
+            model.createProposal(random.pick(voters), proposalMetadata.hash(proposalMetadata.fromTitle(`Simulated proposal ${qualities.length}`)));
+            qualities.push(random());
+        }
+
+        model.proposals.forEach(proposal => {
+            const quality = qualities[proposal.id];
+
+            // Close proposals, as a keeper would.
+            // Pended proposals are brought up to date with the confidence threshold first, since it may have risen.
+            if(proposal.state === 'Pended') tryModel(model, 'updateProposalConfidence', keeper, proposal.id);
+            if(proposal.state === 'Pended') tryModel(model, 'boostProposal', keeper, proposal.id);
+            if(proposal.state === 'Boosted') tryModel(model, 'resolveBoostedProposal', keeper, proposal.id);
+            else if(!CLOSED_STATES.includes(proposal.state)) tryModel(model, 'expireNonBoostedProposal', keeper, proposal.id);
+
+            // Stakers retrieve their stake and rewards once.
+            if(CLOSED_STATES.includes(proposal.state)) {
+                if(closeDates[proposal.id] === undefined) closeDates[proposal.id] = model.now;
+                stakers.forEach(staker => {
+                    const key = `${proposal.id}:${staker}`;
+                    if(claimed[key]) return;
+                    claimed[key] = true;
+                    if(proposal.state === 'Expired') tryModel(model, 'withdrawStakeFromExpiredQueuedProposal', staker, proposal.id);
+                    else tryModel(model, 'withdrawRewardFromResolvedProposal', staker, proposal.id);
+                });
+                return;
+            }
+
+            // Voters vote once, according to the proposal's quality.
+            voters.forEach(voter => {
+                if(proposal.votes[voter] || random() >= voteProbability) return;
+                tryModel(model, 'vote', voter, proposal.id, random() < quality);
+            });
+
+            // Stakers estimate the proposal's quality with some noise, and stake part of their balance.
+            stakers.forEach(staker => {
+                if(random() >= stakeProbability) return;
+                const estimate = quality + (random() - 0.5) * 0.4;
+                const balance = model.stakeToken.balanceOf(staker);
+                const amount = balance.muln(1 + random.int(10)).divn(100);
+                if(!amount.isZero()) tryModel(model, 'stake', staker, proposal.id, amount, estimate > 0.5);
+            });
+        });
+
+        model.now += stepSecs;
+    }
+
+    return summarize(model, qualities, closeDates);
+};
+
+const summarize = (model, qualities, closeDates) => {
+    const states = {};
+    CLOSED_STATES.forEach(state => states[state] = 0);
+    let correct = 0;
+    let totalDuration = 0;
+    model.proposals.forEach(proposal => {
+        states[proposal.state]++;
+        const supported = qualities[proposal.id] > 0.5;
+        if(supported === (proposal.state === 'Resolved')) correct++;
+        totalDuration += closeDates[proposal.id] - proposal.startDate;
+    });
+
+    const countEvents = (predicate) => model.events.filter(predicate).length;
+    const boosted = countEvents(event => event.event === 'ProposalStateChanged' && event.state === 'Boosted');
+    const fees = model.proposals.reduce((total, proposal) => total.add(proposal.compensationFeesPaid), new BN(0));
+    const numProposals = model.proposals.length;
+
+    return {
+        numProposals,
+        states,
+        boosted,
+        decidedByAbsoluteMajority: states.Resolved + states.Rejected - boosted,
+        lifetimeExtensions: countEvents(event => event.event === 'ProposalLifetimeExtended'),
+        pendings: countEvents(event => event.event === 'ProposalStateChanged' && event.state === 'Pended'),
+        averageDurationSecs: numProposals === 0 ? 0 : Math.round(totalDuration / numProposals),
+        outcomeMatchesQualityPct: numProposals === 0 ? 0 : Math.round(10000 * correct / numProposals) / 100,
+        totalCompensationFees: fees.toString()
+    };
+};
+
+/*
+ * Contract checks.
+ */
+
+// Deploys the contracts on the local ganache and gives tokens to all accounts but the last,
+// returning the environment that steps run in, see runStep, with a function that builds a model mirroring it.
+// Options:
+// settings: contract parameters, see DEFAULT_SETTINGS.
+// numAccounts: number of accounts that send steps.
+// funds: stake tokens funded to pay compensation fees.
+// seed: seed for the random balances.
+const deployEnvironment = async (options = {}) => {
+    const settings = { ...DEFAULT_SETTINGS, ...options.settings };
+    const funds = options.funds || 0;
+    const random = createRandom(options.seed || 1);
+
+    const web3 = getWeb3('localhost');
+    const accounts = (await web3.eth.getAccounts()).slice(0, options.numAccounts);
+    const txParams = { from: accounts[0], gas: 6700000, gasPrice: 1 };
+
+    const voteTokenContract = await deploy('Token', [], txParams);
+    const stakeTokenContract = await deploy('Token', [], txParams);
+    const client = await HCClient.deploy('localhost', txParams);
+    await client.initialize({
+        ...settings,
+        voteToken: voteTokenContract.options.address,
+        stakeToken: stakeTokenContract.options.address
+    });
+
+    const balances = [];
+    for(let i = 0; i < accounts.length - 1; i++) {
+        balances.push({ vote: 1 + random.int(100), stake: 1000 + random.int(10000) });
+        await voteTokenContract.methods.mint(accounts[i], balances[i].vote).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[i], balances[i].stake).send({ ...txParams });
+        await stakeTokenContract.methods.approve(client.address, INFINITE_ALLOWANCE.toString()).send({ ...txParams, from: accounts[i] });
+    }
+    await stakeTokenContract.methods.mint(accounts[0], funds).send({ ...txParams });
+    await client.fundCompensations(funds, { from: accounts[0] });
+
+    const createModel = () => {
+        const model = new HCModel(settings);
+        balances.forEach((balance, i) => {
+            model.voteToken.mint(accounts[i], balance.vote);
+            model.stakeToken.mint(accounts[i], balance.stake);
+            model.stakeToken.approve(accounts[i], SELF, INFINITE_ALLOWANCE);
+        });
+        model.stakeToken.mint(accounts[0], funds);
+        model.fundCompensations(accounts[0], funds);
+        return model;
+    };
+
+    return {
+        web3, accounts, txParams, client, voteTokenContract, stakeTokenContract, createModel,
+        // Executable proposals run a harmless call to the vote token.
+        script: executionScript.encode([{ to: voteTokenContract.options.address, data: executionScript.encodeCallData('totalSupply()') }])
+    };
+};
+
+// Steps refer to senders, and to delegates, by their index in the accounts, so that sequences can be replayed on new deployments.
+// Note: Steps of createExecutableProposal leave out the script, which runStep adds.
+const randomStep = (random, numAccounts, numProposals) => {
+    const sender = random.int(numAccounts);
+    const metadataHash = proposalMetadata.hash(proposalMetadata.fromTitle(`Proposal ${numProposals}`));
+    if(numProposals === 0 || random() < 0.08) return { method: 'createProposal', sender, args: [metadataHash] };
+
+    // Mostly existing proposals, sometimes the next one.
+    const proposalId = random.int(numProposals + (random() < 0.05 ? 1 : 0));
+    const supports = random() < 0.5;
+    const amount = 1 + random.int(3000);
+    return random.pick([
+        { method: 'createExecutableProposal', sender, args: [metadataHash] },
+        { method: 'cancelProposal', sender, args: [proposalId] },
+        { method: 'vote', sender, args: [proposalId, supports] },
+        { method: 'vote', sender, args: [proposalId, supports] },
+        { method: 'stake', sender, args: [proposalId, amount, supports] },
+        { method: 'stake', sender, args: [proposalId, amount, supports] },
+        { method: 'unstake', sender, args: [proposalId, amount, supports] },
+        { method: 'updateProposalConfidence', sender, args: [proposalId] },
+        { method: 'boostProposal', sender, args: [proposalId] },
+        { method: 'expireNonBoostedProposal', sender, args: [proposalId] },
+        { method: 'resolveBoostedProposal', sender, args: [proposalId] },
+        { method: 'withdrawStakeFromExpiredQueuedProposal', sender, args: [proposalId] },
+        { method: 'withdrawRewardFromResolvedProposal', sender, args: [proposalId] },
+        { method: 'claimMany', sender, args: [[proposalId, random.int(numProposals), proposalId]] },
+        { method: 'executeProposal', sender, args: [proposalId] },
+        { method: 'delegate', sender, args: [random.int(numAccounts)] },
+        { method: 'advanceTime', args: [random.pick([10 * 60, HOURS, 6 * HOURS, 24 * HOURS])] },
+        { method: 'advanceTime', args: [random.pick([10 * 60, HOURS, 6 * HOURS, 24 * HOURS])] }
+    ]);
+};
+
+const formatStep = (step) => `${step.method}(${JSON.stringify(step.args).slice(1, -1)})${step.sender === undefined ? '' : ` from account ${step.sender}`}`;
+
+// Sends a step to the contract, and applies it to the model at the timestamp of the block that included it.
+// Returns the receipt, or null if the step reverted or isn't a transaction to the contract,
+// and a description of how the model disagreed with the contract on reverting, or null.
+const runStep = async (env, model, step) => {
+    if(step.method === 'advanceTime') {
+        await util.advanceTimeAndBlock(step.args[0]);
+        return { receipt: null, divergence: null };
+    }
+
+    // Delegation happens on the vote token, and affects the voting power on proposals created afterwards.
+    const sender = env.accounts[step.sender];
+    if(step.method === 'delegate') {
+        const delegatee = env.accounts[step.args[0]];
+        await env.voteTokenContract.methods.delegate(delegatee).send({ ...env.txParams, from: sender });
+        model.voteToken.delegate(sender, delegatee);
+        return { receipt: null, divergence: null };
+    }
+
+    const args = step.method === 'createExecutableProposal' ? step.args.concat([env.script]) : step.args;
+    let receipt = null;
+    let chainRevert = null;
+    try {
+        receipt = await env.client.contract.methods[step.method](...args).send({ ...env.txParams, from: sender });
+    }
+    catch(error) {
+        chainRevert = decodeRevert(error);
+        if(!chainRevert) throw error;
+    }
+    model.now = (await env.web3.eth.getBlock(receipt ? receipt.blockNumber : 'latest')).timestamp;
+    const modelResult = tryModel(model, step.method, sender, ...args);
+
+    let divergence = null;
+    if(modelResult.reverted && !chainRevert) divergence = `model reverted with ${modelResult.reason}, contract did not`;
+    else if(!modelResult.reverted && chainRevert) divergence = `contract reverted with ${chainRevert.reason}, model did not`;
+    else if(modelResult.reverted && modelResult.reason !== chainRevert.reason) {
+        divergence = `model reverted with ${modelResult.reason}, contract with ${chainRevert.reason}`;
+    }
+    return { receipt, divergence };
+};
+
+// Sends random steps to a freshly deployed contract, see runStep, and verifies after each step
+// that outcomes, revert reasons, proposals and stake token balances match the model.
+// Throws on the first divergence, with the sequence of steps that led to it.
+const checkAgainstContract = async (options = {}) => {
+    const numSteps = options.numSteps || 100;
+    const numAccounts = options.numAccounts || 6;
+    const random = createRandom(options.seed || 1);
+    const log = options.log || (() => {});
+
+    const env = await deployEnvironment({
+        settings: options.settings,
+        numAccounts,
+        funds: options.compensationFunds === undefined ? 1000 : options.compensationFunds,
+        seed: options.seed
+    });
+    const { accounts, client, stakeTokenContract } = env;
+    const model = env.createModel();
+    const toModelAddress = (address) => address === client.address ? SELF : address;
+
+    const steps = [];
+    const fail = (message) => {
+        const history = steps.map((step, i) => `  ${i}: ${formatStep(step)}`);
+        throw new Error(`Model diverged from contract at step ${steps.length - 1}: ${message}\n${history.join('\n')}`);
+    };
+
+    for(let i = 0; i < numSteps; i++) {
+        const step = randomStep(random, numAccounts, model.proposals.length);
+        steps.push(step);
+        log(`${i}: ${formatStep(step)}`);
+
+        const { divergence } = await runStep(env, model, step);
+        if(divergence) fail(divergence);
+
+        // Compare proposals.
+        const numProposals = parseInt(await client.contract.methods.numProposals().call(), 10);
+        if(numProposals !== model.proposals.length) fail(`numProposals ${numProposals} != ${model.proposals.length}`);
+        const numBoostedProposals = await client.getNumBoostedProposals();
+        if(numBoostedProposals !== model.numBoostedProposals) fail(`numBoostedProposals ${numBoostedProposals} != ${model.numBoostedProposals}`);
+        for(let proposalId = 0; proposalId < numProposals; proposalId++) {
+            const chainProposal = await client.getProposal(proposalId);
+            const modelProposal = model.getProposal(proposalId);
+            const toSecs = (date) => date === null ? 0 : date.getTime() / 1000;
+            const compared = {
+                state: [chainProposal.state, modelProposal.state],
+                lifetime: [chainProposal.lifetime, modelProposal.lifetime],
+                startDate: [toSecs(chainProposal.startDate), modelProposal.startDate],
+                lastPendedDate: [toSecs(chainProposal.lastPendedDate), modelProposal.lastPendedDate],
+                lastRelativeSupportFlipDate: [toSecs(chainProposal.lastRelativeSupportFlipDate), modelProposal.lastRelativeSupportFlipDate],
+                lastRelativeSupport: [chainProposal.lastRelativeSupport, modelProposal.lastRelativeSupport],
+                compensationFeesPaid: [chainProposal.compensationFeesPaid.toString(), modelProposal.compensationFeesPaid.toString()],
+                yea: [chainProposal.yea.toString(), modelProposal.yea.toString()],
+                nay: [chainProposal.nay.toString(), modelProposal.nay.toString()],
+                upstake: [chainProposal.upstake.toString(), modelProposal.upstake.toString()],
+                downstake: [chainProposal.downstake.toString(), modelProposal.downstake.toString()],
+                creator: [chainProposal.creator, modelProposal.creator],
+                deposit: [chainProposal.deposit.toString(), modelProposal.deposit.toString()]
+            };
+            compared.executed = [(await client.getExecutionScript(proposalId)).executed, model.getExecutionScript(proposalId).executed];
+            compared.metadataHash = [await client.getProposalMetadataHash(proposalId), model.getProposalMetadataHash(proposalId)];
+            Object.keys(compared).forEach(key => {
+                const [chainValue, modelValue] = compared[key];
+                if(chainValue !== modelValue) fail(`proposal ${proposalId} ${key} is ${chainValue} on chain and ${modelValue} in the model`);
+            });
+        }
+
+        // Compare voting powers on the latest proposal, which depend on delegation and on delegators' votes.
+        for(let j = 0; numProposals > 0 && j < accounts.length; j++) {
+            const chainVotingPower = (await client.getVotingPower(numProposals - 1, accounts[j])).toString();
+            const modelVotingPower = model.getVotingPower(numProposals - 1, accounts[j]).toString();
+            if(chainVotingPower !== modelVotingPower) fail(`voting power of ${accounts[j]} is ${chainVotingPower} on chain and ${modelVotingPower} in the model`);
+        }
+
+        // Compare stake token balances.
+        const holders = accounts.concat([client.address]);
+        for(let j = 0; j < holders.length; j++) {
+            const chainBalance = await stakeTokenContract.methods.balanceOf(holders[j]).call();
+            const modelBalance = model.stakeToken.balanceOf(toModelAddress(holders[j])).toString();
+            if(chainBalance !== modelBalance) fail(`stake token balance of ${holders[j]} is ${chainBalance} on chain and ${modelBalance} in the model`);
+        }
+    }
+
+    return { numSteps, numProposals: model.proposals.length, steps };
+};
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    createRandom,
+    tryModel,
+    simulate,
+    deployEnvironment,
+    randomStep,
+    formatStep,
+    runStep,
+    checkAgainstContract
+};
+
+// Usage:
+//   node scripts/simulate.js [--numProposals 1000] [--seed 1] [--supportPct 51] [--confidenceThresholdBase 4] ...
+//   node scripts/simulate.js --check [--numSteps 100] [--seed 1]
+// Any contract setting can be passed as an option.
+if(require.main === module) {
+    const args = process.argv.slice(2);
+    const options = { settings: {} };
+    let check = false;
+    for(let i = 0; i < args.length; i++) {
+        const key = args[i].replace(/^--/, '');
+        if(key === 'check') {
+            check = true;
+            continue;
+        }
+        const value = parseFloat(args[++i]);
+        if(DEFAULT_SETTINGS[key] !== undefined) options.settings[key] = value;
+        else options[key] = value;
+    }
+
+    if(check) {
+        checkAgainstContract({ ...options, log: console.log })
+            .then(result => console.log(`Model matches contract after ${result.numSteps} steps and ${result.numProposals} proposals.`))
+            .catch(error => {
+                console.log(error.message);
+                process.exit(1);
+            });
+    }
+    else {
+        console.log(JSON.stringify(simulate(options), null, 2));
+    }
+}
@@ -1,44 +1,136 @@
 const getWeb3 = require('../scripts/getWeb3.js');
 const web3 = getWeb3('localhost');
 
-advanceTimeAndBlock = async (time) => {
-    await advanceTime(time);
-    await advanceBlock();
+// Same accounts as `ganache-cli --deterministic`.
+const MNEMONIC = 'myth like bonus scare over problem client lizard pioneer submit female collect';
 
-    return Promise.resolve(web3.eth.getBlock('latest'));
-}
+/*
+ * Chain.
+ */
 
-advanceTime = (time) => {
+// Starts ganache in this process, serving the localhost network.
+const startChain = (options = {}) => {
+    const ganache = require('ganache-cli');
+    const { port, ...ganacheOptions } = { port: 8545, ...options };
+    const server = ganache.server({
+        mnemonic: MNEMONIC,
+        total_accounts: 10,
+        logger: { log: () => {} },
+        ...ganacheOptions
+    });
     return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: "2.0",
-            method: "evm_increaseTime",
-            params: [time],
-            id: new Date().getTime()
-        }, (err, result) => {
+        server.listen(port, err => {
             if (err) { return reject(err); }
-            return resolve(result);
+            return resolve(server);
         });
     });
 }
 
-advanceBlock = () => {
+const stopChain = (server) => {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+const send = (method, params = []) => {
     return new Promise((resolve, reject) => {
         web3.currentProvider.send({
             jsonrpc: "2.0",
-            method: "evm_mine",
+            method,
+            params,
             id: new Date().getTime()
         }, (err, result) => {
             if (err) { return reject(err); }
-            const newBlockHash = web3.eth.getBlock('latest').hash;
-
-            return resolve(newBlockHash)
+            if (result.error) { return reject(new Error(result.error.message)); }
+            return resolve(result.result);
         });
     });
 }
 
+/*
+ * Time.
+ */
+
+const advanceTimeAndBlock = async (time) => {
+    await advanceTime(time);
+    await advanceBlock();
+
+    return web3.eth.getBlock('latest');
+}
+
+const advanceTime = (time) => {
+    return send('evm_increaseTime', [time]);
+}
+
+const advanceBlock = async () => {
+    await send('evm_mine');
+    return (await web3.eth.getBlock('latest')).hash;
+}
+
+// Mines a block with the given timestamp, give or take the time the call takes.
+const increaseTimeTo = async (timestamp) => {
+    const now = (await web3.eth.getBlock('latest')).timestamp;
+    if(timestamp < now) throw new Error(`Cannot go back in time from ${now} to ${timestamp}`);
+    return advanceTimeAndBlock(timestamp - now);
+}
+
+// Moves the chain to secs after a proposal's startDate, so that tests don't need to keep
+// track of how much time they have already advanced.
+const advanceToProposalTime = async (hcContract, proposalId, secs) => {
+    const proposal = await hcContract.methods.getProposal(proposalId).call();
+    return increaseTimeTo(parseInt(proposal.startDate, 10) + secs);
+}
+
+/*
+ * Snapshots.
+ */
+
+const snapshot = () => {
+    return send('evm_snapshot');
+}
+
+const revert = (snapshotId) => {
+    return send('evm_revert', [snapshotId]);
+}
+
+// Runs setup once for the enclosing describe block, and reverts the chain after each of its tests,
+// so that every test starts from the state left by setup without having to deploy it again.
+// Nested fixtures build on the state of their parents.
+const fixture = (setup) => {
+    let blockSnapshotId;
+    let testSnapshotId;
+
+    beforeAll(async () => {
+        blockSnapshotId = await snapshot();
+        await setup();
+    });
+
+    beforeEach(async () => {
+        testSnapshotId = await snapshot();
+    });
+
+    afterEach(async () => {
+        await revert(testSnapshotId);
+    });
+
+    afterAll(async () => {
+        await revert(blockSnapshotId);
+    });
+}
+
+const sleep = (ms) => {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = {
+    MNEMONIC,
+    startChain,
+    stopChain,
     advanceTime,
     advanceBlock,
-    advanceTimeAndBlock
+    advanceTimeAndBlock,
+    increaseTimeTo,
+    advanceToProposalTime,
+    snapshot,
+    revert,
+    fixture,
+    sleep
 }
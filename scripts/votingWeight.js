@@ -0,0 +1,100 @@
+const BN = require('bn.js');
+const { toBN } = require('./hcMath.js');
+
+// Ports of the voting strategies in VotingStrategies.sol, to predict the weight that accounts vote with.
+// Strategies are { name } objects, with a cap for Capped and a voteTokenWeight, tokens and weights for Weighted,
+// e.g. as returned by HCClient.getVotingStrategy.
+// Voting power is a vote token balance plus the balances delegated to it, see HCVoting._votingPowerOf.
+
+const STRATEGIES = ['Linear', 'Quadratic', 'Capped', 'Weighted'];
+
+// Strategies whose total weight the vote token must keep, see Token.trackTotalWeight.
+const BALANCE_WEIGHT_STRATEGIES = ['Quadratic', 'Capped'];
+
+// Contract implementing each strategy.
+const CONTRACT_NAMES = {
+    Linear: 'LinearVotingStrategy',
+    Quadratic: 'QuadraticVotingStrategy',
+    Capped: 'CappedVotingStrategy',
+    Weighted: 'WeightedVotingStrategy'
+};
+
+const requireStrategy = (strategy) => {
+    if(!STRATEGIES.includes(strategy.name)) throw new Error(`Unknown voting strategy ${strategy.name}, expected one of ${STRATEGIES.join(', ')}`);
+};
+
+// Port of QuadraticVotingStrategy._sqrt, i.e. the largest integer whose square doesn't exceed value.
+const sqrt = (value) => {
+    value = toBN(value);
+    if(value.lten(3)) return new BN(value.isZero() ? 0 : 1);
+    let y = value;
+    let z = value.divn(2).addn(1);
+    while(z.lt(y)) {
+        y = z;
+        z = value.div(z).add(z).divn(2);
+    }
+    return y;
+};
+
+// Port of the strategies' weightOf.
+// For Weighted, balances are the voter's balances of strategy.tokens, which count for the voter only.
+const calculateWeight = (strategy, votingPower, balances = []) => {
+    requireStrategy(strategy);
+    votingPower = toBN(votingPower);
+    if(strategy.name === 'Quadratic') return sqrt(votingPower);
+    if(strategy.name === 'Capped') return BN.min(votingPower, toBN(strategy.cap));
+    if(strategy.name === 'Weighted') {
+        return strategy.weights.reduce(
+            (weight, tokenWeight, i) => weight.add(toBN(balances[i] || 0).mul(toBN(tokenWeight))),
+            votingPower.mul(toBN(strategy.voteTokenWeight))
+        );
+    }
+    return votingPower;
+};
+
+// Port of the strategies' totalWeightAt, given the balances of the vote token holders, i.e. the sum of the weights
+// of every holder's balance, which is the weight of the total supply under Linear and Weighted.
+// For Weighted, supplies are the total supplies of strategy.tokens.
+const calculateTotalWeight = (strategy, balances, supplies = []) => {
+    requireStrategy(strategy);
+    if(BALANCE_WEIGHT_STRATEGIES.includes(strategy.name)) {
+        return balances.reduce((total, balance) => total.add(calculateWeight(strategy, balance)), new BN(0));
+    }
+    const totalSupply = balances.reduce((total, balance) => total.add(toBN(balance)), new BN(0));
+    return calculateWeight(strategy, totalSupply, supplies);
+};
+
+// Weight of a voting power under each strategy, by name, e.g. to compare them before choosing one.
+// Capped is only predicted with a cap, and Weighted with the weights of the other tokens and the voter's balances of them,
+// i.e. { cap, voteTokenWeight, weights, balances }.
+const predictWeights = (votingPower, options = {}) => {
+    const predictions = {
+        Linear: calculateWeight({ name: 'Linear' }, votingPower),
+        Quadratic: calculateWeight({ name: 'Quadratic' }, votingPower)
+    };
+    if(options.cap !== undefined) predictions.Capped = calculateWeight({ name: 'Capped', cap: options.cap }, votingPower);
+    if(options.weights !== undefined) {
+        const strategy = { name: 'Weighted', voteTokenWeight: options.voteTokenWeight === undefined ? 1 : options.voteTokenWeight, weights: options.weights };
+        predictions.Weighted = calculateWeight(strategy, votingPower, options.balances);
+    }
+    return predictions;
+};
+
+// Arguments of the constructor of a strategy's contract.
+const toConstructorArgs = (strategy) => {
+    requireStrategy(strategy);
+    if(strategy.name === 'Capped') return [`${strategy.cap}`];
+    if(strategy.name === 'Weighted') return [`${strategy.voteTokenWeight}`, strategy.tokens, strategy.weights.map(weight => `${weight}`)];
+    return [];
+};
+
+module.exports = {
+    STRATEGIES,
+    BALANCE_WEIGHT_STRATEGIES,
+    CONTRACT_NAMES,
+    sqrt,
+    calculateWeight,
+    calculateTotalWeight,
+    predictWeights,
+    toConstructorArgs
+};
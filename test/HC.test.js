@@ -1,10 +1,14 @@
 const getWeb3 = require('../scripts/getWeb3.js');
 const deploy = require('../scripts/deploy.js');
 const util = require('../scripts/util.js');
-const reverts = require('../scripts/reverts.js');
+const signatures = require('../scripts/signatures.js');
+const proposalMetadata = require('../scripts/metadata.js');
+const commitReveal = require('../scripts/commitReveal.js');
 
 describe('HolographicConsensus', () => {
     
+    const metadataHash = (title) => proposalMetadata.hash(proposalMetadata.fromTitle(title));
+
     let web3;
     let accounts;
     let txParams;
@@ -24,7 +28,7 @@ describe('HolographicConsensus', () => {
         let voteTokenContract;
         let stakeTokenContract;
         let votingContract;
-        let elapsedTime = 0;
+        let votingStrategyContract;
 
         const HOURS = 60 * 60;
         const SUPPORT_PERCENT = 51; // MOD ROLE 1
@@ -37,16 +41,20 @@ describe('HolographicConsensus', () => {
         const PRECISION_MULTIPLIER = 10 ** 16;
         const INITIAL_VOTING_STAKE_TOKEN_BALANCE = 100000000000;
 
-        beforeEach(async () => {
+        util.fixture(async () => {
 
             // Deploy voting and staking Token contracts.
             voteTokenContract = await deploy('Token', [], txParams);
             stakeTokenContract = await deploy('Token', [], txParams);
 
+            // One token, one vote.
+            votingStrategyContract = await deploy('LinearVotingStrategy', [], txParams);
+
             // Deploy and initialize Voting contract.
             votingContract = await deploy('HolographicConsensus', [], txParams);
             await votingContract.methods.initializeVoting(
                 voteTokenContract.options.address,
+                votingStrategyContract.options.address,
                 SUPPORT_PERCENT,
                 QUEUE_PERIOD_SECS,
                 BOOST_PERIOD_SECS,
@@ -73,26 +81,614 @@ describe('HolographicConsensus', () => {
             expect(await votingContract.methods.boostPeriod().call()).toBe(`${BOOST_PERIOD_SECS}`);
             expect(await votingContract.methods.quietEndingPeriod().call()).toBe(`${QUIET_ENDING_PERIOD_SECS}`);
             expect(await votingContract.methods.compensationFeePct().call()).toBe(`${COMPENSATION_FEE_PERCENT}`);
+            expect(await votingContract.methods.votingStrategy().call()).toBe(votingStrategyContract.options.address);
         });
 
+        describe('When managing roles and parameters', () => {
+
+            let roles;
+
+            const ANY_ENTITY = '0xFFfFfFffFFfffFFfFFfFFFFFffFFFffffFfFFFfF';
+
+            const initialize = async (contract, params, txParams_ = txParams) => {
+                params = {
+                    supportPct: SUPPORT_PERCENT,
+                    boostPeriod: BOOST_PERIOD_SECS,
+                    quietEndingPeriod: QUIET_ENDING_PERIOD_SECS,
+                    compensationFeePct: COMPENSATION_FEE_PERCENT,
+                    confidenceThresholdBase: CONFIDENCE_THRESHOLD_BASE,
+                    ...params
+                };
+                await contract.methods.initializeVoting(
+                    voteTokenContract.options.address,
+                    votingStrategyContract.options.address,
+                    params.supportPct,
+                    QUEUE_PERIOD_SECS,
+                    params.boostPeriod,
+                    params.quietEndingPeriod,
+                    params.compensationFeePct
+                ).send({ ...txParams_ });
+                await contract.methods.initializeStaking(
+                    stakeTokenContract.options.address,
+                    PENDED_BOOST_PERIOD_SECS,
+                    params.confidenceThresholdBase
+                ).send({ ...txParams_ });
+            };
+
+            beforeAll(async () => {
+                roles = {};
+                for(const name of ['MANAGE_ROLES_ROLE', 'CREATE_PROPOSALS_ROLE', 'MODIFY_SUPPORT_ROLE', 'MODIFY_PERIODS_ROLE', 'MODIFY_COMPENSATION_FEE_ROLE']) {
+                    roles[name] = await votingContract.methods[name]().call();
+                }
+            });
+
+            test('The deployer should manage roles, and anyone should be able to create proposals', async () => {
+                expect(await votingContract.methods.hasRole(roles.MANAGE_ROLES_ROLE, accounts[0]).call()).toBe(true);
+                expect(await votingContract.methods.hasRole(roles.MANAGE_ROLES_ROLE, accounts[1]).call()).toBe(false);
+                expect(await votingContract.methods.hasRole(roles.CREATE_PROPOSALS_ROLE, accounts[9]).call()).toBe(true);
+                expect(await votingContract.methods.hasRole(roles.MODIFY_SUPPORT_ROLE, accounts[0]).call()).toBe(false);
+            });
+
+            test('Should only be initialized once', async () => {
+                await expect(initialize(votingContract)).toRevertWith('ALREADY_INITIALIZED');
+                await expect(
+                    votingContract.methods.initializeStaking(stakeTokenContract.options.address, 1, 1).send({ ...txParams })
+                ).toRevertWith('ALREADY_INITIALIZED');
+            });
+
+            test('Should only be initialized by the deployer, with valid parameters', async () => {
+                const contract = await deploy('HolographicConsensus', [], txParams);
+                await expect(initialize(contract, {}, { ...txParams, from: accounts[1] })).toRevertWith('SENDER_NOT_AUTHORIZED');
+                await expect(initialize(contract, { supportPct: 49 })).toRevertWith('INIT_SUPPORT_TOO_SMALL');
+                await expect(initialize(contract, { quietEndingPeriod: BOOST_PERIOD_SECS })).toRevertWith('INVALID_PERIODS');
+                await expect(initialize(contract, { compensationFeePct: 0 })).toRevertWith('INVALID_COMPENSATION_FEE_PCT');
+                await expect(initialize(contract, { confidenceThresholdBase: 0 })).toRevertWith('INVALID_CONFIDENCE_THRESHOLD_BASE');
+            });
+
+            test('Only role managers should grant roles', async () => {
+                await expect(
+                    votingContract.methods.grantRole(roles.MODIFY_SUPPORT_ROLE, accounts[1]).send({ ...txParams, from: accounts[1] })
+                ).toRevertWith('SENDER_NOT_AUTHORIZED');
+                await expect(
+                    votingContract.methods.setSupportPct(60).send({ ...txParams })
+                ).toRevertWith('SENDER_NOT_AUTHORIZED');
+            });
+
+            test('Role holders should change parameters until the role is revoked', async () => {
+                const receipt = await votingContract.methods.grantRole(roles.MODIFY_SUPPORT_ROLE, accounts[1]).send({ ...txParams });
+                expect(receipt.events.RoleGranted.returnValues._entity).toBe(accounts[1]);
+
+                const setReceipt = await votingContract.methods.setSupportPct(60).send({ ...txParams, from: accounts[1] });
+                expect(setReceipt.events.SupportPctChanged.returnValues._supportPct).toBe(`60`);
+                expect(await votingContract.methods.supportPct().call()).toBe(`60`);
+                await expect(
+                    votingContract.methods.setSupportPct(100).send({ ...txParams, from: accounts[1] })
+                ).toRevertWith('INIT_SUPPORT_TOO_BIG');
+
+                await votingContract.methods.revokeRole(roles.MODIFY_SUPPORT_ROLE, accounts[1]).send({ ...txParams });
+                await expect(
+                    votingContract.methods.setSupportPct(70).send({ ...txParams, from: accounts[1] })
+                ).toRevertWith('SENDER_NOT_AUTHORIZED');
+            });
+
+            test('Should validate periods against each other', async () => {
+                await votingContract.methods.grantRole(roles.MODIFY_PERIODS_ROLE, accounts[1]).send({ ...txParams });
+                const setPeriods = (queue, boost, quietEnding, pendedBoost) => {
+                    return votingContract.methods.setPeriods(queue, boost, quietEnding, pendedBoost).send({ ...txParams, from: accounts[1] });
+                };
+                await expect(setPeriods(0, 6 * HOURS, 1 * HOURS, 1 * HOURS)).toRevertWith('INVALID_PERIODS');
+                await expect(setPeriods(24 * HOURS, 6 * HOURS, 6 * HOURS, 1 * HOURS)).toRevertWith('INVALID_PERIODS');
+                await expect(setPeriods(24 * HOURS, 6 * HOURS, 1 * HOURS, 24 * HOURS)).toRevertWith('INVALID_PERIODS');
+
+                const receipt = await setPeriods(48 * HOURS, 12 * HOURS, 2 * HOURS, 4 * HOURS);
+                expect(receipt.events.PeriodsChanged.returnValues._pendedBoostPeriod).toBe(`${4 * HOURS}`);
+                expect(await votingContract.methods.queuePeriod().call()).toBe(`${48 * HOURS}`);
+                expect(await votingContract.methods.boostPeriod().call()).toBe(`${12 * HOURS}`);
+                expect(await votingContract.methods.quietEndingPeriod().call()).toBe(`${2 * HOURS}`);
+                expect(await votingContract.methods.pendedBoostPeriod().call()).toBe(`${4 * HOURS}`);
+            });
+
+            test('Should set the compensation fee curve', async () => {
+                expect(await votingContract.methods.compensationFeeCurve().call()).toBe(`0`); // FeeCurve '0' = Linear
+                await expect(
+                    votingContract.methods.setCompensationFeeCurve(1, HOURS).send({ ...txParams })
+                ).toRevertWith('SENDER_NOT_AUTHORIZED');
+
+                await votingContract.methods.grantRole(roles.MODIFY_COMPENSATION_FEE_ROLE, accounts[1]).send({ ...txParams });
+                await expect(
+                    votingContract.methods.setCompensationFeeCurve(2, 0).send({ ...txParams, from: accounts[1] })
+                ).toRevertWith('INVALID_COMPENSATION_FEE_CURVE');
+
+                const receipt = await votingContract.methods.setCompensationFeeCurve(1, HOURS).send({ ...txParams, from: accounts[1] });
+                expect(receipt.events.CompensationFeeCurveChanged.returnValues._curve).toBe(`1`); // FeeCurve '1' = Step
+                expect(await votingContract.methods.compensationFeeCurve().call()).toBe(`1`);
+                expect(await votingContract.methods.compensationFeePeriod().call()).toBe(`${HOURS}`);
+            });
+
+            test('Proposal creation can be restricted', async () => {
+                await votingContract.methods.revokeRole(roles.CREATE_PROPOSALS_ROLE, ANY_ENTITY).send({ ...txParams });
+                await votingContract.methods.grantRole(roles.CREATE_PROPOSALS_ROLE, accounts[1]).send({ ...txParams });
+                await expect(
+                    votingContract.methods.createProposal(metadataHash('Not allowed')).send({ ...txParams, from: accounts[2] })
+                ).toRevertWith('SENDER_NOT_AUTHORIZED');
+                await votingContract.methods.createProposal(metadataHash('Allowed')).send({ ...txParams, from: accounts[1] });
+                expect(await votingContract.methods.numProposals().call()).toBe(`1`);
+            });
+        }); // When managing roles and parameters
+
+        describe('When delegating voting power', () => {
+
+            let proposalId;
+
+            const vote = (id, supports, from) => votingContract.methods.vote(id, supports).send({ ...txParams, from });
+            const getVotingPower = (id, voter) => votingContract.methods.getVotingPower(id, voter).call();
+            const getCastVotingPower = (id, voter) => votingContract.methods.getCastVotingPower(id, voter).call();
+            const getVotes = async (id) => {
+                const proposal = await votingContract.methods.getProposal(id).call();
+                return [proposal.yea, proposal.nay];
+            };
+
+            util.fixture(async () => {
+
+                // Accounts 1 and 2 delegate to account 3, and the total supply is 700.
+                await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[2], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[3], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[4], 400).send({ ...txParams });
+                await voteTokenContract.methods.delegate(accounts[3]).send({ ...txParams, from: accounts[1] });
+                await voteTokenContract.methods.delegate(accounts[3]).send({ ...txParams, from: accounts[2] });
+
+                const receipt = await votingContract.methods.createProposal(metadataHash('Delegated')).send({ ...txParams });
+                proposalId = receipt.events.ProposalCreated.returnValues._proposalId;
+            });
+
+            test('Delegates should vote with the combined weight of their delegators', async () => {
+                expect(await getVotingPower(proposalId, accounts[3])).toBe(`300`);
+                await vote(proposalId, true, accounts[3]);
+                expect(await getCastVotingPower(proposalId, accounts[3])).toBe(`300`);
+                expect(await getVotes(proposalId)).toEqual([`300`, `0`]);
+            });
+
+            test('Delegators should override their delegate by voting themselves', async () => {
+                await vote(proposalId, true, accounts[3]);
+                const receipt = await vote(proposalId, false, accounts[1]);
+                const override = receipt.events.DelegatedVoteOverridden.returnValues;
+                expect(override._delegate).toBe(accounts[3]);
+                expect(override._delegator).toBe(accounts[1]);
+                expect(override._votingPower).toBe(`100`);
+                expect(await getCastVotingPower(proposalId, accounts[3])).toBe(`200`);
+                expect(await getVotes(proposalId)).toEqual([`200`, `100`]);
+
+                // Changing the vote doesn't take the balance from the delegate again.
+                await vote(proposalId, true, accounts[1]);
+                expect(await getVotes(proposalId)).toEqual([`300`, `0`]);
+
+                // Overrides made before the delegate votes reduce its voting power.
+                await vote(proposalId, false, accounts[2]);
+                expect(await getVotingPower(proposalId, accounts[3])).toBe(`100`);
+                await vote(proposalId, false, accounts[3]);
+                expect(await getVotes(proposalId)).toEqual([`100`, `200`]);
+            });
+
+            test('Delegation should only count on proposals created afterwards', async () => {
+                await voteTokenContract.methods.delegate(accounts[3]).send({ ...txParams, from: accounts[4] });
+                expect(await getVotingPower(proposalId, accounts[3])).toBe(`300`);
+                expect(await getVotingPower(proposalId, accounts[4])).toBe(`400`);
+
+                // With enough delegated voting power, a single vote reaches absolute majority.
+                const receipt = await votingContract.methods.createProposal(metadataHash('Delegated again')).send({ ...txParams });
+                const newProposalId = receipt.events.ProposalCreated.returnValues._proposalId;
+                expect(await getVotingPower(newProposalId, accounts[3])).toBe(`700`);
+                await vote(newProposalId, true, accounts[3]);
+                expect((await votingContract.methods.getProposal(newProposalId).call()).state).toBe(`4`); // Resolved
+            });
+        }); // When delegating voting power
+
+        describe('When weighing votes with a voting strategy', () => {
+
+            let tokenContract;
+
+            const getVotes = async (contract, id) => {
+                const proposal = await contract.methods.getProposal(id).call();
+                return [proposal.yea, proposal.nay];
+            };
+
+            // Deploys an HC contract that weighs votes with a strategy, voting with tokenContract, and creates a proposal.
+            // Non linear strategies need the token to keep their total weight.
+            const deployWithStrategy = async (contractName, args) => {
+                const strategy = await deploy(contractName, args, txParams);
+                if(contractName !== 'WeightedVotingStrategy') await tokenContract.methods.trackTotalWeight(strategy.options.address).send({ ...txParams });
+                const contract = await deploy('HolographicConsensus', [], txParams);
+                await contract.methods.initializeVoting(
+                    tokenContract.options.address,
+                    strategy.options.address,
+                    SUPPORT_PERCENT,
+                    QUEUE_PERIOD_SECS,
+                    BOOST_PERIOD_SECS,
+                    QUIET_ENDING_PERIOD_SECS,
+                    COMPENSATION_FEE_PERCENT
+                ).send({ ...txParams });
+                await contract.methods.createProposal(metadataHash('Weighed')).send({ ...txParams });
+                return contract;
+            };
+
+            util.fixture(async () => {
+
+                // Account 2 delegates to account 3, and the total supply of 700 is held by 4 accounts.
+                tokenContract = await deploy('Token', [], txParams);
+                await tokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+                await tokenContract.methods.mint(accounts[2], 100).send({ ...txParams });
+                await tokenContract.methods.mint(accounts[3], 100).send({ ...txParams });
+                await tokenContract.methods.mint(accounts[4], 400).send({ ...txParams });
+                await tokenContract.methods.delegate(accounts[3]).send({ ...txParams, from: accounts[2] });
+            });
+
+            test('A strategy should be chosen at initialization', async () => {
+                const contract = await deploy('HolographicConsensus', [], txParams);
+                await expect(contract.methods.initializeVoting(
+                    tokenContract.options.address, '0x0000000000000000000000000000000000000000', 51, QUEUE_PERIOD_SECS, BOOST_PERIOD_SECS, 0, 10
+                ).send({ ...txParams })).toRevertWith('INVALID_VOTING_STRATEGY');
+            });
+
+            test('Quadratic voting should weigh the square root of voting power, and take overrides out of delegates', async () => {
+                const contract = await deployWithStrategy('QuadraticVotingStrategy', []);
+                expect(await contract.methods.getVotingPower(0, accounts[3]).call()).toBe(`14`);
+                expect(await contract.methods.getVotingPower(0, accounts[4]).call()).toBe(`20`);
+
+                await contract.methods.vote(0, false).send({ ...txParams, from: accounts[3] });
+                const receipt = await contract.methods.vote(0, true).send({ ...txParams, from: accounts[2] });
+                expect(receipt.events.DelegatedVoteOverridden.returnValues._votingPower).toBe(`4`);
+                expect(await getVotes(contract, 0)).toEqual([`10`, `10`]);
+
+                // The total weight is 10 + 10 + 10 + 20 = 50, of which 51% is more than 25.
+                await contract.methods.vote(0, true).send({ ...txParams, from: accounts[4] });
+                expect((await contract.methods.getProposal(0).call()).state).toBe(`4`); // Resolved
+            });
+
+            test('The total weight should be reachable however the supply is distributed', async () => {
+
+                // A large holder and dust spread over many accounts, most of which don't vote.
+                await tokenContract.methods.mint(accounts[5], 10000).send({ ...txParams });
+                for(let i = 0; i < 20; i++) await tokenContract.methods.mint(web3.utils.randomHex(20), 1).send({ ...txParams });
+                const contract = await deployWithStrategy('QuadraticVotingStrategy', []);
+
+                // The total weight is 100 + 50 + 20 = 170, of which 51% is more than 86.
+                await contract.methods.vote(0, true).send({ ...txParams, from: accounts[5] });
+                expect((await contract.methods.getProposal(0).call()).state).toBe(`4`); // Resolved
+
+                // The total weight follows transfers, and is now 50 + 70 + 70 + 20 = 210, of which 51% is more than 107.
+                await tokenContract.methods.transfer(accounts[6], 5000).send({ ...txParams, from: accounts[5] });
+                await contract.methods.createProposal(metadataHash('Weighed again')).send({ ...txParams });
+                await contract.methods.vote(1, true).send({ ...txParams, from: accounts[5] });
+                expect((await contract.methods.getProposal(1).call()).state).toBe(`0`); // Queued
+            });
+
+            test('Non linear strategies should only be used with tokens that keep their total weight', async () => {
+                const strategy = await deploy('CappedVotingStrategy', [150], txParams);
+                await expect(tokenContract.methods.trackTotalWeight(strategy.options.address).send({ ...txParams, from: accounts[1] }))
+                    .toRevertWith('Ownable: caller is not the owner');
+                expect(await tokenContract.methods.tracksTotalWeight(strategy.options.address).call()).toBe(false);
+                await expect(strategy.methods.totalWeightAt(tokenContract.options.address, 0).call()).toRevertWith('Token: total weight is not tracked');
+            });
+
+            test('Capped voting should weigh voting power up to a cap per voter', async () => {
+                const contract = await deployWithStrategy('CappedVotingStrategy', [150]);
+                expect(await contract.methods.getVotingPower(0, accounts[4]).call()).toBe(`150`);
+                expect(await contract.methods.getVotingPower(0, accounts[3]).call()).toBe(`150`);
+
+                // The total weight is 100 + 100 + 100 + 150 = 450, of which 51% is more than 229.
+                await contract.methods.vote(0, true).send({ ...txParams, from: accounts[4] });
+                expect((await contract.methods.getProposal(0).call()).state).toBe(`0`); // Queued
+                await contract.methods.vote(0, true).send({ ...txParams, from: accounts[3] });
+                expect(await getVotes(contract, 0)).toEqual([`300`, `0`]);
+                expect((await contract.methods.getProposal(0).call()).state).toBe(`4`); // Resolved
+            });
+
+            test('Weighted voting should add up the weighted balances of several tokens', async () => {
+                const reputationContract = await deploy('Token', [], txParams);
+                await reputationContract.methods.mint(accounts[5], 150).send({ ...txParams });
+                await reputationContract.methods.mint(accounts[1], 50).send({ ...txParams });
+                const contract = await deployWithStrategy('WeightedVotingStrategy', [1, [reputationContract.options.address], [2]]);
+
+                // Holders of other tokens can vote without holding the vote token.
+                expect(await contract.methods.getVotingPower(0, accounts[5]).call()).toBe(`300`);
+                expect(await contract.methods.getVotingPower(0, accounts[1]).call()).toBe(`200`);
+
+                // The total weight is 700 + 2 * 200 = 1100, of which 51% is more than 561.
+                await contract.methods.vote(0, false).send({ ...txParams, from: accounts[5] });
+                await contract.methods.vote(0, false).send({ ...txParams, from: accounts[1] });
+                await contract.methods.vote(0, false).send({ ...txParams, from: accounts[3] });
+                expect(await getVotes(contract, 0)).toEqual([`0`, `700`]);
+                expect((await contract.methods.getProposal(0).call()).state).toBe(`6`); // Rejected
+            });
+        }); // When weighing votes with a voting strategy
+
+        describe('When voting and staking by signature', () => {
+
+            let deadline;
+
+            // Signs as the given account, which doesn't need to send any transaction.
+            const signVote = async (proposalId, supports, signer, nonce) => {
+                const typedData = signatures.vote(votingContract.options.address, { proposalId, supports, nonce, deadline });
+                return signatures.signTypedData(web3, signer, typedData);
+            };
+            const voteBySig = (proposalId, supports, voter, signature) => {
+                return votingContract.methods.voteBySig(proposalId, supports, voter, deadline, signature).send({ ...txParams });
+            };
+
+            util.fixture(async () => {
+                await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[2], 200).send({ ...txParams });
+                await votingContract.methods.createProposal(metadataHash('Signed')).send({ ...txParams });
+                deadline = (await web3.eth.getBlock('latest')).timestamp + HOURS;
+            });
+
+            test('Anyone should be able to submit a signed vote, only once', async () => {
+                const signature = await signVote(0, true, accounts[1], 0);
+                const receipt = await voteBySig(0, true, accounts[1], signature);
+                expect(receipt.events.VoteCasted.returnValues._voter).toBe(accounts[1]);
+                expect(await votingContract.methods.getVote(0, accounts[1]).call()).toBe(`1`); // VoteState '1' = Yea
+                expect(await votingContract.methods.nonces(accounts[1]).call()).toBe(`1`);
+
+                await expect(voteBySig(0, true, accounts[1], signature)).toRevertWith('INVALID_SIGNATURE');
+            });
+
+            test('Should not accept votes signed by someone else or with altered values', async () => {
+                const signature = await signVote(0, true, accounts[2], 0);
+                await expect(voteBySig(0, true, accounts[1], signature)).toRevertWith('INVALID_SIGNATURE');
+                await expect(voteBySig(0, false, accounts[2], signature)).toRevertWith('INVALID_SIGNATURE');
+                await expect(voteBySig(0, true, accounts[2], '0x1234')).toRevertWith('INVALID_SIGNATURE');
+            });
+
+            test('Should not accept expired signatures', async () => {
+                const signature = await signVote(0, true, accounts[1], 0);
+                await util.advanceTimeAndBlock(2 * HOURS);
+                await expect(voteBySig(0, true, accounts[1], signature)).toRevertWith('SIGNATURE_EXPIRED');
+            });
+
+            test('Anyone should be able to submit a signed stake, with a permit of the stake token', async () => {
+                await stakeTokenContract.methods.mint(accounts[3], 1000).send({ ...txParams });
+                const stake = signatures.stake(votingContract.options.address, { proposalId: 0, amount: 400, supports: false, nonce: 0, deadline });
+                const permit = signatures.permit(stakeTokenContract.options.address, {
+                    owner: accounts[3],
+                    spender: votingContract.options.address,
+                    value: 400,
+                    nonce: 0,
+                    deadline
+                });
+                const signature = await signatures.signTypedData(web3, accounts[3], stake);
+                const permitSignature = await signatures.signTypedData(web3, accounts[3], permit);
+
+                await votingContract.methods.stakeBySig(0, 400, false, accounts[3], deadline, signature, permitSignature).send({ ...txParams });
+                expect(await votingContract.methods.getDownstake(0, accounts[3]).call()).toBe(`400`);
+                expect(await stakeTokenContract.methods.balanceOf(accounts[3]).call()).toBe(`600`);
+                expect(await stakeTokenContract.methods.allowance(accounts[3], votingContract.options.address).call()).toBe(`0`);
+            });
+        }); // When voting and staking by signature
+
+        describe('When voting by commit-reveal', () => {
+
+            const REVEAL_PERIOD_SECS = 2 * HOURS;
+
+            let contract;
+
+            const commit = (supports, from) => {
+                const salt = commitReveal.createSalt();
+                const commitment = commitReveal.hashVote(0, from, supports, salt);
+                return contract.methods.commitVote(0, commitment).send({ ...txParams, from }).then(() => salt);
+            };
+            const reveal = (voter, supports, salt, from = voter) => contract.methods.revealVote(0, voter, supports, salt).send({ ...txParams, from });
+            const getVotes = async () => {
+                const proposal = await contract.methods.getProposal(0).call();
+                return [proposal.yea, proposal.nay];
+            };
+
+            util.fixture(async () => {
+                contract = await deploy('HolographicConsensus', [], txParams);
+                await contract.methods.initializeVoting(
+                    voteTokenContract.options.address,
+                    votingStrategyContract.options.address,
+                    SUPPORT_PERCENT,
+                    QUEUE_PERIOD_SECS,
+                    BOOST_PERIOD_SECS,
+                    QUIET_ENDING_PERIOD_SECS,
+                    COMPENSATION_FEE_PERCENT
+                ).send({ ...txParams });
+                await contract.methods.initializeCommitReveal(REVEAL_PERIOD_SECS).send({ ...txParams });
+
+                // The total supply is 400.
+                await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[2], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[3], 200).send({ ...txParams });
+                await contract.methods.createProposal(metadataHash('Secret')).send({ ...txParams });
+            });
+
+            test('Commit-reveal mode should only be chosen before proposals exist, with a commit phase', async () => {
+                expect(await contract.methods.revealPeriod().call()).toBe(`${REVEAL_PERIOD_SECS}`);
+                await expect(contract.methods.initializeCommitReveal(HOURS).send({ ...txParams })).toRevertWith('ALREADY_INITIALIZED');
+
+                const other = await deploy('HolographicConsensus', [], txParams);
+                await other.methods.initializeVoting(voteTokenContract.options.address, votingStrategyContract.options.address, 51, QUEUE_PERIOD_SECS, BOOST_PERIOD_SECS, 0, 10).send({ ...txParams });
+                await expect(other.methods.initializeCommitReveal(HOURS).send({ ...txParams, from: accounts[1] })).toRevertWith('SENDER_NOT_AUTHORIZED');
+                await expect(other.methods.initializeCommitReveal(BOOST_PERIOD_SECS).send({ ...txParams })).toRevertWith('INVALID_PERIODS');
+
+                // Periods can't leave proposals without a commit phase afterwards either.
+                const MODIFY_PERIODS_ROLE = await contract.methods.MODIFY_PERIODS_ROLE().call();
+                await contract.methods.grantRole(MODIFY_PERIODS_ROLE, accounts[0]).send({ ...txParams });
+                await expect(
+                    contract.methods.setPeriods(QUEUE_PERIOD_SECS, REVEAL_PERIOD_SECS, 0, HOURS).send({ ...txParams })
+                ).toRevertWith('INVALID_PERIODS');
+            });
+
+            test('Votes should be hidden while committed, and counted once revealed', async () => {
+                const salt1 = await commit(true, accounts[1]);
+                const salt2 = await commit(false, accounts[2]);
+                expect(await getVotes()).toEqual([`0`, `0`]);
+                expect(await contract.methods.getVoteCommitment(0, accounts[1]).call())
+                    .toBe(commitReveal.hashVote(0, accounts[1], true, salt1));
+                expect(await contract.methods.getVoteCommitmentHash(0, accounts[1], true, salt1).call())
+                    .toBe(commitReveal.hashVote(0, accounts[1], true, salt1));
+
+                // Votes can't be cast directly, nor revealed before the reveal phase.
+                await expect(contract.methods.vote(0, true).send({ ...txParams, from: accounts[3] })).toRevertWith('INVALID_VOTE_PHASE');
+                await expect(reveal(accounts[1], true, salt1)).toRevertWith('INVALID_VOTE_PHASE');
+
+                // In the reveal phase, votes can't be committed anymore, and anyone with the salt can reveal them.
+                await util.advanceToProposalTime(contract, 0, QUEUE_PERIOD_SECS - REVEAL_PERIOD_SECS);
+                await expect(commit(true, accounts[3])).toRevertWith('INVALID_VOTE_PHASE');
+                await expect(reveal(accounts[1], false, salt1)).toRevertWith('INVALID_COMMITMENT');
+                const receipt = await reveal(accounts[1], true, salt1, accounts[9]);
+                expect(receipt.events.VoteCasted.returnValues._voter).toBe(accounts[1]);
+                await reveal(accounts[2], false, salt2);
+                expect(await getVotes()).toEqual([`100`, `100`]);
+
+                // Commitments are only revealed once.
+                expect(await contract.methods.getVoteCommitment(0, accounts[1]).call()).toMatch(/^0x0+$/);
+                await expect(reveal(accounts[1], true, salt1)).toRevertWith('INVALID_COMMITMENT');
+            });
+
+            test('Revealed votes should resolve proposals by absolute majority, and unrevealed ones should not count', async () => {
+                const salt1 = await commit(true, accounts[1]);
+                const salt2 = await commit(false, accounts[2]);
+                const salt3 = await commit(true, accounts[3]);
+                await util.advanceToProposalTime(contract, 0, QUEUE_PERIOD_SECS - HOURS);
+                await reveal(accounts[3], true, salt3);
+                expect(await getVotes()).toEqual([`200`, `0`]);
+                const receipt = await reveal(accounts[1], true, salt1);
+                expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`4`); // ProposalState '4' = Resolved
+
+                await expect(reveal(accounts[2], false, salt2)).toRevertWith('PROPOSAL_IS_CLOSED');
+                expect(await contract.methods.getVoteCommitment(0, accounts[2]).call()).toBe(commitReveal.hashVote(0, accounts[2], false, salt2));
+            });
+
+            test('Commitments should not be revealed once the proposal\'s lifetime ends', async () => {
+                const salt1 = await commit(true, accounts[1]);
+                await util.advanceToProposalTime(contract, 0, QUEUE_PERIOD_SECS);
+                await expect(reveal(accounts[1], true, salt1)).toRevertWith('INVALID_VOTE_PHASE');
+            });
+        }); // When voting by commit-reveal
+
+        describe('When limiting proposals', () => {
+
+            const CREATION_DEPOSIT = 100;
+
+            const createProposal = (from) => votingContract.methods.createProposal(metadataHash('Spam')).send({ ...txParams, from });
+            const stakeBalanceOf = async (account) => stakeTokenContract.methods.balanceOf(account).call();
+
+            util.fixture(async () => {
+                const role = await votingContract.methods.MODIFY_PROPOSAL_LIMITS_ROLE().call();
+                await votingContract.methods.grantRole(role, accounts[0]).send({ ...txParams });
+                await votingContract.methods.setProposalLimits(CREATION_DEPOSIT, 1 * HOURS).send({ ...txParams });
+
+                await voteTokenContract.methods.mint(accounts[2], 100).send({ ...txParams });
+                await stakeTokenContract.methods.mint(accounts[1], 1000).send({ ...txParams });
+                await stakeTokenContract.methods.approve(votingContract.options.address, 1000).send({ ...txParams, from: accounts[1] });
+                await createProposal(accounts[1]);
+            });
+
+            test('Only holders of MODIFY_PROPOSAL_LIMITS_ROLE can change the limits', async () => {
+                await expect(
+                    votingContract.methods.setProposalLimits(0, 0).send({ ...txParams, from: accounts[1] })
+                ).toRevertWith('SENDER_NOT_AUTHORIZED');
+            });
+
+            test('Take a deposit from the creator', async () => {
+                expect(await stakeBalanceOf(accounts[1])).toBe(`900`);
+                expect(await stakeBalanceOf(votingContract.options.address)).toBe(`${CREATION_DEPOSIT}`);
+                const deposit = await votingContract.methods.getProposalDeposit(0).call();
+                expect(deposit.creator).toBe(accounts[1]);
+                expect(deposit.deposit).toBe(`${CREATION_DEPOSIT}`);
+            });
+
+            test('Creators must wait for the cooldown before creating another proposal', async () => {
+                await expect(createProposal(accounts[1])).toRevertWith('PROPOSAL_RATE_LIMITED');
+                await util.advanceTimeAndBlock(1 * HOURS);
+                await createProposal(accounts[1]);
+                expect(await stakeBalanceOf(accounts[1])).toBe(`800`);
+            });
+
+            test('Refund the deposit when the proposal is decided', async () => {
+                const receipt = await votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[2] });
+                expect(receipt.events.DepositRefunded.returnValues._creator).toBe(accounts[1]);
+                expect(receipt.events.DepositRefunded.returnValues._amount).toBe(`${CREATION_DEPOSIT}`);
+                expect(await stakeBalanceOf(accounts[1])).toBe(`1000`);
+                expect((await votingContract.methods.getProposalDeposit(0).call()).deposit).toBe(`0`);
+            });
+
+            test('Hold the deposit until the proposal closes, and refund it if the proposal expires after being staked on', async () => {
+                let receipt = await votingContract.methods.stake(0, 10, true).send({ ...txParams, from: accounts[1] });
+                expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`2`);
+                expect(receipt.events.DepositRefunded).toBeUndefined();
+                receipt = await votingContract.methods.unstake(0, 10, true).send({ ...txParams, from: accounts[1] });
+                expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`1`);
+                expect((await votingContract.methods.getProposalDeposit(0).call()).deposit).toBe(`${CREATION_DEPOSIT}`);
+
+                await util.advanceTimeAndBlock(QUEUE_PERIOD_SECS);
+                receipt = await votingContract.methods.expireNonBoostedProposal(0).send({ ...txParams });
+                expect(receipt.events.DepositRefunded.returnValues._amount).toBe(`${CREATION_DEPOSIT}`);
+                expect(receipt.events.DepositForfeited).toBeUndefined();
+                expect(await stakeBalanceOf(accounts[1])).toBe(`1000`);
+                expect(await votingContract.methods.compensationFunds().call()).toBe(`0`);
+            });
+
+            test('Forfeit the deposit to the compensation funds when the proposal expires untouched', async () => {
+                await util.advanceTimeAndBlock(QUEUE_PERIOD_SECS);
+                const receipt = await votingContract.methods.expireNonBoostedProposal(0).send({ ...txParams });
+                expect(receipt.events.DepositForfeited.returnValues._amount).toBe(`${CREATION_DEPOSIT}`);
+                expect(await stakeBalanceOf(accounts[1])).toBe(`900`);
+                expect(await votingContract.methods.compensationFunds().call()).toBe(`${CREATION_DEPOSIT}`);
+            });
+
+            test('The creator can cancel the proposal until it is voted or staked on', async () => {
+                const cancel = (from) => votingContract.methods.cancelProposal(0).send({ ...txParams, from });
+                await expect(cancel(accounts[0])).toRevertWith('PROPOSAL_CANNOT_BE_CANCELLED');
+
+                const receipt = await cancel(accounts[1]);
+                expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`7`);
+                expect(receipt.events.DepositRefunded.returnValues._amount).toBe(`${CREATION_DEPOSIT}`);
+                expect(await stakeBalanceOf(accounts[1])).toBe(`1000`);
+                await expect(cancel(accounts[1])).toRevertWith('PROPOSAL_IS_CLOSED');
+                await expect(votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[2] })).toRevertWith('PROPOSAL_IS_CLOSED');
+            });
+
+            test('The creator can not cancel the proposal once it is staked on, even if the stake is withdrawn', async () => {
+                await votingContract.methods.stake(0, 10, false).send({ ...txParams, from: accounts[1] });
+                await expect(votingContract.methods.cancelProposal(0).send({ ...txParams, from: accounts[1] })).toRevertWith('PROPOSAL_CANNOT_BE_CANCELLED');
+                await votingContract.methods.unstake(0, 10, false).send({ ...txParams, from: accounts[1] });
+                await expect(votingContract.methods.cancelProposal(0).send({ ...txParams, from: accounts[1] })).toRevertWith('PROPOSAL_CANNOT_BE_CANCELLED');
+            });
+        }); // When limiting proposals
+
         describe('When creating proposals', () => {
 
-            const proposalCreationReceipts = [];
+            let proposalCreationReceipts;
 
             const NUM_PROPOSALS = 8;
             
-            beforeEach(async () => {
+            util.fixture(async () => {
+
+                // Mint some vote tokens for voters, before the proposals are created, since voting power
+                // is taken from balances as of each proposal's creation.
+                await voteTokenContract.methods.mint(accounts[0], 1  ).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[1], 1  ).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[2], 1  ).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[3], 10 ).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[4], 10 ).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[5], 10 ).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[6], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[7], 100).send({ ...txParams });
+                await voteTokenContract.methods.mint(accounts[8], 100).send({ ...txParams });
+                // Note: No tokens for account 9 =(
+                // Note: Vote token total supply should be 333.
 
                 // Create a few proposals.
+                proposalCreationReceipts = [];
                 for(let i = 0; i < NUM_PROPOSALS; i++) {
                     const receipt = await votingContract.methods.createProposal(
-                        `DAOs should rule the world ${i}`
+                        metadataHash(`DAOs should rule the world ${i}`)
                     ).send({ ...txParams });
                     proposalCreationReceipts.push(receipt);
                 }
-
-                // Reset elapsed time since proposals will have startDate set to now.
-                elapsedTime = 0;
             });
 
             test('numProposals should increase', async () => {
@@ -105,53 +701,41 @@ describe('HolographicConsensus', () => {
                 expect(event).not.toBeNull();
                 expect(event.returnValues._proposalId).toBe(`2`);
                 expect(event.returnValues._creator).toBe(accounts[0]);
-                expect(event.returnValues._metadata).toBe(`DAOs should rule the world 2`);
+                expect(event.returnValues._metadataHash).toBe(metadataHash(`DAOs should rule the world 2`));
+            });
+
+            test('Commit to the hash of the proposal metadata', async () => {
+                expect(await votingContract.methods.getProposalMetadataHash(2).call()).toBe(metadataHash(`DAOs should rule the world 2`));
             });
 
             test('The proposal should be created with expected parameters', async () => {
                 const proposal = await votingContract.methods.getProposal(2).call();
                 expect(proposal.id).toBe(`2`);
                 expect(proposal.state).toBe(`0`);
-                expect(proposal.resolutionCompensationFee).toBe(`0`);
+                expect(proposal.compensationFeesPaid).toBe(`0`);
                 expect(proposal.yea).toBe(`0`);
                 expect(proposal.nay).toBe(`0`);
                 expect(proposal.upstake).toBe(`0`);
                 expect(proposal.downstake).toBe(`0`);
-                const startDateDeltaSecs = ( new Date().getTime() / 1000 ) - parseInt(proposal.startDate, 10);
-                expect(startDateDeltaSecs).toBeLessThan(2);
+                const creationBlock = await web3.eth.getBlock(proposalCreationReceipts[2].blockNumber);
+                expect(proposal.startDate).toBe(`${creationBlock.timestamp}`);
                 expect(proposal.lifetime).toBe(`${QUEUE_PERIOD_SECS}`);
+                const snapshotBlock = await votingContract.methods.getProposalSnapshotBlock(2).call();
+                expect(snapshotBlock).toBe(`${proposalCreationReceipts[2].blockNumber - 1}`);
             });
 
             describe('When voting on proposals (that have no stake)', () => {
                 
-                beforeEach(async () => {
-
-                    // Mint some vote tokens for stakers.
-                    await voteTokenContract.methods.mint(accounts[0], 1  ).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[1], 1  ).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[2], 1  ).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[3], 10 ).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[4], 10 ).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[5], 10 ).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[6], 100).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[7], 100).send({ ...txParams });
-                    await voteTokenContract.methods.mint(accounts[8], 100).send({ ...txParams });
-                    // Note: No tokens for account 9 =(
-                    // Note: Vote token total supply should be 333.
-                });
-
                 test('Should reject voting on proposals that do not exist', async () => {
-                    expect(await reverts(
-                        votingContract.methods.vote(9, true).send({ ...txParams }),
-                        `VOTING_ERROR_PROPOSAL_DOES_NOT_EXIST`
-                    )).toBe(true);
+                    await expect(
+                        votingContract.methods.vote(9, true).send({ ...txParams })
+                    ).toRevertWith('PROPOSAL_DOES_NOT_EXIST');
                 });
 
                 test('Should reject voting from accounts that do not own vote tokens', async () => {
-                    expect(await reverts(
-                        votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[9] }),
-                        `VOTING_ERROR_USER_HAS_NO_VOTING_POWER`
-                    )).toBe(true);
+                    await expect(
+                        votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[9] })
+                    ).toRevertWith('USER_HAS_NO_VOTING_POWER');
                 });
 
                 test('Should allow multiple votes on a proposal, tracking support and emitting events', async () => {
@@ -211,24 +795,62 @@ describe('HolographicConsensus', () => {
                     expect(proposal.state).toBe(`0`); // ProposalState '0' = Queued
                 });
 
+                test('Should take voting power from balances as of the proposal\'s creation', async () => {
+
+                    // Tokens received after the proposal was created give no voting power on it.
+                    await voteTokenContract.methods.mint(accounts[9], 100).send({ ...txParams });
+                    expect(await votingContract.methods.getVotingPower(1, accounts[9]).call()).toBe(`0`);
+                    await expect(
+                        votingContract.methods.vote(1, true).send({ ...txParams, from: accounts[9] })
+                    ).toRevertWith('USER_HAS_NO_VOTING_POWER');
+
+                    // Nor can tokens be moved to another account to vote twice with them.
+                    await votingContract.methods.vote(1, true).send({ ...txParams, from: accounts[6] });
+                    await voteTokenContract.methods.transfer(accounts[0], 100).send({ ...txParams, from: accounts[6] });
+                    const receipt = await votingContract.methods.vote(1, true).send({ ...txParams, from: accounts[0] });
+                    expect(receipt.events.VoteCasted.returnValues._stake).toBe(`1`);
+                    const proposal = await votingContract.methods.getProposal(1).call();
+                    expect(proposal.yea).toBe(`101`);
+                });
+
+                test('Should remove a changed vote with the voting power it was cast with', async () => {
+                    await votingContract.methods.vote(1, true).send({ ...txParams, from: accounts[6] });
+                    expect(await votingContract.methods.getCastVotingPower(1, accounts[6]).call()).toBe(`100`);
+
+                    // The voter's balance changing doesn't affect how the previous vote is removed.
+                    await voteTokenContract.methods.transfer(accounts[7], 50).send({ ...txParams, from: accounts[6] });
+                    await votingContract.methods.vote(1, false).send({ ...txParams, from: accounts[6] });
+                    const proposal = await votingContract.methods.getProposal(1).call();
+                    expect(proposal.yea).toBe(`0`);
+                    expect(proposal.nay).toBe(`100`);
+                    expect(await votingContract.methods.getCastVotingPower(1, accounts[8]).call()).toBe(`0`);
+                });
+
+                test('Should measure absolute majority against the total supply as of the proposal\'s creation', async () => {
+
+                    // Minting after the proposal was created doesn't raise the majority needed to resolve it.
+                    await voteTokenContract.methods.mint(accounts[9], 1000).send({ ...txParams });
+                    await votingContract.methods.vote(3, true).send({ ...txParams, from: accounts[6] });
+                    await votingContract.methods.vote(3, true).send({ ...txParams, from: accounts[7] });
+                    const proposal = await votingContract.methods.getProposal(3).call();
+                    expect(proposal.state).toBe(`4`); // ProposalState '4' = Resolved
+                });
+
                 describe('When proposals expire (directly from queue)', () => {
 
-                    beforeEach(async () => {
+                    util.fixture(async () => {
                         
                         // Advance time beyond queuePeriod.
-                        const time = QUEUE_PERIOD_SECS + 2 * HOURS;
-                        elapsedTime += time;
-                        await util.advanceTimeAndBlock(time);
+                        await util.advanceToProposalTime(votingContract, 0, QUEUE_PERIOD_SECS + 2 * HOURS);
 
                         // Call proposal expiration.
                         await votingContract.methods.expireNonBoostedProposal(0).send( {...txParams });
                     });
 
                     test('Voting should not be allowed', async () => {
-                        expect(await reverts(
-                            votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[0] }),
-                            `VOTING_ERROR_PROPOSAL_IS_CLOSED`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[0] })
+                        ).toRevertWith('PROPOSAL_IS_CLOSED');
                     });
 
                     test('Staking should not be allowed', async () => {
@@ -240,10 +862,9 @@ describe('HolographicConsensus', () => {
                         ).send({ ...txParams, from: accounts[0] });
 
                         // Staking should fail.
-                        expect(await reverts(
-                            votingContract.methods.stake(0, 1, false).send({ ...txParams, from: accounts[0] }),
-                            `VOTING_ERROR_PROPOSAL_IS_CLOSED`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.stake(0, 1, false).send({ ...txParams, from: accounts[0] })
+                        ).toRevertWith('PROPOSAL_IS_CLOSED');
                     });
 
                 }); // When proposals expire (directly from queue)
@@ -252,7 +873,7 @@ describe('HolographicConsensus', () => {
 
                     let lastVoteReceipt;
                     
-                    beforeEach(async () => {
+                    util.fixture(async () => {
                         
                         // Cast enough votes to achieve absolute support.
                         await votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[0] });
@@ -279,10 +900,9 @@ describe('HolographicConsensus', () => {
                     });
 
                     test('Should not allow additional votes on a resolved proposal', async () => {
-                        expect(await reverts(
-                            votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[0] }),
-                            `VOTING_ERROR_PROPOSAL_IS_CLOSED`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[0] })
+                        ).toRevertWith('PROPOSAL_IS_CLOSED');
                     });
 
                     test('Should not allow staking on a resolved proposal', async () => {
@@ -294,17 +914,52 @@ describe('HolographicConsensus', () => {
                         ).send({ ...txParams, from: accounts[0] });
 
                         // Staking should fail.
-                        expect(await reverts(
-                            votingContract.methods.stake(0, 1, false).send({ ...txParams, from: accounts[0] }),
-                            `VOTING_ERROR_PROPOSAL_IS_CLOSED`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.stake(0, 1, false).send({ ...txParams, from: accounts[0] })
+                        ).toRevertWith('PROPOSAL_IS_CLOSED');
                     });
 
                 }); // When absolute majority support is reached in a proposal
 
+                describe('When absolute majority opposition is reached in a proposal (directly from queue)', () => {
+
+                    let lastVoteReceipt;
+
+                    util.fixture(async () => {
+                        await votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[3] });
+                        await votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[6] });
+                        lastVoteReceipt = await votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[7] });
+                    });
+
+                    test('The proposal should be rejected immediately', async () => {
+                        const event = lastVoteReceipt.events.ProposalStateChanged;
+                        expect(event.returnValues._proposalId).toBe(`0`);
+                        expect(event.returnValues._newState).toBe(`6`); // ProposalState '6' = Rejected
+
+                        const proposal = await votingContract.methods.getProposal(0).call();
+                        expect(proposal.state).toBe(`6`);
+                        expect(await votingContract.methods.getProposalOutcome(0).call()).toBe(`2`); // VoteState '2' = Nay
+                    });
+
+                    test('Should not allow voting on, expiring or executing a rejected proposal', async () => {
+                        await expect(
+                            votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[8] })
+                        ).toRevertWith('PROPOSAL_IS_CLOSED');
+
+                        await util.advanceToProposalTime(votingContract, 0, QUEUE_PERIOD_SECS + 2 * HOURS);
+                        await expect(
+                            votingContract.methods.expireNonBoostedProposal(0).send({ ...txParams })
+                        ).toRevertWith('PROPOSAL_IS_CLOSED');
+                        await expect(
+                            votingContract.methods.executeProposal(0).send({ ...txParams })
+                        ).toRevertWith('PROPOSAL_IS_NOT_RESOLVED');
+                    });
+
+                }); // When absolute majority opposition is reached in a proposal
+
                 describe('When staking on proposals', () => {
 
-                    beforeEach(async () => {
+                    util.fixture(async () => {
                         
                         // Mint some stake tokens.
                         await stakeTokenContract.methods.mint(accounts[0], 1000  ).send({ ...txParams });
@@ -319,9 +974,6 @@ describe('HolographicConsensus', () => {
                         // Note: No tokens for account 9 =(
                         // Note: Stake token total supply should be 333.
 
-                        // Mint some tokens to the voting contract.
-                        // These will be used to auto-downstake proposals and pay compensation fees.
-                        await stakeTokenContract.methods.mint(votingContract.options.address, INITIAL_VOTING_STAKE_TOKEN_BALANCE).send({ ...txParams });
 
                         // All stakers give 'infinite' allowance to the contract.
                         // Note: In practice, a staker will need to either atomically provide allowance
@@ -333,41 +985,40 @@ describe('HolographicConsensus', () => {
                             ).send({ ...txParams, from: accounts[i] });
                         }
                         // Note: No allowance set for account 8 =(
+
+                        // Fund the compensation fees.
+                        await stakeTokenContract.methods.mint(accounts[0], INITIAL_VOTING_STAKE_TOKEN_BALANCE).send({ ...txParams });
+                        await votingContract.methods.fundCompensations(INITIAL_VOTING_STAKE_TOKEN_BALANCE).send({ ...txParams });
                     });
 
                     test('Should reject staking on proposals that do not exist', async () => {
-                        expect(await reverts(
-                            votingContract.methods.stake(1338, 1000, true).send({ ...txParams }),
-                            `VOTING_ERROR_PROPOSAL_DOES_NOT_EXIST`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.stake(1338, 1000, true).send({ ...txParams })
+                        ).toRevertWith('PROPOSAL_DOES_NOT_EXIST');
                     });
 
                     test('Should not allow an account to stake more tokens that it holds', async () => {
-                        expect(await reverts(
-                            votingContract.methods.stake(0, 10000, true).send({ ...txParams }),
-                            `VOTING_ERROR_SENDER_DOES_NOT_HAVE_ENOUGH_FUNDS`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.stake(0, 10000, true).send({ ...txParams })
+                        ).toRevertWith('SENDER_DOES_NOT_HAVE_ENOUGH_FUNDS');
                     });
 
                     test('Should not allow an account to stake without having provided sufficient allowance', async () => {
-                        expect(await reverts(
-                            votingContract.methods.stake(0, 1000, true).send({ ...txParams, from: accounts[8] }),
-                            `VOTING_ERROR_INSUFFICIENT_ALLOWANCE`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.stake(0, 1000, true).send({ ...txParams, from: accounts[8] })
+                        ).toRevertWith('INSUFFICIENT_ALLOWANCE');
                     });
 
-                    test('Should not allow an account to withdraw tokens from a proposal that has no stake', async () => { expect(await reverts(
-                            votingContract.methods.unstake(0, 10000, true).send({ ...txParams }),
-                            `VOTING_ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE`
-                        )).toBe(true);
+                    test('Should not allow an account to withdraw tokens from a proposal that has no stake', async () => { await expect(
+                            votingContract.methods.unstake(0, 10000, true).send({ ...txParams })
+                        ).toRevertWith('SENDER_DOES_NOT_HAVE_REQUIRED_STAKE');
                     });
 
                     test('Should not allow an account to withdraw tokens that were not staked by the account', async () => {
                         await votingContract.methods.stake(0, 1000, true).send({ ...txParams });
-                        expect(await reverts(
-                            votingContract.methods.unstake(0, 1000, true).send({ ...txParams, from: accounts[1] }),
-                            `VOTING_ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE`
-                        )).toBe(true);
+                        await expect(
+                            votingContract.methods.unstake(0, 1000, true).send({ ...txParams, from: accounts[1] })
+                        ).toRevertWith('SENDER_DOES_NOT_HAVE_REQUIRED_STAKE');
                     });
 
                     test('Can retrieve a proposals confidence factor', async () => {
@@ -448,16 +1099,20 @@ describe('HolographicConsensus', () => {
                         expect(votingBalance).toBe(`${INITIAL_VOTING_STAKE_TOKEN_BALANCE + 10000}`);
                     });
 
-                    test.todo('External callers should not be able to boost a proposal that hasn\'t gained enough confidence');
+                    test('External callers should not be able to boost a proposal that hasn\'t gained enough confidence', async () => {
+                        await votingContract.methods.stake(0, 5000, true).send({ ...txParams, from: accounts[3] });
+                        await votingContract.methods.stake(0, 10000, false).send({ ...txParams, from: accounts[4] });
+                        await expect(
+                            votingContract.methods.boostProposal(0).send({ ...txParams })
+                        ).toRevertWith('PROPOSAL_IS_NOT_PENDED');
+                    });
 
                     describe('When queued proposals\' lifetime ends without boosting nor resolution', () => {
                         
-                        beforeEach(async () => {
+                        util.fixture(async () => {
 
                             // Advance enough time for a proposal to be expired.
-                            const time = QUEUE_PERIOD_SECS + 2 * HOURS;
-                            elapsedTime += time;
-                            await util.advanceTimeAndBlock(time);
+                            await util.advanceToProposalTime(votingContract, 0, QUEUE_PERIOD_SECS + 2 * HOURS);
                         });
 
                         test('External callers should be able to expire a proposal with stake and receive a compensation fee', async () => {
@@ -508,18 +1163,38 @@ describe('HolographicConsensus', () => {
                             expect(proposal.state).toBe(`5`);
 
                             // Have the stakers withdraw their stake.
-                            votingContract.methods.withdrawStakeFromExpiredQueuedProposal(0).send({ ...txParams, from: accounts[3] });
-                            votingContract.methods.withdrawStakeFromExpiredQueuedProposal(0).send({ ...txParams, from: accounts[4] });
+                            await votingContract.methods.withdrawStakeFromExpiredQueuedProposal(0).send({ ...txParams, from: accounts[3] });
+                            await votingContract.methods.withdrawStakeFromExpiredQueuedProposal(0).send({ ...txParams, from: accounts[4] });
 
                             // Verify that the stakers retrieved their stake.
                             expect(await stakeTokenContract.methods.balanceOf(accounts[3]).call()).toBe(`10000`);
                             expect(await stakeTokenContract.methods.balanceOf(accounts[4]).call()).toBe(`10000`);
                         });
+
+                        test('Stakers should be able to claim a refund only once', async () => {
+                            await votingContract.methods.stake(0, 10000, true).send({ ...txParams, from: accounts[3] });
+                            await votingContract.methods.expireNonBoostedProposal(0).send({ ...txParams });
+                            expect(await votingContract.methods.getClaimable(0, accounts[3]).call()).toBe(`10000`);
+
+                            // Claim the refund and verify that it was recorded.
+                            const receipt = await votingContract.methods.claimMany([0]).send({ ...txParams, from: accounts[3] });
+                            expect(receipt.events.StakeClaimed.returnValues._amount).toBe(`10000`);
+                            expect(await votingContract.methods.getClaimed(0, accounts[3]).call()).toBe(`10000`);
+                            expect(await votingContract.methods.getClaimable(0, accounts[3]).call()).toBe(`0`);
+
+                            // Verify that the refund can't be claimed again.
+                            await expect(
+                                votingContract.methods.withdrawStakeFromExpiredQueuedProposal(0).send({ ...txParams, from: accounts[3] })
+                            ).toRevertWith('STAKE_ALREADY_CLAIMED');
+                            await expect(
+                                votingContract.methods.claimMany([0]).send({ ...txParams, from: accounts[3] })
+                            ).toRevertWith('NOTHING_TO_CLAIM');
+                        });
                     });
 
                     describe('When proposals have enough confidence', () => {
 
-                        beforeEach(async () => {
+                        util.fixture(async () => {
                             
                             // Stake enough to reach the confidence factor.
                             await votingContract.methods.stake(0, 20000, true).send({ ...txParams, from: accounts[6] });
@@ -537,36 +1212,40 @@ describe('HolographicConsensus', () => {
                             // Retrieve the proposal and verify it's state.
                             const proposal = await votingContract.methods.getProposal(0).call();
                             expect(proposal.state).toBe(`2`); // ProposalState '2' = Pended
-                            const pendedDateDeltaSecs = ( new Date().getTime() / 1000 ) - parseInt(proposal.lastPendedDate, 10);
+                            const now = (await web3.eth.getBlock('latest')).timestamp;
+                            const pendedDateDeltaSecs = now - parseInt(proposal.lastPendedDate, 10);
                             expect(pendedDateDeltaSecs).toBeLessThan(2);
                         }); 
 
                         it('Their state should change to Unpended if confidence drops', async () => {
 
-                            // Downstake the proposal a bit to reduce confidence beneath the threshold.
-                            await votingContract.methods.stake(0, 10000, false).send({ ...txParams, from: accounts[7] });
+                            // Downstake the proposal to reduce confidence beneath the threshold,
+                            // which is 1 while there are no boosted proposals.
+                            await votingContract.methods.stake(0, 40000, false).send({ ...txParams, from: accounts[7] });
                             
                             // Verify that confidence dropped.
                             const confidence = await votingContract.methods.getConfidence(0).call();
-                            expect(confidence).toBe(`${2 * PRECISION_MULTIPLIER}`);
+                            expect(confidence).toBe(`${0.8 * PRECISION_MULTIPLIER}`);
 
                             // Retrieve the proposal and verify it's state.
                             const proposal = await votingContract.methods.getProposal(0).call();
                             expect(proposal.state).toBe(`1`); // ProposalState '1' = Unpended
                         }); 
 
-                        test.todo('External callers should not be able to boost a proposal that hasn\'t been pended for enough time');
+                        test('External callers should not be able to boost a proposal that hasn\'t been pended for enough time', async () => {
+                            await expect(
+                                votingContract.methods.boostProposal(0).send({ ...txParams })
+                            ).toRevertWith('PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME');
+                        });
 
                         describe('When proposals have had enough confidence for a while', () => {
                             
-                            beforeEach(async () => {
+                            util.fixture(async () => {
                                 
                                 // Advance enough time for a proposal to be boosted.
                                 // Note that a little extra time is advanced, that's because compensation fees
                                 // are proportional to that extra time, and having no extra time would result in fees of value 0.
-                                const time = PENDED_BOOST_PERIOD_SECS + 2 * HOURS;
-                                elapsedTime += time;
-                                await util.advanceTimeAndBlock(time);
+                                await util.advanceToProposalTime(votingContract, 0, PENDED_BOOST_PERIOD_SECS + 2 * HOURS);
                             });
 
                             test('An external caller should be able to boost the proposal and receive a compensation fee', async () => {
@@ -590,11 +1269,72 @@ describe('HolographicConsensus', () => {
                                 expect(parseInt(newBalance, 10)).toBeGreaterThan(parseInt(balance, 10));
                             });
 
-                            test.todo('An external caller shouldn\'t be able to boost a proposal once it has already been boosted');
+                            test('Boosting a proposal should raise the confidence threshold for other proposals', async () => {
+                                expect(await votingContract.methods.getConfidenceThreshold().call()).toBe(`${PRECISION_MULTIPLIER}`);
+
+                                // Pend proposal 1 with a confidence of 2.
+                                await votingContract.methods.stake(1, 20000, true).send({ ...txParams, from: accounts[6] });
+                                await votingContract.methods.stake(1, 10000, false).send({ ...txParams, from: accounts[7] });
+                                expect((await votingContract.methods.getProposal(1).call()).state).toBe(`2`); // ProposalState '2' = Pended
+
+                                // Boosting proposal 0 raises the threshold to CONFIDENCE_THRESHOLD_BASE ^ 1.
+                                await votingContract.methods.boostProposal(0).send({ ...txParams });
+                                expect(await votingContract.methods.numBoostedProposals().call()).toBe(`1`);
+                                expect(await votingContract.methods.getConfidenceThreshold().call()).toBe(`${CONFIDENCE_THRESHOLD_BASE * PRECISION_MULTIPLIER}`);
+
+                                // Proposal 1 stays pended until it is brought up to date with the new threshold.
+                                expect((await votingContract.methods.getProposal(1).call()).state).toBe(`2`); // ProposalState '2' = Pended
+                                await votingContract.methods.updateProposalConfidence(1).send({ ...txParams });
+                                expect((await votingContract.methods.getProposal(1).call()).state).toBe(`1`); // ProposalState '1' = Unpended
+                                await expect(
+                                    votingContract.methods.boostProposal(1).send({ ...txParams })
+                                ).toRevertWith('PROPOSAL_IS_NOT_PENDED');
+                            });
+
+                            test('Trying to boost a proposal that lacks confidence under the current threshold should unpend it', async () => {
+                                await votingContract.methods.stake(1, 20000, true).send({ ...txParams, from: accounts[6] });
+                                await votingContract.methods.stake(1, 10000, false).send({ ...txParams, from: accounts[7] });
+                                await votingContract.methods.boostProposal(0).send({ ...txParams });
+
+                                const receipt = await votingContract.methods.boostProposal(1).send({ ...txParams });
+                                expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`1`); // ProposalState '1' = Unpended
+                            });
+
+                            test('A proposal pended before the threshold rose should have enough confidence for a whole pendedBoostPeriod after it, to be boosted', async () => {
+
+                                // Pend proposal 1 with a confidence of 2, and keep it pended while boosting proposal 0 raises the threshold above it.
+                                await votingContract.methods.stake(1, 20000, true).send({ ...txParams, from: accounts[6] });
+                                await votingContract.methods.stake(1, 10000, false).send({ ...txParams, from: accounts[7] });
+                                await votingContract.methods.boostProposal(0).send({ ...txParams });
+
+                                // Once proposal 0 is resolved, the threshold drops again, but proposal 1 restarts its pendedBoostPeriod instead of being boosted.
+                                await util.advanceToProposalTime(votingContract, 0, PENDED_BOOST_PERIOD_SECS + 2 * HOURS + BOOST_PERIOD_SECS);
+                                await votingContract.methods.resolveBoostedProposal(0).send({ ...txParams });
+                                expect(await votingContract.methods.numBoostedProposals().call()).toBe(`0`);
+                                let receipt = await votingContract.methods.boostProposal(1).send({ ...txParams });
+                                expect(receipt.events.ProposalStateChanged).toBeUndefined();
+                                const proposal = await votingContract.methods.getProposal(1).call();
+                                expect(proposal.state).toBe(`2`); // ProposalState '2' = Pended
+                                expect(proposal.lastPendedDate).toBe(`${(await web3.eth.getBlock(receipt.blockNumber)).timestamp}`);
+                                await expect(
+                                    votingContract.methods.boostProposal(1).send({ ...txParams })
+                                ).toRevertWith('PROPOSAL_HASNT_HAD_CONFIDENCE_ENOUGH_TIME');
+
+                                await util.advanceTimeAndBlock(PENDED_BOOST_PERIOD_SECS);
+                                receipt = await votingContract.methods.boostProposal(1).send({ ...txParams });
+                                expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`3`); // ProposalState '3' = Boosted
+                            });
+
+                            test('An external caller shouldn\'t be able to boost a proposal once it has already been boosted', async () => {
+                                await votingContract.methods.boostProposal(0).send({ ...txParams });
+                                await expect(
+                                    votingContract.methods.boostProposal(0).send({ ...txParams })
+                                ).toRevertWith('PROPOSAL_IS_BOOSTED');
+                            });
 
                             describe('When proposals are boosted', () => {
 
-                                beforeEach(async () => {
+                                util.fixture(async () => {
                                     
                                     // Produce some votes without reaching absolute majority.
                                     await votingContract.methods.vote(0, true).send({ ...txParams, from: accounts[3] });
@@ -607,12 +1347,10 @@ describe('HolographicConsensus', () => {
 
                                 describe('In the quiet ending zone of the boost period', () => {
 
-                                    beforeEach(async () => {
+                                    util.fixture(async () => {
                                         
-                                        // Advance enough time for a proposal to be boosted.
-                                        const time = BOOST_PERIOD_SECS - elapsedTime - QUIET_ENDING_PERIOD_SECS * 0.5;
-                                        elapsedTime += time;
-                                        await util.advanceTimeAndBlock(time);
+                                        // Advance into the quiet ending zone.
+                                        await util.advanceToProposalTime(votingContract, 0, BOOST_PERIOD_SECS - QUIET_ENDING_PERIOD_SECS * 0.5);
                                     });
 
                                     test('A decision flip near the end of the proposal should extend its boosted lifetime', async () => {
@@ -631,16 +1369,36 @@ describe('HolographicConsensus', () => {
                                         expect(proposal.lifetime).toBe(`${BOOST_PERIOD_SECS + QUIET_ENDING_PERIOD_SECS}`);
                                     });
 
+                                    test('Proposals that lose relative majority should be rejected, rewarding downstakers', async () => {
+
+                                        // Flip the decision and let the extended lifetime end.
+                                        await votingContract.methods.vote(0, false).send({ ...txParams, from: accounts[3] });
+                                        await util.advanceToProposalTime(votingContract, 0, BOOST_PERIOD_SECS + QUIET_ENDING_PERIOD_SECS + 2 * HOURS);
+
+                                        // Resolving the proposal should reject it.
+                                        const receipt = await votingContract.methods.resolveBoostedProposal(0).send({ ...txParams });
+                                        expect(receipt.events.ProposalStateChanged.returnValues._newState).toBe(`6`); // ProposalState '6' = Rejected
+                                        expect(await votingContract.methods.getProposalOutcome(0).call()).toBe(`2`); // VoteState '2' = Nay
+                                        expect(await votingContract.methods.numBoostedProposals().call()).toBe(`0`);
+
+                                        // Downstakers share the upstake, and upstakers get nothing back.
+                                        expect(await votingContract.methods.getClaimable(0, accounts[4]).call()).toBe(`25000`);
+                                        expect(await votingContract.methods.getClaimable(0, accounts[6]).call()).toBe(`0`);
+                                        await votingContract.methods.withdrawRewardFromResolvedProposal(0).send({ ...txParams, from: accounts[5] });
+                                        expect(await votingContract.methods.getClaimed(0, accounts[5]).call()).toBe(`25000`);
+                                        await expect(
+                                            votingContract.methods.withdrawRewardFromResolvedProposal(0).send({ ...txParams, from: accounts[6] })
+                                        ).toRevertWith('NO_WINNING_STAKE');
+                                    });
+
                                     describe('When the boost period has elapsed', () => {
 
-                                        beforeEach(async () => {
+                                        util.fixture(async () => {
                                             
-                                            // Advance enough time for a proposal to be boosted.
+                                            // Advance beyond the end of the boost period.
                                             // Note that a little extra time is advanced, that's because compensation fees
                                             // are proportional to that extra time, and having no extra time would result in fees of value 0.
-                                            const time = BOOST_PERIOD_SECS - elapsedTime + 2 * HOURS;
-                                            elapsedTime += time;
-                                            await util.advanceTimeAndBlock(time);
+                                            await util.advanceToProposalTime(votingContract, 0, BOOST_PERIOD_SECS + 2 * HOURS);
                                         });
                                         
                                         test('Proposals should be resolvable by relative consensus', async () => {
@@ -661,6 +1419,10 @@ describe('HolographicConsensus', () => {
                                             // Verify that the state of the proposal was changed.
                                             const proposal = await votingContract.methods.getProposal(0).call();
                                             expect(proposal.state).toBe(`4`);
+
+                                            // Verify that the proposal no longer counts towards the confidence threshold.
+                                            expect(await votingContract.methods.numBoostedProposals().call()).toBe(`0`);
+                                            expect(await votingContract.methods.getConfidenceThreshold().call()).toBe(`${PRECISION_MULTIPLIER}`);
                                             
                                             // Verify that the caller was compensated.
                                             const newBalance = await stakeTokenContract.methods.balanceOf(accounts[0]).call();
@@ -680,6 +1442,22 @@ describe('HolographicConsensus', () => {
                                             // Verify that the winning staker has recovered the stake + the reward.
                                             expect(await stakeTokenContract.methods.balanceOf(accounts[6]).call()).toBe(`105000`);
                                             expect(await stakeTokenContract.methods.balanceOf(accounts[7]).call()).toBe(`105000`);
+
+                                            // Verify that the reward can't be withdrawn twice.
+                                            await expect(
+                                                votingContract.methods.withdrawRewardFromResolvedProposal(0).send({ ...txParams, from: accounts[6] })
+                                            ).toRevertWith('STAKE_ALREADY_CLAIMED');
+                                        });
+
+                                        test('Winning stakers should be able to claim rewards together with other claims', async () => {
+                                            await votingContract.methods.resolveBoostedProposal(0).send({ ...txParams });
+                                            expect(await votingContract.methods.getProposalOutcome(0).call()).toBe(`1`); // VoteState '1' = Yea
+                                            expect(await votingContract.methods.getClaimable(0, accounts[6]).call()).toBe(`25000`);
+
+                                            // Claims skip proposals with nothing to claim, and count repeated proposals once.
+                                            await votingContract.methods.claimMany([0, 1, 0]).send({ ...txParams, from: accounts[6] });
+                                            expect(await stakeTokenContract.methods.balanceOf(accounts[6]).call()).toBe(`105000`);
+                                            expect(await votingContract.methods.getClaimed(0, accounts[6]).call()).toBe(`25000`);
                                         });
 
                                     }); // When the boost period has elapsed
@@ -688,7 +1466,162 @@ describe('HolographicConsensus', () => {
                         }); // When proposals have had enough confidence for a while
                     }); // When proposals have enough confidence
                 }); // When staking on proposals
+
+                describe('When the compensation funds run dry', () => {
+
+                    util.fixture(async () => {
+                        await stakeTokenContract.methods.mint(accounts[1], 10005).send({ ...txParams });
+                        await stakeTokenContract.methods.approve(votingContract.options.address, 10005).send({ ...txParams, from: accounts[1] });
+                        await votingContract.methods.fundCompensations(5).send({ ...txParams, from: accounts[1] });
+                        await votingContract.methods.stake(0, 10000, true).send({ ...txParams, from: accounts[1] });
+                        await util.advanceToProposalTime(votingContract, 0, QUEUE_PERIOD_SECS + 2 * HOURS);
+                    });
+
+                    test('Funding should be recorded apart from the stakes', async () => {
+                        expect(await votingContract.methods.compensationFunds().call()).toBe(`5`);
+                        expect(await stakeTokenContract.methods.balanceOf(votingContract.options.address).call()).toBe(`10005`);
+                    });
+
+                    test('Callers should be paid what is left of the funds, without touching the stakes', async () => {
+                        const receipt = await votingContract.methods.expireNonBoostedProposal(0).send({ ...txParams, from: accounts[2] });
+                        const event = receipt.events.CompensationsDepleted;
+                        expect(event.returnValues._proposalId).toBe(`0`);
+                        expect(parseInt(event.returnValues._fee, 10)).toBeGreaterThan(5);
+                        expect(event.returnValues._paid).toBe(`5`);
+                        expect(await stakeTokenContract.methods.balanceOf(accounts[2]).call()).toBe(`5`);
+                        expect(await votingContract.methods.compensationFunds().call()).toBe(`0`);
+                        expect((await votingContract.methods.getProposal(0).call()).compensationFeesPaid).toBe(`5`);
+
+                        // The stake is still in escrow.
+                        await votingContract.methods.withdrawStakeFromExpiredQueuedProposal(0).send({ ...txParams, from: accounts[1] });
+                        expect(await stakeTokenContract.methods.balanceOf(accounts[1]).call()).toBe(`10000`);
+                    });
+                }); // When the compensation funds run dry
             }); // When voting on proposals
+
+            describe('When creating executable proposals', () => {
+
+                let treasuryTokenContract;
+                let executableProposalId;
+
+                const encodeTransfer = (to, amount) => {
+                    const data = treasuryTokenContract.methods.transfer(to, amount).encodeABI();
+                    return encodeCall(treasuryTokenContract.options.address, data);
+                };
+
+                // Encodes a call as: target (20 bytes) | value (32 bytes) | calldata length (4 bytes) | calldata.
+                const encodeCall = (to, data, value = 0) => {
+                    const calldata = data.slice(2);
+                    return to.slice(2).toLowerCase() +
+                        web3.utils.padLeft(web3.utils.toHex(value).slice(2), 64) +
+                        web3.utils.padLeft((calldata.length / 2).toString(16), 8) +
+                        calldata;
+                };
+
+                util.fixture(async () => {
+
+                    // The contract holds some tokens that proposals can transfer.
+                    treasuryTokenContract = await deploy('Token', [], txParams);
+                    await treasuryTokenContract.methods.mint(votingContract.options.address, 1000).send({ ...txParams });
+
+                    const receipt = await votingContract.methods.createExecutableProposal(
+                        metadataHash('Pay account 9'), `0x${encodeTransfer(accounts[9], 500)}`
+                    ).send({ ...txParams });
+                    executableProposalId = receipt.events.ProposalCreated.returnValues._proposalId;
+                });
+
+                const resolve = async (proposalId) => {
+                    await votingContract.methods.vote(proposalId, true).send({ ...txParams, from: accounts[6] });
+                    await votingContract.methods.vote(proposalId, true).send({ ...txParams, from: accounts[7] });
+                };
+
+                test('The execution script should be stored with the proposal', async () => {
+                    const result = await votingContract.methods.getExecutionScript(executableProposalId).call();
+                    expect(result._executionScript).toBe(`0x${encodeTransfer(accounts[9], 500)}`);
+                    expect(result._executed).toBe(false);
+                });
+
+                test('Should reject invalid scripts and scripts that call the stake token', async () => {
+                    const script = encodeTransfer(accounts[9], 500);
+                    await expect(
+                        votingContract.methods.createExecutableProposal(metadataHash('Empty'), '0x').send({ ...txParams })
+                    ).toRevertWith('INVALID_EXECUTION_SCRIPT');
+                    await expect(
+                        votingContract.methods.createExecutableProposal(metadataHash('Truncated'), `0x${script.slice(0, -2)}`).send({ ...txParams })
+                    ).toRevertWith('INVALID_EXECUTION_SCRIPT');
+                    const data = stakeTokenContract.methods.transfer(accounts[9], 500).encodeABI();
+                    await expect(
+                        votingContract.methods.createExecutableProposal(metadataHash('Steal'), `0x${encodeCall(stakeTokenContract.options.address, data)}`).send({ ...txParams })
+                    ).toRevertWith('EXECUTION_TARGET_NOT_ALLOWED');
+                });
+
+                test('Should only execute proposals that were resolved in favour and have a script', async () => {
+                    await expect(
+                        votingContract.methods.executeProposal(executableProposalId).send({ ...txParams })
+                    ).toRevertWith('PROPOSAL_IS_NOT_RESOLVED');
+
+                    await resolve(0);
+                    await expect(
+                        votingContract.methods.executeProposal(0).send({ ...txParams })
+                    ).toRevertWith('PROPOSAL_HAS_NO_EXECUTION_SCRIPT');
+                });
+
+                test('Should run the script once when executed', async () => {
+                    await resolve(executableProposalId);
+                    const receipt = await votingContract.methods.executeProposal(executableProposalId).send({ ...txParams });
+                    expect(receipt.events.ProposalExecuted.returnValues._proposalId).toBe(executableProposalId);
+                    expect(await treasuryTokenContract.methods.balanceOf(accounts[9]).call()).toBe(`500`);
+                    expect((await votingContract.methods.getExecutionScript(executableProposalId).call())._executed).toBe(true);
+
+                    await expect(
+                        votingContract.methods.executeProposal(executableProposalId).send({ ...txParams })
+                    ).toRevertWith('PROPOSAL_IS_EXECUTED');
+                });
+
+                test('Should revert the whole execution if any call fails', async () => {
+                    const script = `0x${encodeTransfer(accounts[9], 500)}${encodeTransfer(accounts[9], 1000)}`;
+                    const receipt = await votingContract.methods.createExecutableProposal(metadataHash('Overspend'), script).send({ ...txParams });
+                    const proposalId = receipt.events.ProposalCreated.returnValues._proposalId;
+                    await resolve(proposalId);
+
+                    await expect(
+                        votingContract.methods.executeProposal(proposalId).send({ ...txParams })
+                    ).toRevertWith('EXECUTION_FAILED');
+                    expect(await treasuryTokenContract.methods.balanceOf(accounts[9]).call()).toBe(`0`);
+                    expect((await votingContract.methods.getExecutionScript(proposalId).call())._executed).toBe(false);
+                });
+
+                test('Should not allow scripts to re-enter the execution', async () => {
+
+                    // A script that executes itself again.
+                    const proposalId = await votingContract.methods.numProposals().call();
+                    const data = votingContract.methods.executeProposal(proposalId).encodeABI();
+                    await votingContract.methods.createExecutableProposal(
+                        metadataHash('Execute twice'), `0x${encodeTransfer(accounts[9], 500)}${encodeCall(votingContract.options.address, data)}`
+                    ).send({ ...txParams });
+                    await resolve(proposalId);
+
+                    await expect(
+                        votingContract.methods.executeProposal(proposalId).send({ ...txParams })
+                    ).toRevertWith('EXECUTION_FAILED');
+                    expect(await treasuryTokenContract.methods.balanceOf(accounts[9]).call()).toBe(`0`);
+                });
+
+                test('Should change parameters through proposals when the contract holds a role', async () => {
+                    const role = await votingContract.methods.MODIFY_CONFIDENCE_ROLE().call();
+                    await votingContract.methods.grantRole(role, votingContract.options.address).send({ ...txParams });
+
+                    const proposalId = await votingContract.methods.numProposals().call();
+                    const data = votingContract.methods.setConfidenceThresholdBase(2).encodeABI();
+                    await votingContract.methods.createExecutableProposal(
+                        metadataHash('Lower the confidence threshold base'), `0x${encodeCall(votingContract.options.address, data)}`
+                    ).send({ ...txParams });
+                    await resolve(proposalId);
+
+                    await votingContract.methods.executeProposal(proposalId).send({ ...txParams });
+                    expect(await votingContract.methods.confidenceThresholdBase().call()).toBe(`2`);
+                });
+            }); // When creating executable proposals
         }); // When creating proposals
     }); // When setting up an HC contract correctly
 
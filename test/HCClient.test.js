@@ -0,0 +1,300 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BN = require('bn.js');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const util = require('../scripts/util.js');
+const { HCClient, CompensationsDepletedError } = require('../scripts/client.js');
+const reverts = require('../scripts/reverts.js');
+const { MetadataStore } = require('../scripts/metadata.js');
+const { SaltStore } = require('../scripts/commitReveal.js');
+
+describe('HCClient', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+
+    let voteTokenContract;
+    let stakeTokenContract;
+    let client;
+
+    const HOURS = 60 * 60;
+    const SUPPORT_PERCENT = 51;
+    const QUEUE_PERIOD_SECS = 24 * HOURS;
+    const PENDED_BOOST_PERIOD_SECS = 1 * HOURS;
+    const BOOST_PERIOD_SECS = 6 * HOURS;
+    const QUIET_ENDING_PERIOD_SECS = 1 * HOURS;
+    const COMPENSATION_FEE_PERCENT = 10;
+    const CONFIDENCE_THRESHOLD_BASE = 4;
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    beforeEach(async () => {
+
+        // Deploy tokens and an initialized HC contract through the client.
+        voteTokenContract = await deploy('Token', [], txParams);
+        stakeTokenContract = await deploy('Token', [], txParams);
+        client = await HCClient.deploy('localhost', txParams);
+        await client.initialize({
+            voteToken: voteTokenContract.options.address,
+            supportPct: SUPPORT_PERCENT,
+            queuePeriod: QUEUE_PERIOD_SECS,
+            boostPeriod: BOOST_PERIOD_SECS,
+            quietEndingPeriod: QUIET_ENDING_PERIOD_SECS,
+            compensationFeePct: COMPENSATION_FEE_PERCENT,
+            stakeToken: stakeTokenContract.options.address,
+            pendedBoostPeriod: PENDED_BOOST_PERIOD_SECS,
+            confidenceThresholdBase: CONFIDENCE_THRESHOLD_BASE
+        });
+
+        // Mint some tokens.
+        await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+        await voteTokenContract.methods.mint(accounts[2], 200).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[1], 10000).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[2], 10000).send({ ...txParams });
+    });
+
+    test('Retrieves the contract settings', async () => {
+        const settings = await client.getSettings();
+        expect(settings.voteToken).toBe(voteTokenContract.options.address);
+        expect(settings.stakeToken).toBe(stakeTokenContract.options.address);
+        expect(settings.supportPct).toBe(SUPPORT_PERCENT);
+        expect(settings.queuePeriod).toBe(QUEUE_PERIOD_SECS);
+        expect(settings.confidenceThresholdBase).toBe(CONFIDENCE_THRESHOLD_BASE);
+    });
+
+    test('Retrieves typed proposals', async () => {
+        const { proposalId } = await client.createProposal('DAOs should rule the world');
+        await client.vote(proposalId, true, { from: accounts[1] });
+
+        const proposal = await client.getProposal(proposalId);
+        expect(proposal.id).toBe(0);
+        expect(proposal.state).toBe('Queued');
+        expect(proposal.lastRelativeSupport).toBe('Absent');
+        expect(proposal.lastPendedDate).toBeNull();
+        expect(BN.isBN(proposal.yea)).toBe(true);
+        expect(proposal.yea.toString()).toBe('100');
+        expect(proposal.expiryDate.getTime() - proposal.startDate.getTime()).toBe(QUEUE_PERIOD_SECS * 1000);
+        expect(await client.getVote(proposalId, accounts[1])).toBe('Yea');
+        expect(await client.getProposals()).toHaveLength(1);
+    });
+
+    test('Creates proposals with metadata documents, checked against the committed hash', async () => {
+        const metadataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-metadata-'));
+        client.metadataStore = new MetadataStore(metadataDir);
+        try {
+            const document = {
+                version: 1,
+                title: 'DAOs should rule the world',
+                description: 'Starting with this one.',
+                links: [{ title: 'Forum', url: 'https://example.org/t/1' }]
+            };
+            const { proposalId, metadataHash, receipt } = await client.createProposal(document);
+            expect(receipt.events.ProposalCreated.returnValues._metadataHash).toBe(metadataHash);
+            expect(await client.getProposalMetadataHash(proposalId)).toBe(metadataHash);
+            expect(await client.getProposalMetadata(proposalId)).toEqual(document);
+
+            await expect(client.createProposal({ version: 1 })).rejects.toThrow('metadata.title is required');
+
+            fs.writeFileSync(path.join(metadataDir, `${metadataHash}.json`), JSON.stringify({ ...document, title: 'DAOs should rule' }));
+            await expect(client.getProposalMetadata(proposalId)).rejects.toThrow(/doesn't match its hash/);
+            client.metadataStore = new MetadataStore(path.join(metadataDir, 'empty'));
+            expect(await client.getProposalMetadata(proposalId)).toBeNull();
+        }
+        finally {
+            fs.rmdirSync(metadataDir, { recursive: true });
+        }
+    });
+
+    test('Commits votes, and reveals them with their kept salts', async () => {
+        const crClient = await HCClient.deploy('localhost', txParams);
+        await crClient.initialize({ ...(await client.getSettings()), revealPeriod: 2 * HOURS });
+        expect((await crClient.getSettings()).revealPeriod).toBe(2 * HOURS);
+        const saltDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-salts-'));
+        crClient.saltStore = new SaltStore(saltDir);
+        try {
+            const { proposalId } = await crClient.createProposal('DAOs should rule the world');
+            const { commitment } = await crClient.commitVote(proposalId, true, { from: accounts[1] });
+            expect(await crClient.getVoteCommitment(proposalId, accounts[1])).toBe(commitment);
+            expect(await crClient.getUnrevealedCommitments(proposalId)).toEqual([{ voter: accounts[1], commitment }]);
+            await expect(crClient.revealVote(proposalId, accounts[1])).rejects.toBeInstanceOf(reverts.InvalidVotePhaseError);
+
+            // Anyone with the kept salt can reveal the vote.
+            await util.advanceToProposalTime(crClient.contract, proposalId, QUEUE_PERIOD_SECS - HOURS);
+            await crClient.revealVote(proposalId, accounts[1]);
+            expect(await crClient.getVote(proposalId, accounts[1])).toBe('Yea');
+            expect(await crClient.getUnrevealedCommitments(proposalId)).toEqual([]);
+            expect(crClient.saltStore.list(crClient.address)).toEqual([]);
+            await expect(crClient.revealVote(proposalId, accounts[1])).rejects.toThrow(`No salt stored for the vote of ${accounts[1]} on proposal 0`);
+        }
+        finally {
+            fs.rmdirSync(saltDir, { recursive: true });
+        }
+    });
+
+    test('Delegates voting power', async () => {
+        await client.delegate(accounts[2], { from: accounts[1] });
+        expect(await client.getDelegate(accounts[1])).toBe(accounts[2]);
+        expect((await client.getEffectiveVotingPower(accounts[1])).toString()).toBe('0');
+        expect((await client.getEffectiveVotingPower(accounts[2])).toString()).toBe('300');
+
+        const { proposalId } = await client.createProposal('DAOs should rule the world');
+        expect((await client.getVotingPower(proposalId, accounts[2])).toString()).toBe('300');
+
+        await client.delegate(null, { from: accounts[1] });
+        expect(await client.getDelegate(accounts[1])).toBeNull();
+        expect((await client.getEffectiveVotingPower(accounts[1])).toString()).toBe('100');
+    });
+
+    test('Reads the voting strategy and predicts voting weights', async () => {
+        const settings = await client.getSettings();
+        expect(await client.getVotingStrategy()).toEqual({ address: settings.votingStrategy, name: 'Linear' });
+
+        // Deploy a strategy that weighs a second token twice, through the client.
+        const reputationContract = await deploy('Token', [], txParams);
+        await reputationContract.methods.mint(accounts[1], 50).send({ ...txParams });
+        const weightedClient = await HCClient.deploy('localhost', txParams);
+        await weightedClient.initialize({
+            ...settings,
+            votingStrategy: { name: 'Weighted', voteTokenWeight: 1, tokens: [reputationContract.options.address], weights: [2] }
+        });
+        const strategy = await weightedClient.getVotingStrategy();
+        expect(strategy.tokens).toEqual([reputationContract.options.address]);
+        expect(strategy.weights.map(String)).toEqual(['2']);
+
+        const prediction = await weightedClient.predictVotingWeight(accounts[1], { cap: 120 });
+        expect(prediction.strategy).toBe('Weighted');
+        expect(prediction.weight.toString()).toBe('200');
+        expect(Object.keys(prediction.weights).map(name => `${name}: ${prediction.weights[name]}`))
+            .toEqual(['Linear: 100', 'Quadratic: 10', 'Capped: 100', 'Weighted: 200']);
+
+        const { proposalId } = await weightedClient.createProposal('Weighed');
+        expect((await weightedClient.getVotingPower(proposalId, accounts[1])).toString()).toBe('200');
+        expect((await weightedClient.getTotalWeight(proposalId)).toString()).toBe('400');
+    });
+
+    test('Approves the stake token automatically when staking', async () => {
+        const { proposalId } = await client.createProposal('DAOs should rule the world');
+        await client.stake(proposalId, 4000, true, { from: accounts[1] });
+        await client.stake(proposalId, new BN(1000), false, { from: accounts[2] });
+
+        const proposal = await client.getProposal(proposalId);
+        expect(proposal.state).toBe('Pended');
+        expect(proposal.upstake.toString()).toBe('4000');
+        expect(proposal.downstake.toString()).toBe('1000');
+        expect((await client.getUpstake(proposalId, accounts[1])).toString()).toBe('4000');
+        const allowance = await stakeTokenContract.methods.allowance(accounts[1], client.address).call();
+        expect(allowance).toBe('0');
+    });
+
+    test('Limits proposals, approving the creation deposit automatically', async () => {
+        await client.grantRole('MODIFY_PROPOSAL_LIMITS_ROLE', accounts[0]);
+        await client.setProposalLimits({ creationDeposit: 500, proposalCooldown: HOURS });
+        const settings = await client.getSettings();
+        expect(settings.creationDeposit.toString()).toBe('500');
+        expect(settings.proposalCooldown).toBe(HOURS);
+
+        expect(await client.getNextProposalDate(accounts[1])).toBeNull();
+        const { proposalId } = await client.createProposal('DAOs should rule the world', { from: accounts[1] });
+        const proposal = await client.getProposal(proposalId);
+        expect(proposal.creator).toBe(accounts[1]);
+        expect(proposal.deposit.toString()).toBe('500');
+        expect(await stakeTokenContract.methods.balanceOf(accounts[1]).call()).toBe('9500');
+
+        const nextProposalDate = await client.getNextProposalDate(accounts[1]);
+        expect(nextProposalDate.getTime() - proposal.startDate.getTime()).toBe(HOURS * 1000);
+        await expect(client.createProposal('Spam', { from: accounts[1] })).rejects.toBeInstanceOf(reverts.ProposalRateLimitedError);
+
+        const receipt = await client.cancelProposal(proposalId, { from: accounts[1] });
+        expect(receipt.events.DepositRefunded.returnValues._amount).toBe('500');
+        expect((await client.getProposal(proposalId)).state).toBe('Cancelled');
+        expect(await stakeTokenContract.methods.balanceOf(accounts[1]).call()).toBe('10000');
+    });
+
+    test('Finds and claims every claimable position', async () => {
+        await client.createProposal('DAOs should rule the world');
+        await client.createProposal('DAOs should rule the universe');
+        await client.stake(0, 1000, true, { from: accounts[1] });
+        await client.stake(1, 2000, false, { from: accounts[1] });
+        await client.stake(0, 1000, true, { from: accounts[2] });
+        await util.advanceTimeAndBlock(QUEUE_PERIOD_SECS + HOURS);
+        await client.expireNonBoostedProposal(0, undefined, { allowPartialFee: true });
+        await client.expireNonBoostedProposal(1, undefined, { allowPartialFee: true });
+
+        const positions = await client.getClaimablePositions(accounts[1]);
+        expect(positions.map(position => position.proposalId)).toEqual([0, 1]);
+        expect(positions[1].amount.toString()).toBe('2000');
+
+        await client.claimMany(null, { from: accounts[1] });
+        expect(await stakeTokenContract.methods.balanceOf(accounts[1]).call()).toBe('10000');
+        expect(await client.getClaimablePositions(accounts[1])).toHaveLength(0);
+        expect(await client.claimMany(null, { from: accounts[1] })).toBeNull();
+    });
+
+    test('Throws typed errors when transactions revert', async () => {
+        await expect(client.vote(3, true, { from: accounts[1] })).rejects.toBeInstanceOf(reverts.ProposalDoesNotExistError);
+
+        const { proposalId } = await client.createProposal('DAOs should rule the world');
+        let error;
+        try {
+            await client.boostProposal(proposalId);
+        }
+        catch(e) { error = e }
+        expect(error).toBeInstanceOf(reverts.ProposalIsNotPendedError);
+        expect(error.message).toBe('Transaction reverted: VOTING_ERROR_PROPOSAL_IS_NOT_PENDED');
+    });
+
+    test('Refuses partial compensation fees unless allowed', async () => {
+        const { proposalId } = await client.createProposal('DAOs should rule the world');
+        await client.stake(proposalId, 1000, true, { from: accounts[1] });
+        await client.fundCompensations(50, { from: accounts[2] });
+        await util.advanceTimeAndBlock(QUEUE_PERIOD_SECS + 1000);
+
+        let error;
+        try {
+            await client.expireNonBoostedProposal(proposalId, { from: accounts[2] });
+        }
+        catch(e) { error = e }
+        expect(error).toBeInstanceOf(CompensationsDepletedError);
+        expect(error.action.fee.toString()).toBe('50');
+        expect((await client.getProposal(proposalId)).state).toBe('Pended');
+
+        await client.expireNonBoostedProposal(proposalId, { from: accounts[2] }, { allowPartialFee: true });
+        expect((await client.getProposal(proposalId)).state).toBe('Expired');
+        expect((await client.getCompensationFunds()).toString()).toBe('0');
+    });
+
+    test('Notifies subscribers of decoded events', async () => {
+        const { proposalId } = await client.createProposal('DAOs should rule the world');
+
+        const events = [];
+        const options = { interval: 100 };
+        const unsubscribers = [
+            client.onStake((error, event) => events.push(event), options),
+            client.onProposalStateChanged((error, event) => events.push(event), options)
+        ];
+        await util.sleep(200);
+
+        await client.stake(proposalId, 4000, true, { from: accounts[1] });
+        await util.sleep(500);
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+
+        const stakeEvent = events.find(event => event.event === 'UpstakeProposal');
+        expect(stakeEvent.staker).toBe(accounts[1]);
+        expect(stakeEvent.supports).toBe(true);
+        expect(stakeEvent.amount.toString()).toBe('4000');
+        const stateEvent = events.find(event => event.event === 'ProposalStateChanged');
+        expect(stateEvent.proposalId).toBe(proposalId);
+        expect(stateEvent.state).toBe('Pended');
+    });
+});
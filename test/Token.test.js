@@ -0,0 +1,139 @@
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const util = require('../scripts/util.js');
+const signatures = require('../scripts/signatures.js');
+
+describe('Token', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+
+    let tokenContract;
+    let blocks;
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    util.fixture(async () => {
+        tokenContract = await deploy('Token', [], txParams);
+
+        // Record the block of each balance change.
+        blocks = [];
+        const send = async (method) => blocks.push((await method.send({ ...txParams })).blockNumber);
+        await send(tokenContract.methods.mint(accounts[1], 100));
+        await util.advanceBlock();
+        await send(tokenContract.methods.mint(accounts[2], 50));
+        await send(tokenContract.methods.transfer(accounts[1], 0));
+        await send(tokenContract.methods.mint(accounts[0], 10));
+        await send(tokenContract.methods.transfer(accounts[2], 10));
+    });
+
+    const balanceOfAt = async (account, blockNumber) => {
+        return tokenContract.methods.balanceOfAt(account, blockNumber).call();
+    };
+
+    test('Returns balances as of past blocks', async () => {
+        expect(await balanceOfAt(accounts[1], blocks[0] - 1)).toBe(`0`);
+        expect(await balanceOfAt(accounts[1], blocks[0])).toBe(`100`);
+        expect(await balanceOfAt(accounts[1], blocks[0] + 1)).toBe(`100`);
+        expect(await balanceOfAt(accounts[2], blocks[0])).toBe(`0`);
+        expect(await balanceOfAt(accounts[2], blocks[1])).toBe(`50`);
+        expect(await balanceOfAt(accounts[2], blocks[4] - 1)).toBe(`50`);
+        expect(await balanceOfAt(accounts[2], blocks[4])).toBe(`60`);
+        expect(await balanceOfAt(accounts[0], blocks[3])).toBe(`10`);
+        expect(await balanceOfAt(accounts[0], blocks[4])).toBe(`0`);
+
+        // Blocks after the last checkpoint have the current balance.
+        expect(await balanceOfAt(accounts[2], blocks[4] + 100)).toBe(await tokenContract.methods.balanceOf(accounts[2]).call());
+    });
+
+    test('Returns the total supply as of past blocks', async () => {
+        const totalSupplyAt = (blockNumber) => tokenContract.methods.totalSupplyAt(blockNumber).call();
+        expect(await totalSupplyAt(blocks[0] - 1)).toBe(`0`);
+        expect(await totalSupplyAt(blocks[0])).toBe(`100`);
+        expect(await totalSupplyAt(blocks[1])).toBe(`150`);
+        expect(await totalSupplyAt(blocks[4])).toBe(`160`);
+    });
+
+    test('Keeps the total weight of balances under the strategies it tracks', async () => {
+        const cappedContract = await deploy('CappedVotingStrategy', [50], txParams);
+        const quadraticContract = await deploy('QuadraticVotingStrategy', [], txParams);
+        const trackBlock = (await tokenContract.methods.trackTotalWeight(cappedContract.options.address).send({ ...txParams })).blockNumber;
+        await tokenContract.methods.trackTotalWeight(quadraticContract.options.address).send({ ...txParams });
+        await expect(tokenContract.methods.trackTotalWeight(cappedContract.options.address).send({ ...txParams }))
+            .toRevertWith('Token: total weight is already tracked');
+        const totalWeightsAt = async (blockNumber) => [
+            await tokenContract.methods.totalWeightAt(cappedContract.options.address, blockNumber).call(),
+            await tokenContract.methods.totalWeightAt(quadraticContract.options.address, blockNumber).call()
+        ];
+
+        // Balances: 1 => 100, 2 => 60, and accounts that held tokens before count from the start.
+        const startBlock = await web3.eth.getBlockNumber();
+        expect(await totalWeightsAt(startBlock)).toEqual([`100`, `17`]);
+        await expect(totalWeightsAt(trackBlock - 1)).toRevertWith('Token: total weight is not tracked');
+
+        // Balances: 1 => 70, 2 => 60, 3 => 30.
+        await tokenContract.methods.transfer(accounts[3], 30).send({ ...txParams, from: accounts[1] });
+        // Delegation doesn't change the total weight.
+        await tokenContract.methods.delegate(accounts[1]).send({ ...txParams, from: accounts[2] });
+        // Balances: 1 => 70, 3 => 30.
+        await tokenContract.methods.burn(60).send({ ...txParams, from: accounts[2] });
+
+        expect(await totalWeightsAt(startBlock + 1)).toEqual([`130`, `20`]);
+        expect(await totalWeightsAt(startBlock + 2)).toEqual([`130`, `20`]);
+        expect(await totalWeightsAt(startBlock + 3)).toEqual([`80`, `13`]);
+    });
+
+    test('Moves delegated votes with delegations and transfers', async () => {
+        const delegatedVotesOf = (account) => tokenContract.methods.delegatedVotesOf(account).call();
+        const startBlock = await web3.eth.getBlockNumber();
+
+        // Balances: 1 => 100, 2 => 60.
+        const receipt = await tokenContract.methods.delegate(accounts[3]).send({ ...txParams, from: accounts[1] });
+        expect(receipt.events.DelegateChanged.returnValues.toDelegate).toBe(accounts[3]);
+        await tokenContract.methods.delegate(accounts[3]).send({ ...txParams, from: accounts[2] });
+        expect(await tokenContract.methods.delegates(accounts[1]).call()).toBe(accounts[3]);
+        expect(await delegatedVotesOf(accounts[3])).toBe(`160`);
+
+        await tokenContract.methods.transfer(accounts[4], 30).send({ ...txParams, from: accounts[1] });
+        expect(await delegatedVotesOf(accounts[3])).toBe(`130`);
+        await tokenContract.methods.mint(accounts[2], 5).send({ ...txParams });
+        expect(await delegatedVotesOf(accounts[3])).toBe(`135`);
+
+        // Delegating to oneself removes the delegation.
+        await tokenContract.methods.delegate(accounts[1]).send({ ...txParams, from: accounts[1] });
+        expect(await tokenContract.methods.delegates(accounts[1]).call()).toBe('0x0000000000000000000000000000000000000000');
+        expect(await delegatedVotesOf(accounts[3])).toBe(`65`);
+
+        // Delegation is checkpointed.
+        expect(await tokenContract.methods.delegateOfAt(accounts[1], startBlock).call()).toBe('0x0000000000000000000000000000000000000000');
+        expect(await tokenContract.methods.delegateOfAt(accounts[1], startBlock + 1).call()).toBe(accounts[3]);
+        expect(await tokenContract.methods.delegatedVotesOfAt(accounts[3], startBlock + 2).call()).toBe(`160`);
+    });
+
+    test('Gives allowances with permit signatures', async () => {
+        const deadline = (await web3.eth.getBlock('latest')).timestamp + 60;
+        const permit = signatures.permit(tokenContract.options.address, { owner: accounts[1], spender: accounts[2], value: 40, nonce: 0, deadline });
+        const signature = await signatures.signTypedData(web3, accounts[1], permit);
+        expect(signatures.recoverSigner(permit, signature)).toBe(accounts[1]);
+
+        const r = signature.slice(0, 66);
+        const s = `0x${signature.slice(66, 130)}`;
+        const v = parseInt(signature.slice(130, 132), 16);
+        const sendPermit = () => tokenContract.methods.permit(accounts[1], accounts[2], 40, deadline, v, r, s).send({ ...txParams });
+        await sendPermit();
+        expect(await tokenContract.methods.allowance(accounts[1], accounts[2]).call()).toBe(`40`);
+        expect(await tokenContract.methods.nonces(accounts[1]).call()).toBe(`1`);
+
+        // Signatures can't be replayed.
+        await expect(sendPermit()).toRevertWith('ERC20Permit: invalid signature');
+    });
+});
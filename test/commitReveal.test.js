@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSalt, hashVote, getVotePhase, SaltStore } = require('../scripts/commitReveal.js');
+
+describe('Commit-reveal voting helpers', () => {
+
+    const HC = '0x5A0b54D5dc17e0AadC383d2db43B0a0D3E029c4c';
+    const VOTER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+
+    test('Creates random salts and hashes votes as the contract does', () => {
+        const salt = createSalt();
+        expect(salt).toMatch(/^0x[0-9a-f]{64}$/);
+        expect(createSalt()).not.toBe(salt);
+
+        const zero = '0x' + '0'.repeat(64);
+        expect(hashVote(1, VOTER, true, zero)).toBe('0xc519f693e69af74144c97280f8e1b82d5cd4d5a9df9992cd25dd4d2b207dfd13');
+        expect(hashVote(1, VOTER, false, zero)).not.toBe(hashVote(1, VOTER, true, zero));
+    });
+
+    test('Tells the vote phase of proposals', () => {
+        const proposal = { state: 'Boosted', expiryDate: new Date(10000 * 1000) };
+        expect(getVotePhase(proposal, 0, 5000)).toBe('Open');
+        expect(getVotePhase(proposal, 1000, 8999)).toBe('Commit');
+        expect(getVotePhase(proposal, 1000, 9000)).toBe('Reveal');
+        expect(getVotePhase(proposal, 1000, 10000)).toBe('Ended');
+        expect(getVotePhase({ ...proposal, state: 'Resolved' }, 1000, 5000)).toBe('Ended');
+    });
+
+    test('Keeps salts readable only by their owner until votes are revealed', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-salts-'));
+        try {
+            const store = new SaltStore(dir);
+            const vote = store.create(HC, 3, VOTER, true);
+            expect(vote.commitment).toBe(hashVote(3, VOTER, true, vote.salt));
+            expect(store.get(HC.toLowerCase(), '3', VOTER.toLowerCase())).toEqual(vote);
+            expect(store.get(HC, 4, VOTER)).toBeNull();
+            expect(store.list(HC)).toEqual([vote]);
+
+            const file = path.join(dir, HC.toLowerCase(), `3-${VOTER.toLowerCase()}.json`);
+            expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+            store.remove(HC, 3, VOTER);
+            expect(store.list(HC)).toEqual([]);
+        }
+        finally {
+            fs.rmdirSync(dir, { recursive: true });
+        }
+    });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { COMPILER_VERSION, compile } = require('../scripts/compile.js');
+
+describe('Compilation', () => {
+
+    let tmpDir;
+    let options;
+
+    const writeContract = (name, source) => {
+        fs.writeFileSync(path.join(options.contractsDir, `${name}.sol`), `pragma solidity ^0.4.24;\n\n${source}\n`);
+    };
+
+    const readArtifact = (name) => JSON.parse(fs.readFileSync(path.join(options.buildDir, `${name}.json`), 'utf8'));
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-compile-'));
+        options = {
+            contractsDir: path.join(tmpDir, 'contracts'),
+            buildDir: path.join(tmpDir, 'build'),
+            cacheDir: path.resolve(__dirname, '../cache'),
+            log: () => {}
+        };
+        fs.mkdirSync(options.contractsDir);
+        writeContract('Base', 'contract Base {\n    uint256 public value = 1;\n}');
+        writeContract('Child', 'import "./Base.sol";\n\ncontract Child is Base {\n    function set(uint256 _value) public { value = _value; }\n}');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('Writes artifacts with sources, AST, source maps and compiler metadata', async () => {
+        const result = await compile(options);
+        expect(result.compiled).toEqual(['Base.sol', 'Child.sol']);
+        expect(result.errors).toEqual([]);
+
+        const artifact = readArtifact('Child');
+        expect(artifact.contractName).toBe('Child');
+        expect(artifact.abi.map(item => item.name)).toEqual(expect.arrayContaining(['set', 'value']));
+        expect(artifact.bytecode).toMatch(/^[0-9a-f]+$/);
+        expect(artifact.deployedBytecode).toMatch(/^[0-9a-f]+$/);
+        expect(artifact.sourceMap).toMatch(/^\d+:\d+:\d+:-/);
+        expect(artifact.deployedSourceMap).toMatch(/^\d+:\d+:\d+:-/);
+        expect(Object.keys(artifact.sources)).toEqual(['Child.sol', 'Base.sol']);
+        expect(artifact.ast.absolutePath).toBe('Child.sol');
+        expect(JSON.parse(artifact.metadata).compiler.version).toBe(COMPILER_VERSION.slice(1));
+        expect(artifact.compiler).toEqual({ name: 'solc', version: COMPILER_VERSION, settings: { optimizer: { enabled: true, runs: 1 } } });
+    });
+
+    test('Only recompiles files whose sources or imports changed', async () => {
+        await compile(options);
+        let result = await compile(options);
+        expect(result.compiled).toEqual([]);
+        expect(result.skipped).toEqual(['Base.sol', 'Child.sol']);
+
+        writeContract('Base', 'contract Base {\n    uint256 public value = 2;\n}');
+        result = await compile(options);
+        expect(result.compiled).toEqual(['Base.sol', 'Child.sol']);
+
+        writeContract('Child', 'import "./Base.sol";\n\ncontract Child is Base {}');
+        result = await compile(options);
+        expect(result.compiled).toEqual(['Child.sol']);
+        expect(readArtifact('Child').abi.map(item => item.name)).toEqual(['value']);
+
+        result = await compile({ ...options, force: true });
+        expect(result.compiled).toEqual(['Base.sol', 'Child.sol']);
+    });
+
+    test('Removes artifacts of deleted files', async () => {
+        await compile(options);
+        fs.unlinkSync(path.join(options.contractsDir, 'Child.sol'));
+        await compile(options);
+        expect(fs.readdirSync(options.buildDir)).toEqual(['Base.json']);
+    });
+
+    test('Reports errors and warnings', async () => {
+        writeContract('Broken', 'contract Broken {\n    function f() public { undefinedVariable = 1; }\n}');
+        writeContract('Warning', 'contract Warning {\n    function f(uint256 unused) public {}\n}');
+        const result = await compile(options);
+
+        expect(result.errors.length).toBe(1);
+        expect(result.errors[0]).toMatch(/Broken\.sol:4:27: DeclarationError: Undeclared identifier/);
+        expect(result.warnings.join('\n')).toMatch(/Warning\.sol:4:16: Warning: Unused function parameter/);
+        expect(result.compiled).toEqual(['Base.sol', 'Child.sol', 'Warning.sol']);
+        expect(fs.existsSync(path.join(options.buildDir, 'Broken.json'))).toBe(false);
+    });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BN = require('bn.js');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const util = require('../scripts/util.js');
+const hcMath = require('../scripts/hcMath.js');
+const { HCClient } = require('../scripts/client.js');
+const { MetadataStore } = require('../scripts/metadata.js');
+const { Dashboard, formatCountdown, getDeadlines, renderTable } = require('../scripts/dashboard.js');
+
+describe('Dashboard', () => {
+
+    const HOURS = 60 * 60;
+    const SETTINGS = { supportPct: 51, pendedBoostPeriod: 1 * HOURS, quietEndingPeriod: 1 * HOURS };
+
+    const proposal = (fields) => ({
+        id: 0,
+        state: 'Queued',
+        startDate: new Date(1000 * 1000),
+        lifetime: 24 * HOURS,
+        lastPendedDate: null,
+        yea: new BN(0),
+        nay: new BN(0),
+        upstake: new BN(0),
+        downstake: new BN(0),
+        ...fields
+    });
+
+    test('Formats countdowns', () => {
+        expect(formatCountdown(0)).toBe('now');
+        expect(formatCountdown(65)).toBe('1m 5s');
+        expect(formatCountdown(2 * HOURS + 120)).toBe('2h 2m');
+        expect(formatCountdown(26 * HOURS)).toBe('1d 2h');
+    });
+
+    test('Computes the deadlines that apply to each state', () => {
+        const start = 1000;
+        expect(getDeadlines(proposal(), SETTINGS, start + HOURS)).toEqual({ expiry: 23 * HOURS, boost: null, quietEnding: null });
+        expect(getDeadlines(proposal({ state: 'Pended', lastPendedDate: new Date((start + HOURS) * 1000) }), SETTINGS, start + HOURS + 600))
+            .toEqual({ expiry: 23 * HOURS - 600, boost: HOURS - 600, quietEnding: null });
+        expect(getDeadlines(proposal({ state: 'Boosted', lifetime: 6 * HOURS }), SETTINGS, start + HOURS))
+            .toEqual({ expiry: 5 * HOURS, boost: null, quietEnding: 4 * HOURS });
+        expect(getDeadlines(proposal({ state: 'Expired' }), SETTINGS, start)).toEqual({ expiry: null, boost: null, quietEnding: null });
+    });
+
+    test('Renders proposals with their votes, stakes and countdowns', () => {
+        const rows = [{
+            proposal: proposal({ state: 'Pended', lastPendedDate: new Date(1000 * 1000), yea: new BN(100), nay: new BN(50), upstake: new BN(4000), downstake: new BN(1000) }),
+            title: 'DAOs should rule the world',
+            totalWeight: new BN(300)
+        }];
+        const lines = renderTable(rows, SETTINGS, hcMath.PRECISION_MULTIPLIER, 1000 + 600);
+        expect(lines[0]).toBe('Proposals: 1  support: 51%  confidence threshold: 1.00');
+        expect(lines[3]).toMatch(/^0 +Pended +DAOs should rule the wo… 33\.3% +16\.6% +4000 +1000 +4\.00 +23h 50m +50m 0s/);
+    });
+
+    describe('When watching a contract', () => {
+
+        let accounts;
+        let txParams;
+        let client;
+        let metadataDir;
+        let frames;
+        let dashboard;
+
+        beforeEach(async () => {
+            const web3 = getWeb3('localhost');
+            accounts = await web3.eth.getAccounts();
+            txParams = { from: accounts[0], gas: 6700000, gasPrice: 1 };
+
+            const voteTokenContract = await deploy('Token', [], txParams);
+            const stakeTokenContract = await deploy('Token', [], txParams);
+            client = await HCClient.deploy('localhost', txParams);
+            metadataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-dashboard-'));
+            client.metadataStore = new MetadataStore(metadataDir);
+            await client.initialize({
+                voteToken: voteTokenContract.options.address,
+                supportPct: 51,
+                queuePeriod: 24 * HOURS,
+                boostPeriod: 6 * HOURS,
+                quietEndingPeriod: 1 * HOURS,
+                compensationFeePct: 10,
+                stakeToken: stakeTokenContract.options.address,
+                pendedBoostPeriod: 1 * HOURS,
+                confidenceThresholdBase: 4
+            });
+            await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+            await voteTokenContract.methods.mint(accounts[2], 100).send({ ...txParams });
+            await voteTokenContract.methods.mint(accounts[3], 200).send({ ...txParams });
+            await stakeTokenContract.methods.mint(accounts[1], 10000).send({ ...txParams });
+            await client.createProposal('DAOs should rule the world');
+            await client.vote(0, true, { from: accounts[1] });
+            await client.stake(0, 4000, true, { from: accounts[1] });
+
+            frames = [];
+            dashboard = new Dashboard(client, { output: { write: frame => frames.push(frame) }, input: null, interval: 100 });
+        });
+
+        afterEach(() => {
+            dashboard.stop();
+            fs.rmdirSync(metadataDir, { recursive: true });
+        });
+
+        const waitForFrame = async (pattern) => {
+            for(let i = 0; i < 50; i++) {
+                if(pattern.test(frames[frames.length - 1])) return;
+                await util.sleep(100);
+            }
+            throw new Error(`No frame matched ${pattern}, last frame:\n${frames[frames.length - 1]}`);
+        };
+
+        test('Updates rows live from the contract events', async () => {
+            await dashboard.start();
+            expect(frames[0]).toMatch(/0 +Pended +DAOs should rule the wo… 25\.0% +0\.0% +4000 +0 +4000\.00 +(1d 0h|23h 59m) +(1h 0m|59m \d+s)/);
+
+            await client.vote(0, false, { from: accounts[2] });
+            await client.createProposal({ version: 1, title: 'A second proposal' });
+            await waitForFrame(/0 +Pended +DAOs should rule the wo… 25\.0% +25\.0%/);
+            await waitForFrame(/1 +Queued +A second proposal/);
+        });
+
+        test('Shows the voters and stakers of a proposal', async () => {
+            await dashboard.start();
+            await dashboard.handleKey({ name: 'return' });
+            let frame = frames[frames.length - 1];
+            expect(frame).toMatch(/Proposal 0: DAOs should rule the world/);
+            expect(frame).toMatch(/boostable in: (1h 0m|59m \d+s)/);
+            expect(frame).toMatch(new RegExp(`Voters \\(1\\):\n  ${accounts[1]}  Yea   100`));
+            expect(frame).toMatch(new RegExp(`Stakers \\(1\\):\n  ${accounts[1]}  up: 4000  down: 0`));
+
+            await client.vote(0, false, { from: accounts[3] });
+            await waitForFrame(new RegExp(`Voters \\(2\\):\n  ${accounts[1]}  Yea   100\n  ${accounts[3]}  Nay   200`));
+
+            await dashboard.handleKey({ name: 'escape' });
+            expect(frames[frames.length - 1]).toMatch(/^\x1b\[2J\x1b\[HProposals: 1/);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const { loadConfig, deployStack, verifyDeployment } = require('../scripts/deployStack.js');
+
+describe('Full stack deployment', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+    let deploymentsDir;
+    let config;
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    beforeEach(() => {
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-deployments-'));
+        config = loadConfig(path.resolve(__dirname, '../deployments/config.json'), 'localhost');
+    });
+
+    afterEach(() => {
+        fs.readdirSync(deploymentsDir).forEach(file => fs.unlinkSync(path.join(deploymentsDir, file)));
+        fs.rmdirSync(deploymentsDir);
+    });
+
+    test('Deploys and initializes everything and records it in the manifest', async () => {
+        const manifest = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+
+        const saved = JSON.parse(fs.readFileSync(path.join(deploymentsDir, 'localhost.json'), 'utf8'));
+        expect(saved).toEqual(manifest);
+        ['voteToken', 'stakeToken', 'votingStrategy', 'holographicConsensus'].forEach(key => {
+            expect(web3.utils.isAddress(manifest.contracts[key].address)).toBe(true);
+            expect(manifest.contracts[key].transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+        });
+        expect(manifest.steps.initializeVoting.params).toEqual(config.voting);
+        expect(manifest.steps.initializeStaking.params).toEqual(config.staking);
+
+        expect(await verifyDeployment(web3, manifest, config)).toEqual([]);
+    });
+
+    test('Skips steps that are already done when run again', async () => {
+        const first = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        const blockNumber = await web3.eth.getBlockNumber();
+
+        const second = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        expect(second).toEqual(first);
+        expect(await web3.eth.getBlockNumber()).toBe(blockNumber);
+    });
+
+    test('Chooses commit-reveal voting when the config sets a reveal period', async () => {
+        config = { ...config, voting: { ...config.voting, revealPeriod: 7200 } };
+        const manifest = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        expect(manifest.steps.initializeCommitReveal.params).toEqual({ revealPeriod: 7200 });
+        expect(await verifyDeployment(web3, manifest, config)).toEqual([]);
+    });
+
+    test('Limits proposals when the config sets proposal limits', async () => {
+        config = { ...config, proposalLimits: { creationDeposit: '100', proposalCooldown: 3600 } };
+        const manifest = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        expect(manifest.steps.setProposalLimits.params).toEqual(config.proposalLimits);
+        expect(await verifyDeployment(web3, manifest, config)).toEqual([]);
+
+        const blockNumber = await web3.eth.getBlockNumber();
+        await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        expect(await web3.eth.getBlockNumber()).toBe(blockNumber);
+    });
+
+    test('Deploys the voting strategy that the config sets', async () => {
+        config = { ...config, votingStrategy: { name: 'Capped', cap: '1000' } };
+        const manifest = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        expect(manifest.contracts.votingStrategy.contractName).toBe('CappedVotingStrategy');
+        expect(manifest.steps.trackTotalWeight.transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+        expect(await verifyDeployment(web3, manifest, config)).toEqual([]);
+
+        // An existing strategy can be shared with another HC contract.
+        const other = { ...config, holographicConsensus: undefined, votingStrategy: manifest.contracts.votingStrategy.address };
+        const otherManifest = await deployStack(web3, 'other', other, { deploymentsDir, txParams });
+        expect(otherManifest.contracts.votingStrategy).toEqual({
+            contractName: 'VotingStrategy', address: manifest.contracts.votingStrategy.address, deployed: false
+        });
+        expect(otherManifest.steps.trackTotalWeight.transactionHash).not.toBe(manifest.steps.trackTotalWeight.transactionHash);
+    });
+
+    test('Uses existing tokens', async () => {
+        const voteToken = await deploy('Token', [], txParams);
+        config.voteToken = voteToken.options.address;
+
+        const manifest = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        expect(manifest.contracts.voteToken).toEqual({ contractName: 'Token', address: voteToken.options.address, deployed: false });
+        expect(await verifyDeployment(web3, manifest, config)).toEqual([]);
+    });
+
+    test('Reports on chain parameters that do not match the config', async () => {
+        const manifest = await deployStack(web3, 'localhost', config, { deploymentsDir, txParams });
+        const changed = { ...config, voting: { ...config.voting, supportPct: 60 } };
+        expect(await verifyDeployment(web3, manifest, changed)).toEqual([
+            { param: 'supportPct', expected: 60, actual: 51 }
+        ]);
+    });
+
+    test('Rejects incomplete configs', () => {
+        const file = path.join(deploymentsDir, 'config.json');
+        fs.writeFileSync(file, JSON.stringify({ localhost: { voteToken: 'new', voting: { supportPct: 51 } } }));
+        expect(() => loadConfig(file, 'localhost')).toThrow(/missing stakeToken, voting.queuePeriod/);
+        expect(() => loadConfig(file, 'ropsten')).toThrow(/No deployment config for network ropsten/);
+    });
+});
@@ -0,0 +1,48 @@
+const BN = require('bn.js');
+const executionScript = require('../scripts/executionScript.js');
+const { loadArtifacts } = require('../scripts/client.js');
+
+describe('Execution scripts', () => {
+
+    const TOKEN = '0x5b1869D9A4C187F2EAa108f3062412ecf0526b24';
+    const RECIPIENT = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+
+    const transferData = executionScript.encodeCallData('transfer(address,uint256)', [RECIPIENT, 100]);
+
+    test('Encodes calldata from a function signature', () => {
+        expect(transferData.slice(0, 10)).toBe('0xa9059cbb');
+        expect(transferData).toHaveLength(2 + 2 * (4 + 32 + 32));
+        expect(() => executionScript.encodeCallData('transfer(address,uint256)', [RECIPIENT])).toThrow(/expects 2 arguments/);
+    });
+
+    test('Encodes and decodes lists of calls', () => {
+        const calls = [
+            { to: TOKEN, value: new BN(0), data: transferData },
+            { to: RECIPIENT, value: new BN(10).pow(new BN(18)), data: '0x' }
+        ];
+        const script = executionScript.encode(calls);
+        expect(script).toHaveLength(2 + 2 * (2 * executionScript.CALL_HEADER_LENGTH + 68));
+        expect(script.slice(2, 42)).toBe(TOKEN.slice(2).toLowerCase());
+
+        const decoded = executionScript.decode(script);
+        expect(decoded.map(call => ({ ...call, value: call.value.toString() })))
+            .toEqual(calls.map(call => ({ ...call, value: call.value.toString() })));
+        expect(executionScript.decode('0x')).toEqual([]);
+    });
+
+    test('Rejects truncated scripts', () => {
+        const script = executionScript.encode([{ to: TOKEN, data: transferData }]);
+        expect(() => executionScript.decode(script.slice(0, -2))).toThrow(/truncated calldata/);
+        expect(() => executionScript.decode(script.slice(0, 50))).toThrow(/truncated call/);
+        expect(() => executionScript.encode([{ to: '0x1234', data: '0x' }])).toThrow(/Invalid call target/);
+    });
+
+    test('Describes calls, decoding calldata with known ABIs', () => {
+        const script = executionScript.encode([{ to: TOKEN, data: transferData }, { to: RECIPIENT, value: 5 }]);
+        expect(executionScript.describe(script)[0]).toBe(`${TOKEN}: ${transferData}`);
+        expect(executionScript.describe(script, { [TOKEN]: loadArtifacts('Token').abi })).toEqual([
+            `${TOKEN}.transfer(${RECIPIENT}, 100)`,
+            `${RECIPIENT}: 0x with 5 wei`
+        ]);
+    });
+});
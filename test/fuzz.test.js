@@ -0,0 +1,54 @@
+const { INVARIANTS, randomSequence, fuzz, replay } = require('../scripts/fuzz.js');
+const { createRandom } = require('../scripts/simulate.js');
+
+describe('Fuzzing', () => {
+
+    const check = (name, state) => INVARIANTS.find(invariant => invariant.name === name).check(state);
+
+    test('Generates reproducible sequences', () => {
+        const steps = randomSequence(createRandom(4), 30, 5);
+        expect(steps).toHaveLength(30);
+        expect(steps[0].method).toBe('createProposal');
+        expect(randomSequence(createRandom(4), 30, 5)).toEqual(steps);
+
+        // Every step that the model supports, and that simulate.checkAgainstContract runs, is generated.
+        const methods = new Set(randomSequence(createRandom(4), 2000, 5).map(step => step.method));
+        expect([...methods].sort()).toEqual([
+            'advanceTime', 'boostProposal', 'cancelProposal', 'claimMany', 'createExecutableProposal', 'createProposal',
+            'delegate', 'executeProposal', 'expireNonBoostedProposal', 'resolveBoostedProposal', 'stake', 'unstake',
+            'updateProposalConfidence', 'vote', 'withdrawRewardFromResolvedProposal', 'withdrawStakeFromExpiredQueuedProposal'
+        ]);
+    });
+
+    test('Only allows legal state transitions', () => {
+        expect(check('transitions', { transitions: [{ proposalId: 0, from: 'Pended', to: 'Boosted' }] })).toBeNull();
+        expect(check('transitions', { transitions: [{ proposalId: 0, from: 'Queued', to: 'Boosted' }] })).toBe('proposal 0 went from Queued to Boosted');
+        expect(check('transitions', { transitions: [{ proposalId: 1, from: 'Expired', to: 'Resolved' }] })).toBe('proposal 1 went from Expired to Resolved');
+    });
+
+    test('Keeps the invariants in random sequences', async () => {
+        const { runs, counterexample } = await fuzz({ runs: 3, numSteps: 40, seed: 11 });
+        expect(counterexample).toBeNull();
+        expect(runs).toBe(3);
+    }, 240000);
+
+    test('Shrinks failing sequences to a minimal sequence that can be replayed', async () => {
+        // A property that doesn't hold, to check that it is found and shrunk.
+        const invariants = [{
+            name: 'never pended',
+            check: (state) => state.proposals.some(proposal => proposal.state === 'Pended') ? 'a proposal was pended' : null
+        }];
+        const { counterexample } = await fuzz({ runs: 5, numSteps: 30, seed: 2, invariants });
+        expect(counterexample.failure.invariant).toBe('never pended');
+        // Only the upstake that pends a proposal is left, after the steps that create the proposals up to it.
+        const steps = counterexample.steps;
+        const stake = steps[steps.length - 1];
+        expect(stake.method).toBe('stake');
+        expect(stake.args[2]).toBe(true);
+        expect(steps.slice(0, -1).map(step => step.method.startsWith('create'))).toEqual(new Array(stake.args[0] + 1).fill(true));
+
+        const { failure } = await replay(JSON.parse(JSON.stringify(counterexample)), { invariants });
+        expect(failure).toEqual(counterexample.failure);
+        expect((await replay(counterexample)).failure).toBeNull();
+    }, 240000);
+});
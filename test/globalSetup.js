@@ -0,0 +1,12 @@
+const util = require('../scripts/util.js');
+
+// Starts an in-process chain for the whole test run, unless a node is already serving localhost.
+module.exports = async () => {
+    try {
+        global.__CHAIN__ = await util.startChain();
+    }
+    catch(e) {
+        if(e.code !== 'EADDRINUSE') throw e;
+        console.log('\nUsing the node already running at localhost:8545');
+    }
+};
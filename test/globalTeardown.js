@@ -0,0 +1,5 @@
+const util = require('../scripts/util.js');
+
+module.exports = async () => {
+    if(global.__CHAIN__) await util.stopChain(global.__CHAIN__);
+};
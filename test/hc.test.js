@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const util = require('../scripts/util.js');
+const hc = require('../scripts/hc.js');
+const { HCClient } = require('../scripts/client.js');
+
+describe('hc command line tool', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+
+    let voteTokenContract;
+    let hcAddress;
+
+    // Runs a command and returns its exit code and output.
+    const run = async (...argv) => {
+        const lines = [];
+        const code = await hc.run(argv.concat(hcAddress ? ['--hc', hcAddress] : []), line => lines.push(line));
+        return { code, output: lines.join('\n') };
+    };
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    beforeEach(async () => {
+        voteTokenContract = await deploy('Token', [], txParams);
+        const stakeTokenContract = await deploy('Token', [], txParams);
+        await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+        await voteTokenContract.methods.mint(accounts[2], 200).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[1], 10000).send({ ...txParams });
+
+        // Deploy and initialize through the tool.
+        hcAddress = undefined;
+        let result = await run('deploy', '--json');
+        expect(result.code).toBe(0);
+        hcAddress = JSON.parse(result.output).address;
+        result = await run('init',
+            '--vote-token', voteTokenContract.options.address,
+            '--stake-token', stakeTokenContract.options.address,
+            '--support-pct', '51',
+            '--queue-period', '86400',
+            '--boost-period', '21600',
+            '--quiet-ending-period', '3600',
+            '--compensation-fee-pct', '10',
+            '--pended-boost-period', '3600',
+            '--confidence-threshold-base', '4'
+        );
+        expect(result.code).toBe(0);
+    });
+
+    test('Parses positional arguments and options', () => {
+        expect(hc.parseArgs(['vote', '1', 'yea', '--account', '2', '--json'])).toEqual({
+            args: ['vote', '1', 'yea'],
+            options: { account: '2', json: true }
+        });
+    });
+
+    test('Creates proposals, votes, stakes and shows their status', async () => {
+        let result = await run('propose', 'DAOs should rule the world', '--description', 'Starting with this one', '--link', 'https://example.org');
+        expect(result.code).toBe(0);
+        expect(result.output).toMatch(/Created proposal 0/);
+        expect((await run('propose', 'Bad link', '--link', 'example.org')).output).toMatch(/^Invalid metadata: metadata.links\[0\].url must match/);
+
+        result = await run('vote', '0', 'yea', '--account', '1');
+        expect(result.code).toBe(0);
+        expect(result.output).toMatch(/VoteCasted\(proposal 0, voter: .*, supports: true, votingPower: 100\)/);
+
+        result = await run('stake', '0', '4000', 'up', '--account', '1');
+        expect(result.code).toBe(0);
+        expect(result.output).toMatch(/ProposalStateChanged\(proposal 0, state: Pended\)/);
+
+        result = await run('status', '0', '--json');
+        const proposal = JSON.parse(result.output);
+        expect(proposal.state).toBe('Pended');
+        expect(proposal.yea).toBe('100');
+        expect(proposal.upstake).toBe('4000');
+        expect(proposal.confidence).toBe('4000');
+        expect(proposal.metadata.title).toBe('DAOs should rule the world');
+
+        result = await run('status', '0');
+        expect(result.output).toMatch(/Proposal 0: Pended\n  DAOs should rule the world\n  Starting with this one\n  link: https:\/\/example.org/);
+
+        result = await run('list');
+        expect(result.output).toMatch(/Proposal 0: Pended/);
+    });
+
+    test('Builds, previews and executes proposal scripts', async () => {
+        const treasuryTokenContract = await deploy('Token', [], txParams);
+        await treasuryTokenContract.methods.mint(hcAddress, 1000).send({ ...txParams });
+
+        let result = await run('encode-call', treasuryTokenContract.options.address, 'transfer(address,uint256)', accounts[3], '300');
+        expect(result.code).toBe(0);
+        const script = result.output;
+        result = await run('decode-script', script, '--abi', 'Token');
+        expect(result.output).toBe(`${treasuryTokenContract.options.address}.transfer(${accounts[3]}, 300)`);
+
+        result = await run('propose', 'Pay account 3', '--script', script);
+        expect(result.output).toMatch(/Created proposal 0/);
+        await run('vote', '0', 'yea', '--account', '2');
+        result = await run('execute', '0');
+        expect(result.code).toBe(0);
+        expect(result.output).toMatch(/ProposalExecuted\(proposal 0\)/);
+        expect(await treasuryTokenContract.methods.balanceOf(accounts[3]).call()).toBe('300');
+
+        result = await run('status', '0');
+        expect(result.output).toMatch(/script \(executed\):\n    0x/);
+    });
+
+    test('Grants roles and changes parameters', async () => {
+        let result = await run('set', 'supportPct', '60', '--account', '1');
+        expect(result.output).toBe('Transaction reverted: VOTING_ERROR_SENDER_NOT_AUTHORIZED');
+
+        result = await run('grant-role', 'modify_support_role', accounts[1]);
+        expect(result.code).toBe(0);
+        result = await run('set', 'supportPct', '60', '--account', '1');
+        expect(result.code).toBe(0);
+
+        result = await run('grant-role', 'MODIFY_PERIODS_ROLE', 'anyone');
+        expect(result.code).toBe(0);
+        result = await run('set-periods', '172800', '43200', '7200', '3600', '--account', '2');
+        expect(result.code).toBe(0);
+
+        const settings = await new HCClient(web3, hcAddress).getSettings();
+        expect(settings.supportPct).toBe(60);
+        expect(settings.queuePeriod).toBe(172800);
+        expect(settings.quietEndingPeriod).toBe(7200);
+        expect((await run('set', 'queuePeriod', '1')).output).toMatch(/^Expected one of supportPct/);
+    });
+
+    test('Funds compensations and previews fees', async () => {
+        await run('grant-role', 'MODIFY_COMPENSATION_FEE_ROLE', accounts[0]);
+        let result = await run('set-fee-curve', 'Step', '60');
+        expect(result.code).toBe(0);
+        expect((await run('set-fee-curve', 'Quadratic')).output).toBe('Error: Unknown fee curve Quadratic, expected one of Linear, Step, CappedExponential');
+
+        result = await run('fund', '50', '--account', '1');
+        expect(result.code).toBe(0);
+        await run('propose', 'Boost me');
+        await run('stake', '0', '4000', 'up', '--account', '1');
+        expect((await run('fee', '0')).output).toBe(`Proposal 0 can't be boosted, expired or resolved yet`);
+
+        await util.advanceTimeAndBlock(3600 + 60);
+        result = await run('fee', '0');
+        expect(result.output).toBe('boostProposal pays a fee of 50, limited by the compensation funds (funds: 50)');
+        result = await run('boost', '0', '--account', '2');
+        expect(result.code).not.toBe(0);
+        expect(result.output).toBe('Error: boostProposal would pay a partial compensation fee of 50, the funds being depleted (funds: 50)');
+        result = await run('boost', '0', '--account', '2', '--allow-partial-fee');
+        expect(result.output).toMatch(/CompensationsDepleted\(proposal 0, fee: 400, paid: 50\)/);
+    });
+
+    test('Limits proposals and cancels them', async () => {
+        await run('grant-role', 'MODIFY_PROPOSAL_LIMITS_ROLE', accounts[0]);
+        let result = await run('set-proposal-limits', '300', '3600');
+        expect(result.code).toBe(0);
+
+        result = await run('propose', 'Mine', '--account', '1');
+        expect(result.output).toMatch(/Created proposal 0/);
+        expect((await run('status', '0')).output).toMatch(new RegExp(`creator: ${accounts[1]}  deposit: 300`));
+        expect((await run('propose', 'Mine again', '--account', '1')).output).toBe('Transaction reverted: VOTING_ERROR_PROPOSAL_RATE_LIMITED');
+
+        expect((await run('cancel', '0')).output).toBe('Transaction reverted: VOTING_ERROR_PROPOSAL_CANNOT_BE_CANCELLED');
+        result = await run('cancel', '0', '--account', '1');
+        expect(result.output).toMatch(/DepositRefunded\(proposal 0, creator: .*, amount: 300\)/);
+        expect((await run('status', '0')).output).toMatch(/Proposal 0: Cancelled/);
+    });
+
+    test('Commits and reveals votes, keeping their salts', async () => {
+        const saltDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-salts-'));
+        try {
+            const settings = await new HCClient(web3, hcAddress).getSettings();
+            hcAddress = JSON.parse((await run('deploy', '--json')).output).address;
+            let result = await run('init',
+                '--vote-token', settings.voteToken,
+                '--stake-token', settings.stakeToken,
+                '--support-pct', '51',
+                '--queue-period', '86400',
+                '--boost-period', '21600',
+                '--quiet-ending-period', '3600',
+                '--compensation-fee-pct', '10',
+                '--pended-boost-period', '3600',
+                '--confidence-threshold-base', '4',
+                '--reveal-period', '7200'
+            );
+            expect(result.code).toBe(0);
+            await run('propose', 'Keep it secret');
+
+            result = await run('commit', '0', 'nay', '--account', '1', '--salt-dir', saltDir);
+            expect(result.output).toMatch(/VoteCommitted\(proposal 0, voter: .*, commitment: 0x[0-9a-f]{64}\)/);
+            expect((await run('status', '0')).output).toMatch(/vote phase: Commit  unrevealed commitments: 1/);
+
+            await util.advanceTimeAndBlock(86400 - 3600);
+            result = await run('reveal', '0', accounts[1], '--salt-dir', saltDir);
+            expect(result.output).toMatch(/VoteCasted\(proposal 0, voter: .*, supports: false, votingPower: 100\)/);
+            result = await run('status', '0');
+            expect(result.output).toMatch(/yea: 0  nay: 100/);
+            expect(result.output).toMatch(/vote phase: Reveal  unrevealed commitments: 0/);
+        }
+        finally {
+            fs.rmdirSync(saltDir, { recursive: true });
+        }
+    });
+
+    test('Deploys voting strategies and predicts voting weights', async () => {
+        let result = await run('deploy-strategy', 'Capped', '150', '--json');
+        expect(result.code).toBe(0);
+        const strategy = JSON.parse(result.output);
+        expect(strategy).toMatchObject({ name: 'Capped', cap: '150' });
+
+        const settings = await new HCClient(web3, hcAddress).getSettings();
+        hcAddress = JSON.parse((await run('deploy', '--json')).output).address;
+        result = await run('init',
+            '--vote-token', settings.voteToken,
+            '--stake-token', settings.stakeToken,
+            '--support-pct', '51',
+            '--queue-period', '86400',
+            '--boost-period', '21600',
+            '--quiet-ending-period', '3600',
+            '--compensation-fee-pct', '10',
+            '--pended-boost-period', '3600',
+            '--confidence-threshold-base', '4',
+            '--voting-strategy', strategy.address
+        );
+        expect(result.code).toBe(0);
+
+        result = await run('weight', accounts[2], '--cap', '50');
+        expect(result.output).toBe('voting power: 200  weight: 150 (Capped)\n  Linear: 200\n  Quadratic: 14\n  Capped: 50');
+        await run('propose', 'Cap the whales');
+        result = await run('vote', '0', 'yea', '--account', '2');
+        expect(result.output).toMatch(/VoteCasted\(proposal 0, voter: .*, supports: true, votingPower: 150\)/);
+
+        expect((await run('deploy-strategy', 'Cubic')).output).toBe('Expected one of Linear, Quadratic, Capped, Weighted, got Cubic');
+    });
+
+    test('Prints revert reasons', async () => {
+        let result = await run('vote', '3', 'yea', '--account', '1');
+        expect(result.code).toBe(1);
+        expect(result.output).toBe('Transaction reverted: VOTING_ERROR_PROPOSAL_DOES_NOT_EXIST');
+
+        result = await run('vote', '3', 'yea', '--account', '1', '--json');
+        expect(JSON.parse(result.output).reason).toBe('VOTING_ERROR_PROPOSAL_DOES_NOT_EXIST');
+    });
+
+    test('Rejects invalid usage', async () => {
+        expect((await run('unknown')).code).toBe(1);
+        expect((await run('vote', '0', 'maybe')).output).toBe('Expected yea or nay, got maybe');
+    });
+});
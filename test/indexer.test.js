@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const util = require('../scripts/util.js');
+const { HCClient } = require('../scripts/client.js');
+const { Indexer } = require('../scripts/indexer.js');
+const { MetadataStore } = require('../scripts/metadata.js');
+
+describe('Indexer', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+
+    let client;
+    let dataDir;
+    let fromBlock;
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-indexer-'));
+
+        const voteTokenContract = await deploy('Token', [], txParams);
+        const stakeTokenContract = await deploy('Token', [], txParams);
+        client = await HCClient.deploy('localhost', txParams);
+        fromBlock = await web3.eth.getBlockNumber();
+        await client.initialize({
+            voteToken: voteTokenContract.options.address,
+            supportPct: 51,
+            queuePeriod: 24 * 60 * 60,
+            boostPeriod: 6 * 60 * 60,
+            quietEndingPeriod: 60 * 60,
+            compensationFeePct: 10,
+            stakeToken: stakeTokenContract.options.address,
+            pendedBoostPeriod: 60 * 60,
+            confidenceThresholdBase: 4
+        });
+        await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+        await voteTokenContract.methods.mint(accounts[2], 200).send({ ...txParams });
+        // Note: Minted to another account, so that no single vote reaches absolute majority.
+        await voteTokenContract.methods.mint(accounts[3], 100).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[1], 10000).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[2], 10000).send({ ...txParams });
+
+        // Create a few proposals with votes and stakes.
+        client.metadataStore = new MetadataStore(path.join(dataDir, 'metadata'));
+        await client.createProposal('Proposal 0');
+        await client.createProposal('Proposal 1', { from: accounts[1] });
+        await client.vote(0, true, { from: accounts[1] });
+        await client.vote(1, false, { from: accounts[2] });
+        await client.stake(1, 4000, true, { from: accounts[1] });
+        await client.stake(1, 500, false, { from: accounts[2] });
+        await client.unstake(1, 1000, true, { from: accounts[1] });
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(dataDir, { recursive: true });
+    });
+
+    test('Indexes proposals, votes and stakes', async () => {
+        const indexer = new Indexer(client, { dataDir, fromBlock, batchSize: 3, log: () => {} });
+        await indexer.sync();
+
+        const proposal = indexer.getProposal(1);
+        expect(proposal.creator).toBe(accounts[1]);
+        expect(proposal.metadata).toEqual({ version: 1, title: 'Proposal 1' });
+        expect(proposal.metadataError).toBeNull();
+        expect(proposal.state).toBe('Pended');
+        expect(proposal.nay).toBe('200');
+        expect(proposal.upstake).toBe('3000');
+        expect(proposal.stakes[accounts[1]]).toEqual({ upstake: '3000', downstake: '0' });
+        expect(proposal.stakes[accounts[2]]).toEqual({ upstake: '0', downstake: '500' });
+
+        expect(indexer.getProposals()).toHaveLength(2);
+        expect(indexer.getProposals('Pended').map(proposal => proposal.id)).toEqual([1]);
+
+        const account = indexer.getAccount(accounts[1]);
+        expect(account.proposalsCreated).toEqual([1]);
+        expect(account.votes).toEqual([{ proposalId: 0, supports: true, votingPower: '100' }]);
+        expect(account.stakes).toEqual([{ proposalId: 1, upstake: '3000', downstake: '0' }]);
+    });
+
+    test('Tracks proposal lifetimes, from the queue period to the boost period', async () => {
+        const indexer = new Indexer(client, { dataDir, fromBlock, log: () => {} });
+        await indexer.sync();
+        expect(indexer.getProposal(0).lifetime).toBe(24 * 60 * 60);
+        expect(indexer.getProposal(1).lifetime).toBe(24 * 60 * 60);
+
+        await util.advanceTimeAndBlock(60 * 60);
+        await client.boostProposal(1, undefined, { allowPartialFee: true });
+        await indexer.sync();
+        expect(indexer.getProposal(0).lifetime).toBe(24 * 60 * 60);
+        expect(indexer.getProposal(1).state).toBe('Boosted');
+        expect(indexer.getProposal(1).lifetime).toBe(6 * 60 * 60);
+    });
+
+    test('Reports proposal metadata that is missing or doesn\'t match its hash', async () => {
+        const [hash0, hash1] = [await client.getProposalMetadataHash(0), await client.getProposalMetadataHash(1)];
+        fs.writeFileSync(path.join(dataDir, 'metadata', `${hash0}.json`), JSON.stringify({ version: 1, title: 'Tampered' }));
+        fs.unlinkSync(path.join(dataDir, 'metadata', `${hash1}.json`));
+
+        const indexer = new Indexer(client, { dataDir, fromBlock, log: () => {} });
+        await indexer.sync();
+        expect(indexer.getProposal(0).metadata).toBeNull();
+        expect(indexer.getProposal(0).metadataError).toMatch(/doesn't match its hash/);
+        expect(indexer.getProposal(1).metadata).toBeNull();
+        expect(indexer.getProposal(1).metadataError).toBeNull();
+    });
+
+    test('Indexes vote token balances, delegation and overridden votes', async () => {
+        // Mint to another account, so that the delegate's vote doesn't reach absolute majority.
+        const voteToken = await client.getVoteToken();
+        await voteToken.methods.mint(accounts[3], 300).send({ ...txParams });
+        await client.delegate(accounts[2], { from: accounts[1] });
+        const { proposalId } = await client.createProposal('Proposal 2');
+        await client.vote(proposalId, true, { from: accounts[2] });
+        await client.vote(proposalId, false, { from: accounts[1] });
+
+        const indexer = new Indexer(client, { dataDir, fromBlock, batchSize: 3, log: () => {} });
+        await indexer.sync();
+
+        const proposal = indexer.getProposal(proposalId);
+        expect(proposal.yea).toBe('200');
+        expect(proposal.nay).toBe('100');
+        expect(proposal.votes[accounts[2]].votingPower).toBe('200');
+
+        const delegator = indexer.getAccount(accounts[1]);
+        expect(delegator.balance).toBe('100');
+        expect(delegator.delegate).toBe(accounts[2]);
+        expect(delegator.effectiveVotingPower).toBe('0');
+        const delegate = indexer.getAccount(accounts[2]);
+        expect(delegate.delegatedVotingPower).toBe('100');
+        expect(delegate.effectiveVotingPower).toBe('300');
+    });
+
+    test('Resumes from the store after a restart', async () => {
+        const indexer = new Indexer(client, { dataDir, fromBlock, log: () => {} });
+        const lastBlock = await indexer.sync();
+
+        await client.vote(1, true, { from: accounts[1] });
+
+        const restartedIndexer = new Indexer(client, { dataDir, fromBlock, log: () => {} });
+        expect(restartedIndexer.getLastBlock()).toBe(lastBlock);
+        expect(restartedIndexer.getProposal(1).yea).toBe('0');
+        await restartedIndexer.sync();
+        expect(restartedIndexer.getProposal(1).yea).toBe('100');
+    });
+
+    test('Discards events from blocks that were reorganized', async () => {
+        const indexer = new Indexer(client, { dataDir, fromBlock, log: () => {} });
+        await indexer.sync();
+
+        // Replace the last blocks with a different history.
+        const snapshotId = await util.snapshot();
+        await client.vote(0, false, { from: accounts[2] });
+        await indexer.sync();
+        expect(indexer.getProposal(0).nay).toBe('200');
+        await util.revert(snapshotId);
+        await client.vote(1, true, { from: accounts[1] });
+        await util.advanceBlock();
+
+        await indexer.sync();
+        expect(indexer.getProposal(0).nay).toBe('0');
+        expect(indexer.getProposal(1).yea).toBe('100');
+    });
+});
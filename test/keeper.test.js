@@ -0,0 +1,135 @@
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const util = require('../scripts/util.js');
+const { HCClient } = require('../scripts/client.js');
+const { Keeper, getReadyAction } = require('../scripts/keeper.js');
+
+describe('Keeper', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+
+    let stakeTokenContract;
+    let client;
+    let keeper;
+
+    const HOURS = 60 * 60;
+    const QUEUE_PERIOD_SECS = 24 * HOURS;
+    const PENDED_BOOST_PERIOD_SECS = 1 * HOURS;
+    const BOOST_PERIOD_SECS = 6 * HOURS;
+    const COMPENSATION_FEE_PERCENT = 10;
+    const INITIAL_VOTING_STAKE_TOKEN_BALANCE = 100000000000;
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    beforeEach(async () => {
+        const voteTokenContract = await deploy('Token', [], txParams);
+        stakeTokenContract = await deploy('Token', [], txParams);
+        client = await HCClient.deploy('localhost', txParams);
+        await client.initialize({
+            voteToken: voteTokenContract.options.address,
+            supportPct: 51,
+            queuePeriod: QUEUE_PERIOD_SECS,
+            boostPeriod: BOOST_PERIOD_SECS,
+            quietEndingPeriod: 1 * HOURS,
+            compensationFeePct: COMPENSATION_FEE_PERCENT,
+            stakeToken: stakeTokenContract.options.address,
+            pendedBoostPeriod: PENDED_BOOST_PERIOD_SECS,
+            confidenceThresholdBase: 4
+        });
+
+        // Fund stakers and the compensation fees.
+        await stakeTokenContract.methods.mint(accounts[1], 100000).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[9], INITIAL_VOTING_STAKE_TOKEN_BALANCE).send({ ...txParams });
+        await client.fundCompensations(INITIAL_VOTING_STAKE_TOKEN_BALANCE, { from: accounts[9] });
+
+        keeper = new Keeper(client, { weiPerStakeToken: 10000, log: () => {} });
+    });
+
+    test('Determines ready actions from proposal deadlines', () => {
+        const settings = { pendedBoostPeriod: PENDED_BOOST_PERIOD_SECS, compensationFeePct: COMPENSATION_FEE_PERCENT };
+        const proposal = {
+            id: 3,
+            state: 'Pended',
+            startDate: new Date(1000 * 1000),
+            lifetime: QUEUE_PERIOD_SECS,
+            lastPendedDate: new Date(2000 * 1000),
+            upstake: client.web3.utils.toBN(50000)
+        };
+
+        // Not pended for long enough.
+        expect(getReadyAction(proposal, settings, 2000 + PENDED_BOOST_PERIOD_SECS - 1)).toBeNull();
+
+        // Boostable, with a fee proportional to the time elapsed since it became boostable.
+        const boost = getReadyAction(proposal, settings, 2000 + PENDED_BOOST_PERIOD_SECS + 100);
+        expect(boost.method).toBe('boostProposal');
+        expect(boost.proposalId).toBe(3);
+        expect(boost.fee.toString()).toBe('10');
+
+        // Past its lifetime, the proposal can only be expired.
+        const expire = getReadyAction(proposal, settings, 1000 + QUEUE_PERIOD_SECS + 200);
+        expect(expire.method).toBe('expireNonBoostedProposal');
+        expect(expire.fee.toString()).toBe('20');
+
+        // Closed proposals have no actions.
+        expect(getReadyAction({ ...proposal, state: 'Resolved' }, settings, 1000 + QUEUE_PERIOD_SECS + 200)).toBeNull();
+
+        // Fees follow the fee curve, and are limited by the compensation funds.
+        const stepSettings = { ...settings, compensationFeeCurve: 'Step', compensationFeePeriod: 300 };
+        expect(getReadyAction(proposal, stepSettings, 1000 + QUEUE_PERIOD_SECS + 200).fee.toString()).toBe('0');
+        expect(getReadyAction(proposal, stepSettings, 1000 + QUEUE_PERIOD_SECS + 300).fee.toString()).toBe('5000');
+        expect(getReadyAction(proposal, stepSettings, 1000 + QUEUE_PERIOD_SECS + 300, client.web3.utils.toBN(1200))).toMatchObject({ depleted: true });
+        expect(getReadyAction(proposal, stepSettings, 1000 + QUEUE_PERIOD_SECS + 300, client.web3.utils.toBN(1200)).fee.toString()).toBe('1200');
+    });
+
+    test('Boosts, resolves and expires proposals whose deadlines have passed', async () => {
+
+        // Pend proposal 0 and leave proposal 1 in the queue with some stake, but not enough confidence.
+        await client.createProposal('Boost me');
+        await client.createProposal('Expire me');
+        await client.stake(0, 40000, true, { from: accounts[1] });
+        await client.stake(1, 1000, true, { from: accounts[1] });
+        await client.stake(1, 2000, false, { from: accounts[1] });
+        expect(await keeper.runOnce()).toEqual([]);
+
+        // Boost proposal 0.
+        await util.advanceTimeAndBlock(PENDED_BOOST_PERIOD_SECS + 2 * HOURS);
+        let results = await keeper.runOnce();
+        expect(results).toHaveLength(1);
+        expect(results[0].method).toBe('boostProposal');
+        expect(results[0].sent).toBe(true);
+        expect((await client.getProposal(0)).state).toBe('Boosted');
+
+        // Resolve proposal 0 and expire proposal 1.
+        const balance = await stakeTokenContract.methods.balanceOf(accounts[0]).call();
+        await util.advanceTimeAndBlock(QUEUE_PERIOD_SECS);
+        results = await keeper.runOnce();
+        expect(results.map(result => result.method)).toEqual(['resolveBoostedProposal', 'expireNonBoostedProposal']);
+        expect((await client.getProposal(0)).state).toBe('Rejected'); // Without votes, there's no relative majority
+        expect((await client.getProposal(1)).state).toBe('Expired');
+        const newBalance = await stakeTokenContract.methods.balanceOf(accounts[0]).call();
+        expect(parseInt(newBalance, 10)).toBeGreaterThan(parseInt(balance, 10));
+    });
+
+    test('Skips actions whose fee does not cover the gas cost', async () => {
+        await client.createProposal('Expire me');
+        await client.stake(0, 1000, true, { from: accounts[1] });
+        await client.stake(0, 1000, false, { from: accounts[1] });
+        await util.advanceTimeAndBlock(QUEUE_PERIOD_SECS + 2 * HOURS);
+
+        keeper.weiPerStakeToken = client.web3.utils.toBN(0);
+        const results = await keeper.runOnce();
+        expect(results[0].sent).toBe(false);
+        expect(results[0].reason).toBe('unprofitable');
+        expect((await client.getProposal(0)).state).not.toBe('Expired');
+    });
+});
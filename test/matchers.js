@@ -0,0 +1,63 @@
+const { decodeRevert } = require('../scripts/reverts.js');
+
+// Jest matchers for transactions and calls that should revert, e.g.
+// await expect(contract.methods.vote(0, true).send(txParams)).toRevertWith('PROPOSAL_IS_CLOSED');
+// Expected errors are names of the error constants in HCBase.sol without the ERROR_ prefix,
+// or revert reasons such as 'SafeMath: subtraction overflow'.
+
+// Waits for a promise, or a function returning one, and returns how it reverted.
+const settle = async (received) => {
+    try {
+        await (typeof received === 'function' ? received() : received);
+    }
+    catch(error) {
+        return { error, revert: decodeRevert(error) };
+    }
+    return { error: null, revert: null };
+};
+
+const describeOutcome = ({ error, revert }) => {
+    if(!error) return 'it did not revert';
+    if(!revert) return `it failed without reverting: ${error.message}`;
+    if(revert.reason === null) return 'it reverted without a reason';
+    return `it reverted with ${revert.errorName || revert.reason.trim()}`;
+};
+
+module.exports = {
+
+    async toRevertWith(received, expected) {
+        const outcome = await settle(received);
+        const { revert } = outcome;
+        const pass = revert !== null && revert.reason !== null &&
+            (revert.errorName === expected || revert.reason.trim() === expected.trim());
+        return {
+            pass,
+            message: () => pass
+                ? `Expected not to revert with ${expected}`
+                : `Expected to revert with ${expected}, but ${describeOutcome(outcome)}`
+        };
+    },
+
+    // Unnamed requires, such as the state checks in boostProposal.
+    async toRevertWithoutReason(received) {
+        const outcome = await settle(received);
+        const pass = outcome.revert !== null && outcome.revert.reason === null;
+        return {
+            pass,
+            message: () => pass
+                ? 'Expected not to revert without a reason'
+                : `Expected to revert without a reason, but ${describeOutcome(outcome)}`
+        };
+    },
+
+    async toRevert(received) {
+        const outcome = await settle(received);
+        const pass = outcome.revert !== null;
+        return {
+            pass,
+            message: () => pass
+                ? `Expected not to revert, but ${describeOutcome(outcome)}`
+                : `Expected to revert, but ${describeOutcome(outcome)}`
+        };
+    }
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proposalMetadata = require('../scripts/metadata.js');
+
+describe('Proposal metadata', () => {
+
+    const document = {
+        version: 1,
+        title: 'Pay the auditors',
+        description: 'Pays for the audit of the staking contracts.',
+        links: [{ title: 'Quote', url: 'ipfs://QmQuote' }],
+        action: { summary: 'Transfer 500 tokens to the auditors', script: '0x' }
+    };
+
+    test('Validates documents against the schema of their version', () => {
+        expect(proposalMetadata.validate(document)).toEqual([]);
+        expect(proposalMetadata.validate(proposalMetadata.fromTitle('Title only'))).toEqual([]);
+
+        expect(proposalMetadata.validate('Title')).toEqual(['metadata must be of type object']);
+        expect(proposalMetadata.validate({ title: 'No version' })).toEqual(['metadata.version must be one of 1']);
+        expect(proposalMetadata.validate({ version: 1, title: '', links: [{ url: 'javascript:alert(1)' }], extra: true })).toEqual([
+            'metadata.title must have at least 1 characters',
+            'metadata.links[0].url must match ^(https?|ipfs)://\\S+$',
+            'metadata.extra is not allowed'
+        ]);
+        expect(proposalMetadata.validate({ version: 1, title: 'Bad action', action: { script: '0x1' } })).toEqual([
+            'metadata.action.summary is required',
+            'metadata.action.script must match ^0x([0-9a-fA-F]{2})*$'
+        ]);
+    });
+
+    test('Encodes documents canonically', () => {
+        const reordered = { action: { script: '0x', summary: document.action.summary }, links: document.links, title: document.title, description: document.description, version: 1 };
+        expect(proposalMetadata.encode(reordered)).toBe(proposalMetadata.encode(document));
+        expect(proposalMetadata.hash(reordered)).toBe(proposalMetadata.hash(document));
+        expect(proposalMetadata.encode(proposalMetadata.fromTitle('Ünïcode'))).toBe('{"title":"Ünïcode","version":1}');
+        expect(proposalMetadata.hash(proposalMetadata.fromTitle('Ünïcode'))).toMatch(/^0x[0-9a-f]{64}$/);
+
+        expect(proposalMetadata.decode(proposalMetadata.encode(document))).toEqual(document);
+        expect(() => proposalMetadata.encode({ version: 1 })).toThrow('Invalid metadata: metadata.title is required');
+    });
+
+    test('Keeps documents in a content addressed store', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-metadata-'));
+        try {
+            const store = new proposalMetadata.MetadataStore(dir);
+            const hash = store.put(document);
+            expect(hash).toBe(proposalMetadata.hash(document));
+            expect(store.put(document)).toBe(hash);
+            expect(store.get(hash)).toEqual(document);
+            expect(store.get(hash.toUpperCase().replace('0X', '0x'))).toEqual(document);
+            expect(store.get(proposalMetadata.hash(proposalMetadata.fromTitle('Missing')))).toBeNull();
+            expect(() => store.get('../secrets')).toThrow('Invalid metadata hash');
+
+            // Documents fetched from elsewhere are checked when read.
+            fs.writeFileSync(path.join(dir, `${hash}.json`), proposalMetadata.encode({ ...document, title: 'Pay me' }));
+            expect(() => store.get(hash)).toThrow(`Metadata ${hash} doesn't match its hash`);
+            expect(() => store.putEncoded('{"version":1}')).toThrow('metadata.title is required');
+        }
+        finally {
+            fs.rmdirSync(dir, { recursive: true });
+        }
+    });
+});
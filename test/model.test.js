@@ -0,0 +1,288 @@
+const BN = require('bn.js');
+const errors = require('../scripts/errors.js');
+const hcMath = require('../scripts/hcMath.js');
+const commitReveal = require('../scripts/commitReveal.js');
+const { HCModel, ModelRevert, SELF } = require('../scripts/model.js');
+const { DEFAULT_SETTINGS, simulate, checkAgainstContract } = require('../scripts/simulate.js');
+
+describe('HCModel', () => {
+
+    const HOURS = 60 * 60;
+
+    let model;
+
+    const expectRevert = (fn, reason) => {
+        let error;
+        try {
+            fn();
+        }
+        catch(e) { error = e }
+        expect(error).toBeInstanceOf(ModelRevert);
+        expect(error.reason).toBe(reason);
+    };
+
+    beforeEach(() => {
+        model = new HCModel(DEFAULT_SETTINGS, 1000);
+        model.voteToken.mint('voter1', 10);
+        model.voteToken.mint('voter2', 20);
+        model.voteToken.mint('voter3', 70);
+        model.stakeToken.mint('staker', 100000);
+        model.stakeToken.mint('funder', 100000);
+        model.stakeToken.approve('funder', SELF, 100000);
+        model.fundCompensations('funder', 100000);
+        model.stakeToken.approve('staker', SELF, 100000);
+        model.createProposal('voter1', 'DAOs should rule the world');
+    });
+
+    test('Reverts with the contract\'s error messages', () => {
+        expectRevert(() => model.vote('voter1', 1, true), errors.PROPOSAL_DOES_NOT_EXIST);
+        expectRevert(() => model.vote('nobody', 0, true), errors.USER_HAS_NO_VOTING_POWER);
+        expectRevert(() => model.stake('staker', 0, 200000, true), errors.SENDER_DOES_NOT_HAVE_ENOUGH_FUNDS);
+        expectRevert(() => model.boostProposal('staker', 0), errors.PROPOSAL_IS_NOT_PENDED);
+    });
+
+    test('Takes voting power from balances as of the proposal\'s creation', () => {
+        model.voteToken.mint('voter4', 1000);
+        expect(model.getVotingPower(0, 'voter4').toString()).toBe('0');
+        expectRevert(() => model.vote('voter4', 0, true), errors.USER_HAS_NO_VOTING_POWER);
+
+        // Absolute majority is measured against the total supply as of the proposal's creation.
+        model.vote('voter3', 0, true);
+        expect(model.getCastVotingPower(0, 'voter3').toString()).toBe('70');
+        expect(model.getProposal(0).state).toBe('Resolved');
+    });
+
+    test('Rejects proposals with absolute majority against them', () => {
+        model.stake('staker', 0, 1000, false);
+        model.vote('voter3', 0, false);
+        expect(model.getProposal(0).state).toBe('Rejected');
+        expect(model.getProposalOutcome(0)).toBe('Nay');
+        expectRevert(() => model.expireNonBoostedProposal('keeper', 0), errors.PROPOSAL_IS_CLOSED);
+
+        model.withdrawRewardFromResolvedProposal('staker', 0);
+        expect(model.stakeToken.balanceOf('staker').toString()).toBe('100000');
+    });
+
+    test('Counts delegated voting power, unless delegators vote themselves', () => {
+        model.voteToken.delegate('voter1', 'voter2');
+        model.createProposal('voter1', 'Delegated');
+        expect(model.getVotingPower(1, 'voter2').toString()).toBe('30');
+
+        model.vote('voter2', 1, true);
+        model.vote('voter1', 1, false);
+        expect(model.getCastVotingPower(1, 'voter2').toString()).toBe('20');
+        expect(model.getProposal(1).yea.toString()).toBe('20');
+        expect(model.getProposal(1).nay.toString()).toBe('10');
+
+        // Delegation doesn't affect proposals created before it.
+        expect(model.getVotingPower(0, 'voter2').toString()).toBe('20');
+    });
+
+    test('Weighs votes with the voting strategy, taking the weight that delegates lose out of their votes', () => {
+        model = new HCModel({ ...DEFAULT_SETTINGS, votingStrategy: { name: 'Quadratic' } }, 1000);
+        model.voteToken.mint('voter1', 100);
+        model.voteToken.mint('voter2', 100);
+        model.voteToken.mint('voter3', 100);
+        model.voteToken.mint('voter4', 400);
+        model.voteToken.delegate('voter2', 'voter3');
+        model.createProposal('voter1', 'Weighed');
+        expect(model.getVotingPower(0, 'voter3').toString()).toBe('14');
+
+        model.vote('voter3', 0, false);
+        model.vote('voter2', 0, true);
+        const override = model.events[model.events.length - 2];
+        expect(override.event).toBe('DelegatedVoteOverridden');
+        expect(override.votingPower.toString()).toBe('4');
+        expect(model.getCastVotingPower(0, 'voter3').toString()).toBe('10');
+
+        // The total weight is bounded by sqrt(700 * 4) = 52.
+        model.vote('voter4', 0, true);
+        expect(model.getProposal(0).state).toBe('Resolved');
+    });
+
+    test('Does not modify state when reverting', () => {
+        model.stakeToken.approve('staker', SELF, 10);
+        expectRevert(() => model.stake('staker', 0, 1000, true), errors.INSUFFICIENT_ALLOWANCE);
+        expect(model.getProposal(0).upstake.toString()).toBe('0');
+        expect(model.stakeToken.balanceOf('staker').toString()).toBe('100000');
+    });
+
+    test('Walks a proposal through pending, boosting, quiet ending extensions and resolution', () => {
+        model.stake('staker', 0, 8000, true);
+        model.stake('staker', 0, 2000, false);
+        expect(model.getProposal(0).state).toBe('Pended');
+        expect(model.getProposal(0).lastPendedDate).toBe(1000);
+
+        model.now += DEFAULT_SETTINGS.pendedBoostPeriod + 100;
+        model.boostProposal('keeper', 0);
+        let proposal = model.getProposal(0);
+        expect(proposal.state).toBe('Boosted');
+        expect(proposal.lifetime).toBe(DEFAULT_SETTINGS.boostPeriod);
+        expect(proposal.compensationFeesPaid.toString()).toBe('10');
+        expect(model.stakeToken.balanceOf('keeper').toString()).toBe('10');
+
+        model.vote('voter2', 0, true);
+        model.vote('voter1', 0, false);
+        proposal = model.getProposal(0);
+        expect(proposal.lastRelativeSupport).toBe('Yea');
+        expect(proposal.lifetime).toBe(DEFAULT_SETTINGS.boostPeriod + DEFAULT_SETTINGS.quietEndingPeriod);
+
+        model.now += 24 * HOURS;
+        model.resolveBoostedProposal('keeper', 0);
+        expect(model.getProposal(0).state).toBe('Resolved');
+
+        expect(model.getProposalOutcome(0)).toBe('Yea');
+        expect(model.getClaimable(0, 'staker').toString()).toBe('10000');
+        model.withdrawRewardFromResolvedProposal('staker', 0);
+        expect(model.stakeToken.balanceOf('staker').toString()).toBe('100000');
+        expect(model.getClaimed(0, 'staker').toString()).toBe('10000');
+        expect(() => model.claimMany('staker', [0])).toThrow('NOTHING_TO_CLAIM');
+    });
+
+    test('Commits and reveals votes, reopening the commit phase with quiet ending extensions', () => {
+        const VOTERS = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002'];
+        model = new HCModel({ ...DEFAULT_SETTINGS, revealPeriod: HOURS / 2 }, 1000);
+        model.voteToken.mint(VOTERS[0], 10);
+        model.voteToken.mint(VOTERS[1], 20);
+        model.voteToken.mint('voter3', 70);
+        model.stakeToken.mint('staker', 10000);
+        model.stakeToken.approve('staker', SELF, 10000);
+        model.createProposal(VOTERS[0], 'DAOs should rule the world');
+        model.stake('staker', 0, 8000, true);
+        model.now += DEFAULT_SETTINGS.pendedBoostPeriod;
+        model.boostProposal('keeper', 0);
+
+        const salts = [commitReveal.createSalt(), commitReveal.createSalt()];
+        model.commitVote(VOTERS[0], 0, commitReveal.hashVote(0, VOTERS[0], false, salts[0]));
+        model.commitVote(VOTERS[1], 0, commitReveal.hashVote(0, VOTERS[1], true, salts[1]));
+        expectRevert(() => model.vote('voter3', 0, true), errors.INVALID_VOTE_PHASE);
+        expectRevert(() => model.revealVote('anyone', 0, VOTERS[1], true, salts[1]), errors.INVALID_VOTE_PHASE);
+
+        // A reveal that flips the relative support extends the proposal's lifetime past the reveal phase.
+        model.now = 1000 + DEFAULT_SETTINGS.boostPeriod - 20 * 60;
+        expectRevert(() => model.commitVote(VOTERS[0], 0, salts[0]), errors.INVALID_VOTE_PHASE);
+        model.revealVote('anyone', 0, VOTERS[1], true, salts[1]);
+        expect(model.getProposal(0).yea.toString()).toBe('20');
+        expect(model.getProposal(0).lifetime).toBe(DEFAULT_SETTINGS.boostPeriod + DEFAULT_SETTINGS.quietEndingPeriod);
+        expect(model.getVoteCommitment(0, VOTERS[1])).toBeNull();
+        expectRevert(() => model.revealVote(VOTERS[0], 0, VOTERS[0], false, salts[0]), errors.INVALID_VOTE_PHASE);
+        model.commitVote(VOTERS[1], 0, commitReveal.hashVote(0, VOTERS[1], false, salts[1]));
+
+        // Voters that commit again keep their revealed vote until they reveal the new one.
+        model.now += HOURS;
+        expectRevert(() => model.revealVote(VOTERS[0], 0, VOTERS[0], true, salts[0]), errors.INVALID_COMMITMENT);
+        model.revealVote(VOTERS[0], 0, VOTERS[0], false, salts[0]);
+        expect(model.getProposal(0).yea.toString()).toBe('20');
+        expect(model.getProposal(0).nay.toString()).toBe('10');
+        expect(model.getVoteCommitment(0, VOTERS[1])).toBe(commitReveal.hashVote(0, VOTERS[1], false, salts[1]));
+    });
+
+    test('Raises the confidence threshold with each boosted proposal', () => {
+        const threshold = (numBoosted) => hcMath.calculateConfidenceThreshold(DEFAULT_SETTINGS.confidenceThresholdBase, numBoosted);
+        expect(model.getConfidenceThreshold().toString()).toBe(hcMath.PRECISION_MULTIPLIER.toString());
+        expect(threshold(2).toString()).toBe(hcMath.PRECISION_MULTIPLIER.muln(16).toString());
+        expect(threshold(1000).toString()).toBe(new BN(2).pow(new BN(256)).subn(1).toString());
+
+        model.stake('staker', 0, 8000, true);
+        model.now += DEFAULT_SETTINGS.pendedBoostPeriod;
+        model.boostProposal('keeper', 0);
+        expect(model.numBoostedProposals).toBe(1);
+        expect(model.getConfidenceThreshold().toString()).toBe(threshold(1).toString());
+
+        // A proposal without enough confidence for the raised threshold is pended once the threshold
+        // falls back and the proposal is brought up to date.
+        model.createProposal('voter1', 'Proposal 1');
+        model.stake('staker', 1, 2000, true);
+        model.stake('staker', 1, 1000, false);
+        expect(model.getProposal(1).state).toBe('Unpended');
+        model.vote('voter3', 0, true);
+        expect(model.numBoostedProposals).toBe(0);
+        model.updateProposalConfidence('keeper', 1);
+        expect(model.getProposal(1).state).toBe('Pended');
+    });
+
+    test('Pays compensation fees along the fee curve, out of the compensation funds only', () => {
+        expect(hcMath.calculateCompensationFee(8000, 10, 1000, 1300).toString()).toBe('30');
+        expect(hcMath.calculateCompensationFee(8000, 10, 1000, 1059, 'Step', 60).toString()).toBe('0');
+        expect(hcMath.calculateCompensationFee(8000, 10, 1000, 1060, 'Step', 60).toString()).toBe('800');
+        expect(hcMath.calculateCompensationFee(8000, 10, 1000, 1300, 'CappedExponential', 60).toString()).toBe('31');
+        expect(hcMath.calculateCompensationFee(8000, 10, 1000, 100000, 'CappedExponential', 60).toString()).toBe('800');
+
+        model = new HCModel({ ...DEFAULT_SETTINGS, compensationFeeCurve: 'CappedExponential', compensationFeePeriod: 60 }, 1000);
+        model.stakeToken.mint('staker', 8020);
+        model.stakeToken.approve('staker', SELF, 8020);
+        model.fundCompensations('staker', 20);
+        model.createProposal('staker', 'Expire me');
+        model.stake('staker', 0, 8000, true);
+
+        model.now += DEFAULT_SETTINGS.queuePeriod + 300;
+        model.expireNonBoostedProposal('keeper', 0);
+        expect(model.events.find(event => event.event === 'CompensationsDepleted')).toMatchObject({ proposalId: 0, fee: new BN(31), paid: new BN(20) });
+        expect(model.stakeToken.balanceOf('keeper').toString()).toBe('20');
+        expect(model.getProposal(0).compensationFeesPaid.toString()).toBe('20');
+        expect(model.compensationFunds.toString()).toBe('0');
+
+        model.withdrawStakeFromExpiredQueuedProposal('staker', 0);
+        expect(model.stakeToken.balanceOf('staker').toString()).toBe('8000');
+    });
+
+    test('Takes creation deposits, holding them until the proposal closes and refunding them unless it expires', () => {
+        model = new HCModel({ ...DEFAULT_SETTINGS, creationDeposit: 100, proposalCooldown: HOURS }, 1000);
+        model.voteToken.mint('voter', 10);
+        model.stakeToken.mint('creator', 1000);
+        expectRevert(() => model.createProposal('creator', 'Spam'), errors.INSUFFICIENT_ALLOWANCE);
+        model.stakeToken.approve('creator', SELF, 1000);
+        model.createProposal('creator', 'Spam');
+        expect(model.getProposal(0)).toMatchObject({ creator: 'creator', deposit: new BN(100) });
+        expectRevert(() => model.createProposal('creator', 'More spam'), errors.PROPOSAL_RATE_LIMITED);
+
+        model.now += HOURS;
+        model.createProposal('creator', 'More spam');
+        expect(model.stakeToken.balanceOf('creator').toString()).toBe('800');
+
+        // Cancelled by its creator.
+        expectRevert(() => model.cancelProposal('voter', 1), errors.PROPOSAL_CANNOT_BE_CANCELLED);
+        model.cancelProposal('creator', 1);
+        expect(model.getProposal(1).state).toBe('Cancelled');
+        expect(model.stakeToken.balanceOf('creator').toString()).toBe('900');
+
+        // Expired untouched.
+        model.now += DEFAULT_SETTINGS.queuePeriod;
+        model.expireNonBoostedProposal('keeper', 0);
+        expect(model.events.find(event => event.event === 'DepositForfeited')).toMatchObject({ proposalId: 0, amount: new BN(100) });
+        expect(model.getProposal(0).deposit.toString()).toBe('0');
+        expect(model.compensationFunds.toString()).toBe('100');
+
+        // Pended and unpended, then expired.
+        model.createProposal('creator', 'Staked spam');
+        model.stakeToken.mint('staker', 10);
+        model.stakeToken.approve('staker', SELF, 10);
+        model.stake('staker', 2, 10, true);
+        expect(model.getProposal(2).state).toBe('Pended');
+        model.unstake('staker', 2, 10, true);
+        expect(model.getProposal(2).deposit.toString()).toBe('100');
+        expectRevert(() => model.cancelProposal('creator', 2), errors.PROPOSAL_CANNOT_BE_CANCELLED);
+        model.now += DEFAULT_SETTINGS.queuePeriod;
+        model.expireNonBoostedProposal('keeper', 2);
+        expect(model.events.find(event => event.event === 'DepositRefunded' && event.proposalId === 2)).toMatchObject({ amount: new BN(100) });
+        expect(model.stakeToken.balanceOf('creator').toString()).toBe('900');
+        expect(model.compensationFunds.toString()).toBe('100');
+    });
+
+    test('Simulates many proposals until they are closed', () => {
+        const summary = simulate({ numProposals: 50, seed: 7 });
+        expect(summary.numProposals).toBe(50);
+        expect(summary.states.Resolved + summary.states.Rejected + summary.states.Expired).toBe(50);
+        expect(simulate({ numProposals: 50, seed: 7 })).toEqual(summary);
+    });
+
+    test('Matches the deployed contract step by step', async () => {
+        const result = await checkAgainstContract({ numSteps: 60, seed: 3 });
+        expect(result.numSteps).toBe(60);
+        await checkAgainstContract({ numSteps: 30, seed: 5, settings: { votingStrategy: { name: 'Quadratic' } } });
+    }, 240000);
+
+    test('Matches the deployed contract with creation deposits and a proposal cooldown', async () => {
+        await checkAgainstContract({ numSteps: 40, seed: 9, settings: { creationDeposit: 500, proposalCooldown: HOURS } });
+    });
+});
@@ -0,0 +1,120 @@
+const http = require('http');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const { HCClient } = require('../scripts/client.js');
+const { Relayer } = require('../scripts/relayer.js');
+
+describe('Relayer', () => {
+
+    let web3;
+    let accounts;
+    let txParams;
+
+    let stakeTokenContract;
+    let client;
+    let relayer;
+
+    const HOURS = 60 * 60;
+
+    beforeAll(async () => {
+        web3 = getWeb3('localhost');
+        accounts = await web3.eth.getAccounts();
+        txParams = {
+          from: accounts[0],
+          gas: 6700000,
+          gasPrice: 1
+        };
+    });
+
+    beforeEach(async () => {
+        const voteTokenContract = await deploy('Token', [], txParams);
+        stakeTokenContract = await deploy('Token', [], txParams);
+        client = await HCClient.deploy('localhost', txParams);
+        await client.initialize({
+            voteToken: voteTokenContract.options.address,
+            supportPct: 51,
+            queuePeriod: 24 * HOURS,
+            boostPeriod: 6 * HOURS,
+            quietEndingPeriod: 1 * HOURS,
+            compensationFeePct: 10,
+            stakeToken: stakeTokenContract.options.address,
+            pendedBoostPeriod: 1 * HOURS,
+            confidenceThresholdBase: 4
+        });
+        await voteTokenContract.methods.mint(accounts[1], 100).send({ ...txParams });
+        await voteTokenContract.methods.mint(accounts[2], 200).send({ ...txParams });
+        await voteTokenContract.methods.mint(accounts[3], 300).send({ ...txParams });
+        await stakeTokenContract.methods.mint(accounts[1], 10000).send({ ...txParams });
+        await client.createProposal('DAOs should rule the world');
+
+        // The relayer pays for the transactions from account 0.
+        relayer = new Relayer(client, { batchSize: 2, log: () => {} });
+    });
+
+    test('Submits signed votes and stakes in batches', async () => {
+        await relayer.add(await client.signVote(0, true, { from: accounts[1] }));
+        await relayer.add(await client.signStake(0, 4000, true, { from: accounts[1], nonce: 1 }));
+        await relayer.add(await client.signVote(0, false, { from: accounts[2] }));
+
+        let results = await relayer.flush();
+        expect(results.map(result => result.sent)).toEqual([true, true]);
+        expect(relayer.getPending()).toHaveLength(1);
+        results = await relayer.flush();
+        expect(results.map(result => result.sent)).toEqual([true]);
+
+        expect(await client.getVote(0, accounts[1])).toBe('Yea');
+        expect(await client.getVote(0, accounts[2])).toBe('Nay');
+        expect((await client.getUpstake(0, accounts[1])).toString()).toBe('4000');
+        expect(await client.getSignatureNonce(accounts[1])).toBe(2);
+    });
+
+    test('Keeps messages until the messages with lower nonces are submitted', async () => {
+        const first = await client.signVote(0, true, { from: accounts[1] });
+        const second = await client.signVote(0, false, { from: accounts[1], nonce: 1 });
+        await relayer.add(second);
+        expect(await relayer.flush()).toEqual([]);
+
+        await relayer.add(first);
+        const results = await relayer.flush();
+        expect(results.map(result => result.message.nonce)).toEqual([0, 1]);
+        expect(await client.getVote(0, accounts[1])).toBe('Nay');
+    });
+
+    test('Rejects invalid, used and expired messages', async () => {
+        const message = await client.signVote(0, true, { from: accounts[1] });
+        await expect(relayer.add({ ...message, supports: false })).rejects.toThrow('Invalid signature');
+        await expect(relayer.add({ ...message, type: 'unknown' })).rejects.toThrow('Invalid message');
+
+        await relayer.add(message);
+        await expect(relayer.add(message)).rejects.toThrow('already queued');
+        await relayer.flush();
+        await expect(relayer.add(message)).rejects.toThrow('already used');
+
+        const now = (await web3.eth.getBlock('latest')).timestamp;
+        const expired = await client.signVote(0, true, { from: accounts[2], deadline: now - 1 });
+        await expect(relayer.add(expired)).rejects.toThrow('expired');
+    });
+
+    test('Collects messages over http', async () => {
+        const server = relayer.serve(8546);
+        const post = (body) => new Promise((resolve, reject) => {
+            const request = http.request({ port: 8546, path: '/messages', method: 'POST' }, response => {
+                let data = '';
+                response.on('data', chunk => data += chunk);
+                response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+
+        try {
+            const message = await client.signVote(0, true, { from: accounts[1] });
+            expect(await post(JSON.stringify(message))).toEqual({ status: 202, body: { pending: 1 } });
+            expect((await post('not json')).status).toBe(400);
+            expect(relayer.getPending()).toEqual([message]);
+        }
+        finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,80 @@
+const Web3 = require('web3');
+const getWeb3 = require('../scripts/getWeb3.js');
+const deploy = require('../scripts/deploy.js');
+const errors = require('../scripts/errors.js');
+const reverts = require('../scripts/reverts.js');
+
+describe('Revert decoding', () => {
+
+    const encodeReason = (reason) => reverts.ERROR_SELECTOR + new Web3().eth.abi.encodeParameter('string', reason).slice(2);
+
+    test('Decodes Error(string) revert data', () => {
+        expect(reverts.decodeRevertData(encodeReason('VOTING_ERROR_PROPOSAL_IS_CLOSED'))).toBe('VOTING_ERROR_PROPOSAL_IS_CLOSED');
+        expect(reverts.decodeRevertData('0x')).toBe(null);
+    });
+
+    test('Maps reasons to the error constants in HCBase.sol', () => {
+        expect(errors.PROPOSAL_IS_CLOSED).toBe('VOTING_ERROR_PROPOSAL_IS_CLOSED');
+        expect(reverts.getErrorName('VOTING_ERROR_PROPOSAL_IS_CLOSED')).toBe('PROPOSAL_IS_CLOSED');
+        expect(reverts.getErrorName('VOTING_ERROR_SENDER_DOES_NOT_HAVE_REQUIRED_STAKE')).toBe('SENDER_DOES_NOT_HAVE_REQUIRED_STAKE');
+        expect(reverts.getErrorName('SafeMath: subtraction overflow')).toBe(null);
+    });
+
+    test('Creates a typed error for each error constant', async () => {
+        expect(Object.keys(errors).map(reverts.toClassName)).toContain('ProposalIsBoostedError');
+
+        let error = await reverts.toRevertError(new Error('VM Exception while processing transaction: revert VOTING_ERROR_PROPOSAL_IS_BOOSTED'));
+        expect(error).toBeInstanceOf(reverts.ProposalIsBoostedError);
+        expect(error).toBeInstanceOf(reverts.RevertError);
+        expect(error.name).toBe('ProposalIsBoostedError');
+        expect(error.errorName).toBe('PROPOSAL_IS_BOOSTED');
+        expect(error.message).toBe('Transaction reverted: VOTING_ERROR_PROPOSAL_IS_BOOSTED');
+
+        error = await reverts.toRevertError(new Error('VM Exception while processing transaction: revert'));
+        expect(error).toBeInstanceOf(reverts.UnknownRevertError);
+        expect(error.message).toBe('Transaction reverted without a reason');
+
+        error = await reverts.toRevertError(new Error('Returned error: VM Exception while processing transaction: revert SafeMath: subtraction overflow'));
+        expect(error.constructor).toBe(reverts.RevertError);
+        expect(error.reason).toBe('SafeMath: subtraction overflow');
+
+        const other = new Error('Invalid JSON RPC response');
+        expect(await reverts.toRevertError(other)).toBe(other);
+    });
+
+    test('Matchers report how a transaction reverted', async () => {
+        await expect(Promise.reject(new Error('VM Exception while processing transaction: revert VOTING_ERROR_PROPOSAL_IS_CLOSED')))
+            .toRevertWith('PROPOSAL_IS_CLOSED');
+        await expect(Promise.reject(new Error('VM Exception while processing transaction: revert')))
+            .toRevertWithoutReason();
+        await expect(Promise.resolve()).not.toRevert();
+
+        await expect(expect(Promise.resolve()).toRevertWith('PROPOSAL_IS_CLOSED'))
+            .rejects.toThrow('Expected to revert with PROPOSAL_IS_CLOSED, but it did not revert');
+        await expect(expect(Promise.reject(new Error('VM Exception while processing transaction: revert'))).toRevertWith('PROPOSAL_IS_CLOSED'))
+            .rejects.toThrow('Expected to revert with PROPOSAL_IS_CLOSED, but it reverted without a reason');
+        await expect(expect(Promise.reject(new Error('VM Exception while processing transaction: revert VOTING_ERROR_PROPOSAL_IS_BOOSTED'))).toRevertWith('PROPOSAL_IS_CLOSED'))
+            .rejects.toThrow('Expected to revert with PROPOSAL_IS_CLOSED, but it reverted with PROPOSAL_IS_BOOSTED');
+    });
+
+    test('Replays failed transactions to decode their reason', async () => {
+        const web3 = getWeb3('localhost');
+        const txParams = { from: (await web3.eth.getAccounts())[0], gas: 6700000, gasPrice: 1 };
+        const hcContract = await deploy('HolographicConsensus', [], txParams);
+
+        // Ganache mines failed transactions before returning an error, like other nodes do when the gas is set,
+        // but the error doesn't say which transaction failed, so it is taken from the block that included it.
+        await expect(hcContract.methods.vote(9, true).send({ ...txParams, gas: 500000 })).toRevertWith('PROPOSAL_DOES_NOT_EXIST');
+        const block = await web3.eth.getBlock('latest');
+        expect(block.transactions).toHaveLength(1);
+        const receipt = await web3.eth.getTransactionReceipt(block.transactions[0]);
+        expect(receipt.status).toBe(false);
+
+        expect(await reverts.decodeReceiptRevert(web3, receipt)).toEqual({
+            reason: 'VOTING_ERROR_PROPOSAL_DOES_NOT_EXIST',
+            errorName: 'PROPOSAL_DOES_NOT_EXIST'
+        });
+        const revertError = await reverts.toRevertError({ message: 'Transaction has been reverted by the EVM', receipt }, web3);
+        expect(revertError).toBeInstanceOf(reverts.ProposalDoesNotExistError);
+    });
+});
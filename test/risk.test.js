@@ -0,0 +1,68 @@
+const BN = require('bn.js');
+const hcMath = require('../scripts/hcMath.js');
+const risk = require('../scripts/risk.js');
+
+describe('Risk analysis', () => {
+
+    const input = {
+        params: { supportPct: 51, confidenceThresholdBase: 4 },
+        voteBalances: { '0x1': '100', '0x2': '100', '0x3': '200' },
+        stakeBalances: ['10000', '3000', '1000', '500', '0'],
+        compensationFunds: '500'
+    };
+
+    test('Finds the smallest amounts that cross the thresholds of the contracts', () => {
+        const threshold = hcMath.calculateConfidenceThreshold(4, 1);
+        [0, 1, 3, 1000, 12345].forEach(downstake => {
+            const upstake = risk.calculateMinUpstake(downstake, threshold);
+            expect(hcMath.hasEnoughConfidence(upstake, downstake, 4, 1)).toBe(true);
+            expect(hcMath.hasEnoughConfidence(upstake.subn(1), downstake, 4, 1)).toBe(false);
+        });
+
+        expect(risk.calculateMinSupport(400, 51).toString()).toBe('205');
+        expect(hcMath.calculateAbsoluteSupport(204, 0, 400, 51)).toBe('Absent');
+        expect(risk.calculateMinFlip(200, 51).toString()).toBe('209');
+        expect(hcMath.calculateRelativeSupport(208, 200, 51)).toBe('Absent');
+        expect(risk.calculateMinFlip(0, 99).toString()).toBe('1');
+    });
+
+    test('Reports the cost of boosting and holding proposals', () => {
+        const report = risk.toJSON(risk.analyze(input));
+        expect(report.params.boostPeriod).toBe(risk.DEFAULT_PARAMS.boostPeriod);
+        expect(report.voting).toEqual({ supply: '400', holders: 3, largestHolder: '200', absoluteMajority: '205', holdersForAbsoluteMajority: 2 });
+        expect(report.boosting).toHaveLength(6);
+        expect(report.boosting[0]).toMatchObject({ minUpstake: '1', upstakeAgainstAllOthers: '4500', largestHolderCanHold: true, holdersToHold: 1 });
+        expect(report.boosting[1]).toMatchObject({ minUpstake: '4', upstakeAgainstSecondHolder: '12000', largestHolderCanHold: false, holdersToHold: 2 });
+        expect(report.quietEnding.lifetimes[1]).toEqual({ extensions: 10, lifetime: 16 * 60 * 60 });
+        expect(report.quietEnding.flipAgainstLargestHolder).toBe('209');
+        expect(report.compensations.allStake).toEqual({
+            upstake: '14500', maxFee: '1450', secondsToMaxFee: '14500', maxFeesPerProposal: '2900', proposalsCovered: '0'
+        });
+        expect(report.compensations.covered).toBe(false);
+    });
+
+    test('Renders reports as Markdown', () => {
+        const markdown = risk.toMarkdown(risk.analyze({ ...input, compensationFunds: '10000' }));
+        expect(markdown).toMatch(/^# HC parameter risk report/);
+        expect(markdown).toMatch(/\| 1 \| 4\.00 \| 4 \| 12000 \| 18000 \| no \| 2 \|/);
+        expect(markdown).toMatch(/\| 100 \| 4d 10h \|/);
+        expect(markdown).toMatch(/\| 14500 \| 1450 \| 4h 1m \| 2900 \| 3 \|/);
+        expect(markdown).toMatch(/The funds cover the fees of a proposal backed by all the stake\./);
+    });
+
+    test('Reports how long each fee curve takes to reach the maximum fee', () => {
+        const params = (compensationFeeCurve, compensationFeePeriod) => ({ ...risk.DEFAULT_PARAMS, compensationFeeCurve, compensationFeePeriod });
+        expect(risk.calculateSecondsToMaxFee(new BN(1450), params('Linear', 0)).toString()).toBe('14500');
+        expect(risk.calculateSecondsToMaxFee(new BN(1450), params('Step', 600)).toString()).toBe('600');
+        expect(risk.calculateSecondsToMaxFee(new BN(1450), params('CappedExponential', 60)).toString()).toBe('660');
+        expect(hcMath.calculateCompensationFee(14500, 10, 0, 660, 'CappedExponential', 60).toString()).toBe('1450');
+        expect(hcMath.calculateCompensationFee(14500, 10, 0, 659, 'CappedExponential', 60).toString()).toBe('1023');
+    });
+
+    test('Rejects parameters that the contracts would reject', () => {
+        expect(() => risk.analyze({ ...input, params: { supportPct: 100, quietEndingPeriod: 6 * 60 * 60 } }))
+            .toThrow('Invalid parameters: supportPct must be between 50 and 99, quietEndingPeriod must be shorter than boostPeriod');
+        expect(() => risk.analyze({ ...input, params: { compensationFeeCurve: 'Step' } }))
+            .toThrow('Invalid parameters: compensationFeePeriod must be greater than 0');
+    });
+});
@@ -1 +1,2 @@
 jest.setTimeout(60000);
+expect.extend(require('./matchers.js'));
@@ -0,0 +1,43 @@
+const BN = require('bn.js');
+const votingWeight = require('../scripts/votingWeight.js');
+
+describe('Voting weight', () => {
+
+    test('Computes square roots as the contract does', () => {
+        expect([0, 1, 2, 3, 4, 15, 16, 17, 200].map(value => votingWeight.sqrt(value).toNumber())).toEqual([0, 1, 1, 1, 2, 3, 4, 4, 14]);
+        const large = new BN(10).pow(new BN(40)).addn(1);
+        expect(votingWeight.sqrt(large).toString()).toBe(new BN(10).pow(new BN(20)).toString());
+    });
+
+    test('Weighs voting power and sums up the total weight under each strategy', () => {
+        const capped = { name: 'Capped', cap: 150 };
+        const weighted = { name: 'Weighted', voteTokenWeight: 1, tokens: ['0x1'], weights: [2] };
+        expect(votingWeight.calculateWeight({ name: 'Linear' }, 400).toString()).toBe('400');
+        expect(votingWeight.calculateWeight({ name: 'Quadratic' }, 400).toString()).toBe('20');
+        expect(votingWeight.calculateWeight(capped, 400).toString()).toBe('150');
+        expect(votingWeight.calculateWeight(weighted, 100, [50]).toString()).toBe('200');
+
+        const balances = [100, 100, 100, 400];
+        expect(votingWeight.calculateTotalWeight({ name: 'Linear' }, balances).toString()).toBe('700');
+        expect(votingWeight.calculateTotalWeight({ name: 'Quadratic' }, balances).toString()).toBe('50');
+        expect(votingWeight.calculateTotalWeight(capped, balances).toString()).toBe('450');
+        expect(votingWeight.calculateTotalWeight(weighted, balances, [200]).toString()).toBe('1100');
+
+        // A skewed supply doesn't keep votes from reaching the total weight.
+        const skewed = [10000].concat(new Array(99).fill(1));
+        expect(votingWeight.calculateTotalWeight({ name: 'Quadratic' }, skewed).toString()).toBe('199');
+
+        expect(() => votingWeight.calculateWeight({ name: 'Cubic' }, 1)).toThrow('Unknown voting strategy Cubic');
+    });
+
+    test('Predicts weights under each strategy, with the parameters they need', () => {
+        const predict = (options) => {
+            const weights = votingWeight.predictWeights(400, options);
+            Object.keys(weights).forEach(name => weights[name] = weights[name].toString());
+            return weights;
+        };
+        expect(predict()).toEqual({ Linear: '400', Quadratic: '20' });
+        expect(predict({ cap: 100, weights: [3], balances: [10] })).toEqual({ Linear: '400', Quadratic: '20', Capped: '100', Weighted: '430' });
+        expect(votingWeight.toConstructorArgs({ name: 'Weighted', voteTokenWeight: 1, tokens: ['0x1'], weights: [2] })).toEqual(['1', ['0x1'], ['2']]);
+    });
+});